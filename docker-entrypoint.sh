@@ -73,6 +73,8 @@ log "Starting Dogecoin Node Monitor..."
 log "Starting Dogecoin daemon..."
 dogecoind -datadir=/data -disablewallet \
     -printtoconsole=1 \
+    -zmqpubhashblock=tcp://127.0.0.1:28332 \
+    -zmqpubrawtx=tcp://127.0.0.1:28333 \
     -pid=/data/dogecoind.pid > /app/logs/dogecoind.log 2>&1 &
 
 DOGECOIND_PID=$!
@@ -27,6 +27,7 @@ module.exports = [
         clearInterval: 'readonly',
         setImmediate: 'readonly',
         clearImmediate: 'readonly',
+        structuredClone: 'readonly',
         // Browser globals for public/app.js
         window: 'readonly',
         document: 'readonly',
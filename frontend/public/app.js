@@ -9,6 +9,10 @@ class DogecoinMonitor {
             reconnectDelay: 5000 // 5 seconds
         };
 
+        // Selected node (null = primary node via the unprefixed /api routes)
+        this.nodes = [];
+        this.nodeId = localStorage.getItem('dogecoin-monitor-node');
+
         // Initialize state
         this.ws = null;
         this.charts = {};
@@ -24,6 +28,13 @@ class DogecoinMonitor {
             status: 'UNKNOWN'
         };
 
+        // Explorer page state (block shown and its transaction page)
+        this.explorer = {
+            block: null,
+            txPage: 0,
+            pageSize: 25
+        };
+
         // Startup state
         this.isStarting = true;
         this.startupRetryCount = 0;
@@ -41,9 +52,15 @@ class DogecoinMonitor {
         try {
             console.log('Setting up charts...');
             this.initializeCharts();
+            this.setupExplorer();
+            this.setupSettings();
+
+            console.log('Loading node list...');
+            await this.loadNodes();
 
             console.log('Loading initial data...');
             await this.loadInitialData();
+            await this.loadSettings();
 
             console.log('Connecting WebSocket...');
             this.connectWebSocket();
@@ -58,6 +75,509 @@ class DogecoinMonitor {
         }
     }
 
+    /**
+     * Base path for node-specific API calls
+     */
+    apiBase() {
+        return this.nodeId ? `/api/nodes/${encodeURIComponent(this.nodeId)}` : '/api';
+    }
+
+    /**
+     * Loads monitored nodes and fills the header selector (hidden for a single node)
+     */
+    async loadNodes() {
+        const selector = document.getElementById('node-selector');
+
+        try {
+            const response = await fetch('/api/nodes');
+            if (!response.ok) {
+                throw new Error(`Nodes API failed: ${response.status} ${response.statusText}`);
+            }
+            const result = await response.json();
+            this.nodes = result.data.nodes;
+        } catch (error) {
+            console.warn('Node list unavailable, using primary node:', error.message);
+            this.nodes = [];
+        }
+
+        // Forget a stored selection that is no longer configured
+        if (this.nodeId && !this.nodes.some(node => node.id === this.nodeId)) {
+            this.nodeId = null;
+            localStorage.removeItem('dogecoin-monitor-node');
+        }
+
+        if (!selector) {
+            return;
+        }
+
+        if (this.nodes.length <= 1) {
+            selector.style.display = 'none';
+            return;
+        }
+
+        selector.innerHTML = this.nodes.map(node => `
+            <option value="${this.escapeHTML(node.id)}">
+                ${this.escapeHTML(node.name)}${node.primary ? ' (primary)' : ''}
+            </option>
+        `).join('');
+        selector.value = this.nodeId || this.nodes.find(node => node.primary).id;
+        selector.style.display = '';
+
+        selector.onchange = () => this.selectNode(selector.value);
+    }
+
+    /**
+     * Reloads dashboard data when the selected node reports a new block
+     */
+    handleNewBlock(block) {
+        const primary = this.nodes.find(node => node.primary);
+        const selectedId = this.nodeId || (primary ? primary.id : block.nodeId);
+
+        if (block.nodeId === selectedId) {
+            this.loadInitialData();
+        }
+    }
+
+    /**
+     * Switches the dashboard to another node
+     */
+    async selectNode(nodeId) {
+        const primary = this.nodes.find(node => node.primary);
+        this.nodeId = primary && primary.id === nodeId ? null : nodeId;
+
+        if (this.nodeId) {
+            localStorage.setItem('dogecoin-monitor-node', this.nodeId);
+        } else {
+            localStorage.removeItem('dogecoin-monitor-node');
+        }
+
+        // Chart history belongs to the previous node
+        this.data.blockHeight = [];
+        this.data.mempoolSize = [];
+        Object.values(this.charts).forEach(chart => {
+            chart.data.datasets[0].data = [];
+            chart.update('none');
+        });
+
+        await this.loadInitialData();
+        await this.loadSettings();
+    }
+
+    /**
+     * Opens explorer pages from the URL hash, the search box and the back button
+     */
+    setupExplorer() {
+        const backButton = document.getElementById('explorer-back');
+        if (backButton) {
+            backButton.addEventListener('click', () => {
+                window.location.hash = '';
+            });
+        }
+
+        const searchForm = document.getElementById('explorer-search');
+        if (searchForm) {
+            searchForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.search(document.getElementById('explorer-search-input').value);
+            });
+        }
+
+        window.addEventListener('hashchange', () => this.handleRoute());
+        this.handleRoute();
+    }
+
+    /**
+     * Shows the page for the current URL hash, or the dashboard
+     * Routes: #/block/<hash or height>, #/tx/<txid>, #/address/<address>
+     */
+    handleRoute() {
+        const routes = [
+            [/^#\/block\/([0-9a-fA-F]{64}|\d+)$/, id => this.showBlock(id)],
+            [/^#\/tx\/([0-9a-fA-F]{64})$/, id => this.showTransaction(id)],
+            [/^#\/address\/([1-9A-HJ-NP-Za-km-z]{26,35})$/, id => this.showAddress(id)]
+        ];
+
+        for (const [pattern, show] of routes) {
+            const match = window.location.hash.match(pattern);
+            if (match) {
+                show(match[1]);
+                return;
+            }
+        }
+
+        this.closeExplorer();
+    }
+
+    /**
+     * Resolves a search query and opens the matching page
+     */
+    async search(query) {
+        const input = document.getElementById('explorer-search-input');
+        const text = query.trim();
+        if (!text) {
+            return;
+        }
+
+        try {
+            const data = await this.fetchExplorerData(`/search?q=${encodeURIComponent(text)}`);
+            const prefixes = { block: 'block', transaction: 'tx', address: 'address' };
+
+            input.classList.remove('not-found');
+            input.title = '';
+            window.location.hash = `#/${prefixes[data.type]}/${data.id}`;
+        } catch (error) {
+            input.classList.add('not-found');
+            input.title = error.message;
+        }
+    }
+
+    /**
+     * Fetches an explorer API resource of the selected node
+     * @throws {Error} With the API's message if the request fails
+     */
+    async fetchExplorerData(path) {
+        const response = await fetch(`${this.apiBase()}${path}`);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message || `${response.status} ${response.statusText}`);
+        }
+        return result.data;
+    }
+
+    /**
+     * Replaces the dashboard with an explorer page
+     */
+    openExplorer(title, icon, html) {
+        document.querySelector('.dashboard').classList.add('explorer-open');
+        document.getElementById('explorer-page').style.display = '';
+        document.getElementById('explorer-title').innerHTML = `<i class="fas ${icon}"></i> ${this.escapeHTML(title)}`;
+        document.getElementById('explorer-content').innerHTML = html;
+        window.scrollTo(0, 0);
+    }
+
+    closeExplorer() {
+        document.querySelector('.dashboard').classList.remove('explorer-open');
+        document.getElementById('explorer-page').style.display = 'none';
+    }
+
+    /**
+     * Loads and shows the transaction detail page
+     */
+    async showTransaction(txid) {
+        this.openExplorer('Transaction', 'fa-exchange-alt', '<div class="loading">Loading transaction...</div>');
+
+        try {
+            const tx = await this.fetchExplorerData(`/transaction/${txid}`);
+            this.openExplorer('Transaction', 'fa-exchange-alt', this.renderTransaction(tx));
+        } catch (error) {
+            console.error('Error loading transaction:', error);
+            this.openExplorer('Transaction', 'fa-exchange-alt',
+                `<div class="explorer-error">Transaction unavailable: ${this.escapeHTML(error.message)}</div>`);
+        }
+    }
+
+    renderTransaction(tx) {
+        const escape = value => this.escapeHTML(value);
+        const txLink = (txid, label) => `<a href="#/tx/${escape(txid)}" class="block-hash-link">${escape(label)}</a>`;
+        const unknown = '<span class="metric-label">unknown</span>';
+
+        let status = 'In mempool';
+        if (tx.confirmations) {
+            status = `${tx.confirmations.toLocaleString()} confirmations`;
+        }
+
+        let fee = tx.isCoinbase ? 'Coinbase (no fee)' : 'Unknown (inputs not resolved)';
+        if (tx.fee !== null) {
+            fee = `${this.formatDoge(tx.fee)} (${this.formatDoge(tx.feeRate)}/kB)`;
+        }
+
+        const summary = [
+            ['Transaction ID', escape(tx.txid)],
+            ['Status', status],
+            ['Block', tx.blockhash ? `<a href="#/block/${escape(tx.blockhash)}" class="block-hash-link">${escape(tx.blockhash)}</a>` : 'Unconfirmed'],
+            ['Time', tx.time ? new Date(tx.time * 1000).toLocaleString() : '-'],
+            ['Size', this.formatBytes(tx.size)],
+            ['Total Input', tx.totalInput === null ? '-' : this.formatDoge(tx.totalInput)],
+            ['Total Output', this.formatDoge(tx.totalOutput)],
+            ['Fee', fee]
+        ].map(([label, value]) => `
+            <div class="info-item"><label>${label}:</label><span>${value}</span></div>
+        `).join('');
+
+        const inputs = tx.vin.map((input, i) => {
+            if (input.coinbase) {
+                return `<tr><td>${i}</td><td colspan="3" class="explorer-mono">Coinbase ${escape(input.coinbase)}</td><td>-</td></tr>`;
+            }
+            return `
+                <tr>
+                    <td>${i}</td>
+                    <td class="explorer-mono">${txLink(input.txid, `${input.txid.substring(0, 16)}...:${input.vout}`)}</td>
+                    <td class="explorer-mono">${this.addressLinks(input.addresses)}</td>
+                    <td>${input.scriptType ? `<span class="script-type">${escape(input.scriptType)}</span>` : unknown}</td>
+                    <td>${input.value === null ? unknown : this.formatDoge(input.value)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const outputs = tx.vout.map(output => {
+            let destination = this.addressLinks(output.addresses);
+            if (output.payload) {
+                destination = output.payload.text !== null
+                    ? `"${escape(output.payload.text)}"`
+                    : escape(output.payload.hex);
+            }
+
+            let state = '-';
+            if (output.spent !== null) {
+                state = `<span class="output-state ${output.spent ? 'spent' : 'unspent'}">${output.spent ? 'Spent' : 'Unspent'}</span>`;
+            }
+
+            const required = output.required ? ` ${output.required}-of-${output.addresses.length}` : '';
+            return `
+                <tr>
+                    <td>${output.n}</td>
+                    <td class="explorer-mono">${destination}</td>
+                    <td><span class="script-type">${escape(output.scriptType)}${required}</span></td>
+                    <td>${this.formatDoge(output.value)}</td>
+                    <td>${state}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="info-grid explorer-summary">${summary}</div>
+            <div class="explorer-io">
+                <div>
+                    <h4>Inputs (${tx.vin.length})</h4>
+                    <div class="table-container">
+                        <table>
+                            <thead><tr><th>#</th><th>Previous Output</th><th>Address</th><th>Type</th><th>Value</th></tr></thead>
+                            <tbody>${inputs}</tbody>
+                        </table>
+                    </div>
+                </div>
+                <div>
+                    <h4>Outputs (${tx.vout.length})</h4>
+                    <div class="table-container">
+                        <table>
+                            <thead><tr><th>#</th><th>Address / Data</th><th>Type</th><th>Value</th><th>State</th></tr></thead>
+                            <tbody>${outputs}</tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Links addresses to their explorer pages
+     */
+    addressLinks(addresses) {
+        if (!addresses || addresses.length === 0) {
+            return '<span class="metric-label">unknown</span>';
+        }
+        return addresses.map(address => {
+            const escaped = this.escapeHTML(address);
+            return `<a href="#/address/${escaped}" class="block-hash-link">${escaped}</a>`;
+        }).join('<br>');
+    }
+
+    /**
+     * Loads and shows the block page for a hash or height
+     */
+    async showBlock(id) {
+        this.openExplorer('Block', 'fa-cube', '<div class="loading">Loading block...</div>');
+
+        try {
+            const path = /^\d+$/.test(id) ? `/block/height/${id}` : `/block/${id}`;
+            this.explorer.block = await this.fetchExplorerData(path);
+            this.explorer.txPage = 0;
+            this.openExplorer(`Block ${this.explorer.block.height.toLocaleString()}`, 'fa-cube', this.renderBlock(this.explorer.block));
+            this.showBlockTxPage(0);
+        } catch (error) {
+            console.error('Error loading block:', error);
+            this.openExplorer('Block', 'fa-cube',
+                `<div class="explorer-error">Block unavailable: ${this.escapeHTML(error.message)}</div>`);
+        }
+    }
+
+    renderBlock(block) {
+        const escape = value => this.escapeHTML(value);
+        const blockLink = hash => `<a href="#/block/${escape(hash)}" class="block-hash-link">${escape(hash)}</a>`;
+        const infoItems = items => items.map(([label, value]) => `
+            <div class="info-item"><label>${label}:</label><span>${value}</span></div>
+        `).join('');
+
+        const summary = infoItems([
+            ['Hash', escape(block.hash)],
+            ['Height', block.height.toLocaleString()],
+            ['Confirmations', block.confirmations.toLocaleString()],
+            ['Time', new Date(block.time * 1000).toLocaleString()],
+            ['Median Time', block.mediantime ? new Date(block.mediantime * 1000).toLocaleString() : '-'],
+            ['Version', `0x${block.version.toString(16)}`],
+            ['Merkle Root', escape(block.merkleroot)],
+            ['Bits', escape(block.bits)],
+            ['Nonce', block.nonce],
+            ['Difficulty', this.formatNumber(block.difficulty)],
+            ['Size', this.formatBytes(block.size)],
+            ['Transactions', block.tx.length.toLocaleString()],
+            ['Previous Block', block.previousblockhash ? blockLink(block.previousblockhash) : 'None (genesis)'],
+            ['Next Block', block.nextblockhash ? blockLink(block.nextblockhash) : 'None (chain tip)']
+        ]);
+
+        let auxpow = '';
+        if (block.auxpow) {
+            const parent = block.auxpow.parentBlockHeader;
+            auxpow = `
+                <h4><i class="fas fa-link"></i> AuxPoW Parent Block (merge-mined)</h4>
+                <div class="info-grid explorer-summary">${infoItems([
+                    ['Parent Hash', escape(parent.hash)],
+                    ['Parent Previous Block', escape(parent.previousblockhash)],
+                    ['Parent Time', new Date(parent.time * 1000).toLocaleString()],
+                    ['Parent Bits', escape(parent.bits)],
+                    ['Parent Version', `0x${(parent.version >>> 0).toString(16)}`],
+                    ['Chain Index', block.auxpow.chainindex],
+                    ['Parent Coinbase', block.auxpow.parentCoinbase ? escape(block.auxpow.parentCoinbase) : '-']
+                ])}</div>
+            `;
+        } else if (block.isAuxPow === false) {
+            auxpow = '<p class="metric-label">Mined directly (no AuxPoW parent block)</p>';
+        }
+
+        const prevLink = block.previousblockhash
+            ? `<a href="#/block/${escape(block.previousblockhash)}" class="btn-small"><i class="fas fa-chevron-left"></i> Previous</a>`
+            : '<button class="btn-small" disabled><i class="fas fa-chevron-left"></i> Previous</button>';
+        const nextLink = block.nextblockhash
+            ? `<a href="#/block/${escape(block.nextblockhash)}" class="btn-small">Next <i class="fas fa-chevron-right"></i></a>`
+            : '<button class="btn-small" disabled>Next <i class="fas fa-chevron-right"></i></button>';
+
+        return `
+            <div class="explorer-nav">${prevLink}${nextLink}</div>
+            <div class="info-grid explorer-summary">${summary}</div>
+            ${auxpow}
+            <h4>Transactions</h4>
+            <div id="block-tx-list"></div>
+        `;
+    }
+
+    /**
+     * Renders one page of the shown block's transaction list
+     */
+    showBlockTxPage(page) {
+        const { block, pageSize } = this.explorer;
+        const container = document.getElementById('block-tx-list');
+        if (!block || !container) {
+            return;
+        }
+
+        const pages = Math.max(Math.ceil(block.tx.length / pageSize), 1);
+        this.explorer.txPage = Math.min(Math.max(page, 0), pages - 1);
+        const start = this.explorer.txPage * pageSize;
+
+        const rows = block.tx.slice(start, start + pageSize).map((txid, i) => `
+            <tr>
+                <td>${start + i}</td>
+                <td class="explorer-mono"><a href="#/tx/${this.escapeHTML(txid)}" class="block-hash-link">${this.escapeHTML(txid)}</a></td>
+            </tr>
+        `).join('');
+
+        const current = this.explorer.txPage;
+        container.innerHTML = `
+            <div class="table-container">
+                <table>
+                    <thead><tr><th>#</th><th>Transaction ID</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <div class="explorer-nav">
+                <button class="btn-small" ${current === 0 ? 'disabled' : ''}
+                        onclick="window.dogecoinMonitor.showBlockTxPage(${current - 1})">
+                    <i class="fas fa-chevron-left"></i> Newer page
+                </button>
+                <span class="metric-label">Page ${current + 1} of ${pages}</span>
+                <button class="btn-small" ${current >= pages - 1 ? 'disabled' : ''}
+                        onclick="window.dogecoinMonitor.showBlockTxPage(${current + 1})">
+                    Next page <i class="fas fa-chevron-right"></i>
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Loads and shows the address page (history is paged newest first)
+     */
+    async showAddress(address, offset = 0) {
+        this.openExplorer('Address', 'fa-wallet', '<div class="loading">Loading address...</div>');
+
+        try {
+            const limit = this.explorer.pageSize;
+            const data = await this.fetchExplorerData(`/address/${address}?limit=${limit}&offset=${offset}`);
+            this.openExplorer('Address', 'fa-wallet', this.renderAddress(data));
+        } catch (error) {
+            console.error('Error loading address:', error);
+            this.openExplorer('Address', 'fa-wallet',
+                `<div class="explorer-error">Address unavailable: ${this.escapeHTML(error.message)}</div>`);
+        }
+    }
+
+    renderAddress(data) {
+        const escape = value => this.escapeHTML(value);
+        const { index, pagination } = data;
+
+        let coverage = 'Full chain';
+        if (!index.complete) {
+            coverage = index.fromHeight === null ? 'Not indexed yet' : `Since block ${index.fromHeight.toLocaleString()}`;
+        }
+
+        const summary = [
+            ['Address', escape(data.address)],
+            ['Balance', this.formatDoge(data.balance)],
+            ['Received', this.formatDoge(data.received)],
+            ['Sent', this.formatDoge(data.sent)],
+            ['Transactions', data.txCount.toLocaleString()],
+            ['Unspent Outputs', data.unspentCount.toLocaleString()],
+            ['Indexed History', coverage],
+            ['Indexed Up To', index.height === null ? '-' : index.height.toLocaleString()]
+        ].map(([label, value]) => `
+            <div class="info-item"><label>${label}:</label><span>${value}</span></div>
+        `).join('');
+
+        const rows = data.transactions.map(tx => `
+            <tr>
+                <td class="explorer-mono"><a href="#/tx/${escape(tx.txid)}" class="block-hash-link">${escape(tx.txid.substring(0, 16))}...</a></td>
+                <td><a href="#/block/${tx.height}" class="block-hash-link">${tx.height.toLocaleString()}</a></td>
+                <td>${new Date(tx.time * 1000).toLocaleString()}</td>
+                <td class="output-state ${tx.delta < 0 ? 'spent' : 'unspent'}">${tx.delta > 0 ? '+' : ''}${this.formatDoge(tx.delta)}</td>
+            </tr>
+        `).join('');
+
+        const address = escape(data.address);
+        const newer = Math.max(pagination.offset - pagination.limit, 0);
+        const older = pagination.offset + pagination.limit;
+
+        return `
+            <div class="info-grid explorer-summary">${summary}</div>
+            <h4>Transactions</h4>
+            <div class="table-container">
+                <table>
+                    <thead><tr><th>Transaction</th><th>Block</th><th>Time</th><th>Change</th></tr></thead>
+                    <tbody>${rows || '<tr><td colspan="4" class="loading">No indexed transactions</td></tr>'}</tbody>
+                </table>
+            </div>
+            <div class="explorer-nav">
+                <button class="btn-small" ${pagination.offset === 0 ? 'disabled' : ''}
+                        onclick="window.dogecoinMonitor.showAddress('${address}', ${newer})">
+                    <i class="fas fa-chevron-left"></i> Newer
+                </button>
+                <span class="metric-label">${pagination.total.toLocaleString()} transactions</span>
+                <button class="btn-small" ${pagination.hasMore ? '' : 'disabled'}
+                        onclick="window.dogecoinMonitor.showAddress('${address}', ${older})">
+                    Older <i class="fas fa-chevron-right"></i>
+                </button>
+            </div>
+        `;
+    }
+
     showStartupOverlay() {
         // Create startup overlay if it doesn't exist
         let overlay = document.getElementById('startup-overlay');
@@ -224,6 +744,10 @@ class DogecoinMonitor {
 
                 this.updateLastUpdate();
             }
+
+            if (message.type === 'new_block') {
+                this.handleNewBlock(message.data);
+            }
         };
 
         this.ws.onclose = (event) => {
@@ -286,8 +810,8 @@ return;
             }
 
             // Load basic info
-            console.log('Fetching /api/info...');
-            const infoResponse = await fetch('/api/info');
+            console.log(`Fetching ${this.apiBase()}/info...`);
+            const infoResponse = await fetch(`${this.apiBase()}/info`);
             if (!infoResponse.ok) {
                 if (this.isStarting && this.startupRetryCount < this.maxStartupRetries) {
                     this.startupRetryCount++;
@@ -308,9 +832,9 @@ return;
             this.updateUI(info);
 
             // Load blocks (non-blocking)
-            console.log('Fetching /api/blocks/10...');
+            console.log(`Fetching ${this.apiBase()}/blocks/10...`);
             try {
-                const blocksResponse = await fetch('/api/blocks/10', { 
+                const blocksResponse = await fetch(`${this.apiBase()}/blocks/10`, { 
                     signal: this.getTimeoutSignal(15000) // 15 second timeout
                 });
                 if (blocksResponse.ok) {
@@ -326,9 +850,14 @@ return;
                 this.showBlocksUnavailable('Still syncing - blocks unavailable');
             }
 
+            // Load mining pool distribution, mempool analytics and reorg history (non-blocking)
+            await this.loadPoolDistribution();
+            await this.loadMempoolAnalytics();
+            await this.loadReorgHistory();
+
             // Load peers
-            console.log('Fetching /api/peers...');
-            const peersResponse = await fetch('/api/peers');
+            console.log(`Fetching ${this.apiBase()}/peers...`);
+            const peersResponse = await fetch(`${this.apiBase()}/peers`);
             if (!peersResponse.ok) {
                 throw new Error(`Peers API failed: ${peersResponse.status} ${peersResponse.statusText}`);
             }
@@ -519,6 +1048,232 @@ return;
                 }
             }
         });
+
+        // Mining Pool Chart
+        const poolCtx = document.getElementById('poolChart').getContext('2d');
+        this.charts.pools = new Chart(poolCtx, {
+            type: 'pie',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Blocks',
+                    data: [],
+                    backgroundColor: ['#3498db', '#e74c3c', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#e67e22', '#34495e', '#bdc3c7'],
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'right'
+                    }
+                }
+            }
+        });
+
+        // Mempool Fee Band Chart (one stacked dataset per fee band, created on first data)
+        const feeBandCtx = document.getElementById('feeBandChart').getContext('2d');
+        this.charts.feeBands = new Chart(feeBandCtx, {
+            type: 'line',
+            data: {
+                datasets: [{ label: 'Mempool', data: [] }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                elements: {
+                    point: { radius: 0 }
+                },
+                scales: {
+                    x: {
+                        type: 'time',
+                        time: {
+                            displayFormats: {
+                                minute: 'HH:mm',
+                                hour: 'HH:mm'
+                            }
+                        }
+                    },
+                    y: {
+                        stacked: true,
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'kB'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        position: 'right',
+                        labels: { boxWidth: 12 }
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Fetches the share of recent blocks per mining pool for the pie chart
+     */
+    async loadPoolDistribution() {
+        try {
+            const response = await fetch(`${this.apiBase()}/mining/pools`, {
+                signal: this.getTimeoutSignal(30000) // the first request decodes the whole window
+            });
+            if (!response.ok) {
+                console.warn(`Mining pools API failed: ${response.status} ${response.statusText}`);
+                return;
+            }
+            const { data } = await response.json();
+            this.updatePoolChart(data);
+        } catch (error) {
+            console.warn('Mining pools API timeout or error:', error.message);
+        }
+    }
+
+    /**
+     * Shows the largest pools and groups the rest as "Other"
+     */
+    updatePoolChart(distribution) {
+        const chart = this.charts.pools;
+        if (!chart) {
+            return;
+        }
+
+        const maxSlices = 8;
+        const pools = distribution.pools.slice(0, maxSlices);
+        const otherBlocks = distribution.pools.slice(maxSlices).reduce((sum, pool) => sum + pool.blocks, 0);
+        const shorten = name => (name.length > 24 ? `${name.slice(0, 22)}…` : name);
+
+        chart.data.labels = pools.map(pool => shorten(pool.entity));
+        chart.data.datasets[0].data = pools.map(pool => pool.blocks);
+        if (otherBlocks > 0) {
+            chart.data.labels.push('Other');
+            chart.data.datasets[0].data.push(otherBlocks);
+        }
+        chart.update('none');
+
+        const caption = document.getElementById('pool-chart-window');
+        if (caption) {
+            caption.textContent = `(last ${distribution.blocks} blocks)`;
+        }
+    }
+
+    /**
+     * Fetches mempool analytics for the fee band chart
+     */
+    async loadMempoolAnalytics() {
+        try {
+            const response = await fetch(`${this.apiBase()}/mempool/analytics`, {
+                signal: this.getTimeoutSignal(15000)
+            });
+            if (!response.ok) {
+                console.warn(`Mempool analytics API failed: ${response.status} ${response.statusText}`);
+                return;
+            }
+            const { data } = await response.json();
+            this.updateFeeBandChart(data);
+        } catch (error) {
+            console.warn('Mempool analytics API timeout or error:', error.message);
+        }
+    }
+
+    /**
+     * Shows mempool bytes per fee band over time, cheapest band at the bottom
+     */
+    updateFeeBandChart(analytics) {
+        const chart = this.charts.feeBands;
+        if (!chart) {
+            return;
+        }
+
+        const colors = ['#bdc3c7', '#95a5a6', '#3498db', '#1abc9c', '#2ecc71', '#f1c40f', '#e67e22', '#e74c3c', '#8e44ad'];
+        chart.data.datasets = analytics.bands.map((band, index) => ({
+            label: `${band.band} DOGE/kB`,
+            data: analytics.history.map(sample => ({ x: new Date(sample.timestamp), y: sample.bands[index] / 1000 })),
+            borderColor: colors[index % colors.length],
+            backgroundColor: colors[index % colors.length],
+            borderWidth: 1,
+            fill: index === 0 ? 'origin' : '-1',
+            stack: 'fees'
+        }));
+        chart.update('none');
+
+        const caption = document.getElementById('fee-estimate');
+        const nextBlock = analytics.feeEstimates && analytics.feeEstimates[0];
+        if (caption && nextBlock) {
+            caption.textContent = `(next block: ${nextBlock.feeRate.toFixed(4)} DOGE/kB, ${nextBlock.source})`;
+        }
+    }
+
+    /**
+     * Fetches the recorded reorgs for the timeline
+     */
+    async loadReorgHistory() {
+        try {
+            const response = await fetch(`${this.apiBase()}/reorgs?limit=20`, {
+                signal: this.getTimeoutSignal(15000)
+            });
+            if (!response.ok) {
+                console.warn(`Reorg history API failed: ${response.status} ${response.statusText}`);
+                return;
+            }
+            const { data } = await response.json();
+            this.renderReorgTimeline(data);
+        } catch (error) {
+            console.warn('Reorg history API timeout or error:', error.message);
+        }
+    }
+
+    /**
+     * Lists recorded reorgs newest first: fork point, the orphaned and
+     * replacement blocks, and what happened to their transactions
+     */
+    renderReorgTimeline(history) {
+        const timeline = document.getElementById('reorg-timeline');
+        const count = document.getElementById('reorg-count');
+        if (!timeline) {
+            return;
+        }
+
+        if (count) {
+            count.textContent = `${history.total} reorg${history.total === 1 ? '' : 's'}`;
+        }
+        if (history.reorgs.length === 0) {
+            timeline.innerHTML = `<li class="reorg-empty">No reorganizations recorded (the last ${history.trackedDepth} blocks are compared on every check)</li>`;
+            return;
+        }
+
+        const escape = value => this.escapeHTML(String(value));
+        const blockLinks = blocks => blocks.map(block => `
+            <a href="#/block/${escape(block.hash)}" class="block-hash-link" title="${escape(block.hash)}">${block.height} ${escape(block.hash.substring(0, 12))}...</a>
+        `).join(', ');
+
+        timeline.innerHTML = history.reorgs.map(reorg => {
+            const { droppedCount, movedCount, addedCount, dropped } = reorg.transactions;
+            const backInMempool = dropped.filter(tx => tx.inMempool).length;
+            return `
+                <li class="reorg-event${reorg.depth > 1 ? ' deep' : ''}">
+                    <div class="reorg-title">
+                        <strong>${reorg.depth} block${reorg.depth === 1 ? '' : 's'} replaced at height ${reorg.forkHeight + 1}</strong>
+                        <span class="reorg-time">${new Date(reorg.detectedAt).toLocaleString()}</span>
+                    </div>
+                    <div class="reorg-branch">Orphaned: ${blockLinks(reorg.orphaned)}</div>
+                    <div class="reorg-branch">Replaced by: ${blockLinks(reorg.replacement)}</div>
+                    <div class="reorg-transactions">
+                        ${droppedCount} dropped (${backInMempool} back in mempool), ${movedCount} moved, ${addedCount} new
+                        ${reorg.complete ? '' : ' · incomplete: some blocks could not be read or the fork is deeper than tracked'}
+                    </div>
+                </li>
+            `;
+        }).join('');
     }
 
     updateCharts() {
@@ -544,10 +1299,9 @@ return;
 
         blocks.forEach(block => {
             const row = document.createElement('tr');
-            const explorerUrl = `https://dogechain.info/block/${block.hash}`;
             row.innerHTML = `
                 <td>${block.height.toLocaleString()}</td>
-                <td><a href="${explorerUrl}" target="_blank" rel="noopener noreferrer" class="block-hash-link" title="View block ${block.height} on Dogechain.info">${block.hash.substring(0, 16)}...</a></td>
+                <td><a href="#/block/${block.hash}" class="block-hash-link" title="View block ${block.height}">${block.hash.substring(0, 16)}...</a></td>
                 <td>${new Date(block.time * 1000).toLocaleString()}</td>
                 <td>${block.tx_count ? block.tx_count.toLocaleString() : 'N/A'}</td>
                 <td>${this.formatBytes(block.size)}</td>
@@ -748,6 +1502,7 @@ return;
         const alertId = this.escapeHTML(alert.id);
         const alertType = this.escapeHTML(alert.type.replace(/_/g, ' '));
         const alertMessage = this.escapeHTML(alert.message);
+        const lifecycle = this.formatAlertLifecycle(alert);
 
         return `
             <div class="alert-item ${severityClass}" data-alert-id="${alertId}">
@@ -756,6 +1511,7 @@ return;
                     <span class="alert-time">${timeAgo}</span>
                 </div>
                 <div class="alert-message">${alertMessage}</div>
+                ${lifecycle ? `<div class="alert-lifecycle">${this.escapeHTML(lifecycle)}</div>` : ''}
                 <div class="alert-actions">
                     ${!alert.acknowledged ?
                         `<button class="acknowledge-btn" onclick="window.dogecoinMonitor.acknowledgeAlert('${alertId}')">
@@ -773,7 +1529,7 @@ return;
 
     async acknowledgeAlert(alertId) {
         try {
-            const response = await fetch(`/api/watchdog/alerts/${alertId}/acknowledge`, {
+            const response = await fetch(`${this.apiBase()}/watchdog/alerts/${alertId}/acknowledge`, {
                 method: 'POST'
             });
 
@@ -811,6 +1567,10 @@ return;
     }
 
     showAlertModal(alert) {
+        // Alert text can carry miner coinbase tags and user labels
+        const escape = value => this.escapeHTML(value);
+        const alertId = escape(alert.id);
+
         // Create modal HTML
         const modalHTML = `
             <div class="alert-modal-overlay" onclick="this.remove()">
@@ -823,27 +1583,27 @@ return;
                     </div>
                     <div class="alert-modal-body">
                         <div class="alert-detail-row">
-                            <strong>Type:</strong> ${alert.type}
+                            <strong>Type:</strong> ${escape(alert.type)}
                         </div>
                         <div class="alert-detail-row">
                             <strong>Severity:</strong> 
-                            <span class="severity-badge severity-${alert.severity.toLowerCase()}">${alert.severity}</span>
+                            <span class="severity-badge severity-${escape(alert.severity.toLowerCase())}">${escape(alert.severity)}</span>
                         </div>
                         <div class="alert-detail-row">
                             <strong>Time:</strong> ${new Date(alert.timestamp).toLocaleString()}
                         </div>
                         <div class="alert-detail-row">
-                            <strong>Message:</strong> ${alert.message}
+                            <strong>Message:</strong> ${escape(alert.message)}
                         </div>
                         ${alert.data ? `
                         <div class="alert-detail-row">
                             <strong>Technical Details:</strong>
-                            <pre class="alert-data">${JSON.stringify(alert.data, null, 2)}</pre>
+                            <pre class="alert-data">${escape(JSON.stringify(alert.data, null, 2))}</pre>
                         </div>
                         ` : ''}
                         ${alert.description ? `
                         <div class="alert-detail-row">
-                            <strong>Description:</strong> ${alert.description}
+                            <strong>Description:</strong> ${escape(alert.description)}
                         </div>
                         ` : ''}
                     </div>
@@ -852,7 +1612,7 @@ return;
                             Close
                         </button>
                         ${!alert.acknowledged ? `
-                        <button class="btn btn-primary" onclick="window.dogecoinMonitor.acknowledgeAlert('${alert.id}'); this.closest('.alert-modal-overlay').remove();">
+                        <button class="btn btn-primary" onclick="window.dogecoinMonitor.acknowledgeAlert('${alertId}'); this.closest('.alert-modal-overlay').remove();">
                             Acknowledge Alert
                         </button>
                         ` : ''}
@@ -867,7 +1627,7 @@ return;
 
     async refreshWatchdogData() {
         try {
-            const response = await fetch('/api/watchdog/status');
+            const response = await fetch(`${this.apiBase()}/watchdog/status`);
             const result = await response.json();
 
             if (result.status === 'success') {
@@ -878,6 +1638,165 @@ return;
         }
     }
 
+    /**
+     * Saves the settings form and resets individual thresholds to their defaults
+     */
+    setupSettings() {
+        const form = document.getElementById('threshold-form');
+        if (!form) {
+            return;
+        }
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveThresholds();
+        });
+        form.addEventListener('click', (event) => {
+            const reset = event.target.closest('[data-reset]');
+            if (reset) {
+                event.preventDefault();
+                this.updateThresholds({ [reset.dataset.reset]: null });
+            }
+        });
+    }
+
+    /**
+     * Loads the selected node's thresholds into the settings panel
+     */
+    async loadSettings() {
+        try {
+            const response = await fetch(`${this.apiBase()}/watchdog/configuration`);
+            if (!response.ok) {
+                console.warn(`Configuration API failed: ${response.status} ${response.statusText}`);
+                return;
+            }
+            const { data } = await response.json();
+            this.renderSettings(data);
+        } catch (error) {
+            console.warn('Configuration API error:', error.message);
+        }
+    }
+
+    /**
+     * Renders one input per threshold and the recent changes
+     */
+    renderSettings(configuration) {
+        const form = document.getElementById('threshold-form');
+        const audit = document.getElementById('threshold-audit');
+        if (!form) {
+            return;
+        }
+
+        this.thresholdSchema = configuration.schema;
+        form.innerHTML = Object.entries(configuration.schema).map(([name, spec]) => `
+            <div class="threshold-field${spec.overridden ? ' overridden' : ''}">
+                <label for="threshold-${name}" title="${this.escapeHTML(spec.env)}">${this.escapeHTML(name)}</label>
+                <input id="threshold-${name}" name="${name}" type="number" value="${spec.value}"
+                    min="${spec.min}" max="${spec.max}" step="${spec.type === 'integer' ? 1 : 'any'}" required>
+                <div class="threshold-hint">
+                    ${this.escapeHTML(spec.description)} (default ${spec.default})
+                    ${spec.overridden ? `<button type="button" class="threshold-reset" data-reset="${name}">Reset</button>` : ''}
+                </div>
+            </div>
+        `).join('');
+
+        if (audit) {
+            audit.innerHTML = configuration.recentChanges.length === 0 ?
+                '<li>No changes since the thresholds were set from the environment</li>' :
+                configuration.recentChanges.map(entry => `
+                    <li>
+                        ${new Date(entry.timestamp).toLocaleString()} ·
+                        ${this.escapeHTML(entry.actor.user || `${entry.actor.ip || 'unknown'} (unauthenticated)`)}:
+                        ${entry.changes.map(change => `${this.escapeHTML(change.threshold)} ${change.from} → ${change.to}`).join(', ') || 'no effective change'}
+                    </li>
+                `).join('');
+        }
+    }
+
+    /**
+     * Sends the thresholds whose input differs from the current value
+     */
+    async saveThresholds() {
+        const changes = {};
+        for (const [name, spec] of Object.entries(this.thresholdSchema || {})) {
+            const input = document.getElementById(`threshold-${name}`);
+            const value = Number(input.value);
+            if (input.value !== '' && value !== spec.value) {
+                changes[name] = value;
+            }
+        }
+
+        if (Object.keys(changes).length === 0) {
+            this.showSettingsMessage('Nothing changed');
+            return;
+        }
+        await this.updateThresholds(changes);
+    }
+
+    /**
+     * Applies threshold changes on the selected node
+     */
+    async updateThresholds(changes) {
+        try {
+            const response = await fetch(`${this.apiBase()}/watchdog/configuration`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ thresholds: changes })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                this.showSettingsMessage(result.message || `Saving failed: ${response.status}`, true);
+                return;
+            }
+
+            this.renderSettings(result.data);
+            this.showSettingsMessage(`Saved ${Object.keys(changes).join(', ')}`);
+        } catch (error) {
+            this.showSettingsMessage(`Saving failed: ${error.message}`, true);
+        }
+    }
+
+    showSettingsMessage(message, isError = false) {
+        const element = document.getElementById('threshold-message');
+        if (!element) {
+            return;
+        }
+        element.textContent = message;
+        element.className = `threshold-message${isError ? ' error' : ''}`;
+        element.style.display = '';
+    }
+
+    formatAlertLifecycle(alert) {
+        const parts = [];
+
+        if (alert.occurrences > 1) {
+            parts.push(`Seen ${alert.occurrences} times`);
+        }
+        if (alert.status === 'resolved') {
+            parts.push(`Resolved after ${this.formatDuration(alert.durationMs)}`);
+        } else if (alert.status === 'open') {
+            parts.push('Ongoing');
+        }
+
+        return parts.join(' · ');
+    }
+
+    formatDuration(ms) {
+        const mins = Math.floor((ms || 0) / 60000);
+        if (mins < 1) {
+            return 'less than a minute';
+        }
+        if (mins < 60) {
+            return `${mins}m`;
+        }
+        const hours = Math.floor(mins / 60);
+        if (hours < 24) {
+            return `${hours}h ${mins % 60}m`;
+        }
+        return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+    }
+
     timeAgo(date) {
         const now = new Date();
         const diffMs = now - date;
@@ -908,6 +1827,10 @@ return '0 B';
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    formatDoge(amount) {
+        return `${Number(amount).toLocaleString([], { maximumFractionDigits: 8 })} DOGE`;
+    }
+
     formatNumber(num) {
         if (num >= 1e12) {
 return (num / 1e12).toFixed(2) + 'T';
@@ -11,12 +11,20 @@ const http = require('http');
 // Import modular components
 const config = require('./src/config');
 const { createChildLogger } = require('./src/utils/logger');
+const { NodeRegistry, loadNodeDefinitions } = require('./src/services/nodeRegistry');
+const { ConsensusMonitor, REFERENCE_SOURCE_ID } = require('./src/services/consensusMonitor');
 const { DogecoinRPCService } = require('./src/services/rpc');
-const DogecoinWatchdog = require('./src/services/watchdog');
+const { AddressIndex } = require('./src/services/addressIndex');
+const { PoolIdentifier } = require('./src/services/poolIdentifier');
+const PrometheusExporter = require('./src/services/prometheus');
+const AlertNotifier = require('./src/services/notifier');
+const { createChannels } = require('./src/services/notificationChannels');
 
 // Import routes
 const { router: apiRoutes, initializeAPI } = require('./src/routes/api');
 const { router: watchdogRoutes, initializeWatchdog } = require('./src/routes/watchdog');
+const { router: prometheusRoutes, initializePrometheus } = require('./src/routes/prometheus');
+const { router: nodesRoutes, initializeNodes } = require('./src/routes/nodes');
 
 // Import middleware
 const {
@@ -41,9 +49,13 @@ const serverLogger = createChildLogger({ service: 'server' });
 const app = express();
 const server = http.createServer(app);
 
-// Services
+// Services (rpcService and watchdog belong to the primary node)
+let nodeRegistry;
+let consensusMonitor;
 let rpcService;
 let watchdog;
+let addressIndex;
+let notifier;
 let wss; // WebSocket server
 
 /**
@@ -53,25 +65,81 @@ const initializeServices = async () => {
     try {
         serverLogger.info('🚀 Initializing services...');
 
-        // Initialize RPC service
-        rpcService = new DogecoinRPCService();
+        // Create an RPC service, alert store, metric history and watchdog per node
+        nodeRegistry = new NodeRegistry({
+            dataDir: config.storage.dataDir,
+            alerts: config.alerts,
+            metricsHistory: config.metricsHistory,
+            poolIdentifier: new PoolIdentifier(config.mining)
+        }).load(loadNodeDefinitions(config.nodes));
+
+        // Test RPC connections
+        for (const node of nodeRegistry.list()) {
+            const isConnected = await node.rpc.testConnection();
+            if (!isConnected) {
+                serverLogger.warn('⚠️ Dogecoin RPC connection test failed, continuing anyway...', { node: node.id });
+            } else {
+                serverLogger.info('✅ Dogecoin RPC connection established', { node: node.id });
+            }
+        }
 
-        // Test RPC connection
-        const isConnected = await rpcService.testConnection();
-        if (!isConnected) {
-            serverLogger.warn('⚠️ Dogecoin RPC connection test failed, continuing anyway...');
-        } else {
-            serverLogger.info('✅ Dogecoin RPC connection established');
+        // The unprefixed /api routes serve the primary node
+        const primary = nodeRegistry.getPrimary();
+        rpcService = primary.rpc;
+        watchdog = primary.watchdog;
+
+        // Index addresses of the primary node for /api/address lookups
+        if (config.addressIndex.enabled) {
+            addressIndex = new AddressIndex({
+                ...config.addressIndex,
+                rpc: primary.rpc,
+                filePath: path.join(primary.dataDir, 'address-index.json')
+            });
+            addressIndex.load();
+            primary.addressIndex = addressIndex;
+        }
+
+        // Compare chains across nodes and the optional reference endpoint
+        if (config.consensus.enabled) {
+            const { reference } = config.consensus;
+            consensusMonitor = new ConsensusMonitor({
+                ...config.consensus,
+                nodes: nodeRegistry.list(),
+                reference: reference.host
+                    ? new DogecoinRPCService({ nodeId: REFERENCE_SOURCE_ID, ...reference })
+                    : null
+            });
         }
 
         // Share the RPC service with API routes (avoid duplicate instances)
-        initializeAPI(rpcService);
+        initializeAPI(rpcService, {
+            addressIndex,
+            miningAnalyzer: primary.miningAnalyzer,
+            mempoolAnalyzer: primary.mempoolAnalyzer,
+            watchlist: primary.watchlist,
+            reorgTracker: primary.reorgTracker
+        });
+        initializeNodes(nodeRegistry, { consensus: consensusMonitor });
 
-        // Initialize watchdog service
-        watchdog = new DogecoinWatchdog(rpcService);
+        // Deliver alerts from every node to configured outbound channels
+        notifier = new AlertNotifier({
+            channels: createChannels(config.notifications),
+            ...config.notifications
+        });
+        for (const node of nodeRegistry.list()) {
+            notifier.attach(node.watchdog);
+        }
 
         // Initialize watchdog routes with the service
-        initializeWatchdog(watchdog);
+        initializeWatchdog(watchdog, { notifier });
+
+        // Expose Prometheus metrics for every node, watchdog and RPC client
+        if (config.prometheus.enabled) {
+            initializePrometheus(
+                new PrometheusExporter({ nodes: nodeRegistry.list() }),
+                { authToken: config.prometheus.authToken }
+            );
+        }
 
         serverLogger.info('✅ All services initialized successfully');
         return true;
@@ -126,10 +194,16 @@ const configureApp = () => {
 const configureRoutes = () => {
     serverLogger.info('🛣️ Configuring routes...');
 
-    // API routes
+    // API routes (per-node routes first so /api/nodes is not shadowed)
+    app.use('/api/nodes', nodesRoutes);
     app.use('/api', apiRoutes);
     app.use('/api/watchdog', watchdogRoutes);
 
+    // Prometheus scrape endpoint
+    if (config.prometheus.enabled) {
+        app.use('/metrics', prometheusRoutes);
+    }
+
     // Health check endpoint (bypass rate limiting)
     app.get('/health', (req, res) => {
         // Determine watchdog status
@@ -143,7 +217,8 @@ const configureRoutes = () => {
             timestamp: new Date().toISOString(),
             services: {
                 rpc: rpcService ? 'initialized' : 'not_initialized',
-                watchdog: watchdogStatus
+                watchdog: watchdogStatus,
+                nodes: nodeRegistry ? nodeRegistry.list().length : 0
             }
         });
     });
@@ -175,6 +250,18 @@ const configureRoutes = () => {
     serverLogger.info('✅ Routes configured');
 }
 
+/**
+ * Resolves the watchdog for a WebSocket request
+ * @param {string} nodeId - Requested node ID (defaults to the primary node)
+ * @returns {DogecoinWatchdog|null} Watchdog or null if unavailable
+ */
+const getWatchdog = (nodeId) => {
+    if (nodeId && nodeRegistry) {
+        return nodeRegistry.get(nodeId)?.watchdog || null;
+    }
+    return watchdog || null;
+};
+
 /**
  * Initialize WebSocket Server
  */
@@ -246,9 +333,10 @@ const initializeWebSocket = () => {
                         }));
                         break;
 
-                    case 'get_status':
-                        if (watchdog) {
-                            const status = watchdog.getStatus();
+                    case 'get_status': {
+                        const target = getWatchdog(data.nodeId);
+                        if (target) {
+                            const status = target.getStatus();
                             ws.send(JSON.stringify({
                                 type: 'status_update',
                                 data: status,
@@ -256,10 +344,12 @@ const initializeWebSocket = () => {
                             }));
                         }
                         break;
+                    }
 
-                    case 'get_metrics':
-                        if (watchdog) {
-                            const metrics = watchdog.getMetrics();
+                    case 'get_metrics': {
+                        const target = getWatchdog(data.nodeId);
+                        if (target) {
+                            const metrics = target.getMetrics();
                             ws.send(JSON.stringify({
                                 type: 'metrics_update',
                                 data: metrics,
@@ -267,10 +357,12 @@ const initializeWebSocket = () => {
                             }));
                         }
                         break;
+                    }
 
-                    case 'acknowledge_alert':
-                        if (watchdog && data.alertId) {
-                            const acknowledged = watchdog.acknowledgeAlert(data.alertId);
+                    case 'acknowledge_alert': {
+                        const target = getWatchdog(data.nodeId);
+                        if (target && data.alertId) {
+                            const acknowledged = target.acknowledgeAlert(data.alertId);
                             ws.send(JSON.stringify({
                                 type: 'alert_acknowledged',
                                 alertId: data.alertId,
@@ -279,6 +371,7 @@ const initializeWebSocket = () => {
                             }));
                         }
                         break;
+                    }
 
                     default:
                         ws.send(JSON.stringify({
@@ -384,50 +477,90 @@ return;
  * Setup Watchdog Event Handlers
  */
 const setupWatchdogHandlers = () => {
-    if (!watchdog) {
+    if (!nodeRegistry) {
 return;
 }
 
     serverLogger.info('🔍 Setting up watchdog event handlers...');
 
-    // Broadcast watchdog updates to WebSocket clients
-    watchdog.on('update', (data) => {
-        broadcastToClients('watchdog_update', data);
-    });
+    for (const node of nodeRegistry.list()) {
+        const nodeWatchdog = node.watchdog;
+        const nodeId = node.id;
 
-    watchdog.on('alert', (alert) => {
-        serverLogger.warn('🚨 Watchdog alert', {
-            type: alert.type,
-            severity: alert.severity,
-            message: alert.message
+        // Broadcast watchdog updates to WebSocket clients
+        nodeWatchdog.on('update', (data) => {
+            broadcastToClients('watchdog_update', { ...data, nodeId });
         });
 
-        broadcastToClients('new_alert', alert);
-    });
+        // Push new blocks as soon as the watchdog sees them (ZMQ or polling)
+        nodeWatchdog.on('newBlock', (block) => {
+            serverLogger.info('⛏️ New block', { node: nodeId, height: block.height, source: block.source });
+            broadcastToClients('new_block', block);
+        });
+
+        nodeWatchdog.on('alert', (alert) => {
+            serverLogger.warn('🚨 Watchdog alert', {
+                node: nodeId,
+                type: alert.type,
+                severity: alert.severity,
+                message: alert.message
+            });
 
-    watchdog.on('started', () => {
-        serverLogger.info('🔍 Watchdog monitoring started');
-        broadcastToClients('watchdog_started', {
-            message: 'Security monitoring activated',
-            timestamp: new Date().toISOString()
+            broadcastToClients('new_alert', alert);
         });
-    });
 
-    watchdog.on('stopped', () => {
-        serverLogger.info('🛑 Watchdog monitoring stopped');
-        broadcastToClients('watchdog_stopped', {
-            message: 'Security monitoring deactivated',
-            timestamp: new Date().toISOString()
+        nodeWatchdog.on('alertResolved', (alert) => {
+            serverLogger.info('✅ Watchdog alert resolved', {
+                node: nodeId,
+                type: alert.type,
+                durationMs: alert.durationMs
+            });
+
+            broadcastToClients('alert_resolved', alert);
         });
-    });
 
-    watchdog.on('error', (error) => {
-        serverLogger.error('❌ Watchdog error', { error: error.message });
-        broadcastToClients('watchdog_error', {
-            message: error.message,
-            timestamp: new Date().toISOString()
+        // Confirmation milestones and reorgs of watched transactions
+        node.watchlist.on('milestone', (event) => {
+            serverLogger.info('👀 Watched transaction milestone', { node: nodeId, txid: event.txid, confirmations: event.milestone });
+            broadcastToClients('watchlist_milestone', event);
+        });
+
+        node.watchlist.on('reorged', (event) => {
+            broadcastToClients('watchlist_reorged', event);
         });
-    });
+
+        node.reorgTracker.on('reorg', (reorg) => {
+            serverLogger.warn('🔀 Chain reorganization', { node: nodeId, forkHeight: reorg.forkHeight, depth: reorg.depth });
+            broadcastToClients('reorg_detected', { ...reorg, nodeId });
+        });
+
+        nodeWatchdog.on('started', () => {
+            serverLogger.info('🔍 Watchdog monitoring started', { node: nodeId });
+            broadcastToClients('watchdog_started', {
+                nodeId,
+                message: 'Security monitoring activated',
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        nodeWatchdog.on('stopped', () => {
+            serverLogger.info('🛑 Watchdog monitoring stopped', { node: nodeId });
+            broadcastToClients('watchdog_stopped', {
+                nodeId,
+                message: 'Security monitoring deactivated',
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        nodeWatchdog.on('error', (error) => {
+            serverLogger.error('❌ Watchdog error', { node: nodeId, error: error.message });
+            broadcastToClients('watchdog_error', {
+                nodeId,
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+        });
+    }
 
     serverLogger.info('✅ Watchdog event handlers configured');
 }
@@ -436,21 +569,42 @@ return;
  * Start Watchdog Monitoring
  */
 const startWatchdog = async () => {
-    if (!watchdog) {
+    if (!nodeRegistry) {
         serverLogger.warn('⚠️ Watchdog service not initialized, skipping monitoring start');
         return;
     }
 
-    try {
-        // Wait for Dogecoin node to be ready
-        await new Promise(resolve => setTimeout(resolve, config.watchdog.startupDelay));
+    // Wait for Dogecoin nodes to be ready
+    await new Promise(resolve => setTimeout(resolve, config.watchdog.startupDelay));
 
-        serverLogger.info('🔍 Starting watchdog monitoring...');
-        await watchdog.startMonitoring();
-        serverLogger.info('✅ Watchdog monitoring started successfully');
-    } catch (error) {
-        serverLogger.error('❌ Failed to start watchdog monitoring', { error: error.message });
-        // Continue running without watchdog
+    const monitored = nodeRegistry.list().filter(node => node.monitor);
+    serverLogger.info('🔍 Starting watchdog monitoring...', { nodes: monitored.map(node => node.id) });
+
+    const results = await Promise.allSettled(monitored.map(node => node.watchdog.startMonitoring()));
+
+    results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+            serverLogger.info('✅ Watchdog monitoring started successfully', { node: monitored[index].id });
+        } else {
+            // Continue running without this node's watchdog
+            serverLogger.error('❌ Failed to start watchdog monitoring', {
+                node: monitored[index].id,
+                error: result.reason.message
+            });
+        }
+    });
+
+    // Index new blocks as soon as the primary node's watchdog sees them
+    if (addressIndex) {
+        addressIndex.start();
+        watchdog.on('newBlock', () => addressIndex.sync());
+        serverLogger.info('✅ Address index started', { fromHeight: addressIndex.getStatus().fromHeight });
+    }
+
+    // Cross-node comparison needs at least two nodes or a reference endpoint
+    if (consensusMonitor?.isEnabled()) {
+        consensusMonitor.start();
+        serverLogger.info('✅ Consensus monitoring started');
     }
 }
 
@@ -476,10 +630,27 @@ const setupGracefulShutdown = () => {
             });
         }
 
-        // Stop watchdog
-        if (watchdog?.isMonitoring) {
-            watchdog.stopMonitoring();
-            serverLogger.info('✅ Watchdog monitoring stopped');
+        // Stop cross-node comparison
+        if (consensusMonitor) {
+            consensusMonitor.stop();
+        }
+
+        // Stop indexing and save the address index
+        if (addressIndex) {
+            addressIndex.stop();
+            serverLogger.info('✅ Address index saved');
+        }
+
+        // Stop watchdogs and persist metric history
+        if (nodeRegistry) {
+            nodeRegistry.stop();
+            serverLogger.info('✅ Watchdog monitoring stopped and metric history saved');
+        }
+
+        // Let in-flight alert notifications finish
+        if (notifier) {
+            await notifier.stop();
+            serverLogger.info('✅ Alert notifier stopped');
         }
 
         serverLogger.info('✅ Graceful shutdown completed');
@@ -500,7 +671,8 @@ const startServer = async () => {
             port: config.server.port,
             environment: config.env,
             rpcHost: config.rpc.host,
-            rpcPort: config.rpc.port
+            rpcPort: config.rpc.port,
+            nodesConfig: config.nodes.configFile || (config.nodes.definitions ? 'DOGECOIN_NODES' : 'single')
         });
 
         // Initialize services
@@ -3,6 +3,31 @@
  * Centralized configuration management with environment variable support
  */
 
+/**
+ * Parses an environment variable holding a JSON object
+ * @param {string} name - Environment variable name
+ * @returns {Object} Parsed object, or an empty object when unset
+ * @throws {Error} If the value is not a JSON object
+ */
+const parseJSONEnv = (name) => {
+    const raw = process.env[name];
+    if (!raw) {
+        return {};
+    }
+
+    let value;
+    try {
+        value = JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`${name} must be valid JSON: ${error.message}`, { cause: error });
+    }
+
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        throw new Error(`${name} must be a JSON object`);
+    }
+    return value;
+};
+
 const config = {
     // Server Configuration
     server: {
@@ -19,7 +44,47 @@ const config = {
         cookiePath: process.env.DOGECOIN_COOKIE_PATH || '/data/.cookie',
         timeout: parseInt(process.env.RPC_TIMEOUT, 10) || 30000,
         maxRetries: parseInt(process.env.RPC_MAX_RETRIES, 10) || 10,
-        retryDelay: parseInt(process.env.RPC_RETRY_DELAY, 10) || 3000
+        retryDelay: parseInt(process.env.RPC_RETRY_DELAY, 10) || 3000,
+
+        // Response cache: blocks/transactions by hash are kept until evicted,
+        // height-dependent results until the best block changes
+        cache: {
+            enabled: process.env.RPC_CACHE_ENABLED !== 'false',
+            maxEntries: parseInt(process.env.RPC_CACHE_MAX_ENTRIES, 10) || 5000,
+            maxAge: parseInt(process.env.RPC_CACHE_MAX_AGE, 10) || 30000,
+            tipCheckInterval: parseInt(process.env.RPC_CACHE_TIP_CHECK_INTERVAL, 10) || 2000
+        }
+    },
+
+    // Monitored nodes: a JSON file or JSON array of node definitions
+    // ({ id, name, host, port, cookiePath, username, password|passwordEnv, zmq, watchdog, primary }).
+    // When neither is set a single node is built from the rpc settings above.
+    nodes: {
+        configFile: process.env.NODES_CONFIG_FILE || null,
+        definitions: process.env.DOGECOIN_NODES || null
+    },
+
+    // ZMQ notifications published by Dogecoin Core (-zmqpubhashblock / -zmqpubrawtx);
+    // without them new blocks are picked up on the watchdog's polling interval
+    zmq: {
+        hashblock: process.env.DOGECOIN_ZMQ_HASHBLOCK || null,
+        rawtx: process.env.DOGECOIN_ZMQ_RAWTX || null
+    },
+
+    // Cross-node consensus: compares active chains of all nodes (plus an optional
+    // independent reference endpoint) and raises CHAIN_SPLIT on divergence
+    consensus: {
+        enabled: process.env.CONSENSUS_ENABLED !== 'false',
+        interval: parseInt(process.env.CONSENSUS_INTERVAL, 10) || 60000,
+        splitThreshold: parseInt(process.env.CONSENSUS_SPLIT_THRESHOLD, 10) || 2,
+        maxDepth: parseInt(process.env.CONSENSUS_MAX_DEPTH, 10) || 1000,
+        reference: {
+            host: process.env.CONSENSUS_REFERENCE_HOST || null,
+            port: parseInt(process.env.CONSENSUS_REFERENCE_PORT, 10) || 22555,
+            username: process.env.CONSENSUS_REFERENCE_USER || null,
+            password: process.env.CONSENSUS_REFERENCE_PASS || null,
+            cookiePath: process.env.CONSENSUS_REFERENCE_COOKIE_PATH || null
+        }
     },
 
     // Logging configuration
@@ -30,6 +95,114 @@ const config = {
         maxFiles: parseInt(process.env.LOG_MAX_FILES, 10) || 5
     },
 
+    // Persistent storage for monitor state (alerts, metrics)
+    storage: {
+        dataDir: process.env.MONITOR_DATA_DIR || (process.env.NODE_ENV === 'production' ? '/data/monitor' : './data')
+    },
+
+    // Alert history
+    alerts: {
+        store: process.env.ALERT_STORE || 'jsonl',
+        maxStored: parseInt(process.env.ALERT_MAX_STORED, 10) || 10000
+    },
+
+    // Metric history (time-series store with 5-minute and hourly rollups)
+    metricsHistory: {
+        flushInterval: parseInt(process.env.METRICS_FLUSH_INTERVAL, 10) || 60000,
+        compactInterval: parseInt(process.env.METRICS_COMPACT_INTERVAL, 10) || 60 * 60 * 1000,
+        retention: {
+            raw: (parseInt(process.env.METRICS_RETENTION_RAW_HOURS, 10) || 24) * 60 * 60 * 1000,
+            '5m': (parseInt(process.env.METRICS_RETENTION_5M_DAYS, 10) || 30) * 24 * 60 * 60 * 1000,
+            '1h': (parseInt(process.env.METRICS_RETENTION_1H_DAYS, 10) || 365) * 24 * 60 * 60 * 1000
+        }
+    },
+
+    // Address index behind /api/address/:address, built by walking raw blocks of the primary node.
+    // Without a start height indexing begins at the tip seen on first start.
+    addressIndex: {
+        enabled: process.env.ADDRESS_INDEX_ENABLED !== 'false',
+        startHeight: process.env.ADDRESS_INDEX_START_HEIGHT ? parseInt(process.env.ADDRESS_INDEX_START_HEIGHT, 10) : null,
+        batchSize: parseInt(process.env.ADDRESS_INDEX_BATCH_SIZE, 10) || 20,
+        interval: parseInt(process.env.ADDRESS_INDEX_INTERVAL, 10) || 15000,
+        undoDepth: parseInt(process.env.ADDRESS_INDEX_UNDO_DEPTH, 10) || 100,
+        flushInterval: parseInt(process.env.ADDRESS_INDEX_FLUSH_INTERVAL, 10) || 300000
+    },
+
+    // Mining pool attribution. The bundled list (src/data/pools.json) can be
+    // extended with a file of the same format; entries with a known name add to that pool.
+    mining: {
+        poolsFile: process.env.MINING_POOLS_FILE || null
+    },
+
+    // Mempool analytics behind /api/mempool/analytics: getrawmempool samples
+    // kept for the fee-band chart and the block space used for fee estimates
+    mempool: {
+        sampleInterval: parseInt(process.env.MEMPOOL_SAMPLE_INTERVAL, 10) || 60000,
+        historySize: parseInt(process.env.MEMPOOL_HISTORY_SIZE, 10) || 180,
+        blockBytes: parseInt(process.env.MEMPOOL_BLOCK_BYTES, 10) || 1000000
+    },
+
+    // Watched txids and addresses behind /api/watchlist: confirmation counts
+    // pushed over the WebSocket as they are reached
+    watchlist: {
+        milestones: (process.env.WATCHLIST_MILESTONES || '1,6,30,60')
+            .split(',')
+            .map(value => parseInt(value, 10))
+            .filter(value => value > 0),
+        maxEntries: parseInt(process.env.WATCHLIST_MAX_ENTRIES, 10) || 1000,
+        maxDeposits: parseInt(process.env.WATCHLIST_MAX_DEPOSITS, 10) || 100
+    },
+
+    // Reorg history behind /api/reorgs: recent best-chain hashes compared on
+    // every check and the number of recorded reorgs kept
+    reorgs: {
+        depth: parseInt(process.env.REORG_TRACK_DEPTH, 10) || 100,
+        historySize: parseInt(process.env.REORG_HISTORY_SIZE, 10) || 100
+    },
+
+    // Prometheus exporter (/metrics)
+    prometheus: {
+        enabled: process.env.PROMETHEUS_ENABLED !== 'false',
+        authToken: process.env.METRICS_AUTH_TOKEN || null
+    },
+
+    // Outbound alert notifications (a channel is enabled once its destination is set)
+    notifications: {
+        minSeverity: process.env.NOTIFY_MIN_SEVERITY || 'HIGH',
+        maxRetries: parseInt(process.env.NOTIFY_MAX_RETRIES, 10) || 3,
+        retryDelay: parseInt(process.env.NOTIFY_RETRY_DELAY, 10) || 2000,
+        timeout: parseInt(process.env.NOTIFY_TIMEOUT, 10) || 10000,
+        logSize: parseInt(process.env.NOTIFY_LOG_SIZE, 10) || 500,
+        webhook: {
+            url: process.env.NOTIFY_WEBHOOK_URL || null,
+            secret: process.env.NOTIFY_WEBHOOK_SECRET || null,
+            minSeverity: process.env.NOTIFY_WEBHOOK_MIN_SEVERITY || null
+        },
+        slack: {
+            webhookUrl: process.env.NOTIFY_SLACK_WEBHOOK_URL || null,
+            minSeverity: process.env.NOTIFY_SLACK_MIN_SEVERITY || null
+        },
+        discord: {
+            webhookUrl: process.env.NOTIFY_DISCORD_WEBHOOK_URL || null,
+            minSeverity: process.env.NOTIFY_DISCORD_MIN_SEVERITY || null
+        },
+        email: {
+            host: process.env.NOTIFY_SMTP_HOST || null,
+            port: parseInt(process.env.NOTIFY_SMTP_PORT, 10) || 587,
+            secure: process.env.NOTIFY_SMTP_SECURE === 'true',
+            user: process.env.NOTIFY_SMTP_USER || null,
+            pass: process.env.NOTIFY_SMTP_PASS || null,
+            from: process.env.NOTIFY_EMAIL_FROM || 'dogecoin-monitor@localhost',
+            to: process.env.NOTIFY_EMAIL_TO || null,
+            minSeverity: process.env.NOTIFY_EMAIL_MIN_SEVERITY || null
+        },
+        telegram: {
+            botToken: process.env.NOTIFY_TELEGRAM_BOT_TOKEN || null,
+            chatId: process.env.NOTIFY_TELEGRAM_CHAT_ID || null,
+            minSeverity: process.env.NOTIFY_TELEGRAM_MIN_SEVERITY || null
+        }
+    },
+
     // Watchdog Configuration
     watchdog: {
         enabled: process.env.WATCHDOG_ENABLED !== 'false',
@@ -38,6 +211,18 @@ const config = {
         maxBaselineRetries: parseInt(process.env.WATCHDOG_MAX_RETRIES, 10) || 10,
         baselineRetryDelay: parseInt(process.env.WATCHDOG_RETRY_DELAY, 10) || 3000,
 
+        // Baselines are derived from the last baselineBlocks blocks (1440 = one day)
+        // and recalculated every baselineRefreshInterval milliseconds
+        baselineBlocks: parseInt(process.env.WATCHDOG_BASELINE_BLOCKS, 10) || 1440,
+        baselineRefreshInterval: parseInt(process.env.WATCHDOG_BASELINE_REFRESH, 10) || 60 * 60 * 1000,
+
+        // Minimum time (ms) before a resolved alert can raise a fresh alert again;
+        // a condition that returns sooner reopens the earlier alert instead
+        alertCooldowns: {
+            default: parseInt(process.env.WATCHDOG_ALERT_COOLDOWN, 10) || 10 * 60 * 1000,
+            ...parseJSONEnv('WATCHDOG_ALERT_COOLDOWNS')
+        },
+
         // Security thresholds
         thresholds: {
             hashRateSpike: parseFloat(process.env.WATCHDOG_HASH_SPIKE) || 5.0,
@@ -46,8 +231,25 @@ const config = {
             difficultySpike: parseFloat(process.env.WATCHDOG_DIFFICULTY) || 3.0,
             mempoolFlood: parseInt(process.env.WATCHDOG_MEMPOOL, 10) || 10000,
             lowNodeCount: parseInt(process.env.WATCHDOG_NODE_COUNT, 10) || 5,
-            orphanBlockThreshold: parseInt(process.env.WATCHDOG_ORPHAN, 10) || 5
-        }
+            orphanBlockThreshold: parseInt(process.env.WATCHDOG_ORPHAN, 10) || 5,
+            poolConcentration: parseFloat(process.env.WATCHDOG_POOL_CONCENTRATION) || 0.4
+        },
+
+        // Recent blocks whose AuxPoW parent coinbase is analyzed for pool concentration
+        poolWindow: parseInt(process.env.WATCHDOG_POOL_WINDOW, 10) || 100,
+
+        // Selfish-mining heuristics over the same window; SELFISH_MINING is raised
+        // when the combined confidence for one pool reaches minConfidence
+        selfishMining: {
+            minConfidence: parseFloat(process.env.WATCHDOG_SELFISH_CONFIDENCE) || 0.8,
+            minRun: parseInt(process.env.WATCHDOG_SELFISH_MIN_RUN, 10) || 4,
+            maxFutureDrift: parseInt(process.env.WATCHDOG_MAX_FUTURE_DRIFT, 10) || 900,
+            medianTimeMargin: parseInt(process.env.WATCHDOG_MEDIAN_TIME_MARGIN, 10) || 5,
+            staleRate: parseFloat(process.env.WATCHDOG_STALE_RATE) || 0.02
+        },
+
+        // Directory of additional detector modules loaded next to the built-in ones
+        detectorsDir: process.env.WATCHDOG_DETECTORS_DIR || null
     },
 
     // WebSocket Configuration
@@ -57,6 +259,15 @@ const config = {
         authToken: process.env.WS_AUTH_TOKEN || null
     },
 
+    // Audit Identity
+    // X-Forwarded-User names who changed settings only when the request comes
+    // from one of trustedProxies (peer address) or carries proxySecret in
+    // X-Proxy-Secret; otherwise the change is recorded as unauthenticated
+    audit: {
+        trustedProxies: (process.env.AUDIT_TRUSTED_PROXIES || '').split(',').map(address => address.trim()).filter(Boolean),
+        proxySecret: process.env.AUDIT_PROXY_SECRET || null
+    },
+
     // Rate Limiting
     rateLimit: {
         windowMs: parseInt(process.env.RATE_LIMIT_WINDOW, 10) || 15 * 60 * 1000, // 15 minutes
@@ -0,0 +1,116 @@
+/**
+ * Block Timing Detector
+ * Looks at the intervals between the latest blocks for a long stall followed
+ * by a burst (a private chain being released) or sustained fast blocks
+ */
+
+module.exports = {
+    id: 'block-timing',
+    description: 'Long gaps followed by bursts, or sustained fast blocks',
+    schedule: 'block',
+    alertTypes: ['SUSPICIOUS_BLOCK_PATTERN', 'RAPID_BLOCK_GENERATION'],
+    parameters: {
+        blockCount: {
+            type: 'integer',
+            min: 3,
+            max: 100,
+            default: 10,
+            description: 'Recent blocks analyzed'
+        },
+        longGapSeconds: {
+            type: 'integer',
+            min: 60,
+            default: 1200,
+            description: 'Interval that counts as a stall'
+        },
+        burstSeconds: {
+            type: 'number',
+            min: 1,
+            default: 30,
+            description: 'Average of the last 5 intervals below which a stall was followed by a burst'
+        },
+        rapidSeconds: {
+            type: 'number',
+            min: 1,
+            default: 30,
+            description: 'Average interval below which blocks come too fast (target ~60s)'
+        }
+    },
+
+    async evaluate({ data, baselines, parameters, getRecentBlocks, calculateAverage }) {
+        if (data.blockchain?.initialblockdownload || !(baselines.avgBlockTime > 0)) {
+            return null;
+        }
+
+        const recentBlocks = await getRecentBlocks(data.blockchain.blocks, parameters.blockCount);
+        if (recentBlocks.length < parameters.blockCount) {
+            return null;
+        }
+
+        // Calculate block time intervals with block details
+        const blockTimes = [];
+        const blockDetails = [];
+        for (let i = 1; i < recentBlocks.length; i++) {
+            const timeInterval = recentBlocks[i - 1].time - recentBlocks[i].time;
+            if (timeInterval > 0) {
+                blockTimes.push(timeInterval);
+                blockDetails.push({
+                    height: recentBlocks[i - 1].height,
+                    hash: recentBlocks[i - 1].hash,
+                    timestamp: recentBlocks[i - 1].time,
+                    timeFromPrevious: timeInterval,
+                    date: new Date(recentBlocks[i - 1].time * 1000).toISOString()
+                });
+            }
+        }
+
+        if (blockTimes.length === 0) {
+            return null;
+        }
+
+        const avgBlockTime = calculateAverage(blockTimes);
+        const maxGap = Math.max(...blockTimes);
+        const avgRecentFast = calculateAverage(blockTimes.slice(0, 5)); // Last 5 intervals
+
+        // Pattern: long stall followed by very fast blocks
+        if (maxGap > parameters.longGapSeconds && avgRecentFast < parameters.burstSeconds) {
+            return [{
+                type: 'SUSPICIOUS_BLOCK_PATTERN',
+                severity: 'CRITICAL',
+                message: `🚨 ATTACK PATTERN DETECTED! Long block gap (${(maxGap / 60).toFixed(1)} min) followed by rapid burst (${avgRecentFast.toFixed(1)}s avg). Classic 51% attack signature!`,
+                data: {
+                    maxGap: (maxGap / 60).toFixed(1) + ' minutes',
+                    recentAverage: avgRecentFast.toFixed(1) + ' seconds',
+                    pattern: 'long-gap-then-burst',
+                    analysis: 'Attacker likely mined a private chain during the gap, then released it to replace public blocks',
+                    suspiciousBlocks: blockDetails.slice(0, 6),
+                    blockTimes,
+                    recommendation: 'Verify these blocks on multiple blockchain explorers and check for chain reorganizations'
+                },
+                key: 'recent-blocks'
+            }];
+        }
+
+        // Consistently fast blocks (hashrate advantage)
+        if (avgBlockTime < parameters.rapidSeconds) {
+            return [{
+                type: 'RAPID_BLOCK_GENERATION',
+                severity: 'HIGH',
+                message: `⚠️ RAPID BLOCK GENERATION! Recent blocks: ${avgBlockTime.toFixed(1)}s avg (target: ~60s). Possible hashrate advantage attack.`,
+                data: {
+                    avgBlockTime: avgBlockTime.toFixed(1) + ' seconds',
+                    targetTime: '60 seconds',
+                    speedRatio: (60 / avgBlockTime).toFixed(1) + 'x faster',
+                    analysis: 'Sustained fast block generation may indicate majority hashrate control',
+                    affectedBlocks: blockDetails.slice(0, 10),
+                    blockTimes,
+                    totalBlocksAnalyzed: recentBlocks.length,
+                    recommendation: 'Monitor for chain reorganizations and verify block timestamps on blockchain explorers'
+                },
+                key: 'recent-blocks'
+            }];
+        }
+
+        return [];
+    }
+};
@@ -0,0 +1,87 @@
+/**
+ * Chain Reorganization Detector
+ * Deep forks are the primary indicator of a 51% attack; several shallower
+ * competing forks at once may mean an attacker is testing their control.
+ * A deep fork that was once our best chain carries the reorg recorded by
+ * the node's reorg history.
+ */
+
+module.exports = {
+    id: 'chain-reorganizations',
+    description: 'Deep or frequent competing forks reported by getchaintips',
+    schedule: 'check',
+    alertTypes: ['DEEP_REORGANIZATION', 'FREQUENT_REORGANIZATIONS'],
+    parameters: {
+        deepBranchLength: {
+            type: 'integer',
+            min: 1,
+            default: 6,
+            description: 'Fork length that counts as a deep reorganization'
+        },
+        shallowBranchLength: {
+            type: 'integer',
+            min: 1,
+            default: 2,
+            description: 'Shortest fork counted towards frequent reorganizations'
+        },
+        frequentForkCount: {
+            type: 'integer',
+            min: 1,
+            default: 3,
+            description: 'Number of such forks that counts as frequent'
+        }
+    },
+
+    async evaluate({ data, rpc, baselines, parameters, reorgTracker }) {
+        if (data.blockchain?.initialblockdownload) {
+            return null;
+        }
+        if (!(baselines.avgBlockTime > 0)) {
+            return null;
+        }
+
+        const chainTips = await rpc.getChainTips();
+        const findings = [];
+
+        const deepReorgs = chainTips.filter(tip =>
+            tip.status === 'valid-fork' && tip.branchlen >= parameters.deepBranchLength
+        );
+        if (deepReorgs.length > 0) {
+            const maxDepth = Math.max(...deepReorgs.map(tip => tip.branchlen));
+            const deepest = deepReorgs.find(tip => tip.branchlen === maxDepth);
+            findings.push({
+                type: 'DEEP_REORGANIZATION',
+                severity: 'CRITICAL',
+                message: `🚨 DEEP CHAIN REORGANIZATION DETECTED! Fork depth: ${maxDepth} blocks. This is a PRIMARY INDICATOR of a 51% attack in progress!`,
+                data: {
+                    forkDepth: maxDepth,
+                    totalForks: deepReorgs.length,
+                    chainTips: deepReorgs,
+                    reorg: reorgTracker ? reorgTracker.findByOrphanedTip(deepest.hash) : null,
+                    analysis: `Chain reorganizations of ${parameters.deepBranchLength}+ blocks are extremely rare in normal operation and typically indicate an active 51% attack`,
+                    recommendation: 'URGENT: Contact exchange partners and pause large transactions until resolved'
+                },
+                key: deepest.hash
+            });
+        }
+
+        const recentReorgs = chainTips.filter(tip =>
+            tip.status === 'valid-fork' && tip.branchlen >= parameters.shallowBranchLength
+        );
+        if (recentReorgs.length >= parameters.frequentForkCount) {
+            findings.push({
+                type: 'FREQUENT_REORGANIZATIONS',
+                severity: 'HIGH',
+                message: `⚠️ FREQUENT CHAIN REORGANIZATIONS! ${recentReorgs.length} competing forks detected. Possible coordinated attack preparation.`,
+                data: {
+                    forkCount: recentReorgs.length,
+                    chainTips: recentReorgs,
+                    analysis: 'Multiple simultaneous forks may indicate an attacker testing their control'
+                },
+                key: 'chaintips'
+            });
+        }
+
+        return findings;
+    }
+};
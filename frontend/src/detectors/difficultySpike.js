@@ -0,0 +1,63 @@
+/**
+ * Difficulty Spike Detector
+ * Scores the current difficulty with an anomaly model. Until the model has
+ * seen enough checks it compares against the calculated baseline with the
+ * fixed spike ratio instead.
+ */
+
+const { observeAnomaly, anomalyParameters, describeRange } = require('../services/anomalyEngine');
+
+module.exports = {
+    id: 'difficulty-spike',
+    description: 'Difficulty above its expected range',
+    schedule: 'check',
+    alertTypes: ['DIFFICULTY_SPIKE'],
+    parameters: {
+        spikeRatio: {
+            type: 'number',
+            min: 1,
+            threshold: 'difficultySpike',
+            description: 'Ratio to the baseline above which the difficulty spiked (while the model warms up)'
+        },
+        ...anomalyParameters({ model: 'ewma' })
+    },
+
+    evaluate({ data, baselines, parameters, state }) {
+        const currentDifficulty = data.blockchain.difficulty;
+        const anomaly = observeAnomaly(state, parameters, currentDifficulty);
+        const baselineDifficulty = baselines.avgDifficulty;
+
+        let spiked;
+        let detail;
+        if (anomaly.ready) {
+            spiked = anomaly.direction === 'high';
+            detail = `${currentDifficulty.toFixed(2)}, ${describeRange(anomaly)}`;
+        } else if (baselineDifficulty) {
+            spiked = currentDifficulty / baselineDifficulty > parameters.spikeRatio;
+            detail = `${currentDifficulty.toFixed(2)} vs ${baselineDifficulty.toFixed(2)} baseline`;
+        } else {
+            return null;
+        }
+
+        if (!spiked) {
+            return [];
+        }
+
+        const ratio = currentDifficulty / (anomaly.ready ? anomaly.expected : baselineDifficulty);
+        return [{
+            type: 'DIFFICULTY_SPIKE',
+            severity: 'HIGH',
+            message: `⚠️ DIFFICULTY SPIKE DETECTED! ${ratio.toFixed(2)}x increase (${detail})`,
+            data: {
+                currentDifficulty,
+                baselineDifficulty,
+                expectedDifficulty: anomaly.expected,
+                expectedRange: anomaly.ready ? [anomaly.lower, anomaly.upper] : null,
+                ratio,
+                threshold: anomaly.ready ? parameters.zThreshold : parameters.spikeRatio,
+                anomaly
+            },
+            key: 'baseline'
+        }];
+    }
+};
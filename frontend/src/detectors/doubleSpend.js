@@ -0,0 +1,80 @@
+/**
+ * Double Spend Detector
+ * Follows which transaction spends each outpoint in the mempool and the most
+ * recent blocks. A confirmed spend that a reorganization replaced with a
+ * different txid is the payoff of a reorg attack; conflicting unconfirmed
+ * spends (RBF or a racing broadcast) are reported at lower severity.
+ */
+
+const { SpendTracker } = require('../services/spendTracker');
+
+/**
+ * Where a spend is, for alert messages
+ * @param {Object} spend - Conflict side
+ * @returns {string} Block height or "the mempool"
+ */
+const describeWhere = spend => (spend.height !== null ? `block ${spend.height}` : 'the mempool');
+
+/**
+ * Alert message of each kind of conflict
+ */
+const MESSAGES = {
+    reorg: ({ original, replacement }) => `🚨 DOUBLE SPEND AFTER REORG! ${original.txid} (${original.amount} DOGE) confirmed in block ${original.height} was disconnected and its inputs re-spent by ${replacement.txid} (${replacement.amount} DOGE) in ${describeWhere(replacement)}`,
+    unconfirmed: ({ original, replacement }) => `⚠️ DOUBLE SPEND! Unconfirmed ${original.txid} (${original.amount} DOGE) was double-spent by ${replacement.txid} (${replacement.amount} DOGE) confirmed in block ${replacement.height}`,
+    replacement: ({ original, replacement }) => `⚠️ CONFLICTING SPEND! Mempool transaction ${original.txid} (${original.amount} DOGE) was replaced by ${replacement.txid} (${replacement.amount} DOGE)`
+};
+
+module.exports = {
+    id: 'double-spend',
+    description: 'Outpoints re-spent by a different transaction after a reorg or in the mempool',
+    schedule: 'check',
+    alertTypes: ['DOUBLE_SPEND'],
+    parameters: {
+        depth: {
+            type: 'integer',
+            min: 2,
+            max: 1000,
+            default: 50,
+            description: 'Most recent blocks whose spends are tracked (deepest reorg analyzed)'
+        },
+        alertMinutes: {
+            type: 'integer',
+            min: 1,
+            default: 360,
+            description: 'How long a detected conflict stays alerted, and replaced or disconnected spends are remembered'
+        },
+        maxTransactions: {
+            type: 'integer',
+            min: 1,
+            default: 5000,
+            description: 'Most new mempool transactions decoded per run'
+        }
+    },
+
+    async evaluate({ data, rpc, mempoolSampler, nodeId, parameters, state }) {
+        if (data.blockchain?.initialblockdownload) {
+            return null;
+        }
+
+        if (!state.tracker) {
+            state.tracker = new SpendTracker({ rpc, sampler: mempoolSampler, nodeId });
+        }
+        state.tracker.depth = parameters.depth;
+        state.tracker.retention = parameters.alertMinutes * 60 * 1000;
+        await state.tracker.update(data.blockchain, parameters.maxTransactions);
+
+        return state.tracker.getConflicts().map(conflict => ({
+            type: 'DOUBLE_SPEND',
+            severity: conflict.severity,
+            message: MESSAGES[conflict.kind](conflict),
+            data: {
+                kind: conflict.kind,
+                outpoints: conflict.outpoints,
+                original: conflict.original,
+                replacement: conflict.replacement,
+                detectedAt: new Date(conflict.detectedAt).toISOString()
+            },
+            key: conflict.key
+        }));
+    }
+};
@@ -0,0 +1,92 @@
+/**
+ * Hash Rate Baseline Detector
+ * Scores the hash rate implied by the current difficulty with an anomaly
+ * model. Until the model has seen enough checks it compares against the
+ * calculated baseline with the fixed spike and drop ratios instead.
+ */
+
+const { observeAnomaly, anomalyParameters, describeRange } = require('../services/anomalyEngine');
+
+const formatTHs = value => `${value.toFixed(2)} TH/s`;
+
+module.exports = {
+    id: 'hash-rate-baseline',
+    description: 'Hash rate outside its expected range',
+    schedule: 'check',
+    alertTypes: ['HASH_RATE_SPIKE', 'HASH_RATE_DROP'],
+    parameters: {
+        spikeRatio: {
+            type: 'number',
+            min: 1,
+            threshold: 'hashRateSpike',
+            description: 'Ratio to the baseline above which the hash rate spiked (while the model warms up)'
+        },
+        dropRatio: {
+            type: 'number',
+            min: 0,
+            max: 1,
+            threshold: 'hashRateDrop',
+            description: 'Ratio to the baseline below which the hash rate dropped (while the model warms up)'
+        },
+        ...anomalyParameters({ model: 'ewma' })
+    },
+
+    evaluate({ data, baselines, parameters, state, calculateHashRate }) {
+        const currentHashRate = calculateHashRate(data.blockchain.difficulty);
+        const anomaly = observeAnomaly(state, parameters, currentHashRate);
+        const baselineHashRate = baselines.avgHashRate;
+
+        let direction = null;
+        let detail;
+        let threshold = parameters.zThreshold;
+        if (anomaly.ready) {
+            direction = anomaly.direction;
+            detail = `${formatTHs(currentHashRate)}, ${describeRange(anomaly, formatTHs)}`;
+        } else if (baselineHashRate) {
+            const ratio = currentHashRate / baselineHashRate;
+            if (ratio > parameters.spikeRatio) {
+                direction = 'high';
+                threshold = parameters.spikeRatio;
+            } else if (ratio < parameters.dropRatio) {
+                direction = 'low';
+                threshold = parameters.dropRatio;
+            }
+            detail = `${formatTHs(currentHashRate)} vs ${formatTHs(baselineHashRate)} baseline`;
+        } else {
+            return null;
+        }
+
+        if (!direction) {
+            return [];
+        }
+
+        const ratio = currentHashRate / (anomaly.ready ? anomaly.expected : baselineHashRate);
+        const findingData = {
+            currentHashRate,
+            baselineHashRate,
+            expectedHashRate: anomaly.expected,
+            expectedRange: anomaly.ready ? [anomaly.lower, anomaly.upper] : null,
+            ratio,
+            threshold,
+            anomaly
+        };
+
+        if (direction === 'high') {
+            return [{
+                type: 'HASH_RATE_SPIKE',
+                severity: 'CRITICAL',
+                message: `🚨 MASSIVE HASH RATE SPIKE! ${ratio.toFixed(2)}x increase detected (${detail})`,
+                data: findingData,
+                key: 'baseline'
+            }];
+        }
+
+        return [{
+            type: 'HASH_RATE_DROP',
+            severity: 'HIGH',
+            message: `⚠️ SIGNIFICANT HASH RATE DROP! ${(ratio * 100).toFixed(1)}% of expected (${detail})`,
+            data: findingData,
+            key: 'baseline'
+        }];
+    }
+};
@@ -0,0 +1,51 @@
+/**
+ * Hashrate Surge Detector
+ * Scores the network hash rate reported by the node (networkhashps) with an
+ * anomaly model and alerts when it jumps above its expected range
+ */
+
+const { observeAnomaly, anomalyParameters, describeRange } = require('../services/anomalyEngine');
+
+const formatTHs = value => `${(value / 1e12).toFixed(2)} TH/s`;
+
+module.exports = {
+    id: 'hashrate-surge',
+    description: 'Network hash rate reported by the node above its expected range',
+    schedule: 'check',
+    alertTypes: ['HASHRATE_SURGE'],
+    // networkhashps is a noisy estimate, so the robust median/MAD model is the default
+    parameters: anomalyParameters({ model: 'mad' }),
+
+    evaluate({ data, baselines, parameters, state }) {
+        if (data.blockchain?.initialblockdownload || !(baselines.avgBlockTime > 0)) {
+            return null;
+        }
+
+        const hashrate = data.network.networkhashps;
+        const anomaly = observeAnomaly(state, parameters, hashrate);
+        if (!anomaly.ready) {
+            return null;
+        }
+
+        // Sudden increases point at external ASIC farms
+        if (anomaly.direction !== 'high') {
+            return [];
+        }
+
+        const surgeRatio = hashrate / anomaly.expected;
+        return [{
+            type: 'HASHRATE_SURGE',
+            severity: 'CRITICAL',
+            message: `🚨 MASSIVE HASHRATE SURGE! Network hashrate increased ${surgeRatio.toFixed(1)}x suddenly (${formatTHs(hashrate)}, ${describeRange(anomaly, formatTHs)}). Possible external ASIC attack!`,
+            data: {
+                recentHashrate: formatTHs(hashrate),
+                baselineHashrate: formatTHs(anomaly.expected),
+                expectedRange: [formatTHs(Math.max(anomaly.lower, 0)), formatTHs(anomaly.upper)],
+                surgeRatio: surgeRatio.toFixed(1),
+                anomaly,
+                analysis: 'Dogecoin is merged-mined with Litecoin. Sudden hashrate spikes may indicate large pools redirecting ASIC power for an attack'
+            },
+            key: 'network'
+        }];
+    }
+};
@@ -0,0 +1,36 @@
+/**
+ * Low Node Count Detector
+ * Alerts when the node has fewer peer connections than the threshold
+ */
+
+module.exports = {
+    id: 'low-node-count',
+    description: 'Too few peer connections',
+    schedule: 'check',
+    alertTypes: ['LOW_NODE_COUNT'],
+    parameters: {
+        minConnections: {
+            type: 'integer',
+            min: 0,
+            threshold: 'lowNodeCount',
+            description: 'Fewest peer connections considered healthy'
+        }
+    },
+
+    evaluate({ data, parameters }) {
+        const nodeCount = data.peers.length;
+        const threshold = parameters.minConnections;
+
+        if (nodeCount >= threshold) {
+            return [];
+        }
+
+        return [{
+            type: 'LOW_NODE_COUNT',
+            severity: 'MEDIUM',
+            message: `⚠️ LOW NODE COUNT! Only ${nodeCount} connections (threshold: ${threshold})`,
+            data: { nodeCount, threshold },
+            key: 'connections'
+        }];
+    }
+};
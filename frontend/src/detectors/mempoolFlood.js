@@ -0,0 +1,36 @@
+/**
+ * Mempool Flood Detector
+ * Alerts when the mempool holds more transactions than the threshold
+ */
+
+module.exports = {
+    id: 'mempool-flood',
+    description: 'Mempool transaction count above the flooding threshold',
+    schedule: 'check',
+    alertTypes: ['MEMPOOL_FLOOD'],
+    parameters: {
+        maxTransactions: {
+            type: 'integer',
+            min: 1,
+            threshold: 'mempoolFlood',
+            description: 'Pending transactions above which the mempool counts as flooded'
+        }
+    },
+
+    evaluate({ data, parameters }) {
+        const mempoolSize = data.mempool.size;
+        const threshold = parameters.maxTransactions;
+
+        if (mempoolSize <= threshold) {
+            return [];
+        }
+
+        return [{
+            type: 'MEMPOOL_FLOOD',
+            severity: 'HIGH',
+            message: `🚨 MEMPOOL FLOODING DETECTED! ${mempoolSize} pending transactions (threshold: ${threshold})`,
+            data: { mempoolSize, threshold },
+            key: 'mempool'
+        }];
+    }
+};
@@ -0,0 +1,98 @@
+/**
+ * Mempool Spam Detector
+ * One alert per suspected spam campaign found by the SpamClassifier: dust
+ * outputs, low-fee chains from one funding txid and repeated output scripts.
+ * Unlike mempool-flood, it looks at what the mempool holds, not how much.
+ */
+
+const { SpamClassifier } = require('../services/spamClassifier');
+
+module.exports = {
+    id: 'mempool-spam',
+    description: 'Dust and spam transaction campaigns in the mempool',
+    schedule: 60000,
+    alertTypes: ['MEMPOOL_SPAM'],
+    parameters: {
+        dustLimit: {
+            type: 'number',
+            min: 0,
+            default: 0.01,
+            description: 'Output value (DOGE) below which an output counts as dust'
+        },
+        lowFeeRate: {
+            type: 'number',
+            min: 0,
+            default: 0.01,
+            description: 'Fee rate (DOGE/kB) at or below which a transaction pays a low fee'
+        },
+        minRepeats: {
+            type: 'integer',
+            min: 2,
+            default: 20,
+            description: 'Spam candidates paying one output script before it counts as repeated'
+        },
+        minTransactions: {
+            type: 'integer',
+            min: 2,
+            default: 50,
+            description: 'Smallest campaign reported'
+        },
+        minByteShare: {
+            type: 'number',
+            min: 0,
+            max: 1,
+            default: 0.1,
+            description: 'Share of mempool bytes a campaign must take to be reported'
+        },
+        highByteShare: {
+            type: 'number',
+            min: 0,
+            max: 1,
+            default: 0.4,
+            description: 'Share of mempool bytes from which the alert is high severity'
+        },
+        maxTransactions: {
+            type: 'integer',
+            min: 1,
+            default: 5000,
+            description: 'Most new transactions decoded per run'
+        }
+    },
+
+    async evaluate({ data, rpc, mempoolSampler, nodeId, parameters, state }) {
+        if (data.blockchain?.initialblockdownload) {
+            return null;
+        }
+
+        if (!state.classifier) {
+            state.classifier = new SpamClassifier({ rpc, sampler: mempoolSampler, nodeId, network: data.blockchain?.chain });
+        }
+        await state.classifier.update(parameters.maxTransactions);
+        const { campaigns, decoded, transactions } = state.classifier.classify(parameters);
+
+        return campaigns
+            .filter(campaign => campaign.byteShare >= parameters.minByteShare)
+            .map(campaign => {
+                const share = (campaign.byteShare * 100).toFixed(1);
+                return {
+                    type: 'MEMPOOL_SPAM',
+                    severity: campaign.byteShare >= parameters.highByteShare ? 'HIGH' : 'MEDIUM',
+                    message: `⚠️ SPAM CAMPAIGN: ${campaign.name} - ${campaign.txCount} transactions, ${share}% of mempool bytes (${campaign.signatures.join(', ')}), e.g. ${campaign.exampleTxids[0]}`,
+                    data: {
+                        campaign: campaign.name,
+                        txCount: campaign.txCount,
+                        bytes: campaign.bytes,
+                        byteShare: campaign.byteShare,
+                        signatures: campaign.signatures,
+                        dustOutputs: campaign.dustOutputs,
+                        lowFeeTransactions: campaign.lowFeeTransactions,
+                        fundingTxids: campaign.fundingTxids,
+                        repeatedScripts: campaign.repeatedScripts,
+                        exampleTxids: campaign.exampleTxids,
+                        coverage: transactions > 0 ? decoded / transactions : 1
+                    },
+                    key: campaign.id
+                };
+            });
+    }
+};
@@ -0,0 +1,56 @@
+/**
+ * Mempool Volatility Detector
+ * Scores the mempool size against its usual level for the time of day and
+ * alerts when it jumps above the expected range, as when a reorg returns
+ * confirmed transactions to the mempool
+ */
+
+const { observeAnomaly, anomalyParameters, describeRange } = require('../services/anomalyEngine');
+
+module.exports = {
+    id: 'mempool-volatility',
+    description: 'Mempool size above its expected range for the time of day',
+    schedule: 'check',
+    alertTypes: ['MEMPOOL_VOLATILITY'],
+    parameters: {
+        minBaseline: {
+            type: 'number',
+            min: 0,
+            default: 10,
+            description: 'Expected mempool size below which swings are ignored'
+        },
+        ...anomalyParameters({ model: 'seasonal' })
+    },
+
+    evaluate({ data, baselines, parameters, state }) {
+        if (data.blockchain?.initialblockdownload || !(baselines.avgBlockTime > 0)) {
+            return null;
+        }
+
+        const size = data.mempool.size;
+        const anomaly = observeAnomaly(state, parameters, size, Date.parse(data.timestamp) || Date.now());
+        if (!anomaly.ready) {
+            return null;
+        }
+
+        if (anomaly.direction !== 'high' || !(anomaly.expected > parameters.minBaseline)) {
+            return [];
+        }
+
+        const formatCount = value => Math.round(value).toString();
+        return [{
+            type: 'MEMPOOL_VOLATILITY',
+            severity: 'HIGH',
+            message: `⚠️ MEMPOOL SURGE! Transaction pool increased ${(size / anomaly.expected).toFixed(1)}x suddenly (${size} transactions, ${describeRange(anomaly, formatCount)}). Possible chain reorganization affecting confirmations.`,
+            data: {
+                recentSize: size,
+                baselineSize: Math.round(anomaly.expected),
+                expectedRange: [Math.max(Math.round(anomaly.lower), 0), Math.round(anomaly.upper)],
+                surgeRatio: (size / anomaly.expected).toFixed(1),
+                anomaly,
+                analysis: 'Large mempool increases may indicate previously confirmed transactions becoming unconfirmed due to chain reorgs'
+            },
+            key: 'mempool'
+        }];
+    }
+};
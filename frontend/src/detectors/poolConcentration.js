@@ -0,0 +1,66 @@
+/**
+ * Pool Concentration Detector
+ * Alerts per pool whose share of the recent block window exceeds the
+ * threshold. Pools are identified from the AuxPoW parent coinbase (or the
+ * block's own coinbase tag and payout address), a more direct majority
+ * indicator than the hash rate estimate.
+ */
+
+const { UNKNOWN_ENTITY } = require('../services/miningAnalyzer');
+
+module.exports = {
+    id: 'pool-concentration',
+    description: 'One pool mining too large a share of recent blocks',
+    schedule: 'block',
+    alertTypes: ['POOL_CONCENTRATION'],
+    parameters: {
+        maxShare: {
+            type: 'number',
+            min: 0,
+            max: 1,
+            threshold: 'poolConcentration',
+            description: 'Share of the window above which a pool is flagged'
+        },
+        criticalShare: {
+            type: 'number',
+            min: 0,
+            max: 1,
+            default: 0.5,
+            description: 'Share from which the alert is critical'
+        }
+    },
+
+    async evaluate({ data, miningAnalyzer, parameters }) {
+        if (data.blockchain?.initialblockdownload) {
+            return null;
+        }
+
+        await miningAnalyzer.update(data.blockchain);
+        const distribution = miningAnalyzer.getDistribution();
+
+        // Shares over a mostly empty window say little
+        if (distribution.blocks < distribution.window / 2) {
+            return null;
+        }
+
+        const threshold = parameters.maxShare;
+        return distribution.pools
+            .filter(pool => pool.entity !== UNKNOWN_ENTITY && pool.share > threshold)
+            .map(pool => ({
+                type: 'POOL_CONCENTRATION',
+                severity: pool.share >= parameters.criticalShare ? 'CRITICAL' : 'HIGH',
+                message: `⚠️ POOL CONCENTRATION! ${pool.entity} mined ${pool.blocks} of the last ${distribution.blocks} blocks (${(pool.share * 100).toFixed(1)}%, threshold: ${(threshold * 100).toFixed(0)}%)`,
+                data: {
+                    entity: pool.entity,
+                    blocks: pool.blocks,
+                    windowBlocks: distribution.blocks,
+                    share: pool.share,
+                    threshold,
+                    lastHeight: pool.lastHeight,
+                    parentChains: distribution.parentChains,
+                    analysis: 'A single miner producing most blocks can censor transactions or rewrite recent history'
+                },
+                key: pool.entity
+            }));
+    }
+};
@@ -0,0 +1,90 @@
+/**
+ * Selfish Mining Detector
+ * One alert per suspected pool, carrying the combined confidence, each
+ * contributing signal and the blocks involved (see SelfishMiningDetector)
+ */
+
+const config = require('../config');
+const { SelfishMiningDetector } = require('../services/selfishMiningDetector');
+
+const defaults = config.watchdog.selfishMining;
+
+module.exports = {
+    id: 'selfish-mining',
+    description: 'Block withholding: long runs, odd timestamps and won stale-tip races',
+    schedule: 'block',
+    alertTypes: ['SELFISH_MINING'],
+    parameters: {
+        minConfidence: {
+            type: 'number',
+            min: 0,
+            max: 1,
+            default: defaults.minConfidence,
+            description: 'Combined confidence from which a pool is flagged'
+        },
+        criticalConfidence: {
+            type: 'number',
+            min: 0,
+            max: 1,
+            default: 0.95,
+            description: 'Combined confidence from which the alert is critical'
+        },
+        minRun: {
+            type: 'integer',
+            min: 2,
+            default: defaults.minRun,
+            description: 'Shortest run of consecutive blocks considered'
+        },
+        maxFutureDrift: {
+            type: 'integer',
+            min: 1,
+            default: defaults.maxFutureDrift,
+            description: 'Seconds a block time may be ahead of the local clock'
+        },
+        medianTimeMargin: {
+            type: 'integer',
+            min: 0,
+            default: defaults.medianTimeMargin,
+            description: 'Seconds above the median time of the previous 11 blocks within which a block time counts as pinned to the floor'
+        },
+        staleRate: {
+            type: 'number',
+            min: 0,
+            max: 1,
+            default: defaults.staleRate,
+            description: 'Expected stale blocks per block under honest mining'
+        }
+    },
+
+    async evaluate({ data, rpc, miningAnalyzer, parameters }) {
+        if (data.blockchain?.initialblockdownload) {
+            return null;
+        }
+
+        const detector = new SelfishMiningDetector({
+            miningAnalyzer,
+            rpc,
+            minRun: parameters.minRun,
+            maxFutureDrift: parameters.maxFutureDrift,
+            medianTimeMargin: parameters.medianTimeMargin,
+            staleRate: parameters.staleRate
+        });
+        const suspects = await detector.analyze(data.blockchain);
+
+        return suspects
+            .filter(suspect => suspect.confidence >= parameters.minConfidence)
+            .map(suspect => ({
+                type: 'SELFISH_MINING',
+                severity: suspect.confidence >= parameters.criticalConfidence ? 'CRITICAL' : 'HIGH',
+                message: `⚠️ POSSIBLE SELFISH MINING by ${suspect.entity} (${(suspect.confidence * 100).toFixed(0)}% confidence): ${suspect.signals.map(signal => signal.summary).join('; ')}`,
+                data: {
+                    entity: suspect.entity,
+                    confidence: suspect.confidence,
+                    signals: suspect.signals,
+                    blocks: suspect.blocks,
+                    analysis: 'A pool withholding blocks and releasing them to win races earns more than its share and orphans honest blocks'
+                },
+                key: suspect.entity
+            }));
+    }
+};
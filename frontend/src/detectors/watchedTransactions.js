@@ -0,0 +1,49 @@
+/**
+ * Watched Transactions Detector
+ * Keeps a TX_REORGED_OUT alert open for each watched transaction or deposit
+ * that lost its confirmations, until it confirms again. One missing from the
+ * mempool as well may have been double-spent. The watchdog updates the
+ * watchlist on every check, whether or not this detector is enabled.
+ */
+
+module.exports = {
+    id: 'watchlist',
+    description: 'Watched transactions and deposits reorged out of the active chain',
+    schedule: 'check',
+    alertTypes: ['TX_REORGED_OUT'],
+
+    async evaluate({ data, watchlist }) {
+        if (!watchlist || data.blockchain?.initialblockdownload) {
+            return null;
+        }
+
+        return watchlist.getTracked()
+            .filter(({ tracking }) => tracking.status === 'reorged')
+            .map(({ entry, tracking }) => {
+                const name = entry.label ? `${entry.label} (${tracking.txid})` : tracking.txid;
+                const { lastReorg } = tracking;
+                const where = tracking.inMempool
+                    ? 'It is back in the mempool.'
+                    : 'It is not in the mempool either - it may have been double-spent.';
+
+                return {
+                    type: 'TX_REORGED_OUT',
+                    severity: tracking.inMempool ? 'HIGH' : 'CRITICAL',
+                    message: `🚨 WATCHED TRANSACTION REORGED OUT! ${name} lost ${lastReorg.confirmations} confirmation(s) when block ${lastReorg.blockHeight} left the active chain. ${where}`,
+                    data: {
+                        id: entry.id,
+                        label: entry.label,
+                        address: entry.address || null,
+                        amount: tracking.amount ?? null,
+                        txid: tracking.txid,
+                        inMempool: tracking.inMempool,
+                        reorgCount: tracking.reorgCount,
+                        lostConfirmations: lastReorg.confirmations,
+                        orphanedBlock: { hash: lastReorg.blockHash, height: lastReorg.blockHeight },
+                        reorgedAt: lastReorg.at
+                    },
+                    key: tracking.txid
+                };
+            });
+    }
+};
@@ -3,7 +3,9 @@
  * Implements security best practices and protections
  */
 
+const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
+const config = require('../config');
 const { createChildLogger } = require('../utils/logger');
 
 const logger = createChildLogger({ service: 'security-middleware' });
@@ -285,6 +287,64 @@ const healthCheckBypass = (req, res, next) => {
     apiRateLimit(req, res, next);
 };
 
+/**
+ * Strips the IPv4-mapped prefix from a socket address
+ * @param {string} address - Peer address as reported by the socket
+ * @returns {string|null} Plain address
+ */
+const normalizeAddress = (address) => {
+    if (!address) {
+        return null;
+    }
+    return address.startsWith('::ffff:') ? address.slice(7) : address;
+};
+
+/**
+ * Compares a presented secret with the configured one in constant time
+ * @param {string} presented - Secret sent with the request
+ * @param {string} expected - Configured secret
+ * @returns {boolean} True if they match
+ */
+const secretMatches = (presented, expected) => {
+    if (!presented || !expected) {
+        return false;
+    }
+
+    const a = crypto.createHash('sha256').update(presented).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Identifies who sent a request that changes settings, for the audit log
+ * X-Forwarded-User and X-Forwarded-For are only believed when the request
+ * comes from a trusted proxy or carries the proxy's shared secret; anyone can
+ * set them otherwise. Other requests are recorded as unauthenticated with the
+ * address of the connecting peer.
+ * @param {Object} req - Express request
+ * @param {Object} options - Trust settings (defaults to config.audit)
+ * @param {Array<string>} options.trustedProxies - Peer addresses of trusted proxies
+ * @param {string} options.proxySecret - Secret a trusted proxy sends in X-Proxy-Secret
+ * @returns {Object} { user, authenticated, ip, userAgent }
+ */
+const identifyRequester = (req, options = config.audit) => {
+    const peer = normalizeAddress(req.socket?.remoteAddress);
+    const trusted = (options.trustedProxies || []).includes(peer) ||
+        secretMatches(req.get('X-Proxy-Secret'), options.proxySecret);
+    const user = req.get('X-Forwarded-User') || null;
+
+    if (!trusted && user) {
+        logger.warn('Ignoring X-Forwarded-User from an untrusted peer', { user: user.substring(0, 100), peer });
+    }
+
+    return {
+        user: trusted ? user : null,
+        authenticated: Boolean(trusted && user),
+        ip: trusted ? req.ip : peer,
+        userAgent: req.get('User-Agent') || null
+    };
+};
+
 module.exports = {
     apiRateLimit,
     strictRateLimit,
@@ -293,5 +353,6 @@ module.exports = {
     requestLogger,
     corsHandler,
     healthCheckBypass,
-    createRateLimiter
+    createRateLimiter,
+    identifyRequester
 };
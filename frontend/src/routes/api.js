@@ -6,6 +6,9 @@ const express = require('express');
 const { createChildLogger } = require('../utils/logger');
 const { DogecoinRPCService, RPCError } = require('../services/rpc');
 const PeerEnrichmentService = require('../services/peerEnrichment');
+const { TransactionDecoder } = require('../services/transactionDecoder');
+const { isAddressFormat } = require('../utils/address');
+const { parseHeader, VERSION_AUXPOW } = require('../utils/rawBlock');
 
 const createRouter = express.Router;
 const router = createRouter();
@@ -17,18 +20,148 @@ const logger = createChildLogger({ service: 'api-routes' });
  */
 let rpcService;
 let peerEnrichmentService;
+let addressIndex = null;
+let miningAnalyzer = null;
+let mempoolAnalyzer = null;
+let watchlist = null;
+let reorgTracker = null;
 
-const initializeAPI = (injectedRPCService) => {
+/**
+ * RPC error code for unknown blocks, transactions and keys (RPC_INVALID_ADDRESS_OR_KEY)
+ */
+const RPC_NOT_FOUND = -5;
+
+const HEX_HASH = /^[0-9a-fA-F]{64}$/;
+
+/**
+ * Read-only RPC methods that may be called through POST /api/rpc
+ */
+const ALLOWED_RPC_METHODS = [
+    'getblockchaininfo',
+    'getnetworkinfo',
+    'getmempoolinfo',
+    'getpeerinfo',
+    'getblock',
+    'getblockhash',
+    'getrawtransaction',
+    'getbestblockhash',
+    'getblockcount',
+    'getdifficulty',
+    'gettxout',
+    'validateaddress'
+];
+
+/**
+ * Initialize API services
+ * @param {DogecoinRPCService} injectedRPCService - RPC service of the primary node
+ * @param {Object} services - Related services
+ * @param {AddressIndex} services.addressIndex - Address index of the primary node
+ * @param {MiningAnalyzer} services.miningAnalyzer - Mining analyzer of the primary node
+ * @param {MempoolAnalyzer} services.mempoolAnalyzer - Mempool analyzer of the primary node
+ * @param {Watchlist} services.watchlist - Watchlist of the primary node
+ * @param {ReorgTracker} services.reorgTracker - Reorg history of the primary node
+ */
+const initializeAPI = (injectedRPCService, services = {}) => {
     rpcService = injectedRPCService;
+    addressIndex = services.addressIndex || null;
+    miningAnalyzer = services.miningAnalyzer || null;
+    mempoolAnalyzer = services.mempoolAnalyzer || null;
+    watchlist = services.watchlist || null;
+    reorgTracker = services.reorgTracker || null;
 };
 
-const getRPC = () => {
+/**
+ * Resolves the RPC service for a request
+ * Routes mounted under /api/nodes/:nodeId use that node's service.
+ * @param {Object} req - Express request
+ * @returns {DogecoinRPCService} RPC service
+ */
+const getRPC = (req) => {
+    if (req?.node) {
+        return req.node.rpc;
+    }
     if (!rpcService) {
         rpcService = new DogecoinRPCService();
     }
     return rpcService;
 };
 
+/**
+ * Resolves the address index for a request (only the primary node is indexed)
+ * @param {Object} req - Express request
+ * @returns {AddressIndex|null} Address index
+ */
+const getAddressIndex = (req) => {
+    if (req?.node) {
+        return req.node.addressIndex || null;
+    }
+    return addressIndex;
+};
+
+/**
+ * Resolves the mining analyzer for a request
+ * @param {Object} req - Express request
+ * @returns {MiningAnalyzer|null} Mining analyzer
+ */
+const getMiningAnalyzer = (req) => {
+    if (req?.node) {
+        return req.node.miningAnalyzer || null;
+    }
+    return miningAnalyzer;
+};
+
+/**
+ * Resolves the mempool analyzer for a request
+ * @param {Object} req - Express request
+ * @returns {MempoolAnalyzer|null} Mempool analyzer
+ */
+const getMempoolAnalyzer = (req) => {
+    if (req?.node) {
+        return req.node.mempoolAnalyzer || null;
+    }
+    return mempoolAnalyzer;
+};
+
+/**
+ * Resolves the watchlist for a request
+ * @param {Object} req - Express request
+ * @returns {Watchlist|null} Watchlist
+ */
+const getWatchlist = (req) => {
+    if (req?.node) {
+        return req.node.watchlist || null;
+    }
+    return watchlist;
+};
+
+/**
+ * Middleware resolving req.watchlist (503 when the node has none)
+ */
+const requireWatchlist = (req, res, next) => {
+    req.watchlist = getWatchlist(req);
+    if (!req.watchlist) {
+        return res.status(503).json({
+            error: 'SERVICE_UNAVAILABLE',
+            message: 'Watchlist is not available for this node'
+        });
+    }
+    next();
+};
+
+/**
+ * Middleware resolving req.reorgTracker (503 when the node has none)
+ */
+const requireReorgTracker = (req, res, next) => {
+    req.reorgTracker = req.node ? req.node.reorgTracker || null : reorgTracker;
+    if (!req.reorgTracker) {
+        return res.status(503).json({
+            error: 'SERVICE_UNAVAILABLE',
+            message: 'Reorg history is not available for this node'
+        });
+    }
+    next();
+};
+
 const getPeerEnrichment = () => {
     if (!peerEnrichmentService) {
         peerEnrichmentService = new PeerEnrichmentService();
@@ -40,6 +173,14 @@ const getPeerEnrichment = () => {
  * Error handler for API routes
  */
 const handleAPIError = (res, error, operation) => {
+    if (error instanceof RPCError && error.code === RPC_NOT_FOUND) {
+        logger.debug(`${operation} found nothing`, { error: error.message });
+        return res.status(404).json({
+            error: 'NOT_FOUND',
+            message: error.message
+        });
+    }
+
     logger.error(`${operation} failed`, { error: error.message });
 
     if (error instanceof RPCError) {
@@ -57,13 +198,39 @@ const handleAPIError = (res, error, operation) => {
     });
 };
 
+/**
+ * Adds decoded AuxPoW details to a verbose block
+ * Merge-mined blocks carry the parent chain's coinbase and block header; the
+ * header is returned hex-encoded by the node and decoded here.
+ * @param {Object} block - Verbose getblock result
+ * @returns {Object} Block with isAuxPow and auxpow.parentBlockHeader
+ */
+const describeBlock = (block) => {
+    const isAuxPow = Boolean(block.version & VERSION_AUXPOW);
+
+    if (!block.auxpow?.parentblock) {
+        return { ...block, isAuxPow };
+    }
+
+    const parentCoinbase = block.auxpow.tx?.vin?.[0]?.coinbase || null;
+    return {
+        ...block,
+        isAuxPow,
+        auxpow: {
+            ...block.auxpow,
+            parentBlockHeader: parseHeader(block.auxpow.parentblock),
+            parentCoinbase
+        }
+    };
+};
+
 /**
  * GET /api/health
  * Returns basic health status of the Dogecoin node
  */
 router.get('/health', async(req, res) => {
     try {
-        const rpc = getRPC();
+        const rpc = getRPC(req);
         const isHealthy = await rpc.testConnection();
 
         if (isHealthy) {
@@ -91,7 +258,7 @@ router.get('/health', async(req, res) => {
  */
 router.get('/info', async(req, res) => {
     try {
-        const rpc = getRPC();
+        const rpc = getRPC(req);
         const [nodeInfo, networkHashPS] = await Promise.all([
             rpc.getNodeInfo(),
             rpc.getNetworkHashPS(120).catch(() => null) // Get hash rate for last 120 blocks, fallback to null if fails
@@ -144,7 +311,7 @@ router.get('/info', async(req, res) => {
  */
 router.get('/status', async(req, res) => {
     try {
-        const rpc = getRPC();
+        const rpc = getRPC(req);
         const nodeInfo = await rpc.getNodeInfo();
 
         res.json({
@@ -163,7 +330,7 @@ router.get('/status', async(req, res) => {
  */
 router.get('/blockchain/info', async(req, res) => {
     try {
-        const rpc = getRPC();
+        const rpc = getRPC(req);
         const blockchainInfo = await rpc.call('getblockchaininfo');
 
         res.json({
@@ -182,7 +349,7 @@ router.get('/blockchain/info', async(req, res) => {
  */
 router.get('/network/info', async(req, res) => {
     try {
-        const rpc = getRPC();
+        const rpc = getRPC(req);
         const networkInfo = await rpc.call('getnetworkinfo');
 
         res.json({
@@ -201,7 +368,7 @@ router.get('/network/info', async(req, res) => {
  */
 router.get('/mempool/info', async(req, res) => {
     try {
-        const rpc = getRPC();
+        const rpc = getRPC(req);
         const mempoolInfo = await rpc.call('getmempoolinfo');
 
         res.json({
@@ -214,13 +381,39 @@ router.get('/mempool/info', async(req, res) => {
     }
 });
 
+/**
+ * GET /api/mempool/analytics
+ * Returns the fee-rate histogram, age distribution, top ancestor packages and
+ * fee estimates of the latest mempool sample, plus the fee-band history
+ * Fee rates are in DOGE/kB.
+ */
+router.get('/mempool/analytics', async(req, res) => {
+    try {
+        const analyzer = getMempoolAnalyzer(req);
+        if (!analyzer) {
+            return res.status(503).json({
+                error: 'SERVICE_UNAVAILABLE',
+                message: 'Mempool analytics are not available for this node'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            data: await analyzer.getAnalytics()
+        });
+    } catch (error) {
+        handleAPIError(res, error, 'Mempool analytics');
+    }
+});
+
 /**
  * GET /api/peers
  * Returns enhanced peer connection information with DNS resolution and geolocation
  */
 router.get('/peers', async(req, res) => {
     try {
-        const rpc = getRPC();
+        const rpc = getRPC(req);
         const enrichment = getPeerEnrichment();
 
         // Get basic peer info from Dogecoin node
@@ -251,10 +444,9 @@ router.get('/blocks/:count', async(req, res) => {
             });
         }
 
-        const rpc = getRPC();
+        const rpc = getRPC(req);
         const currentHeight = await rpc.call('getblockcount');
 
-        // Fetch blocks in parallel for better performance
         const heights = [];
         for (let i = 0; i < count; i++) {
             const height = currentHeight - i;
@@ -264,21 +456,22 @@ router.get('/blocks/:count', async(req, res) => {
             heights.push(height);
         }
 
-        const blocks = await Promise.all(
-            heights.map(async (height) => {
-                const blockHash = await rpc.call('getblockhash', [height]);
-                const block = await rpc.call('getblock', [blockHash]);
-                return {
-                    height: block.height,
-                    hash: block.hash,
-                    time: block.time,
-                    mediantime: block.mediantime,
-                    size: block.size,
-                    txCount: block.tx.length,
-                    difficulty: block.difficulty
-                };
-            })
-        );
+        // One batch of getblockhash and one of getblock, instead of two calls per block
+        const outcomes = await rpc.getBlocksByHeight(heights);
+        const failed = outcomes.find(outcome => outcome.status === 'rejected');
+        if (failed) {
+            throw failed.reason;
+        }
+
+        const blocks = outcomes.map(({ value: block }) => ({
+            height: block.height,
+            hash: block.hash,
+            time: block.time,
+            mediantime: block.mediantime,
+            size: block.size,
+            txCount: block.tx.length,
+            difficulty: block.difficulty
+        }));
 
         res.json(blocks);
     } catch (error) {
@@ -301,8 +494,8 @@ router.get('/block/:hash', async(req, res) => {
             });
         }
 
-        const rpc = getRPC();
-        const blockInfo = await rpc.call('getblock', [hash]);
+        const rpc = getRPC(req);
+        const blockInfo = describeBlock(await rpc.call('getblock', [hash]));
 
         res.json({
             status: 'success',
@@ -329,9 +522,9 @@ router.get('/block/height/:height', async(req, res) => {
             });
         }
 
-        const rpc = getRPC();
+        const rpc = getRPC(req);
         const blockHash = await rpc.call('getblockhash', [height]);
-        const blockInfo = await rpc.call('getblock', [blockHash]);
+        const blockInfo = describeBlock(await rpc.call('getblock', [blockHash]));
 
         res.json({
             status: 'success',
@@ -345,21 +538,21 @@ router.get('/block/height/:height', async(req, res) => {
 
 /**
  * GET /api/transaction/:txid
- * Returns information about a specific transaction
+ * Returns a transaction with resolved inputs (value, address, script type),
+ * totals, fee, fee rate per kB and the spent state of each output
  */
 router.get('/transaction/:txid', async(req, res) => {
     try {
         const { txid } = req.params;
 
-        if (!txid || typeof txid !== 'string') {
+        if (!HEX_HASH.test(txid)) {
             return res.status(400).json({
                 error: 'INVALID_PARAMETER',
-                message: 'Transaction ID is required and must be a string'
+                message: 'Transaction ID must be a 64-character hex string'
             });
         }
 
-        const rpc = getRPC();
-        const txInfo = await rpc.call('getrawtransaction', [txid, true]);
+        const txInfo = await new TransactionDecoder(getRPC(req)).decode(txid);
 
         res.json({
             status: 'success',
@@ -371,6 +564,322 @@ router.get('/transaction/:txid', async(req, res) => {
     }
 });
 
+/**
+ * GET /api/address/:address
+ * Returns balance, unspent outputs and transaction history of an address from the address index
+ * Query: limit (1-100, default 25) and offset page the transaction history (newest first)
+ */
+router.get('/address/:address', async(req, res) => {
+    try {
+        const { address } = req.params;
+
+        if (!isAddressFormat(address)) {
+            return res.status(400).json({
+                error: 'INVALID_PARAMETER',
+                message: 'Address must be a Base58 Dogecoin address'
+            });
+        }
+
+        const index = getAddressIndex(req);
+        if (!index) {
+            return res.status(503).json({
+                error: 'SERVICE_UNAVAILABLE',
+                message: 'Address index is not enabled for this node'
+            });
+        }
+
+        // The node checks the checksum and network version byte
+        const validation = await getRPC(req).call('validateaddress', [address]);
+        if (!validation.isvalid) {
+            return res.status(400).json({
+                error: 'INVALID_PARAMETER',
+                message: `Invalid Dogecoin address: ${address}`
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            data: {
+                ...index.getAddress(address, { limit, offset }),
+                scriptPubKey: validation.scriptPubKey || null,
+                index: index.getStatus()
+            }
+        });
+    } catch (error) {
+        handleAPIError(res, error, `Address lookup for: ${req.params.address}`);
+    }
+});
+
+/**
+ * GET /api/watchlist
+ * Returns the watched txids and addresses with the confirmations, block and
+ * reorg history of each tracked transaction (address deposits under deposits)
+ */
+router.get('/watchlist', requireWatchlist, (req, res) => {
+    res.json({
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        data: {
+            entries: req.watchlist.list(),
+            milestones: req.watchlist.milestones
+        }
+    });
+});
+
+/**
+ * GET /api/watchlist/:id
+ * Returns one watched txid or address
+ */
+router.get('/watchlist/:id', requireWatchlist, (req, res) => {
+    const entry = req.watchlist.get(req.params.id);
+    if (!entry) {
+        return res.status(404).json({
+            error: 'NOT_FOUND',
+            message: `Not on the watchlist: ${req.params.id}`
+        });
+    }
+
+    res.json({
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        data: entry
+    });
+});
+
+/**
+ * POST /api/watchlist
+ * Watches a transaction or an address
+ * Body: { txid } or { address }, with an optional label. Adding a watched
+ * txid or address again only changes its label. Addresses are matched
+ * against blocks found after they were added. A txid the node cannot find
+ * without -txindex is added as unresolved, with a message saying why.
+ */
+router.post('/watchlist', requireWatchlist, async(req, res) => {
+    try {
+        const problems = req.watchlist.validate(req.body);
+        if (problems.length > 0) {
+            return res.status(400).json({
+                error: 'INVALID_PARAMETER',
+                message: problems.join('; ')
+            });
+        }
+
+        // The node checks the checksum and network version byte
+        if (req.body.address) {
+            const validation = await getRPC(req).call('validateaddress', [req.body.address]);
+            if (!validation.isvalid) {
+                return res.status(400).json({
+                    error: 'INVALID_PARAMETER',
+                    message: `Invalid Dogecoin address: ${req.body.address}`
+                });
+            }
+        }
+
+        const { entry, created } = req.watchlist.add(req.body);
+
+        // Look the transaction up right away instead of at the next check
+        if (created) {
+            await req.watchlist.update().catch(error => {
+                logger.warn('Watchlist update after adding an entry failed', { id: entry.id, error: error.message });
+            });
+        }
+
+        const data = req.watchlist.get(entry.id);
+        res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            created,
+            ...(data.status === 'unresolved' ? {
+                message: 'Transaction not in the mempool, and the node runs without -txindex: a transaction confirmed before it was added cannot be found. It is still tracked if it confirms in a new block.'
+            } : {}),
+            data
+        });
+    } catch (error) {
+        handleAPIError(res, error, 'Watchlist update');
+    }
+});
+
+/**
+ * DELETE /api/watchlist/:id
+ * Stops watching a txid or address
+ */
+router.delete('/watchlist/:id', requireWatchlist, (req, res) => {
+    if (!req.watchlist.remove(req.params.id)) {
+        return res.status(404).json({
+            error: 'NOT_FOUND',
+            message: `Not on the watchlist: ${req.params.id}`
+        });
+    }
+
+    res.json({
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        message: 'Removed from the watchlist',
+        id: req.params.id
+    });
+});
+
+/**
+ * GET /api/reorgs?limit=&offset=
+ * Returns the recorded chain reorganizations, newest first: fork point,
+ * depth, orphaned and replacement blocks, and dropped or moved transactions
+ * Query: limit (1-100, default 25) and offset page the history
+ */
+router.get('/reorgs', requireReorgTracker, (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    res.json({
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        data: {
+            ...req.reorgTracker.getHistory({ limit, offset }),
+            trackedDepth: req.reorgTracker.depth
+        }
+    });
+});
+
+/**
+ * GET /api/reorgs/:id
+ * Returns one recorded reorg by the hash of its first orphaned block
+ */
+router.get('/reorgs/:id', requireReorgTracker, (req, res) => {
+    const reorg = req.reorgTracker.get(req.params.id);
+    if (!reorg) {
+        return res.status(404).json({
+            error: 'NOT_FOUND',
+            message: `No recorded reorg orphaned block ${req.params.id}`
+        });
+    }
+
+    res.json({
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        data: reorg
+    });
+});
+
+/**
+ * GET /api/mining/pools?window=
+ * Returns block counts and share per pool over the most recent blocks
+ * Blocks are attributed to known pools by coinbase tag or payout address;
+ * unknown miners are listed by tag or address.
+ */
+router.get('/mining/pools', async(req, res) => {
+    try {
+        const analyzer = getMiningAnalyzer(req);
+        if (!analyzer) {
+            return res.status(503).json({
+                error: 'SERVICE_UNAVAILABLE',
+                message: 'Mining analysis is not available for this node'
+            });
+        }
+
+        const window = typeof req.query.window === 'undefined' ? analyzer.window : Number(req.query.window);
+        if (!Number.isInteger(window) || window < 1 || window > analyzer.window) {
+            return res.status(400).json({
+                error: 'INVALID_PARAMETER',
+                message: `Window must be a number of blocks between 1 and ${analyzer.window}`
+            });
+        }
+
+        await analyzer.update(await getRPC(req).call('getblockchaininfo'));
+
+        res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            data: analyzer.getDistribution(window)
+        });
+    } catch (error) {
+        handleAPIError(res, error, 'Mining pool distribution');
+    }
+});
+
+/**
+ * GET /api/search?q=
+ * Resolves a block height, block hash, txid or address to the page that shows it
+ * Returns { type: 'block' | 'transaction' | 'address', id } where id is a block hash, txid or address
+ */
+router.get('/search', async(req, res) => {
+    try {
+        const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        const rpc = getRPC(req);
+        const found = (type, id) => res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            data: { type, id }
+        });
+        const notFound = () => res.status(404).json({
+            error: 'NOT_FOUND',
+            message: `Nothing found for: ${query}`
+        });
+
+        if (/^\d{1,10}$/.test(query)) {
+            const height = parseInt(query, 10);
+            if (height > await rpc.call('getblockcount')) {
+                return notFound();
+            }
+            return found('block', await rpc.call('getblockhash', [height]));
+        }
+
+        if (HEX_HASH.test(query)) {
+            const hash = query.toLowerCase();
+
+            // Block hashes and txids look alike; try the block index first
+            for (const [type, method, params] of [
+                ['block', 'getblockheader', [hash]],
+                ['transaction', 'getrawtransaction', [hash, true]]
+            ]) {
+                try {
+                    await rpc.call(method, params);
+                    return found(type, hash);
+                } catch (error) {
+                    if (!(error instanceof RPCError) || error.code !== RPC_NOT_FOUND) {
+                        throw error;
+                    }
+                }
+            }
+            return notFound();
+        }
+
+        if (isAddressFormat(query)) {
+            const validation = await rpc.call('validateaddress', [query]);
+            if (validation.isvalid) {
+                return found('address', query);
+            }
+        }
+
+        res.status(400).json({
+            error: 'INVALID_PARAMETER',
+            message: 'Enter a block height, block hash, transaction ID or address'
+        });
+    } catch (error) {
+        handleAPIError(res, error, `Search for: ${req.query.q}`);
+    }
+});
+
+/**
+ * GET /api/rpc/cache
+ * Returns RPC response cache statistics (hits, misses, coalesced calls, entries)
+ */
+router.get('/rpc/cache', (req, res) => {
+    try {
+        const rpc = getRPC(req);
+
+        res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            data: rpc.getCacheStats()
+        });
+    } catch (error) {
+        handleAPIError(res, error, 'RPC cache statistics retrieval');
+    }
+});
+
 /**
  * POST /api/rpc
  * Generic RPC call endpoint (with security restrictions)
@@ -387,20 +896,7 @@ router.post('/rpc', async(req, res) => {
         }
 
         // Whitelist of allowed RPC methods for security
-        const allowedMethods = [
-            'getblockchaininfo',
-            'getnetworkinfo',
-            'getmempoolinfo',
-            'getpeerinfo',
-            'getblock',
-            'getblockhash',
-            'getrawtransaction',
-            'getbestblockhash',
-            'getblockcount',
-            'getdifficulty',
-            'gettxout',
-            'validateaddress'
-        ];
+        const allowedMethods = ALLOWED_RPC_METHODS;
 
         if (!allowedMethods.includes(method)) {
             return res.status(403).json({
@@ -410,7 +906,7 @@ router.post('/rpc', async(req, res) => {
             });
         }
 
-        const rpc = getRPC();
+        const rpc = getRPC(req);
         const result = await rpc.call(method, params);
 
         res.json({
@@ -0,0 +1,140 @@
+/**
+ * Node Routes
+ * Lists monitored nodes and serves the per-node API under /api/nodes/:nodeId
+ */
+
+const express = require('express');
+const { createChildLogger } = require('../utils/logger');
+const { router: apiRoutes } = require('./api');
+const { router: watchdogRoutes } = require('./watchdog');
+
+const createRouter = express.Router;
+const router = createRouter();
+const logger = createChildLogger({ service: 'node-routes' });
+
+/**
+ * Node registry and related services (will be injected)
+ */
+let nodeRegistry = null;
+let consensusMonitor = null;
+
+/**
+ * Initialize the node registry
+ * @param {NodeRegistry} registry - Registry of monitored nodes
+ * @param {Object} services - Related services
+ * @param {ConsensusMonitor} services.consensus - Cross-node consensus monitor
+ */
+const initializeNodes = (registry, services = {}) => {
+    nodeRegistry = registry;
+    consensusMonitor = services.consensus || null;
+    logger.info('Node registry initialized in routes', { nodes: registry.list().length });
+};
+
+/**
+ * Middleware to ensure the node registry is available
+ */
+const requireRegistry = (req, res, next) => {
+    if (!nodeRegistry) {
+        return res.status(503).json({
+            error: 'SERVICE_UNAVAILABLE',
+            message: 'Node registry is not initialized'
+        });
+    }
+    next();
+};
+
+/**
+ * Middleware resolving :nodeId to a registered node (sets req.node)
+ */
+const resolveNode = (req, res, next) => {
+    const node = nodeRegistry.get(req.params.nodeId);
+    if (!node) {
+        return res.status(404).json({
+            error: 'NODE_NOT_FOUND',
+            message: `Unknown node: ${req.params.nodeId}`
+        });
+    }
+
+    req.node = node;
+    next();
+};
+
+/**
+ * GET /api/nodes
+ * Lists monitored nodes
+ */
+router.get('/', requireRegistry, (req, res) => {
+    try {
+        const nodes = nodeRegistry.list().map(node => nodeRegistry.describe(node));
+
+        res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            data: {
+                primary: nodeRegistry.primaryId,
+                count: nodes.length,
+                nodes
+            }
+        });
+    } catch (error) {
+        logger.error('Node list failed', { error: error.message });
+        res.status(500).json({ error: 'INTERNAL_ERROR', message: error.message });
+    }
+});
+
+/**
+ * GET /api/nodes/overview
+ * Returns live chain state for every node with aggregate health
+ */
+router.get('/overview', requireRegistry, async(req, res) => {
+    try {
+        const overview = await nodeRegistry.getOverview();
+
+        res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            data: overview
+        });
+    } catch (error) {
+        logger.error('Node overview failed', { error: error.message });
+        res.status(500).json({ error: 'INTERNAL_ERROR', message: error.message });
+    }
+});
+
+/**
+ * GET /api/nodes/consensus
+ * Returns the latest cross-node chain comparison
+ */
+router.get('/consensus', requireRegistry, async(req, res) => {
+    try {
+        if (!consensusMonitor) {
+            return res.status(503).json({
+                error: 'SERVICE_UNAVAILABLE',
+                message: 'Consensus monitoring is not configured'
+            });
+        }
+
+        // Compare on demand if no scheduled check has run yet
+        if (!consensusMonitor.lastCheck && consensusMonitor.isEnabled()) {
+            await consensusMonitor.check();
+        }
+
+        res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            data: consensusMonitor.getStatus()
+        });
+    } catch (error) {
+        logger.error('Consensus status failed', { error: error.message });
+        res.status(500).json({ error: 'INTERNAL_ERROR', message: error.message });
+    }
+});
+
+// Per-node API: /api/nodes/:nodeId/info, /api/nodes/:nodeId/watchdog/status, ...
+router.use('/:nodeId/watchdog', requireRegistry, resolveNode, watchdogRoutes);
+router.use('/:nodeId', requireRegistry, resolveNode, apiRoutes);
+
+module.exports = {
+    router,
+    initializeNodes
+};
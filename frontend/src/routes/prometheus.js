@@ -0,0 +1,94 @@
+/**
+ * Prometheus Metrics Route
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { createChildLogger } = require('../utils/logger');
+
+const createRouter = express.Router;
+const router = createRouter();
+const logger = createChildLogger({ service: 'prometheus-routes' });
+
+/**
+ * Exporter instance and bearer token (will be injected)
+ */
+let exporter = null;
+let authToken = null;
+
+/**
+ * Initialize the Prometheus exporter
+ * @param {PrometheusExporter} prometheusExporter - Exporter instance
+ * @param {Object} options - Route options
+ * @param {string|null} options.authToken - Bearer token required to scrape, if set
+ */
+const initializePrometheus = (prometheusExporter, options = {}) => {
+    exporter = prometheusExporter;
+    authToken = options.authToken || null;
+    logger.info('Prometheus exporter initialized in routes', { authRequired: Boolean(authToken) });
+};
+
+/**
+ * Compares two tokens in constant time
+ * @param {string} provided - Token sent by the client
+ * @param {string} expected - Configured token
+ * @returns {boolean} True if the tokens match
+ */
+const tokensMatch = (provided, expected) => {
+    const a = Buffer.from(provided);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Middleware enforcing the optional bearer token
+ */
+const requireToken = (req, res, next) => {
+    if (!authToken) {
+        return next();
+    }
+
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+
+    if (!match || !tokensMatch(match[1].trim(), authToken)) {
+        logger.warn('Rejected metrics scrape', { ip: req.ip });
+        res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+        return res.status(401).json({
+            error: 'UNAUTHORIZED',
+            message: 'A valid bearer token is required to read metrics'
+        });
+    }
+
+    next();
+};
+
+/**
+ * GET /metrics
+ * Returns node, watchdog and RPC metrics in the Prometheus text format
+ */
+router.get('/', requireToken, async (req, res) => {
+    if (!exporter) {
+        return res.status(503).json({
+            error: 'SERVICE_UNAVAILABLE',
+            message: 'Prometheus exporter is not initialized'
+        });
+    }
+
+    try {
+        const body = await exporter.getMetrics();
+        res.set('Content-Type', exporter.contentType);
+        res.send(body);
+    } catch (error) {
+        logger.error('Metrics collection failed', { error: error.message });
+        res.status(500).json({
+            error: 'METRICS_ERROR',
+            message: error.message
+        });
+    }
+});
+
+module.exports = {
+    router,
+    initializePrometheus
+};
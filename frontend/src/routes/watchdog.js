@@ -4,30 +4,40 @@
 
 const express = require('express');
 const { createChildLogger } = require('../utils/logger');
+const { identifyRequester } = require('../middleware/security');
+const { RESOLUTIONS } = require('../services/metricsStore');
 
 const createRouter = express.Router;
 const router = createRouter();
 const logger = createChildLogger({ service: 'watchdog-routes' });
 
 /**
- * Watchdog service instance (will be injected)
+ * Watchdog service and related services (will be injected)
  */
 let watchdogService = null;
+let notifierService = null;
 
 /**
  * Initialize the watchdog service
  * @param {DogecoinWatchdog} watchdog - Watchdog service instance
+ * @param {Object} services - Related services
+ * @param {AlertNotifier} services.notifier - Outbound alert notifier
  */
-const initializeWatchdog = (watchdog) => {
+const initializeWatchdog = (watchdog, services = {}) => {
     watchdogService = watchdog;
+    notifierService = services.notifier || null;
     logger.info('Watchdog service initialized in routes');
 };
 
 /**
  * Middleware to ensure watchdog service is available
+ * Resolves req.watchdog to the node's watchdog under /api/nodes/:nodeId/watchdog,
+ * otherwise to the primary watchdog.
  */
 const requireWatchdog = (req, res, next) => {
-    if (!watchdogService) {
+    req.watchdog = req.node ? req.node.watchdog : watchdogService;
+
+    if (!req.watchdog) {
         return res.status(503).json({
             error: 'SERVICE_UNAVAILABLE',
             message: 'Watchdog service is not initialized'
@@ -55,7 +65,7 @@ const handleWatchdogError = (res, error, operation) => {
  */
 router.get('/status', requireWatchdog, (req, res) => {
     try {
-        const status = watchdogService.getStatus();
+        const status = req.watchdog.getStatus();
 
         res.json({
             status: 'success',
@@ -67,13 +77,26 @@ router.get('/status', requireWatchdog, (req, res) => {
     }
 });
 
+/**
+ * Parses a time-range query value given as epoch milliseconds or an ISO date
+ * @param {string} value - Raw query value
+ * @returns {number|null} Epoch ms, null if absent, NaN if invalid
+ */
+const parseTimeParam = (value) => {
+    if (typeof value === 'undefined' || value === '') {
+        return null;
+    }
+
+    return /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+};
+
 /**
  * GET /api/watchdog/metrics
  * Returns comprehensive watchdog metrics
  */
 router.get('/metrics', requireWatchdog, (req, res) => {
     try {
-        const metrics = watchdogService.getMetrics();
+        const metrics = req.watchdog.getMetrics();
 
         res.json({
             status: 'success',
@@ -85,34 +108,116 @@ router.get('/metrics', requireWatchdog, (req, res) => {
     }
 });
 
+/**
+ * GET /api/watchdog/metrics/history
+ * Returns a metric series from the time-series store
+ * Query: series (required), from, to (epoch ms or ISO 8601), resolution (raw, 5m, 1h, auto)
+ */
+router.get('/metrics/history', requireWatchdog, (req, res) => {
+    try {
+        const { series, resolution = 'auto' } = req.query;
+        const from = parseTimeParam(req.query.from);
+        const to = parseTimeParam(req.query.to);
+
+        if (!req.watchdog.metricsStore) {
+            return res.status(503).json({
+                error: 'SERVICE_UNAVAILABLE',
+                message: 'Metric history is not enabled'
+            });
+        }
+
+        const availableSeries = req.watchdog.metricsStore.listSeries();
+        if (!series || !availableSeries.includes(series)) {
+            return res.status(400).json({
+                error: 'INVALID_PARAMETER',
+                message: 'series must name a recorded metric series',
+                availableSeries
+            });
+        }
+
+        if (resolution !== 'auto' && !RESOLUTIONS.includes(resolution)) {
+            return res.status(400).json({
+                error: 'INVALID_PARAMETER',
+                message: `resolution must be one of: auto, ${RESOLUTIONS.join(', ')}`
+            });
+        }
+
+        if (Number.isNaN(from) || Number.isNaN(to) || (from !== null && to !== null && from > to)) {
+            return res.status(400).json({
+                error: 'INVALID_PARAMETER',
+                message: 'from and to must be epoch milliseconds or ISO 8601 dates, with from before to'
+            });
+        }
+
+        const history = req.watchdog.getMetricHistory(series, { from, to, resolution });
+
+        res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            data: history
+        });
+    } catch (error) {
+        handleWatchdogError(res, error, 'Metric history retrieval');
+    }
+});
+
 /**
  * GET /api/watchdog/alerts
- * Returns security alerts with optional filtering
+ * Returns security alerts from the alert history with paging, time-range and field filtering
  */
 router.get('/alerts', requireWatchdog, (req, res) => {
     try {
-        const { limit = 50, severity, acknowledged } = req.query;
+        const { severity, type, acknowledged, status } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 1000);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        const from = parseTimeParam(req.query.from);
+        const to = parseTimeParam(req.query.to);
 
-        let alerts = watchdogService.getRecentAlerts(parseInt(limit, 10));
+        if (Number.isNaN(from) || Number.isNaN(to)) {
+            return res.status(400).json({
+                error: 'INVALID_PARAMETER',
+                message: 'from and to must be epoch milliseconds or ISO 8601 dates'
+            });
+        }
+
+        const filters = { limit, offset, from, to, type };
 
         // Filter by severity if specified
         if (severity) {
             const validSeverities = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
             if (validSeverities.includes(severity.toUpperCase())) {
-                alerts = alerts.filter(alert => alert.severity === severity.toUpperCase());
+                filters.severity = severity.toUpperCase();
             }
         }
 
         // Filter by acknowledged status if specified
         if (typeof acknowledged !== 'undefined') {
-            const isAcknowledged = acknowledged === 'true';
-            alerts = alerts.filter(alert => alert.acknowledged === isAcknowledged);
+            filters.acknowledged = acknowledged === 'true';
         }
 
+        // Filter by lifecycle status if specified
+        if (status) {
+            if (!['open', 'resolved'].includes(status)) {
+                return res.status(400).json({
+                    error: 'INVALID_PARAMETER',
+                    message: 'status must be open or resolved'
+                });
+            }
+            filters.status = status;
+        }
+
+        const { total, alerts } = req.watchdog.queryAlerts(filters);
+
         res.json({
             status: 'success',
             timestamp: new Date().toISOString(),
-            filters: { limit: parseInt(limit, 10), severity, acknowledged },
+            filters: { limit, offset, severity, type, acknowledged, status, from: req.query.from, to: req.query.to },
+            pagination: {
+                total,
+                limit,
+                offset,
+                hasMore: offset + alerts.length < total
+            },
             data: {
                 count: alerts.length,
                 alerts
@@ -138,7 +243,7 @@ router.post('/alerts/:alertId/acknowledge', requireWatchdog, (req, res) => {
             });
         }
 
-        const acknowledged = watchdogService.acknowledgeAlert(alertId);
+        const acknowledged = req.watchdog.acknowledgeAlert(alertId);
 
         if (acknowledged) {
             res.json({
@@ -165,14 +270,14 @@ router.post('/alerts/:alertId/acknowledge', requireWatchdog, (req, res) => {
  */
 router.post('/start', requireWatchdog, async(req, res) => {
     try {
-        if (watchdogService.isMonitoring) {
+        if (req.watchdog.isMonitoring) {
             return res.status(409).json({
                 error: 'ALREADY_MONITORING',
                 message: 'Watchdog is already monitoring'
             });
         }
 
-        await watchdogService.startMonitoring();
+        await req.watchdog.startMonitoring();
 
         res.json({
             status: 'success',
@@ -190,14 +295,14 @@ router.post('/start', requireWatchdog, async(req, res) => {
  */
 router.post('/stop', requireWatchdog, (req, res) => {
     try {
-        if (!watchdogService.isMonitoring) {
+        if (!req.watchdog.isMonitoring) {
             return res.status(409).json({
                 error: 'NOT_MONITORING',
                 message: 'Watchdog is not currently monitoring'
             });
         }
 
-        watchdogService.stopMonitoring();
+        req.watchdog.stopMonitoring();
 
         res.json({
             status: 'success',
@@ -215,16 +320,16 @@ router.post('/stop', requireWatchdog, (req, res) => {
  */
 router.post('/recalculate-baselines', requireWatchdog, async(req, res) => {
     try {
-        if (!watchdogService.isMonitoring) {
+        if (!req.watchdog.isMonitoring) {
             return res.status(409).json({
                 error: 'NOT_MONITORING',
                 message: 'Watchdog must be monitoring to recalculate baselines'
             });
         }
 
-        await watchdogService.calculateBaselines();
+        await req.watchdog.calculateBaselines();
 
-        const status = watchdogService.getStatus();
+        const status = req.watchdog.getStatus();
 
         res.json({
             status: 'success',
@@ -239,25 +344,135 @@ router.post('/recalculate-baselines', requireWatchdog, async(req, res) => {
     }
 });
 
+/**
+ * Describes the thresholds and recent changes of a watchdog
+ * @param {DogecoinWatchdog} watchdog - Watchdog
+ * @returns {Object} Configuration response data
+ */
+const describeConfiguration = (watchdog) => {
+    const status = watchdog.getStatus();
+    return {
+        thresholds: status.thresholds,
+        schema: watchdog.thresholdSettings.describe(),
+        baselines: status.baselines,
+        isMonitoring: status.isMonitoring,
+        recentChanges: watchdog.thresholdSettings.getAuditLog(10)
+    };
+};
+
 /**
  * GET /api/watchdog/configuration
  * Returns current watchdog configuration and thresholds
  */
 router.get('/configuration', requireWatchdog, (req, res) => {
     try {
-        const status = watchdogService.getStatus();
+        res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            data: describeConfiguration(req.watchdog)
+        });
+    } catch (error) {
+        handleWatchdogError(res, error, 'Configuration retrieval');
+    }
+});
+
+/**
+ * PUT /api/watchdog/configuration
+ * Changes thresholds at runtime
+ * Body: { thresholds: { [name]: value | null } }
+ * A null value restores the environment default. Changes are all-or-nothing,
+ * saved per node and recorded with the requester (see identifyRequester) in
+ * the audit log.
+ */
+router.put('/configuration', requireWatchdog, (req, res) => {
+    try {
+        const changes = req.body?.thresholds;
+        const problems = req.watchdog.thresholdSettings.validateChanges(changes);
+
+        if (problems.length > 0) {
+            return res.status(400).json({
+                error: 'INVALID_PARAMETER',
+                message: problems.join('; ')
+            });
+        }
+
+        // Only a trusted authenticating reverse proxy can name the user
+        const change = req.watchdog.updateThresholds(changes, identifyRequester(req));
+
+        res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            data: { ...describeConfiguration(req.watchdog), change }
+        });
+    } catch (error) {
+        handleWatchdogError(res, error, 'Configuration update');
+    }
+});
+
+/**
+ * GET /api/watchdog/configuration/audit
+ * Returns the threshold change log, newest first
+ */
+router.get('/configuration/audit', requireWatchdog, (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        const changes = req.watchdog.thresholdSettings.getAuditLog(limit);
 
         res.json({
             status: 'success',
             timestamp: new Date().toISOString(),
             data: {
-                thresholds: status.thresholds,
-                baselines: status.baselines,
-                isMonitoring: status.isMonitoring
+                count: changes.length,
+                changes
             }
         });
     } catch (error) {
-        handleWatchdogError(res, error, 'Configuration retrieval');
+        handleWatchdogError(res, error, 'Configuration audit retrieval');
+    }
+});
+
+/**
+ * GET /api/watchdog/detectors
+ * Lists the detectors with their schedule, parameters and last run
+ */
+router.get('/detectors', requireWatchdog, (req, res) => {
+    try {
+        res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            data: req.watchdog.getDetectors()
+        });
+    } catch (error) {
+        handleWatchdogError(res, error, 'Detector listing');
+    }
+});
+
+/**
+ * PUT /api/watchdog/detectors
+ * Enables, disables or re-parameterizes detectors
+ * Body: { detectors: { [id]: { enabled, parameters: { name: value | null } } } }
+ * A null parameter value restores the default. Changes are all-or-nothing and
+ * logged with the requester.
+ */
+router.put('/detectors', requireWatchdog, (req, res) => {
+    try {
+        const changes = req.body?.detectors;
+        const problems = req.watchdog.detectors.validateChanges(changes);
+
+        if (problems.length > 0) {
+            return res.status(400).json({
+                error: 'INVALID_PARAMETER',
+                message: problems.join('; ')
+            });
+        }
+
+        res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            data: req.watchdog.configureDetectors(changes, identifyRequester(req))
+        });
+    } catch (error) {
+        handleWatchdogError(res, error, 'Detector configuration');
     }
 });
 
@@ -267,15 +482,15 @@ router.get('/configuration', requireWatchdog, (req, res) => {
  */
 router.get('/health', requireWatchdog, (req, res) => {
     try {
-        const status = watchdogService.getStatus();
-        const isHealthy = watchdogService.isMonitoring && status.status !== 'OFFLINE';
+        const status = req.watchdog.getStatus();
+        const isHealthy = req.watchdog.isMonitoring && status.status !== 'OFFLINE';
 
         res.json({
             status: 'success',
             timestamp: new Date().toISOString(),
             data: {
                 healthy: isHealthy,
-                monitoring: watchdogService.isMonitoring,
+                monitoring: req.watchdog.isMonitoring,
                 overallStatus: status.status,
                 lastUpdate: status.lastUpdate
             }
@@ -291,7 +506,7 @@ router.get('/health', requireWatchdog, (req, res) => {
  */
 router.get('/alerts/summary', requireWatchdog, (req, res) => {
     try {
-        const allAlerts = watchdogService.getRecentAlerts(1000);
+        const allAlerts = req.watchdog.getRecentAlerts(1000);
 
         const summary = {
             total: allAlerts.length,
@@ -303,7 +518,9 @@ router.get('/alerts/summary', requireWatchdog, (req, res) => {
             },
             byStatus: {
                 acknowledged: allAlerts.filter(a => a.acknowledged).length,
-                unacknowledged: allAlerts.filter(a => !a.acknowledged).length
+                unacknowledged: allAlerts.filter(a => !a.acknowledged).length,
+                open: allAlerts.filter(a => a.status === 'open').length,
+                resolved: allAlerts.filter(a => a.status === 'resolved').length
             },
             byType: {}
         };
@@ -323,6 +540,55 @@ router.get('/alerts/summary', requireWatchdog, (req, res) => {
     }
 });
 
+/**
+ * GET /api/watchdog/notifications
+ * Returns configured notification channels and the alert delivery log
+ */
+router.get('/notifications', requireWatchdog, (req, res) => {
+    try {
+        if (!notifierService) {
+            return res.status(503).json({
+                error: 'SERVICE_UNAVAILABLE',
+                message: 'Alert notifications are not configured'
+            });
+        }
+
+        const { channel, status, alertId } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const validStatuses = ['pending', 'delivered', 'failed'];
+        if (status && !validStatuses.includes(status)) {
+            return res.status(400).json({
+                error: 'INVALID_PARAMETER',
+                message: `status must be one of: ${validStatuses.join(', ')}`
+            });
+        }
+
+        const nodeId = req.node ? req.node.id : null;
+        const { total, deliveries } = notifierService.getDeliveries({ channel, status, alertId, nodeId, limit, offset });
+
+        res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            filters: { limit, offset, channel, status, alertId },
+            pagination: {
+                total,
+                limit,
+                offset,
+                hasMore: offset + deliveries.length < total
+            },
+            data: {
+                channels: notifierService.getChannels(),
+                count: deliveries.length,
+                deliveries
+            }
+        });
+    } catch (error) {
+        handleWatchdogError(res, error, 'Notification log retrieval');
+    }
+});
+
 module.exports = {
     router,
     initializeWatchdog
@@ -0,0 +1,502 @@
+/**
+ * Address Index
+ * Local index of balances, unspent outputs and transaction history per
+ * address, built incrementally by walking raw blocks from the node
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { createChildLogger } = require('../utils/logger');
+const { classifyScript } = require('../utils/address');
+const { parseBlock, toDoge } = require('../utils/rawBlock');
+
+/**
+ * Previous-block hash of the genesis block
+ */
+const NULL_HASH = '0'.repeat(64);
+
+/**
+ * Emits 'synced' with the index status after every sync that indexed blocks.
+ * Only outputs paying a single address (P2PKH, P2SH, P2PK) are attributed;
+ * outputs created before the first indexed height are unknown to the index, so
+ * spends of them do not show up as sent amounts.
+ *
+ * The whole index is held in memory and grows with every address, transaction
+ * and unspent output since the first indexed height; a later start height
+ * keeps it smaller. Snapshots are written at most every flushInterval and
+ * when the index stops.
+ */
+class AddressIndex extends EventEmitter {
+    /**
+     * @param {Object} options - Index options
+     * @param {DogecoinRPCService} options.rpc - RPC service of the indexed node
+     * @param {string} options.filePath - Snapshot file; omit for an in-memory index
+     * @param {number} options.startHeight - First height to index (defaults to the tip at first start)
+     * @param {number} options.batchSize - Blocks fetched per batch request
+     * @param {number} options.interval - Sync interval in milliseconds
+     * @param {number} options.undoDepth - Blocks that can be rolled back on a reorg
+     * @param {number} options.flushInterval - Least time in milliseconds between snapshots
+     */
+    constructor(options = {}) {
+        super();
+        this.logger = createChildLogger({ service: 'address-index' });
+        this.rpc = options.rpc;
+        this.filePath = options.filePath || null;
+        this.startHeight = options.startHeight ?? null;
+        this.batchSize = options.batchSize || 20;
+        this.interval = options.interval || 15000;
+        this.undoDepth = options.undoDepth || 100;
+        this.flushInterval = options.flushInterval ?? 300000;
+
+        this.timer = null;
+        this.flushedAt = 0;
+        this.syncing = null;
+        this.lastSync = null;
+        this.lastError = null;
+        this.reset();
+    }
+
+    /**
+     * Drops all indexed data
+     */
+    reset() {
+        this.network = null;
+        this.fromHeight = null;
+        this.height = null;
+        this.blockHash = null;
+        this.addresses = new Map(); // address -> { received, sent, txs, utxos }
+        this.outputs = new Map(); // "txid:vout" -> unspent output paying an address
+        this.undo = []; // per-block changes of the most recent blocks, oldest first
+        this.dirty = false;
+    }
+
+    /**
+     * Starts periodic syncing (call sync() to index a new block right away)
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.sync();
+        this.timer = setInterval(() => this.sync(), this.interval);
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Stops periodic syncing and writes a final snapshot
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.flush();
+    }
+
+    /**
+     * Indexes blocks up to the node's tip (concurrent calls share one run)
+     * @returns {Promise<Object>} Index status
+     */
+    sync() {
+        if (!this.syncing) {
+            this.syncing = this.runSync()
+                .then(() => {
+                    this.lastError = null;
+                    if (Date.now() - this.flushedAt >= this.flushInterval) {
+                        this.flush();
+                    }
+                }, (error) => {
+                    this.lastError = error.message;
+                    this.logger.error('Address index sync failed', { height: this.height, error: error.message });
+                })
+                .then(() => {
+                    this.syncing = null;
+                    return this.getStatus();
+                });
+        }
+        return this.syncing;
+    }
+
+    /**
+     * Walks the blocks between the indexed height and the tip
+     * @returns {Promise<void>}
+     */
+    async runSync() {
+        if (!this.network) {
+            this.network = (await this.rpc.call('getblockchaininfo')).chain;
+        }
+
+        const tip = await this.rpc.call('getblockcount');
+        const startedAt = this.height;
+
+        // A rollback past the undo history resets the height to null
+        while (this.height === null || this.height < tip) {
+            if (this.height === null) {
+                await this.initialize(tip);
+            } else {
+                await this.indexBatch(tip);
+            }
+        }
+
+        this.lastSync = new Date().toISOString();
+        if (this.height !== startedAt) {
+            this.dirty = true;
+            this.emit('synced', this.getStatus());
+        }
+    }
+
+    /**
+     * Positions an empty index just below its first height
+     * @param {number} tip - Current best height
+     * @returns {Promise<void>}
+     */
+    async initialize(tip) {
+        this.fromHeight = Math.min(this.startHeight ?? tip, tip);
+        this.height = this.fromHeight - 1;
+        this.blockHash = this.fromHeight > 0 ? await this.rpc.call('getblockhash', [this.height]) : NULL_HASH;
+        this.logger.info('Address index started', { fromHeight: this.fromHeight, network: this.network });
+    }
+
+    /**
+     * Fetches and applies the next batch of blocks, rolling back on a reorg
+     * @param {number} tip - Height to index up to
+     * @returns {Promise<void>}
+     */
+    async indexBatch(tip) {
+        const heights = [];
+        for (let height = this.height + 1; height <= tip && heights.length < this.batchSize; height++) {
+            heights.push(height);
+        }
+
+        const hashes = await this.rpc.callBatch(heights.map(height => ({ method: 'getblockhash', params: [height] })));
+        const failedHash = hashes.find(outcome => outcome.status === 'rejected');
+        if (failedHash) {
+            throw failedHash.reason;
+        }
+
+        // Raw blocks bypass the response cache; they are only needed once
+        const blocks = await this.rpc.requestBatch(hashes.map(({ value }) => ({ method: 'getblock', params: [value, false] })));
+
+        for (const [i, outcome] of blocks.entries()) {
+            if (outcome.status === 'rejected') {
+                throw outcome.reason;
+            }
+
+            const block = parseBlock(outcome.value);
+            if (block.previousblockhash !== this.blockHash) {
+                this.rollback();
+                return;
+            }
+            this.applyBlock(block, heights[i]);
+        }
+    }
+
+    /**
+     * Gets or creates the entry of an address
+     * @param {string} address - Address
+     * @returns {Object} Address entry
+     */
+    getOrCreateEntry(address) {
+        let entry = this.addresses.get(address);
+        if (!entry) {
+            entry = { received: 0n, sent: 0n, txs: [], utxos: new Set() };
+            this.addresses.set(address, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Adds a block's outputs, spends and history entries to the index
+     * @param {Object} block - Decoded block (see parseBlock)
+     * @param {number} height - Block height
+     */
+    applyBlock(block, height) {
+        const undo = { height, hash: block.hash, previousblockhash: block.previousblockhash, created: [], spent: [], history: [] };
+
+        for (const tx of block.tx) {
+            const changes = new Map(); // address -> { received, sent }
+            const change = (address) => {
+                if (!changes.has(address)) {
+                    changes.set(address, { received: 0n, sent: 0n });
+                }
+                return changes.get(address);
+            };
+
+            for (const input of tx.vin) {
+                // Coinbase inputs have no previous output
+                const key = `${input.txid}:${input.vout}`;
+                const output = input.txid ? this.outputs.get(key) : null;
+                if (!output) {
+                    continue;
+                }
+
+                this.outputs.delete(key);
+                this.addresses.get(output.address).utxos.delete(key);
+                change(output.address).sent += output.value;
+                undo.spent.push(output);
+            }
+
+            for (const output of tx.vout) {
+                const { addresses } = classifyScript(output.scriptPubKey, this.network);
+                if (addresses.length !== 1) {
+                    continue;
+                }
+
+                const key = `${tx.txid}:${output.n}`;
+                const [address] = addresses;
+                this.outputs.set(key, { txid: tx.txid, vout: output.n, address, value: output.value, height });
+                this.getOrCreateEntry(address).utxos.add(key);
+                change(address).received += output.value;
+                undo.created.push(key);
+            }
+
+            for (const [address, { received, sent }] of changes) {
+                const entry = this.getOrCreateEntry(address);
+                entry.txs.push({ txid: tx.txid, height, time: block.time, received, sent });
+                entry.received += received;
+                entry.sent += sent;
+                undo.history.push(address);
+            }
+        }
+
+        this.undo.push(undo);
+        if (this.undo.length > this.undoDepth) {
+            this.undo.shift();
+        }
+
+        this.height = height;
+        this.blockHash = block.hash;
+    }
+
+    /**
+     * Reverts the most recently indexed block after the node switched chains
+     * Without undo data left (a reorg deeper than undoDepth) the index starts over.
+     */
+    rollback() {
+        const undo = this.undo.pop();
+
+        if (!undo) {
+            this.logger.warn('Reorg deeper than the undo history, rebuilding address index', { height: this.height });
+            const { network, fromHeight } = this;
+            this.reset();
+            this.network = network;
+            this.startHeight = fromHeight;
+            return;
+        }
+
+        this.logger.info('Rolling back block after reorg', { height: undo.height, hash: undo.hash });
+
+        for (const address of [...undo.history].reverse()) {
+            const entry = this.addresses.get(address);
+            const record = entry.txs.pop();
+            entry.received -= record.received;
+            entry.sent -= record.sent;
+        }
+
+        // Restore spends first: outputs created and spent in the same block are in both lists
+        for (const output of undo.spent) {
+            const key = `${output.txid}:${output.vout}`;
+            this.outputs.set(key, output);
+            this.addresses.get(output.address).utxos.add(key);
+        }
+
+        for (const key of undo.created) {
+            const output = this.outputs.get(key);
+            this.outputs.delete(key);
+            this.addresses.get(output.address).utxos.delete(key);
+        }
+
+        for (const address of new Set(undo.history)) {
+            const entry = this.addresses.get(address);
+            if (entry.txs.length === 0 && entry.utxos.size === 0) {
+                this.addresses.delete(address);
+            }
+        }
+
+        this.height = undo.height - 1;
+        this.blockHash = undo.previousblockhash;
+        this.dirty = true;
+    }
+
+    /**
+     * Looks up an address
+     * @param {string} address - Address
+     * @param {Object} options - Paging of the transaction history (newest first)
+     * @param {number} options.limit - Maximum number of transactions
+     * @param {number} options.offset - Number of transactions to skip
+     * @returns {Object} Balance, unspent outputs and transaction history
+     */
+    getAddress(address, options = {}) {
+        const limit = options.limit || 25;
+        const offset = options.offset || 0;
+        const entry = this.addresses.get(address) || { received: 0n, sent: 0n, txs: [], utxos: new Set() };
+        const confirmations = (height) => this.height - height + 1;
+
+        const utxos = [...entry.utxos]
+            .map(key => this.outputs.get(key))
+            .sort((a, b) => b.height - a.height)
+            .map(output => ({
+                txid: output.txid,
+                vout: output.vout,
+                value: toDoge(output.value),
+                height: output.height,
+                confirmations: confirmations(output.height)
+            }));
+
+        const transactions = entry.txs.slice().reverse().slice(offset, offset + limit).map(record => ({
+            txid: record.txid,
+            height: record.height,
+            time: record.time,
+            confirmations: confirmations(record.height),
+            received: toDoge(record.received),
+            sent: toDoge(record.sent),
+            delta: toDoge(record.received - record.sent)
+        }));
+
+        return {
+            address,
+            balance: toDoge(entry.received - entry.sent),
+            received: toDoge(entry.received),
+            sent: toDoge(entry.sent),
+            txCount: entry.txs.length,
+            unspentCount: utxos.length,
+            utxos,
+            transactions,
+            pagination: {
+                total: entry.txs.length,
+                limit,
+                offset,
+                hasMore: offset + transactions.length < entry.txs.length
+            }
+        };
+    }
+
+    /**
+     * Gets indexing progress
+     * @returns {Object} Index status
+     */
+    getStatus() {
+        return {
+            network: this.network,
+            fromHeight: this.fromHeight,
+            height: this.height,
+            bestBlockHash: this.blockHash,
+            // History is complete only when indexing started at genesis
+            complete: this.fromHeight === 0,
+            addresses: this.addresses.size,
+            unspentOutputs: this.outputs.size,
+            syncing: this.syncing !== null,
+            lastSync: this.lastSync,
+            lastError: this.lastError
+        };
+    }
+
+    /**
+     * Loads the snapshot file if one exists
+     * @returns {boolean} True if a snapshot was loaded
+     */
+    load() {
+        if (!this.filePath) {
+            return false;
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+            if (!fs.existsSync(this.filePath)) {
+                return false;
+            }
+
+            const snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            const toOutput = ([txid, vout, address, value, height]) => ({ txid, vout, address, value: BigInt(value), height });
+
+            this.network = snapshot.network;
+            this.fromHeight = snapshot.fromHeight;
+            this.height = snapshot.height;
+            this.blockHash = snapshot.blockHash;
+
+            for (const [address, txs] of Object.entries(snapshot.addresses)) {
+                const entry = this.getOrCreateEntry(address);
+                for (const [txid, height, time, received, sent] of txs) {
+                    const record = { txid, height, time, received: BigInt(received), sent: BigInt(sent) };
+                    entry.txs.push(record);
+                    entry.received += record.received;
+                    entry.sent += record.sent;
+                }
+            }
+
+            for (const row of snapshot.outputs) {
+                const output = toOutput(row);
+                const key = `${output.txid}:${output.vout}`;
+                this.outputs.set(key, output);
+                this.getOrCreateEntry(output.address).utxos.add(key);
+            }
+
+            this.undo = snapshot.undo.map(undo => ({ ...undo, spent: undo.spent.map(toOutput) }));
+
+            this.logger.info('Address index loaded', {
+                filePath: this.filePath,
+                height: this.height,
+                addresses: this.addresses.size
+            });
+            return true;
+        } catch (error) {
+            this.logger.error('Failed to load address index, rebuilding', {
+                filePath: this.filePath,
+                error: error.message
+            });
+            this.reset();
+            return false;
+        }
+    }
+
+    /**
+     * Writes a snapshot of the index to disk if anything changed
+     */
+    flush() {
+        if (!this.filePath || !this.dirty) {
+            return;
+        }
+
+        const fromOutput = output => [output.txid, output.vout, output.address, output.value.toString(), output.height];
+        const addresses = {};
+        for (const [address, entry] of this.addresses) {
+            addresses[address] = entry.txs.map(record => [
+                record.txid, record.height, record.time, record.received.toString(), record.sent.toString()
+            ]);
+        }
+
+        const tmpPath = `${this.filePath}.tmp`;
+        const snapshot = {
+            version: 1,
+            savedAt: new Date().toISOString(),
+            network: this.network,
+            fromHeight: this.fromHeight,
+            height: this.height,
+            blockHash: this.blockHash,
+            addresses,
+            outputs: [...this.outputs.values()].map(fromOutput),
+            undo: this.undo.map(undo => ({ ...undo, spent: undo.spent.map(fromOutput) }))
+        };
+
+        try {
+            fs.writeFileSync(tmpPath, JSON.stringify(snapshot));
+            fs.renameSync(tmpPath, this.filePath);
+            this.dirty = false;
+            this.flushedAt = Date.now();
+        } catch (error) {
+            this.logger.error('Failed to save address index', {
+                filePath: this.filePath,
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = {
+    AddressIndex
+};
@@ -0,0 +1,334 @@
+/**
+ * Alert Store
+ * Persists watchdog alerts so security history survives restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createChildLogger } = require('../utils/logger');
+
+/**
+ * In-memory alert store
+ * Used as the default store and as the base for file-backed stores
+ */
+class MemoryAlertStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {number} options.maxAlerts - Maximum number of alerts retained
+     */
+    constructor(options = {}) {
+        this.logger = createChildLogger({ service: 'alert-store' });
+        this.maxAlerts = options.maxAlerts || 10000;
+        this.alerts = new Map(); // id -> alert, oldest first
+    }
+
+    /**
+     * Loads persisted alerts (no-op for the memory store)
+     * @returns {number} Number of alerts loaded
+     */
+    load() {
+        return this.alerts.size;
+    }
+
+    /**
+     * Stores a new alert
+     * @param {Object} alert - Alert to store
+     */
+    append(alert) {
+        this.alerts.set(alert.id, alert);
+        this.persist(alert);
+        this.prune();
+    }
+
+    /**
+     * Records a change to an existing alert (acknowledgement, etc.)
+     * @param {Object} alert - Updated alert
+     * @returns {boolean} True if the alert exists in the store
+     */
+    update(alert) {
+        if (!this.alerts.has(alert.id)) {
+            return false;
+        }
+
+        this.alerts.set(alert.id, alert);
+        this.persist(alert);
+        return true;
+    }
+
+    /**
+     * Gets a single alert by ID
+     * @param {string} alertId - Alert ID
+     * @returns {Object|null} Alert or null if not found
+     */
+    get(alertId) {
+        return this.alerts.get(alertId) || null;
+    }
+
+    /**
+     * Gets the most recent alerts, newest first
+     * @param {number} limit - Maximum number of alerts to return
+     * @returns {Array} Recent alerts
+     */
+    getRecent(limit = 50) {
+        return this.query({ limit }).alerts;
+    }
+
+    /**
+     * Queries stored alerts, newest first
+     * @param {Object} filters - Query filters
+     * @param {number} filters.from - Earliest alert time (epoch ms, inclusive)
+     * @param {number} filters.to - Latest alert time (epoch ms, inclusive)
+     * @param {string} filters.severity - Severity to match
+     * @param {string} filters.type - Alert type to match
+     * @param {boolean} filters.acknowledged - Acknowledgement state to match
+     * @param {string} filters.status - Lifecycle status to match (open, resolved)
+     * @param {number} filters.limit - Page size
+     * @param {number} filters.offset - Number of matching alerts to skip
+     * @returns {Object} Matching page of alerts and total match count
+     */
+    query(filters = {}) {
+        const { from, to, severity, type, acknowledged, status, limit = 50, offset = 0 } = filters;
+
+        const matches = [];
+        for (const alert of this.alerts.values()) {
+            const time = Date.parse(alert.timestamp);
+
+            if (typeof from === 'number' && time < from) {
+                continue;
+            }
+            if (typeof to === 'number' && time > to) {
+                continue;
+            }
+            if (severity && alert.severity !== severity) {
+                continue;
+            }
+            if (type && alert.type !== type) {
+                continue;
+            }
+            if (typeof acknowledged === 'boolean' && alert.acknowledged !== acknowledged) {
+                continue;
+            }
+            if (status && alert.status !== status) {
+                continue;
+            }
+
+            matches.push(alert);
+        }
+
+        matches.reverse();
+
+        return {
+            total: matches.length,
+            alerts: matches.slice(offset, offset + limit)
+        };
+    }
+
+    /**
+     * Gets the number of stored alerts
+     * @returns {number} Alert count
+     */
+    count() {
+        return this.alerts.size;
+    }
+
+    /**
+     * Drops the oldest alerts once the retention limit is exceeded
+     */
+    prune() {
+        while (this.alerts.size > this.maxAlerts) {
+            const oldestId = this.alerts.keys().next().value;
+            this.alerts.delete(oldestId);
+        }
+    }
+
+    /**
+     * Persists an alert record (no-op for the memory store)
+     */
+    persist() {}
+}
+
+/**
+ * Append-only JSONL alert store
+ * Every create or update appends the full alert as one line; the newest line
+ * for an ID wins on load. The file is compacted when stale lines pile up.
+ */
+class JsonlAlertStore extends MemoryAlertStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} options.filePath - Path of the JSONL file
+     * @param {number} options.maxAlerts - Maximum number of alerts retained
+     */
+    constructor(options = {}) {
+        super(options);
+
+        if (!options.filePath) {
+            throw new Error('JsonlAlertStore requires a filePath');
+        }
+
+        this.filePath = options.filePath;
+        this.lineCount = 0;
+    }
+
+    /**
+     * Loads alerts from disk, keeping the latest record for each alert
+     * @returns {number} Number of alerts loaded
+     */
+    load() {
+        this.alerts.clear();
+        this.lineCount = 0;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+            if (!fs.existsSync(this.filePath)) {
+                return 0;
+            }
+
+            const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+            let corruptLines = 0;
+
+            for (const line of lines) {
+                if (!line.trim()) {
+                    continue;
+                }
+
+                this.lineCount++;
+
+                try {
+                    const alert = JSON.parse(line);
+                    if (!alert?.id) {
+                        corruptLines++;
+                        continue;
+                    }
+
+                    // Re-insert so the map stays ordered by creation
+                    const existing = this.alerts.get(alert.id);
+                    if (existing) {
+                        Object.assign(existing, alert);
+                    } else {
+                        this.alerts.set(alert.id, alert);
+                    }
+                } catch {
+                    corruptLines++;
+                }
+            }
+
+            if (corruptLines > 0) {
+                this.logger.warn('Skipped unreadable alert records', {
+                    filePath: this.filePath,
+                    corruptLines
+                });
+            }
+
+            super.prune();
+
+            if (corruptLines > 0 || this.lineCount > this.alerts.size) {
+                this.compact();
+            }
+
+            this.logger.info('Alert history loaded', {
+                filePath: this.filePath,
+                alerts: this.alerts.size
+            });
+        } catch (error) {
+            this.logger.error('Failed to load alert history', {
+                filePath: this.filePath,
+                error: error.message
+            });
+        }
+
+        return this.alerts.size;
+    }
+
+    /**
+     * Appends an alert record to the file
+     * @param {Object} alert - Alert to persist
+     */
+    persist(alert) {
+        try {
+            fs.appendFileSync(this.filePath, `${JSON.stringify(alert)}\n`);
+            this.lineCount++;
+        } catch (error) {
+            this.logger.error('Failed to persist alert', {
+                filePath: this.filePath,
+                alertId: alert.id,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Drops old alerts and compacts the file when it holds mostly stale lines
+     */
+    prune() {
+        super.prune();
+
+        if (this.lineCount > this.alerts.size * 2 && this.lineCount > 100) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Rewrites the file with one line per retained alert
+     */
+    compact() {
+        const tmpPath = `${this.filePath}.tmp`;
+
+        try {
+            const lines = [...this.alerts.values()].map(alert => JSON.stringify(alert));
+            fs.writeFileSync(tmpPath, lines.length ? `${lines.join('\n')}\n` : '');
+            fs.renameSync(tmpPath, this.filePath);
+            this.lineCount = lines.length;
+
+            this.logger.debug('Alert history compacted', {
+                filePath: this.filePath,
+                alerts: lines.length
+            });
+        } catch (error) {
+            this.logger.error('Failed to compact alert history', {
+                filePath: this.filePath,
+                error: error.message
+            });
+        }
+    }
+}
+
+/**
+ * Available alert store implementations
+ */
+const ALERT_STORE_TYPES = {
+    memory: MemoryAlertStore,
+    jsonl: JsonlAlertStore
+};
+
+/**
+ * Creates and loads an alert store from configuration
+ * @param {Object} options - Store configuration
+ * @param {string} options.type - Store type (memory, jsonl)
+ * @param {string} options.dataDir - Directory for file-backed stores
+ * @param {number} options.maxAlerts - Maximum number of alerts retained
+ * @returns {MemoryAlertStore} Loaded alert store
+ */
+const createAlertStore = (options = {}) => {
+    const type = options.type || 'jsonl';
+    const StoreClass = ALERT_STORE_TYPES[type];
+
+    if (!StoreClass) {
+        throw new Error(`Unknown alert store type: ${type}`);
+    }
+
+    const store = new StoreClass({
+        maxAlerts: options.maxAlerts,
+        filePath: options.filePath || (options.dataDir ? path.join(options.dataDir, 'alerts.jsonl') : null)
+    });
+    store.load();
+
+    return store;
+};
+
+module.exports = {
+    MemoryAlertStore,
+    JsonlAlertStore,
+    ALERT_STORE_TYPES,
+    createAlertStore
+};
@@ -0,0 +1,324 @@
+/**
+ * Anomaly Engine
+ * Statistical models that learn the normal range of a metric from the values
+ * fed to them and score new values against it:
+ * - ewma: exponentially weighted mean and variance with z-score bands
+ * - mad: median and median absolute deviation over a sliding window, robust to outliers
+ * - seasonal: one EWMA per time-of-day bucket, for metrics with a daily rhythm
+ *
+ * Every model answers observe(value, options) with an assessment:
+ * { model, value, expected, lower, upper, score, anomalous, direction, samples, ready }
+ * scored against what the model knew before the value, which it then learns.
+ */
+
+/**
+ * Available model types
+ */
+const ANOMALY_MODELS = ['ewma', 'mad', 'seasonal'];
+
+/**
+ * Scales the MAD to estimate the standard deviation of normally distributed data
+ */
+const MAD_SCALE = 1.4826;
+
+/**
+ * Default smallest spread, relative to the expected value, so a metric that
+ * has been flat does not turn every change into an infinite score
+ */
+const MIN_RELATIVE_SPREAD = 0.01;
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values (not modified)
+ * @returns {number} Median, or NaN for an empty list
+ */
+const median = (values) => {
+    if (values.length === 0) {
+        return NaN;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Scores a value against an expected value and spread
+ * @param {string} model - Model type
+ * @param {number} value - Observed value
+ * @param {number} expected - Expected value
+ * @param {number} spread - Standard deviation estimate
+ * @param {number} samples - Values seen before this one
+ * @param {Object} options - Scoring options ({ threshold, minSamples, minRelativeSpread })
+ * @returns {Object} Assessment
+ */
+const assess = (model, value, expected, spread, samples, options) => {
+    const { threshold = 3, minSamples = 20, minRelativeSpread = MIN_RELATIVE_SPREAD } = options;
+    const ready = samples >= minSamples && Number.isFinite(expected);
+
+    if (!ready) {
+        return { model, value, expected: Number.isFinite(expected) ? expected : null, lower: null, upper: null, score: null, anomalous: false, direction: null, samples, ready };
+    }
+
+    const width = Math.max(spread, Math.abs(expected) * minRelativeSpread, Number.EPSILON);
+    const score = (value - expected) / width;
+    const anomalous = Math.abs(score) > threshold;
+    let direction = null;
+    if (anomalous) {
+        direction = score > 0 ? 'high' : 'low';
+    }
+
+    return {
+        model,
+        value,
+        expected,
+        lower: expected - threshold * width,
+        upper: expected + threshold * width,
+        score,
+        anomalous,
+        direction,
+        samples,
+        ready
+    };
+};
+
+/**
+ * Exponentially weighted moving average with a matching variance
+ * Older values fade geometrically, so the model follows slow drifts while
+ * sudden jumps stand out as high z-scores.
+ */
+class EwmaModel {
+    /**
+     * @param {Object} options - Model options
+     * @param {number} options.alpha - Weight of each new value (0-1)
+     */
+    constructor(options = {}) {
+        this.alpha = options.alpha || 0.05;
+        this.mean = NaN;
+        this.variance = 0;
+        this.samples = 0;
+    }
+
+    /**
+     * Scores a value, then learns it
+     * @param {number} value - Observed value
+     * @param {Object} options - Scoring options ({ threshold, minSamples, minRelativeSpread })
+     * @returns {Object} Assessment
+     */
+    observe(value, options = {}) {
+        const assessment = assess('ewma', value, this.mean, Math.sqrt(this.variance), this.samples, options);
+        this.learn(value);
+        return assessment;
+    }
+
+    /**
+     * Updates mean and variance with a value
+     * @param {number} value - Observed value
+     */
+    learn(value) {
+        if (this.samples === 0) {
+            this.mean = value;
+        } else {
+            const diff = value - this.mean;
+            const increment = this.alpha * diff;
+            this.mean += increment;
+            this.variance = (1 - this.alpha) * (this.variance + diff * increment);
+        }
+        this.samples++;
+    }
+}
+
+/**
+ * Median and median absolute deviation over the latest values
+ * A single extreme value barely moves either, so spikes do not widen the band
+ * that the next spike is measured against.
+ */
+class MedianMadModel {
+    /**
+     * @param {Object} options - Model options
+     * @param {number} options.window - Number of values kept
+     */
+    constructor(options = {}) {
+        this.window = options.window || 120;
+        this.values = [];
+        this.samples = 0;
+    }
+
+    /**
+     * Scores a value, then learns it
+     * @param {number} value - Observed value
+     * @param {Object} options - Scoring options ({ threshold, minSamples, minRelativeSpread })
+     * @returns {Object} Assessment
+     */
+    observe(value, options = {}) {
+        const center = median(this.values);
+        const mad = median(this.values.map(v => Math.abs(v - center)));
+        const assessment = assess('mad', value, center, MAD_SCALE * mad, this.values.length, options);
+
+        this.values.push(value);
+        this.values.splice(0, this.values.length - this.window);
+        this.samples++;
+        return assessment;
+    }
+}
+
+/**
+ * Time-of-day baselines
+ * Keeps one EWMA per bucket of the period (hours of the day by default) and
+ * scores a value against its own bucket, falling back to an EWMA over all
+ * values until the bucket has seen enough of them.
+ */
+class SeasonalModel {
+    /**
+     * @param {Object} options - Model options
+     * @param {number} options.alpha - Weight of each new value within its bucket
+     * @param {number} options.buckets - Buckets per period
+     * @param {number} options.periodMs - Length of the period
+     */
+    constructor(options = {}) {
+        this.alpha = options.alpha || 0.05;
+        this.bucketCount = options.buckets || 24;
+        this.periodMs = options.periodMs || 24 * 60 * 60 * 1000;
+        this.buckets = Array.from({ length: this.bucketCount }, () => new EwmaModel({ alpha: this.alpha }));
+        this.overall = new EwmaModel({ alpha: this.alpha });
+        this.samples = 0;
+    }
+
+    /**
+     * Gets the bucket a timestamp falls into (UTC)
+     * @param {number} timestamp - Epoch milliseconds
+     * @returns {number} Bucket index
+     */
+    bucketOf(timestamp) {
+        const offset = ((timestamp % this.periodMs) + this.periodMs) % this.periodMs;
+        return Math.floor(offset / (this.periodMs / this.bucketCount));
+    }
+
+    /**
+     * Scores a value against its bucket, then learns it
+     * @param {number} value - Observed value
+     * @param {Object} options - Scoring options ({ timestamp, threshold, minSamples, minRelativeSpread })
+     * @returns {Object} Assessment, with the bucket used and whether it was seasonal
+     */
+    observe(value, options = {}) {
+        const bucket = this.bucketOf(options.timestamp ?? Date.now());
+        const model = this.buckets[bucket];
+        const seasonal = model.samples >= (options.minSamples ?? 20);
+
+        const source = seasonal ? model : this.overall;
+        const assessment = assess('seasonal', value, source.mean, Math.sqrt(source.variance), source.samples, options);
+
+        model.learn(value);
+        this.overall.learn(value);
+        this.samples++;
+        return { ...assessment, bucket, seasonal };
+    }
+}
+
+/**
+ * Creates an anomaly model
+ * @param {string} type - One of ANOMALY_MODELS
+ * @param {Object} options - Model options ({ alpha, window, buckets, periodMs })
+ * @returns {EwmaModel|MedianMadModel|SeasonalModel} Model
+ * @throws {Error} If the type is unknown
+ */
+const createAnomalyModel = (type, options = {}) => {
+    switch (type) {
+        case 'ewma':
+            return new EwmaModel(options);
+        case 'mad':
+            return new MedianMadModel(options);
+        case 'seasonal':
+            return new SeasonalModel(options);
+        default:
+            throw new Error(`Unknown anomaly model: ${type} (expected ${ANOMALY_MODELS.join(', ')})`);
+    }
+};
+
+/**
+ * Feeds a value to the model kept in a detector's state
+ * The model is rebuilt (and relearns) when its type or shape parameters
+ * change; threshold and minSamples apply without losing what it learned.
+ * @param {Object} state - Detector state
+ * @param {Object} parameters - Detector parameters (see anomalyParameters)
+ * @param {number} value - Observed value
+ * @param {number} timestamp - Observation time (epoch milliseconds)
+ * @returns {Object} Assessment
+ */
+const observeAnomaly = (state, parameters, value, timestamp = Date.now()) => {
+    const options = { alpha: parameters.alpha, window: parameters.window };
+    const signature = JSON.stringify([parameters.model, options]);
+
+    if (state.modelSignature !== signature) {
+        state.model = createAnomalyModel(parameters.model, options);
+        state.modelSignature = signature;
+    }
+
+    return state.model.observe(value, {
+        timestamp,
+        threshold: parameters.zThreshold,
+        minSamples: parameters.minSamples
+    });
+};
+
+/**
+ * Detector parameter definitions selecting and tuning an anomaly model
+ * @param {Object} defaults - Defaults to override ({ model, zThreshold, minSamples, alpha, window })
+ * @returns {Object} Parameter definitions
+ */
+const anomalyParameters = (defaults = {}) => ({
+    model: {
+        type: 'choice',
+        choices: ANOMALY_MODELS,
+        default: defaults.model || 'ewma',
+        description: 'Baseline model: ewma (z-score bands), mad (median/MAD) or seasonal (time-of-day)'
+    },
+    zThreshold: {
+        type: 'number',
+        min: 1,
+        max: 20,
+        default: defaults.zThreshold || 4,
+        description: 'Standard deviations from the expected value that count as anomalous'
+    },
+    minSamples: {
+        type: 'integer',
+        min: 3,
+        max: 10000,
+        default: defaults.minSamples || 20,
+        description: 'Values the model must see before it judges'
+    },
+    alpha: {
+        type: 'number',
+        min: 0.001,
+        max: 1,
+        default: defaults.alpha || 0.05,
+        description: 'Weight of each new value (ewma and seasonal)'
+    },
+    window: {
+        type: 'integer',
+        min: 10,
+        max: 5000,
+        default: defaults.window || 120,
+        description: 'Values kept (mad)'
+    }
+});
+
+/**
+ * Describes the expected range of an assessment
+ * @param {Object} assessment - Model assessment
+ * @param {Function} format - Formats a value
+ * @returns {string} e.g. "expected 10.0-12.5 (ewma, z=5.1)"
+ */
+const describeRange = (assessment, format = value => value.toFixed(2)) =>
+    `expected ${format(Math.max(assessment.lower, 0))}-${format(assessment.upper)} (${assessment.model}, z=${assessment.score.toFixed(1)})`;
+
+module.exports = {
+    ANOMALY_MODELS,
+    EwmaModel,
+    MedianMadModel,
+    SeasonalModel,
+    createAnomalyModel,
+    observeAnomaly,
+    anomalyParameters,
+    describeRange,
+    median
+};
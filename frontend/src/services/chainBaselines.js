@@ -0,0 +1,139 @@
+/**
+ * Chain Baselines
+ * Derives the watchdog baselines from a window of blocks of the active chain:
+ * block intervals, the difficulty trend, transactions per block and block sizes
+ */
+
+const { median } = require('./anomalyEngine');
+
+/**
+ * Reduces a verbose block to the fields the baselines use
+ * @param {Object} block - Verbose getblock result
+ * @returns {Object} { height, hash, time, difficulty, size, txCount }
+ */
+const summarizeBlock = (block) => ({
+    height: block.height,
+    hash: block.hash,
+    time: block.time,
+    difficulty: block.difficulty,
+    size: block.size,
+    txCount: block.nTx ?? (Array.isArray(block.tx) ? block.tx.length : 0)
+});
+
+/**
+ * Gets a percentile of sorted values, interpolating between neighbours
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} fraction - Percentile as a fraction (0-1)
+ * @returns {number} Percentile value
+ */
+const percentile = (sorted, fraction) => {
+    const position = (sorted.length - 1) * fraction;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Summarizes the distribution of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {Object|null} { mean, min, p25, median, p75, p95, max }, or null for an empty list
+ */
+const describeDistribution = (values) => {
+    if (values.length === 0) {
+        return null;
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+        mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+        min: sorted[0],
+        p25: percentile(sorted, 0.25),
+        median: median(sorted),
+        p75: percentile(sorted, 0.75),
+        p95: percentile(sorted, 0.95),
+        max: sorted[sorted.length - 1]
+    };
+};
+
+/**
+ * Describes how difficulty moved over the window
+ * Dogecoin retargets every block, so the endpoints alone are noisy; the
+ * least-squares slope over all blocks gives the underlying trend.
+ * @param {Array<Object>} blocks - Block summaries, oldest first
+ * @returns {Object} { start, end, min, max, change, slopePerBlock, changePerDay }
+ */
+const describeDifficultyTrend = (blocks) => {
+    const start = blocks[0].difficulty;
+    const end = blocks[blocks.length - 1].difficulty;
+    const meanHeight = blocks.reduce((sum, block) => sum + block.height, 0) / blocks.length;
+    const meanDifficulty = blocks.reduce((sum, block) => sum + block.difficulty, 0) / blocks.length;
+
+    let covariance = 0;
+    let variance = 0;
+    for (const block of blocks) {
+        covariance += (block.height - meanHeight) * (block.difficulty - meanDifficulty);
+        variance += (block.height - meanHeight) ** 2;
+    }
+    const slopePerBlock = variance > 0 ? covariance / variance : 0;
+    const span = blocks[blocks.length - 1].time - blocks[0].time;
+    const blocksPerDay = span > 0 ? (blocks.length - 1) * 86400 / span : 0;
+
+    return {
+        start,
+        end,
+        min: Math.min(...blocks.map(block => block.difficulty)),
+        max: Math.max(...blocks.map(block => block.difficulty)),
+        change: start > 0 ? (end - start) / start : null,
+        slopePerBlock,
+        changePerDay: meanDifficulty > 0 ? slopePerBlock * blocksPerDay / meanDifficulty : null
+    };
+};
+
+/**
+ * Calculates baselines from a window of blocks
+ * @param {Array<Object>} blocks - Block summaries (see summarizeBlock), in any order
+ * @param {Function} calculateHashRate - Converts difficulty to hash rate
+ * @returns {Object} Baseline values and the window they cover
+ * @throws {Error} If fewer than two blocks are given
+ */
+const calculateChainBaselines = (blocks, calculateHashRate) => {
+    if (blocks.length < 2) {
+        throw new Error(`At least 2 blocks are needed for baselines, got ${blocks.length}`);
+    }
+
+    const ordered = [...blocks].sort((a, b) => a.height - b.height);
+    const oldest = ordered[0];
+    const newest = ordered[ordered.length - 1];
+
+    // Timestamps are not strictly increasing, so single intervals can be negative;
+    // the mean over the window is unaffected and the median ignores them
+    const intervals = [];
+    for (let i = 1; i < ordered.length; i++) {
+        intervals.push(ordered[i].time - ordered[i - 1].time);
+    }
+    const avgDifficulty = ordered.reduce((sum, block) => sum + block.difficulty, 0) / ordered.length;
+
+    return {
+        avgHashRate: calculateHashRate(avgDifficulty),
+        avgBlockTime: (newest.time - oldest.time) / (ordered.length - 1),
+        medianBlockTime: median(intervals),
+        avgDifficulty,
+        difficultyTrend: describeDifficultyTrend(ordered),
+        txPerBlock: describeDistribution(ordered.map(block => block.txCount)),
+        blockSize: describeDistribution(ordered.map(block => block.size)),
+        window: {
+            fromHeight: oldest.height,
+            toHeight: newest.height,
+            toHash: newest.hash,
+            blocks: ordered.length,
+            from: new Date(oldest.time * 1000).toISOString(),
+            to: new Date(newest.time * 1000).toISOString()
+        }
+    };
+};
+
+module.exports = {
+    summarizeBlock,
+    describeDistribution,
+    calculateChainBaselines
+};
@@ -0,0 +1,383 @@
+/**
+ * Consensus Monitor
+ * Compares the active chain of every monitored node (and an optional reference
+ * RPC endpoint) to detect nodes that have followed a different fork
+ */
+
+const EventEmitter = require('events');
+const { createChildLogger } = require('../utils/logger');
+
+/**
+ * ID used for the independent reference endpoint
+ */
+const REFERENCE_SOURCE_ID = 'reference';
+
+class ConsensusMonitor extends EventEmitter {
+    /**
+     * @param {Object} options - Monitor options
+     * @param {Array<Object>} options.nodes - Monitored nodes ({ id, rpc, watchdog })
+     * @param {DogecoinRPCService} options.reference - Independent RPC endpoint used as a tiebreaker
+     * @param {number} options.interval - Comparison interval in milliseconds
+     * @param {number} options.splitThreshold - Blocks of disagreement tolerated before CHAIN_SPLIT
+     * @param {number} options.maxDepth - How far back to search for the fork point
+     * @param {number} options.timeout - Per-call RPC timeout in milliseconds
+     */
+    constructor(options = {}) {
+        super();
+        this.logger = createChildLogger({ service: 'consensus' });
+        this.nodes = options.nodes || [];
+        this.reference = options.reference || null;
+        this.interval = options.interval || 60000;
+        this.splitThreshold = options.splitThreshold ?? 2;
+        this.maxDepth = options.maxDepth || 1000;
+        this.timeout = options.timeout || 10000;
+
+        this.timer = null;
+        this.running = false;
+        this.chains = new Map(); // source id -> chain name (main, test, regtest)
+        this.lastCheck = null;
+    }
+
+    /**
+     * Nodes and reference endpoint taking part in the comparison
+     * @returns {Array<Object>} Sources ({ id, rpc, watchdog, reference })
+     */
+    get sources() {
+        const sources = this.nodes.map(node => ({ id: node.id, rpc: node.rpc, watchdog: node.watchdog, reference: false }));
+
+        if (this.reference) {
+            sources.push({ id: REFERENCE_SOURCE_ID, rpc: this.reference, watchdog: null, reference: true });
+        }
+        return sources;
+    }
+
+    /**
+     * Whether there is anything to compare
+     * @returns {boolean} True with at least two sources
+     */
+    isEnabled() {
+        return this.sources.length >= 2;
+    }
+
+    /**
+     * Starts periodic comparisons
+     */
+    start() {
+        if (this.timer || !this.isEnabled()) {
+            return;
+        }
+
+        this.logger.info('Consensus monitoring started', {
+            sources: this.sources.map(source => source.id),
+            splitThreshold: this.splitThreshold
+        });
+
+        this.check();
+        this.timer = setInterval(() => this.check(), this.interval);
+    }
+
+    /**
+     * Stops periodic comparisons
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Makes an RPC call with the monitor's timeout
+     * @param {Object} source - Comparison source
+     * @param {string} method - RPC method name
+     * @param {Array} params - Method parameters
+     * @returns {Promise<*>} RPC result
+     */
+    call(source, method, params = []) {
+        return source.rpc.call(method, params, this.timeout);
+    }
+
+    /**
+     * Reads a source's chain name and active tip
+     * @param {Object} source - Comparison source
+     * @returns {Promise<Object>} Tip ({ chain, hash, height })
+     */
+    async fetchTip(source) {
+        if (!this.chains.has(source.id)) {
+            const info = await this.call(source, 'getblockchaininfo');
+            this.chains.set(source.id, info.chain);
+        }
+
+        const hash = await this.call(source, 'getbestblockhash');
+        const header = await this.call(source, 'getblockheader', [hash]);
+
+        return { chain: this.chains.get(source.id), hash, height: header.height };
+    }
+
+    /**
+     * Gets the hash of a source's active-chain block at a height
+     * @param {Object} source - Comparison source
+     * @param {Object} tip - Source tip from fetchTip()
+     * @param {number} height - Block height
+     * @returns {Promise<string>} Block hash
+     */
+    async getHashAt(source, tip, height) {
+        if (height === tip.height) {
+            return tip.hash;
+        }
+        return await this.call(source, 'getblockhash', [height]);
+    }
+
+    /**
+     * Finds the last height at which two sources have the same block
+     * Agreement is monotonic (two chains that share a block share all its ancestors),
+     * so the fork point is found by binary search.
+     * @param {Object} a - First source with its tip ({ source, tip })
+     * @param {Object} b - Second source with its tip
+     * @param {number} height - Height at which they disagree
+     * @returns {Promise<Object>} Fork point ({ forkHeight, exceedsSearchDepth })
+     */
+    async findForkHeight(a, b, height) {
+        const agreeAt = async (h) => {
+            const [hashA, hashB] = await Promise.all([
+                this.getHashAt(a.source, a.tip, h),
+                this.getHashAt(b.source, b.tip, h)
+            ]);
+            return hashA === hashB;
+        };
+
+        let low = Math.max(0, height - this.maxDepth);
+        if (!await agreeAt(low)) {
+            return { forkHeight: low - 1, exceedsSearchDepth: true };
+        }
+
+        // Invariant: agree at low, disagree at high
+        let high = height;
+        while (high - low > 1) {
+            const mid = Math.floor((low + high) / 2);
+            if (await agreeAt(mid)) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        return { forkHeight: low, exceedsSearchDepth: false };
+    }
+
+    /**
+     * Looks up how a node sees another chain's tip in its getchaintips
+     * @param {Object} source - Node whose chain tips are read
+     * @param {string} hash - Tip hash of the other chain
+     * @returns {Promise<string>} Tip status (valid-fork, valid-headers, headers-only, invalid) or unknown
+     */
+    async getTipStatus(source, hash) {
+        try {
+            const tips = await this.call(source, 'getchaintips');
+            return tips.find(tip => tip.hash === hash)?.status || 'unknown';
+        } catch (error) {
+            this.logger.debug('Could not read chain tips', { source: source.id, error: error.message });
+            return 'unknown';
+        }
+    }
+
+    /**
+     * Compares sources that follow the same chain
+     * @param {Array<Object>} entries - Sources with their tips ({ source, tip })
+     * @returns {Promise<Object>} Comparison result for the chain
+     */
+    async compareChain(entries) {
+        const height = Math.min(...entries.map(entry => entry.tip.height));
+
+        const groups = new Map(); // hash at height -> entries
+        for (const entry of entries) {
+            entry.hashAtHeight = await this.getHashAt(entry.source, entry.tip, height);
+            if (!groups.has(entry.hashAtHeight)) {
+                groups.set(entry.hashAtHeight, []);
+            }
+            groups.get(entry.hashAtHeight).push(entry);
+        }
+
+        const majority = this.pickMajority([...groups.values()]);
+        const splits = [];
+
+        if (groups.size > 1) {
+            for (const entry of entries) {
+                if (majority && majority.includes(entry)) {
+                    continue;
+                }
+
+                // Without a majority every side is compared against the largest other group
+                const other = majority || [...groups.values()].find(group => !group.includes(entry));
+                const fork = await this.findForkHeight(entry, other[0], height);
+                const divergence = height - fork.forkHeight;
+
+                splits.push({
+                    sourceId: entry.source.id,
+                    minority: Boolean(majority),
+                    height,
+                    forkHeight: fork.forkHeight,
+                    divergence,
+                    exceedsSearchDepth: fork.exceedsSearchDepth,
+                    localHash: entry.hashAtHeight,
+                    otherHash: other[0].hashAtHeight,
+                    otherSources: other.map(e => e.source.id),
+                    otherTipStatus: await this.getTipStatus(entry.source, other[0].tip.hash),
+                    exceedsThreshold: divergence > this.splitThreshold
+                });
+            }
+        }
+
+        return {
+            chain: entries[0].tip.chain,
+            height,
+            agreed: groups.size === 1,
+            sources: entries.map(entry => ({
+                id: entry.source.id,
+                height: entry.tip.height,
+                bestBlockHash: entry.tip.hash,
+                hashAtHeight: entry.hashAtHeight,
+                inMajority: Boolean(majority && majority.includes(entry))
+            })),
+            splits
+        };
+    }
+
+    /**
+     * Picks the group of sources that forms the majority
+     * Ties are broken by the group containing the reference endpoint.
+     * @param {Array<Array<Object>>} groups - Sources grouped by block hash
+     * @returns {Array<Object>|null} Majority group, or null if there is none
+     */
+    pickMajority(groups) {
+        const sorted = [...groups].sort((a, b) => b.length - a.length);
+        if (sorted.length === 1 || sorted[0].length > sorted[1].length) {
+            return sorted[0];
+        }
+
+        const tied = sorted.filter(group => group.length === sorted[0].length);
+        return tied.find(group => group.some(entry => entry.source.reference)) || null;
+    }
+
+    /**
+     * Runs one comparison across all sources and raises or resolves CHAIN_SPLIT alerts
+     * @returns {Promise<Object|null>} Comparison result, or null if a check is already running
+     */
+    async check() {
+        if (this.running) {
+            return null;
+        }
+        this.running = true;
+
+        try {
+            const sources = this.sources;
+            const results = await Promise.allSettled(sources.map(source => this.fetchTip(source)));
+
+            const unreachable = [];
+            const byChain = new Map();
+            results.forEach((result, index) => {
+                const source = sources[index];
+                if (result.status === 'rejected') {
+                    unreachable.push({ id: source.id, error: result.reason.message });
+                    return;
+                }
+                const tip = result.value;
+                if (!byChain.has(tip.chain)) {
+                    byChain.set(tip.chain, []);
+                }
+                byChain.get(tip.chain).push({ source, tip });
+            });
+
+            const chains = [];
+            for (const entries of byChain.values()) {
+                if (entries.length >= 2) {
+                    chains.push(await this.compareChain(entries));
+                }
+            }
+
+            const state = {
+                checkedAt: new Date().toISOString(),
+                splitThreshold: this.splitThreshold,
+                chains,
+                unreachable
+            };
+
+            this.applyAlerts(state, new Set(unreachable.map(source => source.id)));
+            this.lastCheck = state;
+            this.emit('checked', state);
+            return state;
+        } catch (error) {
+            this.logger.error('Consensus check failed', { error: error.message });
+            return null;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Raises CHAIN_SPLIT on nodes that diverged beyond the threshold and resolves it elsewhere
+     * @param {Object} state - Comparison result
+     * @param {Set<string>} unreachable - Sources that could not be compared (alerts left as they are)
+     */
+    applyAlerts(state, unreachable) {
+        const splits = new Map();
+        for (const chain of state.chains) {
+            for (const split of chain.splits) {
+                if (split.exceedsThreshold) {
+                    splits.set(split.sourceId, split);
+                }
+            }
+        }
+
+        for (const node of this.nodes) {
+            if (!node.watchdog || unreachable.has(node.id)) {
+                continue;
+            }
+
+            const split = splits.get(node.id);
+            if (!split) {
+                node.watchdog.resolveAlerts('CHAIN_SPLIT');
+                continue;
+            }
+
+            const depth = split.exceedsSearchDepth ? `more than ${this.maxDepth}` : String(split.divergence);
+            const message = split.minority
+                ? `🚨 CHAIN SPLIT: node ${node.id} is on a minority fork, disagreeing with ${split.otherSources.join(', ')} for ${depth} blocks since height ${split.forkHeight}`
+                : `⚠️ CHAIN SPLIT: node ${node.id} and ${split.otherSources.join(', ')} disagree for ${depth} blocks since height ${split.forkHeight} and no majority exists`;
+
+            node.watchdog.createAlert(
+                'CHAIN_SPLIT',
+                split.minority ? 'CRITICAL' : 'HIGH',
+                message,
+                {
+                    ...split,
+                    analysis: split.otherTipStatus === 'invalid'
+                        ? 'This node considers the other chain invalid, which points to a consensus rule difference (e.g. mismatched client versions)'
+                        : 'The nodes follow different forks; a node on a minority fork may be eclipsed or partitioned from the network',
+                    recommendation: 'Compare peers and client versions of the diverging nodes and hold confirmations until they converge'
+                },
+                { key: 'consensus' }
+            );
+        }
+    }
+
+    /**
+     * Gets monitor configuration and the latest comparison
+     * @returns {Object} Consensus status
+     */
+    getStatus() {
+        return {
+            enabled: this.isEnabled(),
+            monitoring: this.timer !== null,
+            sources: this.sources.map(source => source.id),
+            splitThreshold: this.splitThreshold,
+            interval: this.interval,
+            lastCheck: this.lastCheck
+        };
+    }
+}
+
+module.exports = {
+    ConsensusMonitor,
+    REFERENCE_SOURCE_ID
+};
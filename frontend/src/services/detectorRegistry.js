@@ -0,0 +1,441 @@
+/**
+ * Detector Registry
+ * Loads watchdog detectors from the built-in directory and optional user
+ * directories, and keeps their per-node settings (enabled, parameters),
+ * per-detector state and run history.
+ *
+ * A detector is a CommonJS module exporting:
+ *   id           - Unique id (letters, digits and -)
+ *   description  - One-line summary
+ *   schedule     - 'check' (every security check), 'block' (only after a new
+ *                  best block) or a number of milliseconds between runs
+ *   alertTypes   - Alert types the detector raises; alerts of these types
+ *                  whose key is not reported again are resolved
+ *   parameters   - { name: { type: 'number'|'integer'|'boolean'|'choice',
+ *                  default, threshold, min, max, choices, description } }, where
+ *                  threshold names a watchdog threshold whose live value is the
+ *                  default
+ *   enabled      - Optional, false to ship the detector disabled
+ *   evaluate(context) - Returns (or resolves to) an array of findings
+ *                  { type, severity, message, data, key }, or null when the
+ *                  detector could not judge (open alerts are left as they are)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { createChildLogger } = require('../utils/logger');
+
+/**
+ * Directory of the detectors shipped with the monitor
+ */
+const BUILT_IN_DIRECTORY = path.join(__dirname, '..', 'detectors');
+
+const DETECTOR_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+const PARAMETER_TYPES = ['number', 'integer', 'boolean', 'choice'];
+
+/**
+ * Checks a parameter value against its definition
+ * @param {string} name - Parameter name
+ * @param {Object} spec - Parameter definition
+ * @param {*} value - Proposed value
+ * @returns {string|null} Problem description, or null if the value is valid
+ */
+const checkParameterValue = (name, spec, value) => {
+    if (spec.type === 'boolean') {
+        return typeof value === 'boolean' ? null : `${name} must be true or false`;
+    }
+    if (spec.type === 'choice') {
+        return spec.choices.includes(value) ? null : `${name} must be one of: ${spec.choices.join(', ')}`;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `${name} must be a number`;
+    }
+    if (spec.type === 'integer' && !Number.isInteger(value)) {
+        return `${name} must be an integer`;
+    }
+    if (typeof spec.min === 'number' && value < spec.min) {
+        return `${name} must be at least ${spec.min}`;
+    }
+    if (typeof spec.max === 'number' && value > spec.max) {
+        return `${name} must be at most ${spec.max}`;
+    }
+    return null;
+};
+
+/**
+ * Checks that a module implements the detector interface
+ * @param {Object} detector - Loaded module
+ * @returns {string|null} Problem description, or null if the detector is usable
+ */
+const checkDetector = (detector) => {
+    if (!detector || typeof detector !== 'object') {
+        return 'module must export a detector object';
+    }
+    if (typeof detector.id !== 'string' || !DETECTOR_ID_PATTERN.test(detector.id)) {
+        return `invalid id ${JSON.stringify(detector.id)} (lowercase letters, digits and -)`;
+    }
+    if (typeof detector.evaluate !== 'function') {
+        return 'evaluate(context) must be a function';
+    }
+
+    const { schedule = 'check' } = detector;
+    if (!['check', 'block'].includes(schedule) && !(Number.isInteger(schedule) && schedule > 0)) {
+        return 'schedule must be "check", "block" or a number of milliseconds';
+    }
+
+    for (const [name, spec] of Object.entries(detector.parameters || {})) {
+        if (!PARAMETER_TYPES.includes(spec.type)) {
+            return `parameter ${name} needs a type (${PARAMETER_TYPES.join(', ')})`;
+        }
+        if (spec.type === 'choice' && !(Array.isArray(spec.choices) && spec.choices.length > 0)) {
+            return `parameter ${name} needs a list of choices`;
+        }
+        if (typeof spec.threshold !== 'string' && checkParameterValue(name, spec, spec.default) !== null) {
+            return `parameter ${name} needs a valid default or a threshold`;
+        }
+    }
+    return null;
+};
+
+class DetectorRegistry {
+    /**
+     * @param {Object} options - Registry options
+     * @param {Array<string>} options.directories - Detector directories, loaded in order (defaults to built-in plus WATCHDOG_DETECTORS_DIR)
+     * @param {string} options.settingsFile - JSON file persisting enabled flags and parameter overrides
+     * @param {string} options.nodeId - Node identifier used in logs
+     */
+    constructor(options = {}) {
+        this.directories = options.directories ||
+            [BUILT_IN_DIRECTORY, config.watchdog.detectorsDir].filter(Boolean);
+        this.settingsFile = options.settingsFile || null;
+        this.nodeId = options.nodeId || null;
+        this.logger = createChildLogger(this.nodeId ? { service: 'detectors', node: this.nodeId } : { service: 'detectors' });
+
+        this.detectors = new Map(); // id -> { detector, file, source, logger }
+        this.settings = {}; // id -> { enabled, parameters }
+        this.state = new Map(); // id -> detector-owned state object
+        this.runs = new Map(); // id -> last run summary
+        this.loadErrors = [];
+    }
+
+    /**
+     * Loads detectors from all directories and the saved settings
+     * A broken built-in detector throws; a broken user detector is skipped
+     * and reported in loadErrors.
+     * @returns {DetectorRegistry} This registry
+     */
+    load() {
+        this.directories.forEach((directory, index) => {
+            this.loadDirectory(directory, index === 0 && directory === BUILT_IN_DIRECTORY ? 'built-in' : 'custom');
+        });
+        this.loadSettings();
+
+        this.logger.debug('Detectors loaded', { detectors: [...this.detectors.keys()], errors: this.loadErrors.length });
+        return this;
+    }
+
+    /**
+     * Loads every .js file in a directory as a detector
+     * @param {string} directory - Directory path
+     * @param {string} source - 'built-in' or 'custom'
+     */
+    loadDirectory(directory, source) {
+        let files;
+        try {
+            files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+        } catch (error) {
+            if (source === 'built-in') {
+                throw error;
+            }
+            this.logger.error('Cannot read detector directory', { directory, error: error.message });
+            this.loadErrors.push({ file: directory, error: error.message });
+            return;
+        }
+
+        for (const file of files) {
+            const filePath = path.resolve(directory, file);
+            try {
+                this.register(require(filePath), { file: filePath, source });
+            } catch (error) {
+                if (source === 'built-in') {
+                    throw error;
+                }
+                this.logger.error('Skipping detector', { file: filePath, error: error.message });
+                this.loadErrors.push({ file: filePath, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Adds a detector
+     * @param {Object} detector - Detector module
+     * @param {Object} origin - Where it came from ({ file, source })
+     * @throws {Error} If the detector is invalid or its id is taken
+     */
+    register(detector, origin = {}) {
+        const problem = checkDetector(detector);
+        if (problem) {
+            throw new Error(`Invalid detector: ${problem}`);
+        }
+        if (this.detectors.has(detector.id)) {
+            throw new Error(`Duplicate detector id: ${detector.id}`);
+        }
+
+        this.detectors.set(detector.id, {
+            detector,
+            file: origin.file || null,
+            source: origin.source || 'custom',
+            logger: createChildLogger({ service: 'detectors', detector: detector.id, ...(this.nodeId && { node: this.nodeId }) })
+        });
+    }
+
+    /**
+     * Gets a registered detector
+     * @param {string} id - Detector id
+     * @returns {Object|null} Registry entry ({ detector, file, source, logger })
+     */
+    get(id) {
+        return this.detectors.get(id) || null;
+    }
+
+    /**
+     * Lists registered detectors in load order
+     * @returns {Array<Object>} Registry entries
+     */
+    list() {
+        return [...this.detectors.values()];
+    }
+
+    /**
+     * Whether a detector is enabled
+     * @param {string} id - Detector id
+     * @returns {boolean} True if enabled
+     */
+    isEnabled(id) {
+        const entry = this.detectors.get(id);
+        return Boolean(entry) && (this.settings[id]?.enabled ?? entry.detector.enabled !== false);
+    }
+
+    /**
+     * Resolves a detector's parameter values: override, else threshold, else default
+     * @param {string} id - Detector id
+     * @param {Object} thresholds - Live watchdog thresholds
+     * @returns {Object} Parameter values by name
+     */
+    getParameters(id, thresholds = {}) {
+        const { detector } = this.detectors.get(id);
+        const overrides = this.settings[id]?.parameters || {};
+        const values = {};
+
+        for (const [name, spec] of Object.entries(detector.parameters || {})) {
+            if (name in overrides) {
+                values[name] = overrides[name];
+            } else {
+                values[name] = typeof spec.threshold === 'string' ? thresholds[spec.threshold] ?? spec.default : spec.default;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Gets the mutable state object a detector keeps between runs
+     * @param {string} id - Detector id
+     * @returns {Object} State
+     */
+    getState(id) {
+        if (!this.state.has(id)) {
+            this.state.set(id, {});
+        }
+        return this.state.get(id);
+    }
+
+    /**
+     * Whether a detector should run now
+     * @param {string} id - Detector id
+     * @param {Object} tick - Current check ({ now, bestBlockHash })
+     * @returns {boolean} True if due
+     */
+    isDue(id, { now, bestBlockHash }) {
+        const { schedule = 'check' } = this.detectors.get(id).detector;
+        const last = this.runs.get(id);
+
+        // Runs that failed are retried on the next check
+        if (!last || last.error || schedule === 'check') {
+            return true;
+        }
+        if (schedule === 'block') {
+            return last.bestBlockHash !== bestBlockHash;
+        }
+        return now - last.startedAt >= schedule;
+    }
+
+    /**
+     * Records the outcome of a run
+     * @param {string} id - Detector id
+     * @param {Object} run - Run summary ({ startedAt, durationMs, bestBlockHash, findings, skipped, error })
+     */
+    recordRun(id, run) {
+        this.runs.set(id, run);
+    }
+
+    /**
+     * Validates settings changes without applying them
+     * @param {Object} changes - { [id]: { enabled, parameters: { name: value | null } } }
+     * @returns {Array<string>} Problems (empty if the changes are valid)
+     */
+    validateChanges(changes) {
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            return ['detectors must be an object keyed by detector id'];
+        }
+
+        const problems = [];
+        for (const [id, change] of Object.entries(changes)) {
+            const entry = this.detectors.get(id);
+            if (!entry) {
+                problems.push(`Unknown detector: ${id}`);
+                continue;
+            }
+            if (!change || typeof change !== 'object' || Array.isArray(change)) {
+                problems.push(`${id}: settings must be an object`);
+                continue;
+            }
+
+            const unknownKeys = Object.keys(change).filter(key => !['enabled', 'parameters'].includes(key));
+            if (unknownKeys.length > 0) {
+                problems.push(`${id}: unknown settings ${unknownKeys.join(', ')}`);
+            }
+            if ('enabled' in change && typeof change.enabled !== 'boolean') {
+                problems.push(`${id}: enabled must be true or false`);
+            }
+
+            for (const [name, value] of Object.entries(change.parameters || {})) {
+                const spec = entry.detector.parameters?.[name];
+                if (!spec) {
+                    problems.push(`${id}: unknown parameter ${name}`);
+                } else if (value !== null) {
+                    const problem = checkParameterValue(name, spec, value);
+                    if (problem) {
+                        problems.push(`${id}: ${problem}`);
+                    }
+                }
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Applies validated settings changes and saves them
+     * A null parameter value removes the override.
+     * @param {Object} changes - See validateChanges
+     * @returns {Array<string>} Ids of detectors that were disabled by the change
+     */
+    applyChanges(changes) {
+        const disabled = [];
+
+        for (const [id, change] of Object.entries(changes)) {
+            const wasEnabled = this.isEnabled(id);
+            const settings = this.settings[id] || { parameters: {} };
+
+            if ('enabled' in change) {
+                settings.enabled = change.enabled;
+            }
+            for (const [name, value] of Object.entries(change.parameters || {})) {
+                if (value === null) {
+                    delete settings.parameters[name];
+                } else {
+                    settings.parameters[name] = value;
+                }
+            }
+
+            this.settings[id] = settings;
+            if (wasEnabled && !this.isEnabled(id)) {
+                disabled.push(id);
+            }
+        }
+
+        this.saveSettings();
+        return disabled;
+    }
+
+    /**
+     * Describes all detectors for the API
+     * @param {Object} thresholds - Live watchdog thresholds
+     * @returns {Array<Object>} Detector descriptions
+     */
+    describe(thresholds = {}) {
+        return this.list().map(({ detector, file, source }) => {
+            const values = this.getParameters(detector.id, thresholds);
+            const overrides = this.settings[detector.id]?.parameters || {};
+
+            const parameters = {};
+            for (const [name, spec] of Object.entries(detector.parameters || {})) {
+                parameters[name] = {
+                    value: values[name],
+                    overridden: name in overrides,
+                    type: spec.type,
+                    default: spec.default ?? null,
+                    threshold: spec.threshold || null,
+                    min: spec.min ?? null,
+                    max: spec.max ?? null,
+                    choices: spec.choices || null,
+                    description: spec.description || null
+                };
+            }
+
+            return {
+                id: detector.id,
+                description: detector.description || null,
+                source,
+                file,
+                schedule: detector.schedule || 'check',
+                alertTypes: detector.alertTypes || [],
+                enabled: this.isEnabled(detector.id),
+                parameters,
+                lastRun: this.runs.get(detector.id) || null
+            };
+        });
+    }
+
+    /**
+     * Loads saved settings if a settings file exists
+     */
+    loadSettings() {
+        if (!this.settingsFile || !fs.existsSync(this.settingsFile)) {
+            return;
+        }
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.settingsFile, 'utf8'));
+            for (const [id, settings] of Object.entries(saved.detectors || {})) {
+                this.settings[id] = { ...settings, parameters: { ...settings.parameters } };
+            }
+        } catch (error) {
+            this.logger.error('Failed to load detector settings', { filePath: this.settingsFile, error: error.message });
+        }
+    }
+
+    /**
+     * Writes the settings file
+     */
+    saveSettings() {
+        if (!this.settingsFile) {
+            return;
+        }
+
+        const tmpPath = `${this.settingsFile}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.settingsFile), { recursive: true });
+            fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, savedAt: new Date().toISOString(), detectors: this.settings }, null, 2));
+            fs.renameSync(tmpPath, this.settingsFile);
+        } catch (error) {
+            this.logger.error('Failed to save detector settings', { filePath: this.settingsFile, error: error.message });
+        }
+    }
+}
+
+module.exports = {
+    DetectorRegistry,
+    BUILT_IN_DIRECTORY
+};
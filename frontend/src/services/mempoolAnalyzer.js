@@ -0,0 +1,371 @@
+/**
+ * Mempool Analyzer
+ * Samples the verbose mempool (getrawmempool true) into a fee-rate histogram,
+ * an age distribution and the best-paying ancestor packages, and estimates
+ * the fee rate needed to confirm within a few blocks, cross-checked with the
+ * node's own estimator. Fee rates are in DOGE/kB, the unit of estimatefee
+ * and mempoolminfee.
+ */
+
+const { createChildLogger } = require('../utils/logger');
+const { median } = require('./anomalyEngine');
+const { MempoolSampler } = require('./mempoolSampler');
+
+/**
+ * Lower bounds of the fee-rate bands in DOGE/kB
+ * 0.001 is the default relay minimum and 0.01 the recommended fee since 1.14.4.
+ */
+const FEE_BANDS = [0, 0.001, 0.01, 0.02, 0.05, 0.1, 0.5, 1, 5];
+
+/**
+ * Upper bounds of the age buckets in seconds
+ */
+const AGE_BUCKETS = [
+    { label: '<1m', max: 60 },
+    { label: '1-10m', max: 600 },
+    { label: '10-60m', max: 3600 },
+    { label: '1-6h', max: 6 * 3600 },
+    { label: '6-24h', max: 24 * 3600 },
+    { label: '>24h', max: Infinity }
+];
+
+/**
+ * Confirmation targets (in blocks) that fees are estimated for
+ */
+const CONFIRMATION_TARGETS = [1, 3, 6];
+
+const KOINU_PER_DOGE = 1e8;
+
+/**
+ * Labels a fee band, e.g. "0.01-0.02" or "5+"
+ * @param {number} index - Band index in FEE_BANDS
+ * @returns {string} Label
+ */
+const bandLabel = (index) => (index === FEE_BANDS.length - 1
+    ? `${FEE_BANDS[index]}+`
+    : `${FEE_BANDS[index]}-${FEE_BANDS[index + 1]}`);
+
+/**
+ * Finds the fee band of a fee rate
+ * @param {number} feeRate - Fee rate in DOGE/kB
+ * @returns {number} Band index in FEE_BANDS
+ */
+const bandOf = (feeRate) => {
+    let index = 0;
+    while (index < FEE_BANDS.length - 1 && feeRate >= FEE_BANDS[index + 1]) {
+        index++;
+    }
+    return index;
+};
+
+/**
+ * Reads the fields the analysis uses from a verbose mempool entry
+ * Handles both the 1.14 layout (fee in DOGE, ancestorfees in koinu) and the
+ * newer fees object (all in DOGE).
+ * @param {string} txid - Transaction ID
+ * @param {Object} entry - getrawmempool true entry
+ * @returns {Object} { txid, size, fee, feeRate, time, ancestorCount, ancestorSize, ancestorFees, ancestorFeeRate, descendantCount, depends }
+ */
+const readEntry = (txid, entry) => {
+    const size = entry.vsize || entry.size;
+    const fee = entry.fees ? entry.fees.base : entry.fee;
+    const ancestorSize = entry.ancestorsize || size;
+    const ancestorFees = entry.fees ? entry.fees.ancestor : (entry.ancestorfees ?? fee * KOINU_PER_DOGE) / KOINU_PER_DOGE;
+
+    return {
+        txid,
+        size,
+        fee,
+        feeRate: fee * 1000 / size,
+        time: entry.time,
+        ancestorCount: entry.ancestorcount || 1,
+        ancestorSize,
+        ancestorFees,
+        ancestorFeeRate: ancestorFees * 1000 / ancestorSize,
+        descendantCount: entry.descendantcount || 1,
+        depends: entry.depends || []
+    };
+};
+
+/**
+ * Estimates the fee rate needed to be mined within a number of blocks
+ * Transactions are ranked by the lower of their own and their ancestor
+ * package fee rate, since a child is only mined with its parents. The
+ * estimate is the rate of the last transaction that still fits in the blocks.
+ * @param {Array<Object>} ranked - Entries sorted by mining score, best first
+ * @param {number} blocks - Confirmation target
+ * @param {number} blockBytes - Bytes available per block
+ * @returns {number|null} Fee rate in DOGE/kB, or null if the whole mempool fits
+ */
+const estimateFromMempool = (ranked, blocks, blockBytes) => {
+    const capacity = blocks * blockBytes;
+    let used = 0;
+
+    for (const tx of ranked) {
+        used += tx.size;
+        if (used > capacity) {
+            return tx.miningScore;
+        }
+    }
+    return null;
+};
+
+/**
+ * Analyzes a verbose mempool
+ * @param {Object} rawMempool - getrawmempool true result (txid -> entry)
+ * @param {Object} options - Analysis options
+ * @param {number} options.now - Current time (epoch seconds)
+ * @param {number} options.blockBytes - Bytes available per block
+ * @param {number} options.topPackages - Number of ancestor packages listed
+ * @returns {Object} { count, bytes, totalFees, medianFeeRate, feeHistogram, ageDistribution, topPackages, mempoolEstimates }
+ */
+const analyzeMempool = (rawMempool, options) => {
+    const { now, blockBytes, topPackages } = options;
+    const entries = Object.entries(rawMempool).map(([txid, entry]) => readEntry(txid, entry));
+
+    const feeHistogram = FEE_BANDS.map((min, index) => ({
+        band: bandLabel(index),
+        min,
+        max: FEE_BANDS[index + 1] ?? null,
+        count: 0,
+        bytes: 0,
+        fees: 0
+    }));
+    const ageDistribution = AGE_BUCKETS.map(bucket => ({ bucket: bucket.label, count: 0, bytes: 0 }));
+    const ages = [];
+
+    for (const tx of entries) {
+        const band = feeHistogram[bandOf(tx.feeRate)];
+        band.count++;
+        band.bytes += tx.size;
+        band.fees += tx.fee;
+
+        const age = Math.max(now - tx.time, 0);
+        const bucket = ageDistribution[AGE_BUCKETS.findIndex(({ max }) => age < max)];
+        bucket.count++;
+        bucket.bytes += tx.size;
+        ages.push(age);
+
+        tx.miningScore = Math.min(tx.feeRate, tx.ancestorFeeRate);
+    }
+
+    // Each package is listed once, at the transaction that completes it
+    const packages = entries
+        .filter(tx => tx.ancestorCount > 1 && tx.descendantCount === 1)
+        .sort((a, b) => b.ancestorFeeRate - a.ancestorFeeRate)
+        .slice(0, topPackages)
+        .map(tx => ({
+            txid: tx.txid,
+            ancestorCount: tx.ancestorCount,
+            ancestorSize: tx.ancestorSize,
+            ancestorFees: tx.ancestorFees,
+            feeRate: tx.ancestorFeeRate,
+            depends: tx.depends
+        }));
+
+    const ranked = [...entries].sort((a, b) => b.miningScore - a.miningScore);
+
+    return {
+        count: entries.length,
+        bytes: entries.reduce((sum, tx) => sum + tx.size, 0),
+        totalFees: entries.reduce((sum, tx) => sum + tx.fee, 0),
+        medianFeeRate: entries.length ? median(entries.map(tx => tx.feeRate)) : null,
+        feeHistogram,
+        ageDistribution: {
+            buckets: ageDistribution,
+            medianAge: ages.length ? median(ages) : null,
+            oldestAge: ages.length ? Math.max(...ages) : null
+        },
+        topPackages: packages,
+        mempoolEstimates: Object.fromEntries(CONFIRMATION_TARGETS.map(blocks => [blocks, estimateFromMempool(ranked, blocks, blockBytes)]))
+    };
+};
+
+/**
+ * Combines the mempool estimate with the node's estimator and relay minimum
+ * The recommendation is never below what the node's estimator expects nor
+ * below the fee the mempool accepts.
+ * @param {number|null} mempoolRate - Estimate from the mempool (null if the mempool fits)
+ * @param {Object|null} nodeEstimate - { feeRate, method } from the node, or null
+ * @param {number} minimumFee - Lowest fee rate the node relays
+ * @returns {Object} { feeRate, source, mempool, node, minimum, divergence }
+ */
+const recommendFee = (mempoolRate, nodeEstimate, minimumFee) => {
+    const candidates = [
+        { source: 'mempool', feeRate: mempoolRate },
+        { source: nodeEstimate?.method, feeRate: nodeEstimate?.feeRate },
+        { source: 'minimum', feeRate: minimumFee }
+    ].filter(candidate => candidate.feeRate > 0);
+    const best = candidates.reduce((top, candidate) => (candidate.feeRate > top.feeRate ? candidate : top), { source: 'minimum', feeRate: minimumFee });
+
+    return {
+        feeRate: best.feeRate,
+        source: best.source,
+        mempool: mempoolRate,
+        node: nodeEstimate,
+        minimum: minimumFee,
+        // How far the mempool and node estimates disagree (2 = one is twice the other)
+        divergence: mempoolRate > 0 && nodeEstimate?.feeRate > 0
+            ? Math.max(mempoolRate, nodeEstimate.feeRate) / Math.min(mempoolRate, nodeEstimate.feeRate)
+            : null
+    };
+};
+
+class MempoolAnalyzer {
+    /**
+     * @param {Object} options - Analyzer options
+     * @param {DogecoinRPCService} options.rpc - RPC service of the analyzed node
+     * @param {MempoolSampler} options.sampler - Shared mempool sample of the analyzed node
+     * @param {number} options.sampleInterval - Milliseconds between background samples
+     * @param {number} options.historySize - Samples kept for the fee-band chart
+     * @param {number} options.blockBytes - Bytes available per block for fee estimates
+     * @param {number} options.topPackages - Number of ancestor packages listed
+     * @param {string} options.nodeId - Node identifier used in logs
+     */
+    constructor(options = {}) {
+        this.rpc = options.rpc;
+        this.sampleInterval = options.sampleInterval || 60000;
+        this.historySize = options.historySize || 180;
+        this.blockBytes = options.blockBytes || 1000000;
+        this.topPackages = options.topPackages || 10;
+        this.sampler = options.sampler || new MempoolSampler({ rpc: this.rpc, nodeId: options.nodeId });
+        this.logger = createChildLogger(options.nodeId ? { service: 'mempool', node: options.nodeId } : { service: 'mempool' });
+
+        this.latest = null;
+        this.history = []; // oldest first: { timestamp, count, bytes, bands }
+        this.pendingSample = null;
+        this.timer = null;
+    }
+
+    /**
+     * Starts sampling in the background
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.sample().catch(error => this.logger.warn('Mempool sample failed', { error: error.message }));
+        }, this.sampleInterval);
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Stops background sampling
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Samples the mempool, sharing a sample that is already running
+     * @returns {Promise<Object>} Analysis
+     */
+    sample() {
+        if (!this.pendingSample) {
+            this.pendingSample = this.takeSample().finally(() => {
+                this.pendingSample = null;
+            });
+        }
+        return this.pendingSample;
+    }
+
+    /**
+     * Reads the mempool and fee estimates and records the analysis
+     * @returns {Promise<Object>} Analysis
+     */
+    async takeSample() {
+        const [rawMempool, mempoolInfo, networkInfo, nodeEstimates] = await Promise.all([
+            this.sampler.refresh(),
+            this.rpc.call('getmempoolinfo'),
+            this.rpc.call('getnetworkinfo').catch(() => ({})),
+            Promise.all(CONFIRMATION_TARGETS.map(blocks => this.getNodeEstimate(blocks)))
+        ]);
+
+        const timestamp = new Date();
+        const analysis = analyzeMempool(rawMempool, {
+            now: Math.floor(timestamp.getTime() / 1000),
+            blockBytes: this.blockBytes,
+            topPackages: this.topPackages
+        });
+        const minimumFee = Math.max(mempoolInfo.mempoolminfee || 0, networkInfo.relayfee || 0);
+        const { mempoolEstimates, ...summary } = analysis;
+
+        this.latest = {
+            timestamp: timestamp.toISOString(),
+            ...summary,
+            feeEstimates: CONFIRMATION_TARGETS.map((blocks, index) => ({
+                blocks,
+                ...recommendFee(mempoolEstimates[blocks], nodeEstimates[index], minimumFee)
+            }))
+        };
+
+        this.history.push({
+            timestamp: this.latest.timestamp,
+            count: analysis.count,
+            bytes: analysis.bytes,
+            bands: analysis.feeHistogram.map(band => band.bytes)
+        });
+        this.history.splice(0, this.history.length - this.historySize);
+
+        return this.latest;
+    }
+
+    /**
+     * Asks the node's fee estimator, preferring estimatesmartfee
+     * @param {number} blocks - Confirmation target
+     * @returns {Promise<Object|null>} { feeRate, method }, or null without enough data
+     */
+    async getNodeEstimate(blocks) {
+        try {
+            const smart = await this.rpc.call('estimatesmartfee', [blocks]);
+            if (smart?.feerate > 0) {
+                return { feeRate: smart.feerate, method: 'estimatesmartfee' };
+            }
+        } catch (error) {
+            this.logger.debug('estimatesmartfee unavailable', { blocks, error: error.message });
+        }
+
+        try {
+            const feeRate = await this.rpc.call('estimatefee', [blocks]);
+            if (feeRate > 0) {
+                return { feeRate, method: 'estimatefee' };
+            }
+        } catch (error) {
+            this.logger.debug('estimatefee unavailable', { blocks, error: error.message });
+        }
+
+        return null;
+    }
+
+    /**
+     * Gets the latest analysis with the fee-band history, sampling first if it is stale
+     * @param {number} maxAge - Oldest acceptable sample in milliseconds
+     * @returns {Promise<Object>} Analysis with bands ([{ band, min, max }]) and history
+     */
+    async getAnalytics(maxAge = this.sampleInterval) {
+        if (!this.latest || Date.now() - Date.parse(this.latest.timestamp) > maxAge) {
+            await this.sample();
+        }
+
+        return {
+            ...this.latest,
+            bands: FEE_BANDS.map((min, index) => ({ band: bandLabel(index), min, max: FEE_BANDS[index + 1] ?? null })),
+            history: this.history
+        };
+    }
+}
+
+module.exports = {
+    MempoolAnalyzer,
+    analyzeMempool,
+    recommendFee,
+    FEE_BANDS,
+    CONFIRMATION_TARGETS
+};
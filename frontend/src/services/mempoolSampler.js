@@ -0,0 +1,163 @@
+/**
+ * Mempool Sampler
+ * One node's view of its mempool, shared by the mempool analytics and the
+ * detectors reading transactions: the verbose entries of the latest
+ * getrawmempool true, and the transactions in it decoded from their raw form.
+ * Each transaction is decoded once while it stays in the mempool, either from
+ * a ZMQ rawtx notification or, for those not pushed, with getrawtransaction.
+ */
+
+const { createChildLogger } = require('../utils/logger');
+const { parseTransaction } = require('../utils/rawBlock');
+
+/**
+ * Keeps the fields readers of the mempool use from a decoded transaction
+ * @param {string} txid - Transaction ID
+ * @param {Object} tx - Transaction from parseTransaction
+ * @param {number} receivedAt - When it was decoded (ms)
+ * @returns {Object} { txid, inputs: [{ txid, vout }], outputs: [{ value, script }], receivedAt } with bigint koinu values
+ */
+const summarizeTransaction = (txid, tx, receivedAt) => ({
+    txid,
+    inputs: tx.vin.filter(input => !input.coinbase).map(input => ({ txid: input.txid, vout: input.vout })),
+    outputs: tx.vout.map(output => ({ value: output.value, script: output.scriptPubKey })),
+    receivedAt
+});
+
+class MempoolSampler {
+    /**
+     * @param {Object} options - Sampler options
+     * @param {DogecoinRPCService} options.rpc - RPC service of the sampled node
+     * @param {number} options.maxAge - How long (ms) a read of the mempool is shared before it is read again
+     * @param {number} options.batchSize - Raw transactions fetched per batch request
+     * @param {number} options.maxPushed - Decoded transactions above which pushed ones are dropped
+     * @param {string} options.nodeId - Node identifier used in logs
+     */
+    constructor(options = {}) {
+        this.rpc = options.rpc;
+        this.maxAge = options.maxAge ?? 5000;
+        this.batchSize = options.batchSize || 200;
+        this.maxPushed = options.maxPushed || 50000;
+        this.logger = createChildLogger(options.nodeId ? { service: 'mempool-sampler', node: options.nodeId } : { service: 'mempool-sampler' });
+
+        this.entries = {}; // txid -> verbose mempool entry of the latest read
+        this.refreshedAt = null;
+        this.transactions = new Map(); // txid -> decoded transaction
+        this.pendingRefresh = null;
+        this.stats = { fetched: 0, pushed: 0 };
+    }
+
+    /**
+     * Reads the mempool unless the latest read is recent enough
+     * Reads requested while one is running share it.
+     * @param {number} maxAge - Oldest acceptable read in milliseconds
+     * @returns {Promise<Object>} Verbose mempool entries (txid -> entry)
+     */
+    async refresh(maxAge = this.maxAge) {
+        if (this.refreshedAt !== null && Date.now() - this.refreshedAt < maxAge) {
+            return this.entries;
+        }
+
+        if (!this.pendingRefresh) {
+            this.pendingRefresh = this.readMempool().finally(() => {
+                this.pendingRefresh = null;
+            });
+        }
+        return this.pendingRefresh;
+    }
+
+    /**
+     * Reads the verbose mempool and forgets transactions that left it
+     * Transactions pushed while the read was running are kept, since the
+     * node may have accepted them after answering.
+     * @returns {Promise<Object>} Verbose mempool entries
+     */
+    async readMempool() {
+        const startedAt = Date.now();
+        const entries = await this.rpc.call('getrawmempool', [true]);
+
+        for (const [txid, tx] of this.transactions) {
+            if (!(txid in entries) && tx.receivedAt <= startedAt) {
+                this.transactions.delete(txid);
+            }
+        }
+
+        this.entries = entries;
+        this.refreshedAt = startedAt;
+        return entries;
+    }
+
+    /**
+     * Reads the mempool and decodes transactions not decoded yet
+     * @param {number} maxTransactions - Most transactions fetched by this update
+     * @param {number} maxAge - Oldest acceptable read of the mempool in milliseconds
+     * @returns {Promise<Object>} { transactions, decoded, pending } of the current mempool
+     */
+    async update(maxTransactions = 5000, maxAge = this.maxAge) {
+        const entries = await this.refresh(maxAge);
+        const now = Date.now();
+
+        const missing = Object.keys(entries).filter(txid => !this.transactions.has(txid)).slice(0, maxTransactions);
+        for (let i = 0; i < missing.length; i += this.batchSize) {
+            const txids = missing.slice(i, i + this.batchSize);
+
+            // Raw transactions bypass the response cache; they are only needed once
+            const outcomes = await this.rpc.requestBatch(txids.map(txid => ({ method: 'getrawtransaction', params: [txid, false] })));
+            for (const [index, outcome] of outcomes.entries()) {
+                // Transactions mined or evicted since getrawmempool are simply skipped
+                if (outcome.status === 'fulfilled') {
+                    this.transactions.set(txids[index], summarizeTransaction(txids[index], parseTransaction(outcome.value), now));
+                    this.stats.fetched++;
+                }
+            }
+        }
+
+        const transactions = Object.keys(entries).length;
+        const decoded = Object.keys(entries).filter(txid => this.transactions.has(txid)).length;
+        if (missing.length > 0) {
+            this.logger.debug('Mempool transactions decoded', { fetched: missing.length, transactions, decoded });
+        }
+        return { transactions, decoded, pending: transactions - decoded };
+    }
+
+    /**
+     * Decodes a transaction pushed by the node (ZMQ rawtx)
+     * It is read like any other once the next read of the mempool lists it.
+     * The node also announces the transactions of connected blocks; the next
+     * read forgets those.
+     * @param {Buffer|string} raw - Serialized transaction
+     * @returns {boolean} True if the transaction was kept
+     */
+    addTransaction(raw) {
+        // Without readers nothing forgets pushed transactions, so their number is capped
+        if (this.transactions.size >= this.maxPushed) {
+            return false;
+        }
+
+        try {
+            const decoded = parseTransaction(raw);
+            const tx = summarizeTransaction(decoded.txid, decoded, Date.now());
+            if (!this.transactions.has(tx.txid)) {
+                this.transactions.set(tx.txid, tx);
+                this.stats.pushed++;
+            }
+            return true;
+        } catch (error) {
+            this.logger.warn('Failed to decode pushed transaction', { error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Gets a decoded transaction
+     * @param {string} txid - Transaction ID
+     * @returns {Object|null} Decoded transaction (see summarizeTransaction), or null if not decoded
+     */
+    get(txid) {
+        return this.transactions.get(txid) || null;
+    }
+}
+
+module.exports = {
+    MempoolSampler
+};
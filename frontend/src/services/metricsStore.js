@@ -0,0 +1,388 @@
+/**
+ * Metrics Store
+ * Local time-series storage for watchdog metrics with downsampling and retention
+ *
+ * Persistence is a snapshot of every series plus a log of the points recorded
+ * since: each flush appends the new points to the log, and only compaction,
+ * far less often, rewrites the snapshot and empties the log. Log entries carry
+ * a sequence number so entries already in the snapshot are not replayed twice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createChildLogger } = require('../utils/logger');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Rollup resolutions and their bucket sizes in milliseconds
+ */
+const ROLLUPS = {
+    '5m': 5 * MINUTE,
+    '1h': HOUR
+};
+
+const RESOLUTIONS = ['raw', ...Object.keys(ROLLUPS)];
+
+class MetricsStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} options.filePath - Snapshot file; omit for an in-memory store
+     * @param {string} options.logPath - Log of points recorded since the snapshot (defaults next to the snapshot)
+     * @param {Object} options.retention - Retention in ms per resolution (raw, 5m, 1h)
+     * @param {number} options.flushInterval - Interval in milliseconds at which new points are appended to the log
+     * @param {number} options.compactInterval - Interval in milliseconds at which the snapshot is rewritten
+     */
+    constructor(options = {}) {
+        this.logger = createChildLogger({ service: 'metrics-store' });
+        this.filePath = options.filePath || null;
+        this.logPath = options.logPath || (this.filePath ? `${this.filePath.replace(/\.json$/, '')}-log.jsonl` : null);
+        this.flushInterval = options.flushInterval || MINUTE;
+        this.compactInterval = options.compactInterval || HOUR;
+        this.retention = {
+            raw: DAY,
+            '5m': 30 * DAY,
+            '1h': 365 * DAY,
+            ...options.retention
+        };
+
+        // series name -> { raw: [[t, v]], '5m': [[t, min, max, sum, count]], '1h': [...] }
+        this.series = new Map();
+        this.pending = []; // [name, timestamp, value] recorded since the last flush
+        this.sequence = 0; // last log entry written
+        this.dirty = false; // recorded points missing from the snapshot
+        this.compactedAt = Date.now();
+        this.flushTimer = null;
+    }
+
+    /**
+     * Records a data point and folds it into every rollup
+     * @param {string} name - Series name
+     * @param {number} value - Observed value
+     * @param {number} timestamp - Observation time (epoch ms)
+     */
+    record(name, value, timestamp = Date.now()) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return;
+        }
+
+        const series = this.getOrCreateSeries(name);
+        series.raw.push([timestamp, value]);
+
+        for (const [resolution, bucketSize] of Object.entries(ROLLUPS)) {
+            const buckets = series[resolution];
+            const bucketStart = Math.floor(timestamp / bucketSize) * bucketSize;
+            const last = buckets[buckets.length - 1];
+
+            if (last && last[0] === bucketStart) {
+                last[1] = Math.min(last[1], value);
+                last[2] = Math.max(last[2], value);
+                last[3] += value;
+                last[4] += 1;
+            } else {
+                buckets.push([bucketStart, value, value, value, 1]);
+            }
+        }
+
+        this.applyRetention(series, timestamp);
+        if (this.filePath) {
+            this.pending.push([name, timestamp, value]);
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Queries a series over a time range
+     * @param {string} name - Series name
+     * @param {Object} options - Query options
+     * @param {number} options.from - Range start (epoch ms)
+     * @param {number} options.to - Range end (epoch ms)
+     * @param {string} options.resolution - raw, 5m, 1h or auto
+     * @returns {Object} Resolution used and the matching points
+     */
+    query(name, options = {}) {
+        const to = options.to ?? Date.now();
+        const from = options.from ?? to - DAY;
+        const resolution = !options.resolution || options.resolution === 'auto' ?
+            this.pickResolution(from, to) :
+            options.resolution;
+
+        if (!RESOLUTIONS.includes(resolution)) {
+            throw new Error(`Unknown resolution: ${resolution}`);
+        }
+
+        const series = this.series.get(name);
+        const rows = series ? series[resolution] : [];
+        const points = [];
+
+        for (const row of rows) {
+            if (row[0] < from || row[0] > to) {
+                continue;
+            }
+
+            if (resolution === 'raw') {
+                points.push({ timestamp: row[0], value: row[1] });
+            } else {
+                points.push({
+                    timestamp: row[0],
+                    value: row[3] / row[4],
+                    min: row[1],
+                    max: row[2],
+                    count: row[4]
+                });
+            }
+        }
+
+        return { series: name, resolution, from, to, points };
+    }
+
+    /**
+     * Picks the finest resolution whose retention covers the requested range
+     * and keeps the point count reasonable
+     * @param {number} from - Range start (epoch ms)
+     * @param {number} to - Range end (epoch ms)
+     * @returns {string} Resolution name
+     */
+    pickResolution(from, to) {
+        const span = to - from;
+        const age = Date.now() - from;
+
+        if (span <= 6 * HOUR && age <= this.retention.raw) {
+            return 'raw';
+        }
+        if (span <= 7 * DAY && age <= this.retention['5m']) {
+            return '5m';
+        }
+        return '1h';
+    }
+
+    /**
+     * Lists recorded series names
+     * @returns {Array<string>} Series names
+     */
+    listSeries() {
+        return [...this.series.keys()];
+    }
+
+    /**
+     * Gets or creates the storage for a series
+     * @param {string} name - Series name
+     * @returns {Object} Series storage
+     */
+    getOrCreateSeries(name) {
+        let series = this.series.get(name);
+        if (!series) {
+            series = { raw: [] };
+            for (const resolution of Object.keys(ROLLUPS)) {
+                series[resolution] = [];
+            }
+            this.series.set(name, series);
+        }
+        return series;
+    }
+
+    /**
+     * Drops points older than the retention window of each resolution
+     * @param {Object} series - Series storage
+     * @param {number} now - Reference time (epoch ms)
+     */
+    applyRetention(series, now) {
+        for (const resolution of RESOLUTIONS) {
+            const rows = series[resolution];
+            const cutoff = now - this.retention[resolution];
+
+            let drop = 0;
+            while (drop < rows.length && rows[drop][0] < cutoff) {
+                drop++;
+            }
+            if (drop > 0) {
+                rows.splice(0, drop);
+            }
+        }
+    }
+
+    /**
+     * Loads the snapshot file and replays the log written after it
+     * @returns {number} Number of series loaded
+     */
+    load() {
+        if (!this.filePath) {
+            return 0;
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+            if (fs.existsSync(this.filePath)) {
+                const snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                const now = Date.now();
+
+                for (const [name, stored] of Object.entries(snapshot.series || {})) {
+                    const series = this.getOrCreateSeries(name);
+                    for (const resolution of RESOLUTIONS) {
+                        series[resolution] = Array.isArray(stored[resolution]) ? stored[resolution] : [];
+                    }
+                    this.applyRetention(series, now);
+                }
+                this.sequence = snapshot.sequence || 0;
+            }
+
+            const replayed = this.replayLog();
+
+            this.logger.info('Metrics history loaded', {
+                filePath: this.filePath,
+                series: this.series.size,
+                replayed
+            });
+        } catch (error) {
+            this.logger.error('Failed to load metrics history', {
+                filePath: this.filePath,
+                error: error.message
+            });
+        }
+
+        return this.series.size;
+    }
+
+    /**
+     * Records the points of log entries newer than the snapshot
+     * A line cut short by a crash is skipped.
+     * @returns {number} Number of points replayed
+     */
+    replayLog() {
+        if (!fs.existsSync(this.logPath)) {
+            return 0;
+        }
+
+        let replayed = 0;
+        for (const line of fs.readFileSync(this.logPath, 'utf8').split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                this.logger.warn('Skipping unreadable metrics log entry', { logPath: this.logPath, error: error.message });
+                continue;
+            }
+
+            if (entry.sequence <= this.sequence) {
+                continue;
+            }
+            for (const [name, timestamp, value] of entry.points) {
+                this.record(name, value, timestamp);
+                replayed++;
+            }
+            this.sequence = entry.sequence;
+        }
+
+        // Replayed points are already in the log; they reach the snapshot at the next compaction
+        this.pending = [];
+        return replayed;
+    }
+
+    /**
+     * Appends the points recorded since the last flush to the log, and
+     * compacts once the snapshot is older than the compaction interval
+     */
+    flush() {
+        if (!this.filePath) {
+            return;
+        }
+
+        if (this.pending.length > 0) {
+            const entry = { sequence: this.sequence + 1, points: this.pending };
+            try {
+                fs.appendFileSync(this.logPath, `${JSON.stringify(entry)}\n`);
+                this.sequence = entry.sequence;
+                this.pending = [];
+            } catch (error) {
+                this.logger.error('Failed to append metrics history', {
+                    logPath: this.logPath,
+                    error: error.message
+                });
+            }
+        }
+
+        if (Date.now() - this.compactedAt >= this.compactInterval) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Writes a snapshot of all series to disk if anything changed and empties the log
+     */
+    compact() {
+        if (!this.filePath || !this.dirty) {
+            return;
+        }
+
+        const tmpPath = `${this.filePath}.tmp`;
+        const snapshot = {
+            version: 2,
+            savedAt: new Date().toISOString(),
+            sequence: this.sequence,
+            series: Object.fromEntries(this.series)
+        };
+
+        try {
+            fs.writeFileSync(tmpPath, JSON.stringify(snapshot));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            this.logger.error('Failed to save metrics history', {
+                filePath: this.filePath,
+                error: error.message
+            });
+            return;
+        }
+
+        // Points not appended yet are in the snapshot now. If emptying the log
+        // fails, its entries are still skipped by sequence on the next load.
+        this.pending = [];
+        this.dirty = false;
+        this.compactedAt = Date.now();
+        try {
+            fs.writeFileSync(this.logPath, '');
+        } catch (error) {
+            this.logger.warn('Failed to empty metrics log', {
+                logPath: this.logPath,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Starts periodic flushes
+     */
+    start() {
+        if (this.flushTimer || !this.filePath) {
+            return;
+        }
+
+        this.flushTimer = setInterval(() => this.flush(), this.flushInterval);
+        // Allow the process to exit even if the interval is still active
+        if (this.flushTimer.unref) {
+            this.flushTimer.unref();
+        }
+    }
+
+    /**
+     * Stops periodic flushes and writes a final snapshot
+     */
+    stop() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+        this.compact();
+    }
+}
+
+module.exports = {
+    MetricsStore,
+    RESOLUTIONS
+};
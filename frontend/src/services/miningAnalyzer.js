@@ -0,0 +1,271 @@
+/**
+ * Mining Analyzer
+ * Decodes the AuxPoW data of recent blocks to see which parent chain and
+ * which miner or pool produced each block, and how block production is
+ * distributed across them
+ */
+
+const { createChildLogger } = require('../utils/logger');
+const { classifyScript } = require('../utils/address');
+const { parseBlock } = require('../utils/rawBlock');
+const { extractCoinbaseTag, readCoinbaseHeight, readMergedMiningCommitment } = require('../utils/coinbase');
+const { PoolIdentifier } = require('./poolIdentifier');
+
+/**
+ * Entity recorded for blocks without a tag or single payout address
+ */
+const UNKNOWN_ENTITY = 'unknown';
+
+/**
+ * Parent chain labels
+ * Dogecoin only accepts scrypt parent blocks, which in practice come from
+ * Litecoin. Some miners build a throwaway parent block just to carry the
+ * proof of work; those have no previous block and no parent coinbase outputs.
+ */
+const PARENT_CHAINS = {
+    litecoin: 'litecoin',
+    standalone: 'standalone',
+    none: 'none'
+};
+
+/**
+ * Identifies the parent chain of a block
+ * @param {Object|null} auxpow - Decoded AuxPoW proof (see parseBlock)
+ * @returns {string} Parent chain label
+ */
+const identifyParentChain = (auxpow) => {
+    if (!auxpow) {
+        return PARENT_CHAINS.none;
+    }
+
+    const hasPreviousBlock = !/^0+$/.test(auxpow.parentBlock.previousblockhash);
+    const paysOut = auxpow.tx.vout.some(output => output.value > 0n);
+    return hasPreviousBlock && paysOut ? PARENT_CHAINS.litecoin : PARENT_CHAINS.standalone;
+};
+
+class MiningAnalyzer {
+    /**
+     * @param {Object} options - Analyzer options
+     * @param {DogecoinRPCService} options.rpc - RPC service of the analyzed node
+     * @param {number} options.window - Number of recent blocks kept
+     * @param {number} options.batchSize - Blocks fetched per batch request
+     * @param {string} options.nodeId - Node identifier used in logs
+     * @param {PoolIdentifier} options.poolIdentifier - Maps tags and payout addresses to known pools
+     */
+    constructor(options = {}) {
+        this.rpc = options.rpc;
+        this.window = options.window || 100;
+        this.batchSize = options.batchSize || 25;
+        this.poolIdentifier = options.poolIdentifier || new PoolIdentifier();
+        this.logger = createChildLogger(options.nodeId ? { service: 'mining', node: options.nodeId } : { service: 'mining' });
+
+        this.blocks = new Map(); // height -> block record
+        this.tipHeight = null;
+        this.pendingUpdate = null;
+    }
+
+    /**
+     * Brings the window up to a new tip, dropping blocks replaced by a reorg
+     * Updates run one at a time so the watchdog and API requests do not fetch
+     * the same blocks twice.
+     * @param {Object} blockchain - getblockchaininfo result ({ blocks, chain })
+     * @returns {Promise<number>} Number of blocks added
+     */
+    async update(blockchain) {
+        const previous = this.pendingUpdate;
+        const current = (async () => {
+            await previous?.catch(() => {});
+            return this.applyUpdate(blockchain);
+        })();
+
+        this.pendingUpdate = current;
+        try {
+            return await current;
+        } finally {
+            if (this.pendingUpdate === current) {
+                this.pendingUpdate = null;
+            }
+        }
+    }
+
+    /**
+     * Performs an update (see update)
+     * @param {Object} blockchain - getblockchaininfo result ({ blocks, chain })
+     * @returns {Promise<number>} Number of blocks added
+     */
+    async applyUpdate(blockchain) {
+        const tip = blockchain.blocks;
+        const from = Math.max(tip - this.window + 1, 0);
+
+        if (this.tipHeight !== null && await this.isReorganized(tip)) {
+            this.logger.info('Chain changed below the analyzed tip, reloading window', { tipHeight: this.tipHeight, tip });
+            this.blocks.clear();
+        }
+
+        for (const height of this.blocks.keys()) {
+            if (height < from) {
+                this.blocks.delete(height);
+            }
+        }
+
+        const missing = [];
+        for (let height = from; height <= tip; height++) {
+            if (!this.blocks.has(height)) {
+                missing.push(height);
+            }
+        }
+
+        for (let i = 0; i < missing.length; i += this.batchSize) {
+            await this.loadBlocks(missing.slice(i, i + this.batchSize), blockchain.chain);
+        }
+
+        this.tipHeight = tip;
+        return missing.length;
+    }
+
+    /**
+     * Whether the last analyzed block is no longer on the active chain
+     * @param {number} tip - Current best height
+     * @returns {Promise<boolean>} True if the window must be reloaded
+     */
+    async isReorganized(tip) {
+        if (tip < this.tipHeight) {
+            return true;
+        }
+
+        const recorded = this.blocks.get(this.tipHeight);
+        if (!recorded) {
+            return false;
+        }
+        return await this.rpc.call('getblockhash', [this.tipHeight]) !== recorded.hash;
+    }
+
+    /**
+     * Fetches and records raw blocks
+     * @param {Array<number>} heights - Block heights
+     * @param {string} network - Chain name used for address encoding
+     * @returns {Promise<void>}
+     */
+    async loadBlocks(heights, network) {
+        const hashes = await this.rpc.callBatch(heights.map(height => ({ method: 'getblockhash', params: [height] })));
+        const fetched = heights.filter((height, i) => hashes[i].status === 'fulfilled');
+
+        // Raw blocks carry the parent coinbase and header; they are only decoded once
+        const raws = await this.rpc.requestBatch(hashes
+            .filter(outcome => outcome.status === 'fulfilled')
+            .map(({ value }) => ({ method: 'getblock', params: [value, false] })));
+
+        raws.forEach((outcome, i) => {
+            if (outcome.status !== 'fulfilled') {
+                this.logger.debug('Block unavailable for mining analysis', { height: fetched[i], error: outcome.reason.message });
+                return;
+            }
+
+            try {
+                this.blocks.set(fetched[i], this.describeBlock(parseBlock(outcome.value), fetched[i], network));
+            } catch (error) {
+                this.logger.warn('Failed to decode block for mining analysis', { height: fetched[i], error: error.message });
+            }
+        });
+    }
+
+    /**
+     * Summarizes who mined a block
+     * Known pools are recognized by payout address or coinbase tag. Other
+     * blocks are attributed to the parent coinbase tag of merge-mined blocks,
+     * then the block's own coinbase tag, then its payout address.
+     * @param {Object} block - Decoded block (see parseBlock)
+     * @param {number} height - Block height
+     * @param {string} network - Chain name
+     * @returns {Object} Block record
+     */
+    describeBlock(block, height, network) {
+        const coinbase = block.tx[0];
+        const { auxpow } = block;
+        const parentCoinbase = auxpow ? auxpow.tx.vin[0]?.coinbase : null;
+
+        const payouts = coinbase.vout
+            .filter(output => output.value > 0n)
+            .map(output => classifyScript(output.scriptPubKey, network).addresses)
+            .filter(addresses => addresses.length === 1)
+            .map(([address]) => address);
+
+        const parentTag = parentCoinbase ? extractCoinbaseTag(parentCoinbase) : null;
+        const ownTag = extractCoinbaseTag(coinbase.vin[0].coinbase);
+        const tag = parentTag || ownTag;
+        const payoutAddress = payouts[0] || null;
+        const pool = this.poolIdentifier.identify({ tags: [parentTag, ownTag], addresses: payouts });
+
+        return {
+            height,
+            hash: block.hash,
+            time: block.time,
+            auxpow: Boolean(auxpow),
+            parentChain: identifyParentChain(auxpow),
+            parentHash: auxpow ? auxpow.parentBlock.hash : null,
+            parentHeight: parentCoinbase ? readCoinbaseHeight(parentCoinbase) : null,
+            mergedMining: parentCoinbase ? readMergedMiningCommitment(parentCoinbase) : null,
+            tag,
+            payoutAddress,
+            pool: pool ? pool.name : null,
+            poolLink: pool ? pool.link : null,
+            entity: pool?.name || tag || payoutAddress || UNKNOWN_ENTITY
+        };
+    }
+
+    /**
+     * Gets the analyzed blocks, newest first
+     * @param {number} limit - Maximum number of blocks
+     * @returns {Array<Object>} Block records
+     */
+    getBlocks(limit = this.window) {
+        return [...this.blocks.values()]
+            .sort((a, b) => b.height - a.height)
+            .slice(0, limit);
+    }
+
+    /**
+     * Gets block production per entity and parent chain over the window
+     * @param {number} window - Number of most recent blocks to include (at most the analyzer window)
+     * @returns {Object} Distribution ({ window, blocks, auxpowBlocks, parentChains, pools })
+     */
+    getDistribution(window = this.window) {
+        const records = this.getBlocks(window);
+        const pools = new Map();
+        const parentChains = {};
+
+        for (const record of records) {
+            parentChains[record.parentChain] = (parentChains[record.parentChain] || 0) + 1;
+
+            if (!pools.has(record.entity)) {
+                pools.set(record.entity, {
+                    entity: record.entity,
+                    known: record.pool !== null,
+                    link: record.poolLink,
+                    blocks: 0,
+                    lastHeight: record.height,
+                    lastHash: record.hash
+                });
+            }
+            pools.get(record.entity).blocks++;
+        }
+
+        return {
+            window: Math.min(window, this.window),
+            blocks: records.length,
+            tipHeight: this.tipHeight,
+            auxpowBlocks: records.filter(record => record.auxpow).length,
+            parentChains,
+            pools: [...pools.values()]
+                .map(pool => ({ ...pool, share: records.length > 0 ? pool.blocks / records.length : 0 }))
+                .sort((a, b) => b.blocks - a.blocks)
+        };
+    }
+}
+
+module.exports = {
+    MiningAnalyzer,
+    PARENT_CHAINS,
+    UNKNOWN_ENTITY,
+    identifyParentChain
+};
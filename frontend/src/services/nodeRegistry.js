@@ -0,0 +1,447 @@
+/**
+ * Node Registry
+ * Builds and tracks one RPC service and watchdog per monitored Dogecoin node
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { createChildLogger } = require('../utils/logger');
+const { DogecoinRPCService } = require('./rpc');
+const DogecoinWatchdog = require('./watchdog');
+const { createAlertStore } = require('./alertStore');
+const { MetricsStore } = require('./metricsStore');
+const { ZMQSubscriber } = require('./zmqSubscriber');
+const { MiningAnalyzer } = require('./miningAnalyzer');
+const { PoolIdentifier } = require('./poolIdentifier');
+const { DetectorRegistry } = require('./detectorRegistry');
+const { ThresholdSettings } = require('./thresholdSettings');
+const { MempoolAnalyzer } = require('./mempoolAnalyzer');
+const { MempoolSampler } = require('./mempoolSampler');
+const { Watchlist } = require('./watchlist');
+const { ReorgTracker } = require('./reorgTracker');
+
+const NODE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+/**
+ * IDs that would collide with fixed routes under /api/nodes
+ */
+const RESERVED_NODE_IDS = ['overview', 'consensus'];
+
+/**
+ * ID of the node built from the legacy single-node configuration
+ */
+const DEFAULT_NODE_ID = 'default';
+
+/**
+ * Validates and normalizes a node definition
+ * @param {Object} definition - Raw node definition
+ * @param {number} index - Position in the node list (for error messages)
+ * @returns {Object} Normalized definition
+ * @throws {Error} If the definition is invalid
+ */
+const normalizeDefinition = (definition, index) => {
+    if (!definition || typeof definition !== 'object') {
+        throw new Error(`Node #${index + 1} must be an object`);
+    }
+
+    const { id } = definition;
+    if (typeof id !== 'string' || !NODE_ID_PATTERN.test(id) || RESERVED_NODE_IDS.includes(id)) {
+        throw new Error(`Node #${index + 1} has an invalid id: ${JSON.stringify(id)} (letters, digits, - and _, up to 32 characters)`);
+    }
+
+    const port = definition.port ? parseInt(definition.port, 10) : null;
+    if (port !== null && (Number.isNaN(port) || port < 1 || port > 65535)) {
+        throw new Error(`Node ${id} has an invalid port: ${definition.port}`);
+    }
+
+    return {
+        id,
+        name: definition.name || id,
+        network: definition.network || null,
+        host: definition.host || null,
+        port,
+        cookiePath: definition.cookiePath || null,
+        username: definition.username || null,
+        // Prefer reading the password from an env var over storing it in the file
+        password: definition.passwordEnv ? process.env[definition.passwordEnv] : definition.password || null,
+        dataDir: definition.dataDir || null,
+        zmq: {
+            hashblock: definition.zmq?.hashblock || null,
+            rawtx: definition.zmq?.rawtx || null
+        },
+        monitor: definition.watchdog !== false,
+        primary: definition.primary === true
+    };
+};
+
+/**
+ * Reads node definitions from a config file or the DOGECOIN_NODES variable
+ * Falls back to a single node built from config.rpc and config.zmq when neither is set.
+ * @param {Object} nodesConfig - Node configuration
+ * @param {string} nodesConfig.configFile - JSON file with a node array or { nodes: [...] }
+ * @param {string} nodesConfig.definitions - JSON node array
+ * @returns {Array<Object>} Normalized node definitions
+ * @throws {Error} If the configuration is invalid
+ */
+const loadNodeDefinitions = (nodesConfig = {}) => {
+    let raw = null;
+    let source = null;
+
+    if (nodesConfig.configFile) {
+        source = nodesConfig.configFile;
+        raw = fs.readFileSync(nodesConfig.configFile, 'utf8');
+    } else if (nodesConfig.definitions) {
+        source = 'DOGECOIN_NODES';
+        raw = nodesConfig.definitions;
+    }
+
+    if (raw === null) {
+        return [{
+            ...normalizeDefinition({ id: DEFAULT_NODE_ID, name: 'Dogecoin Node', zmq: config.zmq }, 0),
+            primary: true,
+            legacy: true
+        }];
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Invalid node configuration in ${source}: ${error.message}`, { cause: error });
+    }
+
+    const list = Array.isArray(parsed) ? parsed : parsed?.nodes;
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error(`Node configuration in ${source} must be a non-empty array or { "nodes": [...] }`);
+    }
+
+    const definitions = list.map(normalizeDefinition);
+
+    const seen = new Set();
+    for (const { id } of definitions) {
+        if (seen.has(id)) {
+            throw new Error(`Duplicate node id in ${source}: ${id}`);
+        }
+        seen.add(id);
+    }
+
+    if (definitions.filter(d => d.primary).length > 1) {
+        throw new Error(`Only one node in ${source} can be primary`);
+    }
+    if (!definitions.some(d => d.primary)) {
+        definitions[0].primary = true;
+    }
+
+    return definitions;
+};
+
+class NodeRegistry {
+    /**
+     * @param {Object} options - Registry options
+     * @param {string} options.dataDir - Base directory for per-node state
+     * @param {Object} options.alerts - Alert store configuration (store, maxStored)
+     * @param {Object} options.metricsHistory - Metric history configuration
+     * @param {boolean} options.persist - Persist alerts and metrics to disk
+     * @param {PoolIdentifier} options.poolIdentifier - Pool list shared by the nodes' mining analyzers
+     */
+    constructor(options = {}) {
+        this.logger = createChildLogger({ service: 'node-registry' });
+        this.dataDir = options.dataDir || config.storage.dataDir;
+        this.alertsConfig = options.alerts || config.alerts;
+        this.metricsConfig = options.metricsHistory || config.metricsHistory;
+        this.persist = options.persist !== false;
+        this.poolIdentifier = options.poolIdentifier || new PoolIdentifier();
+
+        this.nodes = new Map();
+        this.primaryId = null;
+    }
+
+    /**
+     * Creates services for every node definition
+     * @param {Array<Object>} definitions - Normalized node definitions
+     * @returns {NodeRegistry} This registry
+     */
+    load(definitions) {
+        for (const definition of definitions) {
+            const node = this.createNode(definition);
+            this.nodes.set(node.id, node);
+
+            if (definition.primary) {
+                this.primaryId = node.id;
+            }
+        }
+
+        this.logger.info('Node registry loaded', {
+            nodes: [...this.nodes.keys()],
+            primary: this.primaryId
+        });
+
+        return this;
+    }
+
+    /**
+     * Builds the RPC service, stores and watchdog for one node
+     * @param {Object} definition - Normalized node definition
+     * @returns {Object} Node context
+     */
+    createNode(definition) {
+        // The legacy single node keeps its state at the top of the data dir
+        const dataDir = definition.dataDir ||
+            (definition.legacy ? this.dataDir : path.join(this.dataDir, 'nodes', definition.id));
+
+        const rpc = new DogecoinRPCService({
+            nodeId: definition.id,
+            host: definition.host,
+            port: definition.port,
+            cookiePath: definition.cookiePath,
+            username: definition.username,
+            password: definition.password
+        });
+
+        const alertStore = createAlertStore({
+            type: this.persist ? this.alertsConfig.store : 'memory',
+            dataDir,
+            maxAlerts: this.alertsConfig.maxStored
+        });
+
+        const metricsStore = new MetricsStore({
+            filePath: this.persist ? path.join(dataDir, 'metrics.json') : null,
+            ...this.metricsConfig
+        });
+        metricsStore.load();
+        metricsStore.start();
+
+        const zmq = new ZMQSubscriber({ nodeId: definition.id, ...definition.zmq });
+
+        const miningAnalyzer = new MiningAnalyzer({
+            rpc,
+            window: config.watchdog.poolWindow,
+            nodeId: definition.id,
+            poolIdentifier: this.poolIdentifier
+        });
+
+        const mempoolSampler = new MempoolSampler({ rpc, nodeId: definition.id });
+
+        const mempoolAnalyzer = new MempoolAnalyzer({
+            rpc,
+            sampler: mempoolSampler,
+            nodeId: definition.id,
+            ...config.mempool
+        });
+
+        const watchlist = new Watchlist({
+            rpc,
+            filePath: this.persist ? path.join(dataDir, 'watchlist.json') : null,
+            nodeId: definition.id,
+            ...config.watchlist
+        }).load();
+
+        const reorgTracker = new ReorgTracker({
+            rpc,
+            filePath: this.persist ? path.join(dataDir, 'reorgs.json') : null,
+            nodeId: definition.id,
+            ...config.reorgs
+        }).load();
+
+        const detectors = new DetectorRegistry({
+            settingsFile: this.persist ? path.join(dataDir, 'detectors.json') : null,
+            nodeId: definition.id
+        }).load();
+
+        const thresholdSettings = new ThresholdSettings({
+            defaults: config.watchdog.thresholds,
+            filePath: this.persist ? path.join(dataDir, 'thresholds.json') : null,
+            auditFilePath: this.persist ? path.join(dataDir, 'thresholds-audit.jsonl') : null,
+            nodeId: definition.id
+        });
+        thresholdSettings.load();
+
+        const watchdog = new DogecoinWatchdog(rpc, {
+            alertStore,
+            metricsStore,
+            subscriber: zmq.isConfigured() ? zmq : null,
+            miningAnalyzer,
+            detectors,
+            thresholdSettings,
+            watchlist,
+            reorgTracker,
+            mempoolSampler,
+            nodeId: definition.id
+        });
+
+        // Background mempool samples follow the watchdog, which starts only for
+        // monitored nodes and once the node answers
+        watchdog.on('started', () => mempoolAnalyzer.start());
+        watchdog.on('stopped', () => mempoolAnalyzer.stop());
+
+        return {
+            id: definition.id,
+            name: definition.name,
+            network: definition.network,
+            monitor: definition.monitor,
+            dataDir,
+            rpc,
+            alertStore,
+            metricsStore,
+            zmq,
+            miningAnalyzer,
+            mempoolSampler,
+            mempoolAnalyzer,
+            watchlist,
+            reorgTracker,
+            detectors,
+            watchdog
+        };
+    }
+
+    /**
+     * Gets a node by ID
+     * @param {string} nodeId - Node ID
+     * @returns {Object|null} Node context or null if unknown
+     */
+    get(nodeId) {
+        return this.nodes.get(nodeId) || null;
+    }
+
+    /**
+     * Gets the primary node (served by the unprefixed /api routes)
+     * @returns {Object|null} Primary node context
+     */
+    getPrimary() {
+        return this.get(this.primaryId);
+    }
+
+    /**
+     * Lists all nodes in configuration order
+     * @returns {Array<Object>} Node contexts
+     */
+    list() {
+        return [...this.nodes.values()];
+    }
+
+    /**
+     * Describes a node without exposing credentials
+     * @param {Object} node - Node context
+     * @returns {Object} Node summary
+     */
+    describe(node) {
+        const status = node.watchdog.getStatus();
+
+        return {
+            id: node.id,
+            name: node.name,
+            network: node.network,
+            primary: node.id === this.primaryId,
+            rpcEndpoint: `${node.rpc.host}:${node.rpc.port}`,
+            watchdog: {
+                enabled: node.monitor,
+                isMonitoring: status.isMonitoring,
+                status: status.status,
+                openAlertCount: status.openAlertCount
+            },
+            zmq: status.zmq
+        };
+    }
+
+    /**
+     * Collects live chain state from every node plus aggregate figures
+     * @param {number} timeout - Per-node RPC timeout in milliseconds
+     * @returns {Promise<Object>} Per-node state and network-wide summary
+     */
+    async getOverview(timeout = 5000) {
+        const nodes = await Promise.all(this.list().map(async (node) => {
+            const summary = this.describe(node);
+
+            try {
+                const [blockchain, network, mempool] = await Promise.all([
+                    node.rpc.call('getblockchaininfo', [], timeout),
+                    node.rpc.call('getnetworkinfo', [], timeout),
+                    node.rpc.call('getmempoolinfo', [], timeout)
+                ]);
+
+                return {
+                    ...summary,
+                    reachable: true,
+                    chain: blockchain.chain,
+                    blocks: blockchain.blocks,
+                    headers: blockchain.headers,
+                    bestBlockHash: blockchain.bestblockhash,
+                    verificationProgress: blockchain.verificationprogress,
+                    connections: network.connections,
+                    version: network.subversion,
+                    mempoolSize: mempool.size
+                };
+            } catch (error) {
+                return { ...summary, reachable: false, error: error.message };
+            }
+        }));
+
+        // Height lag is measured against the tallest node on the same chain
+        const tipByChain = {};
+        for (const node of nodes) {
+            if (node.reachable) {
+                tipByChain[node.chain] = Math.max(tipByChain[node.chain] ?? 0, node.blocks);
+            }
+        }
+        for (const node of nodes) {
+            if (node.reachable) {
+                node.blocksBehind = tipByChain[node.chain] - node.blocks;
+            }
+        }
+
+        const openAlertsBySeverity = { CRITICAL: 0, HIGH: 0, MEDIUM: 0, LOW: 0 };
+        for (const node of this.list()) {
+            for (const alert of node.watchdog.openAlerts.values()) {
+                openAlertsBySeverity[alert.severity] = (openAlertsBySeverity[alert.severity] || 0) + 1;
+            }
+        }
+
+        return {
+            summary: {
+                total: nodes.length,
+                reachable: nodes.filter(n => n.reachable).length,
+                unreachable: nodes.filter(n => !n.reachable).length,
+                monitoring: nodes.filter(n => n.watchdog.isMonitoring).length,
+                chains: tipByChain,
+                openAlerts: openAlertsBySeverity,
+                status: this.getWorstStatus(nodes.map(n => n.watchdog.status))
+            },
+            nodes
+        };
+    }
+
+    /**
+     * Picks the most severe watchdog status
+     * @param {Array<string>} statuses - Watchdog statuses
+     * @returns {string} Most severe status
+     */
+    getWorstStatus(statuses) {
+        const order = ['CRITICAL_ALERT', 'HIGH_ALERT', 'MEDIUM_ALERT', 'SECURE', 'OFFLINE'];
+        for (const status of order) {
+            if (statuses.includes(status)) {
+                return status;
+            }
+        }
+        return 'OFFLINE';
+    }
+
+    /**
+     * Stops monitoring and mempool sampling and flushes metric history for every node
+     */
+    stop() {
+        for (const node of this.nodes.values()) {
+            if (node.watchdog.isMonitoring) {
+                node.watchdog.stopMonitoring();
+            }
+            node.metricsStore.stop();
+            node.mempoolAnalyzer.stop();
+        }
+    }
+}
+
+module.exports = {
+    NodeRegistry,
+    loadNodeDefinitions,
+    DEFAULT_NODE_ID
+};
@@ -0,0 +1,347 @@
+/**
+ * Notification Channels
+ * Delivery targets for watchdog alerts (webhook, Slack, Discord, email, Telegram)
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+const SEVERITY_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+const SEVERITY_COLORS = {
+    LOW: 0x3498db,
+    MEDIUM: 0xf1c40f,
+    HIGH: 0xe67e22,
+    CRITICAL: 0xe74c3c
+};
+
+/**
+ * Base class for notification channels
+ */
+class NotificationChannel {
+    /**
+     * @param {Object} options - Channel options
+     * @param {string} options.name - Channel name used in the delivery log
+     * @param {string} options.minSeverity - Lowest severity delivered by this channel
+     * @param {number} options.timeout - Request timeout in milliseconds
+     */
+    constructor(options = {}) {
+        this.type = 'base';
+        this.name = options.name;
+        this.minSeverity = SEVERITY_LEVELS.includes(options.minSeverity) ? options.minSeverity : 'HIGH';
+        this.timeout = options.timeout || 10000;
+    }
+
+    /**
+     * Checks whether the alert passes this channel's severity filter
+     * @param {Object} alert - Watchdog alert
+     * @returns {boolean} True if the alert should be delivered
+     */
+    accepts(alert) {
+        return SEVERITY_LEVELS.indexOf(alert.severity) >= SEVERITY_LEVELS.indexOf(this.minSeverity);
+    }
+
+    /**
+     * Builds a one-line summary of an alert
+     * @param {Object} alert - Watchdog alert
+     * @returns {string} Summary line
+     */
+    formatTitle(alert) {
+        const node = alert.nodeId ? ` (${alert.nodeId})` : '';
+        return `[${alert.severity}] ${alert.type}${node}`;
+    }
+
+    /**
+     * Builds a plain-text body for an alert
+     * @param {Object} alert - Watchdog alert
+     * @returns {string} Alert text
+     */
+    formatText(alert) {
+        const lines = [
+            this.formatTitle(alert),
+            alert.message,
+            `Time: ${alert.timestamp}`,
+            `Alert ID: ${alert.id}`
+        ];
+
+        if (alert.nodeId) {
+            lines.splice(2, 0, `Node: ${alert.nodeId}`);
+        }
+
+        if (alert.data && Object.keys(alert.data).length > 0) {
+            lines.push('', JSON.stringify(alert.data, null, 2));
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Describes the channel without exposing secrets
+     * @returns {Object} Channel summary
+     */
+    describe() {
+        return { name: this.name, type: this.type, minSeverity: this.minSeverity };
+    }
+
+    /**
+     * Delivers an alert
+     * @param {Object} alert - Watchdog alert
+     * @returns {Promise<void>}
+     */
+    async send() {
+        throw new Error(`${this.type} channel does not implement send()`);
+    }
+}
+
+/**
+ * Generic HTTP webhook
+ * Posts the alert as JSON. When a secret is configured the request carries
+ * an HMAC-SHA256 signature of `<timestamp>.<body>` in X-Signature.
+ */
+class WebhookChannel extends NotificationChannel {
+    /**
+     * @param {Object} options - Channel options
+     * @param {string} options.url - Webhook URL
+     * @param {string} options.secret - HMAC signing secret
+     */
+    constructor(options = {}) {
+        super({ name: 'webhook', ...options });
+        this.type = 'webhook';
+        this.url = options.url;
+        this.secret = options.secret || null;
+    }
+
+    /**
+     * Signs a payload with the configured secret
+     * @param {string} timestamp - Unix timestamp in seconds
+     * @param {string} body - Serialized request body
+     * @returns {string} Hex-encoded HMAC-SHA256 signature
+     */
+    sign(timestamp, body) {
+        return crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    /**
+     * Posts the alert to the webhook
+     * @param {Object} alert - Watchdog alert
+     */
+    async send(alert) {
+        const body = JSON.stringify({ event: 'alert', alert });
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Timestamp': timestamp
+        };
+
+        if (this.secret) {
+            headers['X-Signature'] = `sha256=${this.sign(timestamp, body)}`;
+        }
+
+        await axios.post(this.url, body, { headers, timeout: this.timeout });
+    }
+}
+
+/**
+ * Slack incoming webhook
+ */
+class SlackChannel extends NotificationChannel {
+    /**
+     * @param {Object} options - Channel options
+     * @param {string} options.webhookUrl - Slack incoming webhook URL
+     */
+    constructor(options = {}) {
+        super({ name: 'slack', ...options });
+        this.type = 'slack';
+        this.webhookUrl = options.webhookUrl;
+    }
+
+    /**
+     * Posts the alert to Slack
+     * @param {Object} alert - Watchdog alert
+     */
+    async send(alert) {
+        const color = `#${SEVERITY_COLORS[alert.severity].toString(16).padStart(6, '0')}`;
+
+        await axios.post(this.webhookUrl, {
+            text: `${this.formatTitle(alert)}: ${alert.message}`,
+            attachments: [{
+                color,
+                title: this.formatTitle(alert),
+                text: alert.message,
+                footer: `Alert ID ${alert.id}`,
+                ts: Math.floor(Date.parse(alert.timestamp) / 1000)
+            }]
+        }, { timeout: this.timeout });
+    }
+}
+
+/**
+ * Discord incoming webhook
+ */
+class DiscordChannel extends NotificationChannel {
+    /**
+     * @param {Object} options - Channel options
+     * @param {string} options.webhookUrl - Discord webhook URL
+     */
+    constructor(options = {}) {
+        super({ name: 'discord', ...options });
+        this.type = 'discord';
+        this.webhookUrl = options.webhookUrl;
+    }
+
+    /**
+     * Posts the alert to Discord
+     * @param {Object} alert - Watchdog alert
+     */
+    async send(alert) {
+        await axios.post(this.webhookUrl, {
+            embeds: [{
+                title: this.formatTitle(alert),
+                description: alert.message,
+                color: SEVERITY_COLORS[alert.severity],
+                timestamp: alert.timestamp,
+                footer: { text: `Alert ID ${alert.id}` }
+            }]
+        }, { timeout: this.timeout });
+    }
+}
+
+/**
+ * SMTP email
+ */
+class EmailChannel extends NotificationChannel {
+    /**
+     * @param {Object} options - Channel options
+     * @param {string} options.host - SMTP host
+     * @param {number} options.port - SMTP port
+     * @param {boolean} options.secure - Use TLS from the start of the connection
+     * @param {string} options.user - SMTP username
+     * @param {string} options.pass - SMTP password
+     * @param {string} options.from - Sender address
+     * @param {string} options.to - Comma-separated recipient addresses
+     * @param {Object} options.transport - Preconfigured transport (for testing)
+     */
+    constructor(options = {}) {
+        super({ name: 'email', ...options });
+        this.type = 'email';
+        this.from = options.from;
+        this.to = options.to;
+        this.transport = options.transport || null;
+        this.transportOptions = {
+            host: options.host,
+            port: options.port,
+            secure: options.secure,
+            auth: options.user ? { user: options.user, pass: options.pass } : null,
+            connectionTimeout: this.timeout
+        };
+    }
+
+    /**
+     * Gets the SMTP transport, creating it on first use
+     * @returns {Object} Nodemailer transport
+     */
+    getTransport() {
+        if (!this.transport) {
+            this.transport = nodemailer.createTransport(this.transportOptions);
+        }
+        return this.transport;
+    }
+
+    /**
+     * Describes the channel without exposing credentials
+     * @returns {Object} Channel summary
+     */
+    describe() {
+        return { ...super.describe(), to: this.to };
+    }
+
+    /**
+     * Emails the alert
+     * @param {Object} alert - Watchdog alert
+     */
+    async send(alert) {
+        await this.getTransport().sendMail({
+            from: this.from,
+            to: this.to,
+            subject: `Dogecoin monitor ${this.formatTitle(alert)}`,
+            text: this.formatText(alert)
+        });
+    }
+}
+
+/**
+ * Telegram bot
+ */
+class TelegramChannel extends NotificationChannel {
+    /**
+     * @param {Object} options - Channel options
+     * @param {string} options.botToken - Bot API token
+     * @param {string} options.chatId - Target chat ID
+     * @param {string} options.apiUrl - Bot API base URL
+     */
+    constructor(options = {}) {
+        super({ name: 'telegram', ...options });
+        this.type = 'telegram';
+        this.botToken = options.botToken;
+        this.chatId = options.chatId;
+        this.apiUrl = options.apiUrl || 'https://api.telegram.org';
+    }
+
+    /**
+     * Sends the alert as a Telegram message
+     * @param {Object} alert - Watchdog alert
+     */
+    async send(alert) {
+        await axios.post(`${this.apiUrl}/bot${this.botToken}/sendMessage`, {
+            'chat_id': this.chatId,
+            text: this.formatText(alert),
+            'disable_web_page_preview': true
+        }, { timeout: this.timeout });
+    }
+}
+
+/**
+ * Creates the channels enabled in configuration
+ * A channel is enabled when its destination is configured.
+ * @param {Object} config - Notification configuration
+ * @returns {Array<NotificationChannel>} Enabled channels
+ */
+const createChannels = (config = {}) => {
+    const channels = [];
+    const defaults = { minSeverity: config.minSeverity, timeout: config.timeout };
+    const withDefaults = (options) => ({
+        ...options,
+        minSeverity: options.minSeverity || defaults.minSeverity,
+        timeout: defaults.timeout
+    });
+
+    if (config.webhook?.url) {
+        channels.push(new WebhookChannel(withDefaults(config.webhook)));
+    }
+    if (config.slack?.webhookUrl) {
+        channels.push(new SlackChannel(withDefaults(config.slack)));
+    }
+    if (config.discord?.webhookUrl) {
+        channels.push(new DiscordChannel(withDefaults(config.discord)));
+    }
+    if (config.email?.host && config.email?.to) {
+        channels.push(new EmailChannel(withDefaults(config.email)));
+    }
+    if (config.telegram?.botToken && config.telegram?.chatId) {
+        channels.push(new TelegramChannel(withDefaults(config.telegram)));
+    }
+
+    return channels;
+};
+
+module.exports = {
+    SEVERITY_LEVELS,
+    NotificationChannel,
+    WebhookChannel,
+    SlackChannel,
+    DiscordChannel,
+    EmailChannel,
+    TelegramChannel,
+    createChannels
+};
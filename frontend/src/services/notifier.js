@@ -0,0 +1,225 @@
+/**
+ * Alert Notifier
+ * Delivers watchdog alerts to outbound channels with retries and a delivery log
+ */
+
+const { createChildLogger } = require('../utils/logger');
+
+class AlertNotifier {
+    /**
+     * @param {Object} options - Notifier options
+     * @param {Array<NotificationChannel>} options.channels - Delivery channels
+     * @param {number} options.maxRetries - Retries after the first failed attempt
+     * @param {number} options.retryDelay - Base backoff delay in milliseconds (doubles per retry)
+     * @param {number} options.logSize - Number of deliveries kept in the log
+     */
+    constructor(options = {}) {
+        this.logger = createChildLogger({ service: 'notifier' });
+        this.channels = options.channels || [];
+        this.maxRetries = options.maxRetries ?? 3;
+        this.retryDelay = options.retryDelay ?? 2000;
+        this.logSize = options.logSize || 500;
+
+        this.deliveries = []; // newest first
+        this.deliverySeq = 0;
+        this.pending = new Set();
+        this.stopped = false;
+    }
+
+    /**
+     * Subscribes to a watchdog's alerts
+     * @param {DogecoinWatchdog} watchdog - Watchdog to listen to
+     */
+    attach(watchdog) {
+        watchdog.on('alert', (alert) => {
+            this.notify(alert);
+        });
+
+        this.logger.info('Alert notifier attached', {
+            channels: this.channels.map(channel => channel.name)
+        });
+    }
+
+    /**
+     * Sends an alert to every channel whose severity filter accepts it
+     * @param {Object} alert - Watchdog alert
+     * @returns {Promise<Array>} Delivery log entries once all deliveries settle
+     */
+    notify(alert) {
+        const deliveries = this.channels
+            .filter(channel => channel.accepts(alert))
+            .map(channel => this.deliver(channel, alert));
+
+        return Promise.all(deliveries);
+    }
+
+    /**
+     * Delivers an alert to one channel, retrying with exponential backoff
+     * @param {NotificationChannel} channel - Target channel
+     * @param {Object} alert - Watchdog alert
+     * @returns {Promise<Object>} Final delivery log entry
+     */
+    async deliver(channel, alert) {
+        const entry = this.recordDelivery(channel, alert);
+        const promise = this.attemptDelivery(channel, alert, entry);
+
+        this.pending.add(promise);
+        try {
+            return await promise;
+        } finally {
+            this.pending.delete(promise);
+        }
+    }
+
+    /**
+     * Runs delivery attempts until one succeeds or retries are exhausted
+     * @param {NotificationChannel} channel - Target channel
+     * @param {Object} alert - Watchdog alert
+     * @param {Object} entry - Delivery log entry to update
+     * @returns {Promise<Object>} Updated delivery log entry
+     */
+    async attemptDelivery(channel, alert, entry) {
+        while (entry.attempts <= this.maxRetries) {
+            entry.attempts++;
+            entry.lastAttemptAt = new Date().toISOString();
+
+            try {
+                await channel.send(alert);
+                entry.status = 'delivered';
+                entry.deliveredAt = new Date().toISOString();
+                entry.error = null;
+                return entry;
+            } catch (error) {
+                entry.error = error.message;
+                this.logger.warn('Alert delivery attempt failed', {
+                    channel: channel.name,
+                    alertId: alert.id,
+                    attempt: entry.attempts,
+                    error: error.message
+                });
+            }
+
+            if (this.stopped || entry.attempts > this.maxRetries) {
+                break;
+            }
+
+            await this.sleep(this.retryDelay * Math.pow(2, entry.attempts - 1));
+        }
+
+        entry.status = 'failed';
+        this.logger.error('Alert delivery failed', {
+            channel: channel.name,
+            alertId: alert.id,
+            attempts: entry.attempts,
+            error: entry.error
+        });
+        return entry;
+    }
+
+    /**
+     * Adds a pending delivery to the log
+     * @param {NotificationChannel} channel - Target channel
+     * @param {Object} alert - Watchdog alert
+     * @returns {Object} Delivery log entry
+     */
+    recordDelivery(channel, alert) {
+        const entry = {
+            id: `delivery_${Date.now()}_${++this.deliverySeq}`,
+            channel: channel.name,
+            channelType: channel.type,
+            alertId: alert.id,
+            alertType: alert.type,
+            severity: alert.severity,
+            nodeId: alert.nodeId || null,
+            status: 'pending',
+            attempts: 0,
+            error: null,
+            createdAt: new Date().toISOString(),
+            lastAttemptAt: null,
+            deliveredAt: null
+        };
+
+        this.deliveries.unshift(entry);
+        if (this.deliveries.length > this.logSize) {
+            this.deliveries.length = this.logSize;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Queries the delivery log, newest first
+     * @param {Object} filters - Query filters
+     * @param {string} filters.channel - Channel name to match
+     * @param {string} filters.status - Delivery status (pending, delivered, failed)
+     * @param {string} filters.alertId - Alert ID to match
+     * @param {string} filters.nodeId - Node ID of the alert to match
+     * @param {number} filters.limit - Page size
+     * @param {number} filters.offset - Number of matching entries to skip
+     * @returns {Object} Matching page of deliveries and total match count
+     */
+    getDeliveries(filters = {}) {
+        const { channel, status, alertId, nodeId, limit = 50, offset = 0 } = filters;
+
+        const matches = this.deliveries.filter(entry =>
+            (!channel || entry.channel === channel) &&
+            (!status || entry.status === status) &&
+            (!alertId || entry.alertId === alertId) &&
+            (!nodeId || entry.nodeId === nodeId)
+        );
+
+        return {
+            total: matches.length,
+            deliveries: matches.slice(offset, offset + limit)
+        };
+    }
+
+    /**
+     * Summarizes configured channels and their delivery counts
+     * @returns {Array<Object>} Channel summaries
+     */
+    getChannels() {
+        return this.channels.map(channel => {
+            const stats = { delivered: 0, failed: 0, pending: 0 };
+            for (const entry of this.deliveries) {
+                if (entry.channel === channel.name) {
+                    stats[entry.status]++;
+                }
+            }
+            return { ...channel.describe(), stats };
+        });
+    }
+
+    /**
+     * Waits before the next retry
+     * @param {number} ms - Delay in milliseconds
+     * @returns {Promise<void>}
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Stops retrying and waits briefly for in-flight deliveries
+     * @param {number} timeout - Maximum wait in milliseconds
+     * @returns {Promise<void>}
+     */
+    async stop(timeout = 5000) {
+        this.stopped = true;
+
+        if (this.pending.size === 0) {
+            return;
+        }
+
+        let timer;
+        await Promise.race([
+            Promise.allSettled([...this.pending]),
+            new Promise(resolve => {
+                timer = setTimeout(resolve, timeout);
+            })
+        ]);
+        clearTimeout(timer);
+    }
+}
+
+module.exports = AlertNotifier;
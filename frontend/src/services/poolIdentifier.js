@@ -0,0 +1,131 @@
+/**
+ * Pool Identifier
+ * Maps coinbase tags and payout addresses to known mining pools using the
+ * bundled pool list, optionally extended by a user-supplied file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createChildLogger } = require('../utils/logger');
+
+/**
+ * Pool list shipped with the monitor
+ */
+const BUNDLED_POOLS_FILE = path.join(__dirname, '..', 'data', 'pools.json');
+
+/**
+ * Reads a pool list file
+ * @param {string} filePath - JSON file with a pool array or { pools: [...] }
+ * @returns {Array<Object>} Pool definitions ({ name, link, tags, addresses })
+ * @throws {Error} If the file is not a valid pool list
+ */
+const readPoolList = (filePath) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid pool list in ${filePath}: ${error.message}`, { cause: error });
+    }
+
+    const list = Array.isArray(parsed) ? parsed : parsed?.pools;
+    if (!Array.isArray(list)) {
+        throw new Error(`Pool list in ${filePath} must be an array or { "pools": [...] }`);
+    }
+
+    return list.map((pool, index) => {
+        if (typeof pool?.name !== 'string' || pool.name.trim() === '') {
+            throw new Error(`Pool #${index + 1} in ${filePath} needs a name`);
+        }
+        return {
+            name: pool.name.trim(),
+            link: pool.link || null,
+            tags: (pool.tags || []).filter(tag => typeof tag === 'string' && tag !== ''),
+            addresses: (pool.addresses || []).filter(address => typeof address === 'string' && address !== '')
+        };
+    });
+};
+
+class PoolIdentifier {
+    /**
+     * @param {Object} options - Identifier options
+     * @param {string} options.poolsFile - Additional pool list; entries with a known name extend that pool
+     */
+    constructor(options = {}) {
+        this.logger = createChildLogger({ service: 'pool-identifier' });
+        this.pools = new Map(); // name -> pool
+
+        this.add(readPoolList(BUNDLED_POOLS_FILE));
+        if (options.poolsFile) {
+            const custom = readPoolList(options.poolsFile);
+            this.add(custom);
+            this.logger.info('Loaded custom pool list', { file: options.poolsFile, pools: custom.length });
+        }
+    }
+
+    /**
+     * Adds pools, merging tags and addresses into pools of the same name
+     * @param {Array<Object>} pools - Pool definitions
+     */
+    add(pools) {
+        for (const pool of pools) {
+            const existing = this.pools.get(pool.name);
+            if (existing) {
+                existing.link = pool.link || existing.link;
+                existing.tags = [...new Set([...existing.tags, ...pool.tags])];
+                existing.addresses = [...new Set([...existing.addresses, ...pool.addresses])];
+            } else {
+                this.pools.set(pool.name, { ...pool });
+            }
+        }
+
+        this.addressIndex = new Map();
+        this.tagPatterns = [];
+        for (const pool of this.pools.values()) {
+            pool.addresses.forEach(address => this.addressIndex.set(address, pool));
+            pool.tags.forEach(tag => this.tagPatterns.push({ pattern: tag.toLowerCase(), pool }));
+        }
+
+        // Prefer the most specific tag when several match
+        this.tagPatterns.sort((a, b) => b.pattern.length - a.pattern.length);
+    }
+
+    /**
+     * Identifies the pool behind a block
+     * Payout addresses are matched exactly and take precedence; tags match
+     * case-insensitively anywhere in the coinbase text.
+     * @param {Object} block - Block attribution data
+     * @param {Array<string>} block.tags - Coinbase tags (parent coinbase first)
+     * @param {Array<string>} block.addresses - Coinbase payout addresses
+     * @returns {Object|null} Pool ({ name, link }), or null if unknown
+     */
+    identify({ tags = [], addresses = [] } = {}) {
+        for (const address of addresses) {
+            const pool = this.addressIndex.get(address);
+            if (pool) {
+                return { name: pool.name, link: pool.link };
+            }
+        }
+
+        for (const tag of tags.filter(Boolean).map(text => text.toLowerCase())) {
+            const match = this.tagPatterns.find(({ pattern }) => tag.includes(pattern));
+            if (match) {
+                return { name: match.pool.name, link: match.pool.link };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Lists the known pools
+     * @returns {Array<Object>} Pool definitions
+     */
+    list() {
+        return [...this.pools.values()];
+    }
+}
+
+module.exports = {
+    PoolIdentifier,
+    BUNDLED_POOLS_FILE
+};
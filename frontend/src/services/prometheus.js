@@ -0,0 +1,261 @@
+/**
+ * Prometheus Exporter
+ * Exposes node state, watchdog alerts and RPC telemetry in the Prometheus text format
+ */
+
+const client = require('prom-client');
+const { createChildLogger } = require('../utils/logger');
+
+const { DEFAULT_NODE_ID } = require('./nodeRegistry');
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+class PrometheusExporter {
+    /**
+     * @param {Object} options - Exporter options
+     * @param {Array<Object>} options.nodes - Monitored nodes ({ id, rpc, watchdog }); every series carries a node label
+     * @param {DogecoinRPCService} options.rpc - Single RPC service to scrape (used when nodes is omitted)
+     * @param {DogecoinWatchdog} options.watchdog - Single watchdog whose alerts are counted
+     * @param {boolean} options.collectDefaults - Include process metrics (CPU, memory, event loop)
+     */
+    constructor(options = {}) {
+        this.logger = createChildLogger({ service: 'prometheus' });
+        this.nodes = options.nodes || [{
+            id: DEFAULT_NODE_ID,
+            rpc: options.rpc,
+            watchdog: options.watchdog || null
+        }];
+        this.registry = new client.Registry();
+
+        if (options.collectDefaults !== false) {
+            client.collectDefaultMetrics({ register: this.registry, prefix: 'dogecoin_monitor_' });
+        }
+
+        this.createMetrics();
+        for (const node of this.nodes) {
+            this.instrumentRPC(node);
+            this.instrumentWatchdog(node);
+        }
+    }
+
+    /**
+     * Registers all exported metrics
+     */
+    createMetrics() {
+        const registers = [this.registry];
+
+        this.metrics = {
+            up: new client.Gauge({
+                name: 'dogecoin_up',
+                help: 'Whether the last scrape of the Dogecoin node succeeded (1) or failed (0)',
+                labelNames: ['node'],
+                registers
+            }),
+            blocks: new client.Gauge({
+                name: 'dogecoin_blocks',
+                help: 'Current block height of the active chain',
+                labelNames: ['node'],
+                registers
+            }),
+            headers: new client.Gauge({
+                name: 'dogecoin_headers',
+                help: 'Number of validated block headers',
+                labelNames: ['node'],
+                registers
+            }),
+            verificationProgress: new client.Gauge({
+                name: 'dogecoin_verification_progress',
+                help: 'Estimated blockchain verification progress (0 to 1)',
+                labelNames: ['node'],
+                registers
+            }),
+            difficulty: new client.Gauge({
+                name: 'dogecoin_difficulty',
+                help: 'Current proof-of-work difficulty',
+                labelNames: ['node'],
+                registers
+            }),
+            networkHashPS: new client.Gauge({
+                name: 'dogecoin_network_hashps',
+                help: 'Estimated network hash rate over the last 120 blocks (hashes per second)',
+                labelNames: ['node'],
+                registers
+            }),
+            mempoolSize: new client.Gauge({
+                name: 'dogecoin_mempool_transactions',
+                help: 'Number of transactions in the mempool',
+                labelNames: ['node'],
+                registers
+            }),
+            mempoolBytes: new client.Gauge({
+                name: 'dogecoin_mempool_bytes',
+                help: 'Total size of mempool transactions in bytes',
+                labelNames: ['node'],
+                registers
+            }),
+            peers: new client.Gauge({
+                name: 'dogecoin_peers',
+                help: 'Connected peers by direction',
+                labelNames: ['node', 'direction'],
+                registers
+            }),
+            rpcDuration: new client.Histogram({
+                name: 'dogecoin_rpc_request_duration_seconds',
+                help: 'Latency of RPC calls to the Dogecoin node',
+                labelNames: ['node', 'method'],
+                buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+                registers
+            }),
+            rpcRequests: new client.Counter({
+                name: 'dogecoin_rpc_requests_total',
+                help: 'RPC calls to the Dogecoin node by method and outcome',
+                labelNames: ['node', 'method', 'status'],
+                registers
+            }),
+            rpcErrors: new client.Counter({
+                name: 'dogecoin_rpc_errors_total',
+                help: 'Failed RPC calls to the Dogecoin node by method and error code',
+                labelNames: ['node', 'method', 'code'],
+                registers
+            }),
+            rpcCache: new client.Counter({
+                name: 'dogecoin_rpc_cache_requests_total',
+                help: 'RPC response cache lookups by method and result (hit, miss, coalesced)',
+                labelNames: ['node', 'method', 'result'],
+                registers
+            }),
+            alerts: new client.Counter({
+                name: 'dogecoin_watchdog_alerts_total',
+                help: 'Watchdog alerts raised since startup by type and severity',
+                labelNames: ['node', 'type', 'severity'],
+                registers
+            }),
+            unacknowledgedAlerts: new client.Gauge({
+                name: 'dogecoin_watchdog_unacknowledged_alerts',
+                help: 'Recent watchdog alerts that have not been acknowledged, by severity',
+                labelNames: ['node', 'severity'],
+                registers
+            }),
+            monitoring: new client.Gauge({
+                name: 'dogecoin_watchdog_monitoring',
+                help: 'Whether the watchdog is actively monitoring (1) or not (0)',
+                labelNames: ['node'],
+                registers
+            })
+        };
+    }
+
+    /**
+     * Records latency and outcome of every RPC call to a node and its cache lookups
+     * @param {Object} node - Monitored node
+     */
+    instrumentRPC({ id: node, rpc }) {
+        if (typeof rpc?.on !== 'function') {
+            return;
+        }
+
+        rpc.on('call', ({ method, durationMs, success, errorCode }) => {
+            this.metrics.rpcDuration.observe({ node, method }, durationMs / 1000);
+            this.metrics.rpcRequests.inc({ node, method, status: success ? 'success' : 'error' });
+
+            if (!success) {
+                this.metrics.rpcErrors.inc({ node, method, code: String(errorCode) });
+            }
+        });
+
+        rpc.on('cache', ({ method, result }) => {
+            this.metrics.rpcCache.inc({ node, method, result });
+        });
+    }
+
+    /**
+     * Counts a node's watchdog alerts as they are raised
+     * @param {Object} node - Monitored node
+     */
+    instrumentWatchdog({ id: node, watchdog }) {
+        if (!watchdog) {
+            return;
+        }
+
+        watchdog.on('alert', (alert) => {
+            this.metrics.alerts.inc({ node, type: alert.type, severity: alert.severity });
+        });
+    }
+
+    /**
+     * Refreshes a node's gauges from its RPC service
+     * @param {Object} node - Monitored node
+     * @returns {Promise<void>}
+     */
+    async collectNodeState({ id: node, rpc }) {
+        const { metrics } = this;
+
+        try {
+            const [blockchainInfo, mempoolInfo, peerInfo, networkHashPS] = await Promise.all([
+                rpc.call('getblockchaininfo'),
+                rpc.call('getmempoolinfo'),
+                rpc.call('getpeerinfo'),
+                rpc.call('getnetworkhashps', [120]).catch(() => null)
+            ]);
+
+            metrics.blocks.set({ node }, blockchainInfo.blocks);
+            metrics.headers.set({ node }, blockchainInfo.headers);
+            metrics.verificationProgress.set({ node }, blockchainInfo.verificationprogress);
+            metrics.difficulty.set({ node }, blockchainInfo.difficulty);
+            metrics.mempoolSize.set({ node }, mempoolInfo.size);
+            metrics.mempoolBytes.set({ node }, mempoolInfo.bytes);
+
+            if (typeof networkHashPS === 'number') {
+                metrics.networkHashPS.set({ node }, networkHashPS);
+            }
+
+            const inbound = peerInfo.filter(peer => peer.inbound).length;
+            metrics.peers.set({ node, direction: 'inbound' }, inbound);
+            metrics.peers.set({ node, direction: 'outbound' }, peerInfo.length - inbound);
+
+            metrics.up.set({ node }, 1);
+        } catch (error) {
+            this.logger.warn('Prometheus scrape of node state failed', { node, error: error.message });
+            metrics.up.set({ node }, 0);
+        }
+    }
+
+    /**
+     * Refreshes a node's watchdog gauges
+     * @param {Object} node - Monitored node
+     */
+    collectWatchdogState({ id: node, watchdog }) {
+        if (!watchdog) {
+            return;
+        }
+
+        this.metrics.monitoring.set({ node }, watchdog.isMonitoring ? 1 : 0);
+
+        for (const severity of SEVERITIES) {
+            const count = watchdog.alerts.filter(a => a.severity === severity && !a.acknowledged).length;
+            this.metrics.unacknowledgedAlerts.set({ node, severity }, count);
+        }
+    }
+
+    /**
+     * Collects current state of every node and renders all metrics
+     * @returns {Promise<string>} Metrics in the Prometheus text exposition format
+     */
+    async getMetrics() {
+        await Promise.all(this.nodes.map(node => this.collectNodeState(node)));
+        for (const node of this.nodes) {
+            this.collectWatchdogState(node);
+        }
+        return this.registry.metrics();
+    }
+
+    /**
+     * Content type of the exposition format
+     * @returns {string} Content-Type header value
+     */
+    get contentType() {
+        return this.registry.contentType;
+    }
+}
+
+module.exports = PrometheusExporter;
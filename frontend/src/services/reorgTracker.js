@@ -0,0 +1,310 @@
+/**
+ * Reorg Tracker
+ * Remembers the best-chain block hash at each recent height. When the tip
+ * no longer builds on the recorded chain, it records a reorg: the fork
+ * point, the orphaned and replacement blocks, and the transactions that were
+ * dropped or moved to another block.
+ *
+ * Emits 'reorg' with each recorded event.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { createChildLogger } = require('../utils/logger');
+const { parseBlock } = require('../utils/rawBlock');
+
+/**
+ * Raw blocks fetched per batch request when comparing the two branches
+ */
+const BLOCK_BATCH_SIZE = 25;
+
+/**
+ * Dropped and moved transactions listed per reorg (all are counted)
+ */
+const TX_LIST_LIMIT = 500;
+
+/**
+ * Least time (ms) between saves of the recorded chain while no reorg is recorded
+ */
+const SAVE_INTERVAL = 5 * 60 * 1000;
+
+class ReorgTracker extends EventEmitter {
+    /**
+     * @param {Object} options - Tracker options
+     * @param {DogecoinRPCService} options.rpc - RPC service of the tracked node
+     * @param {number} options.depth - Recent heights whose best-chain hash is remembered (deepest reorg described)
+     * @param {number} options.historySize - Reorgs kept in the history
+     * @param {string} options.filePath - JSON file holding the history; omit to keep it in memory
+     * @param {string} options.nodeId - Node identifier used in logs and events
+     */
+    constructor(options = {}) {
+        super();
+        this.rpc = options.rpc;
+        this.depth = options.depth || 100;
+        this.historySize = options.historySize || 100;
+        this.filePath = options.filePath || null;
+        this.nodeId = options.nodeId || null;
+        this.logger = createChildLogger(this.nodeId ? { service: 'reorg-tracker', node: this.nodeId } : { service: 'reorg-tracker' });
+
+        this.tipHash = null;
+        this.chain = {}; // height -> best-chain block hash
+        this.history = []; // newest first
+        this.updating = null;
+        this.savedAt = 0;
+    }
+
+    /**
+     * Loads the saved chain and history
+     * @returns {ReorgTracker} This tracker
+     */
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) {
+            return this;
+        }
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.tipHash = saved.tipHash || null;
+            this.chain = saved.chain || {};
+            this.history = (saved.history || []).slice(0, this.historySize);
+            this.logger.info('Reorg history loaded', { reorgs: this.history.length });
+        } catch (error) {
+            this.logger.error('Failed to load reorg history', { filePath: this.filePath, error: error.message });
+        }
+        return this;
+    }
+
+    /**
+     * Writes the chain and history
+     */
+    save() {
+        if (!this.filePath) {
+            return;
+        }
+
+        const tmpPath = `${this.filePath}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(tmpPath, JSON.stringify({
+                version: 1,
+                savedAt: new Date().toISOString(),
+                tipHash: this.tipHash,
+                chain: this.chain,
+                history: this.history
+            }));
+            fs.renameSync(tmpPath, this.filePath);
+            this.savedAt = Date.now();
+        } catch (error) {
+            this.logger.error('Failed to save reorg history', { filePath: this.filePath, error: error.message });
+        }
+    }
+
+    /**
+     * Compares the active chain with the recorded one (concurrent calls share one run)
+     * @param {Object} blockchain - getblockchaininfo result (read from the node if omitted)
+     * @returns {Promise<Object|null>} Reorg recorded by this update, or null
+     */
+    update(blockchain = null) {
+        if (!this.updating) {
+            this.updating = this.runUpdate(blockchain).finally(() => {
+                this.updating = null;
+            });
+        }
+        return this.updating;
+    }
+
+    /**
+     * @param {Object} blockchain - getblockchaininfo result, or null
+     * @returns {Promise<Object|null>} Recorded reorg, or null
+     */
+    async runUpdate(blockchain) {
+        const info = blockchain || await this.rpc.call('getblockchaininfo');
+        if (info.bestblockhash === this.tipHash) {
+            return null;
+        }
+
+        // A tip building on the recorded one only adds a height
+        if (this.tipHash) {
+            const header = await this.rpc.call('getblockheader', [info.bestblockhash]);
+            if (header.previousblockhash === this.tipHash) {
+                this.chain[header.height] = header.hash;
+                for (const height of Object.keys(this.chain).map(Number)) {
+                    if (height <= header.height - this.depth) {
+                        delete this.chain[height];
+                    }
+                }
+                this.tipHash = header.hash;
+                this.saveIfDue();
+                return null;
+            }
+        }
+
+        const fromHeight = Math.max(info.blocks - this.depth + 1, 0);
+        const heights = [];
+        for (let height = fromHeight; height <= info.blocks; height++) {
+            heights.push(height);
+        }
+
+        const current = {};
+        const outcomes = await this.rpc.callBatch(heights.map(height => ({ method: 'getblockhash', params: [height] })));
+        for (const [index, outcome] of outcomes.entries()) {
+            if (outcome.status !== 'fulfilled') {
+                throw outcome.reason;
+            }
+            current[heights[index]] = outcome.value;
+        }
+
+        // Recorded blocks that are no longer at their height were orphaned
+        const recorded = Object.keys(this.chain).map(Number).filter(height => height >= fromHeight).sort((a, b) => a - b);
+        const orphanedHeights = recorded.filter(height => current[height] !== this.chain[height]);
+
+        let reorg = null;
+        if (orphanedHeights.length > 0) {
+            const forkHeight = orphanedHeights[0] - 1;
+            reorg = await this.describeReorg({
+                forkHeight,
+                forkHash: current[forkHeight] || null,
+                // Without a matching height below the first orphaned block the fork may be deeper
+                forkKnown: forkHeight >= fromHeight && this.chain[forkHeight] === current[forkHeight],
+                oldTip: { hash: this.tipHash, height: recorded[recorded.length - 1] },
+                newTip: { hash: info.bestblockhash, height: info.blocks },
+                orphaned: orphanedHeights.map(height => ({ hash: this.chain[height], height })),
+                replacement: heights.filter(height => height > forkHeight).map(height => ({ hash: current[height], height }))
+            });
+
+            this.history.unshift(reorg);
+            this.history.splice(this.historySize);
+            this.logger.warn('Chain reorganization recorded', {
+                forkHeight: reorg.forkHeight,
+                depth: reorg.depth,
+                dropped: reorg.transactions.droppedCount,
+                moved: reorg.transactions.movedCount
+            });
+            this.emit('reorg', reorg);
+        }
+
+        this.chain = current;
+        this.tipHash = info.bestblockhash;
+        if (reorg) {
+            this.save();
+        } else {
+            this.saveIfDue();
+        }
+        return reorg;
+    }
+
+    /**
+     * Saves the recorded chain if the last save is older than SAVE_INTERVAL
+     * The history only changes with a reorg, which is saved right away; the
+     * chain is saved now and then so a restart can still spot reorgs that
+     * happened while the monitor was down.
+     */
+    saveIfDue() {
+        if (Date.now() - this.savedAt >= SAVE_INTERVAL) {
+            this.save();
+        }
+    }
+
+    /**
+     * Reads both branches and diffs their transactions
+     * Stale blocks normally stay on the node's disk; one that cannot be read
+     * leaves its transactions out and the event marked incomplete.
+     * @param {Object} branches - Fork point, tips and the blocks of both branches
+     * @returns {Promise<Object>} Reorg event
+     */
+    async describeReorg({ forkHeight, forkHash, forkKnown, oldTip, newTip, orphaned, replacement }) {
+        const blocks = [...orphaned, ...replacement];
+        let complete = forkKnown;
+
+        for (let i = 0; i < blocks.length; i += BLOCK_BATCH_SIZE) {
+            const batch = blocks.slice(i, i + BLOCK_BATCH_SIZE);
+            const outcomes = await this.rpc.requestBatch(batch.map(block => ({ method: 'getblock', params: [block.hash, false] })));
+            for (const [index, outcome] of outcomes.entries()) {
+                if (outcome.status === 'fulfilled') {
+                    // The coinbase is never carried over to the other branch
+                    batch[index].txids = parseBlock(outcome.value).tx.slice(1).map(tx => tx.txid);
+                } else {
+                    batch[index].txids = null;
+                    complete = false;
+                }
+            }
+        }
+
+        const located = (branch) => {
+            const byTxid = new Map();
+            for (const block of branch) {
+                (block.txids || []).forEach(txid => byTxid.set(txid, { hash: block.hash, height: block.height }));
+            }
+            return byTxid;
+        };
+        const before = located(orphaned);
+        const after = located(replacement);
+
+        const dropped = [...before].filter(([txid]) => !after.has(txid));
+        const moved = [...before].filter(([txid]) => after.has(txid));
+
+        // Dropped transactions back in the mempool may still confirm; the rest were conflicted or evicted
+        const mempool = dropped.length > 0 ? new Set(await this.rpc.call('getrawmempool')) : new Set();
+
+        const summarize = branch => branch.map(({ hash, height, txids }) => ({ hash, height, txCount: txids ? txids.length : null }));
+        return {
+            id: orphaned[0].hash,
+            detectedAt: new Date().toISOString(),
+            forkHeight,
+            forkHash,
+            depth: orphaned.length,
+            oldTip,
+            newTip,
+            orphaned: summarize(orphaned),
+            replacement: summarize(replacement),
+            transactions: {
+                droppedCount: dropped.length,
+                movedCount: moved.length,
+                addedCount: [...after.keys()].filter(txid => !before.has(txid)).length,
+                dropped: dropped.slice(0, TX_LIST_LIMIT).map(([txid, block]) => ({
+                    txid,
+                    blockHash: block.hash,
+                    height: block.height,
+                    inMempool: mempool.has(txid)
+                })),
+                moved: moved.slice(0, TX_LIST_LIMIT).map(([txid, block]) => ({ txid, from: block, to: after.get(txid) }))
+            },
+            complete
+        };
+    }
+
+    /**
+     * Pages through the recorded reorgs, newest first
+     * @param {Object} options - { limit, offset }
+     * @returns {Object} { total, reorgs }
+     */
+    getHistory({ limit = 25, offset = 0 } = {}) {
+        return {
+            total: this.history.length,
+            reorgs: this.history.slice(offset, offset + limit)
+        };
+    }
+
+    /**
+     * Gets one recorded reorg
+     * @param {string} id - Reorg ID (hash of its first orphaned block)
+     * @returns {Object|null} Reorg event
+     */
+    get(id) {
+        return this.history.find(reorg => reorg.id === id) || null;
+    }
+
+    /**
+     * Finds the recorded reorg that orphaned a tip (a valid-fork entry of getchaintips)
+     * @param {string} hash - Orphaned tip hash
+     * @returns {Object|null} Reorg event
+     */
+    findByOrphanedTip(hash) {
+        return this.history.find(reorg => reorg.oldTip.hash === hash) || null;
+    }
+}
+
+module.exports = {
+    ReorgTracker
+};
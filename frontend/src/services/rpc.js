@@ -4,9 +4,11 @@
  */
 
 const axios = require('axios');
+const EventEmitter = require('events');
 const fs = require('fs');
 const config = require('../config');
 const { createChildLogger } = require('../utils/logger');
+const { RPCCache } = require('./rpcCache');
 
 /**
  * Custom RPC Error class
@@ -20,10 +22,43 @@ class RPCError extends Error {
     }
 }
 
-class DogecoinRPCService {
-    constructor() {
-        this.logger = createChildLogger({ service: 'rpc' });
-        this.rpcUrl = `http://${config.rpc.host}:${config.rpc.port}`;
+/**
+ * Emits a 'call' event after every RPC request (once per call of a batch) with
+ * { method, durationMs, success, errorCode } and a 'cache' event for every
+ * cacheable or coalesced call with { method, result } for instrumentation.
+ */
+class DogecoinRPCService extends EventEmitter {
+    /**
+     * @param {Object} options - Connection options; omitted fields fall back to config.rpc
+     * @param {string} options.nodeId - Node identifier used in logs
+     * @param {string} options.host - RPC host
+     * @param {number} options.port - RPC port
+     * @param {string} options.cookiePath - Cookie file with RPC credentials
+     * @param {string} options.username - RPC username (used when no cookie path is set)
+     * @param {string} options.password - RPC password
+     * @param {Object} options.cache - Response cache overrides (see config.rpc.cache)
+     */
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this.nodeId = options.nodeId || null;
+        this.host = options.host || config.rpc.host;
+        this.port = options.port || config.rpc.port;
+        this.logger = createChildLogger(this.nodeId ? { service: 'rpc', node: this.nodeId } : { service: 'rpc' });
+        this.rpcUrl = `http://${this.host}:${this.port}`;
+
+        const cacheOptions = { ...config.rpc.cache, ...options.cache };
+        this.cache = cacheOptions.enabled ? new RPCCache(cacheOptions) : null;
+        this.inflight = new Map(); // cache key -> pending request
+        this.tipCheck = null;
+    }
+
+    /**
+     * Cookie file path for this node
+     * @returns {string} Cookie file path
+     */
+    get cookiePath() {
+        return this.options.cookiePath || config.rpc.cookiePath;
     }
 
     /**
@@ -31,20 +66,27 @@ class DogecoinRPCService {
      * @returns {Object} Authentication credentials
      */
     getRPCAuth() {
+        const { username: configuredUser, password: configuredPass, cookiePath } = this.options;
+
+        // Nodes configured with explicit credentials and no cookie skip the shared cookie file
+        if (configuredUser && configuredPass && !cookiePath) {
+            return { username: configuredUser, password: configuredPass };
+        }
+
         try {
-            if (fs.existsSync(config.rpc.cookiePath)) {
-                const cookie = fs.readFileSync(config.rpc.cookiePath, 'utf8').trim();
+            if (fs.existsSync(this.cookiePath)) {
+                const cookie = fs.readFileSync(this.cookiePath, 'utf8').trim();
                 const [username, password] = cookie.split(':');
                 this.logger.debug('RPC cookie authentication loaded', { username });
                 return { username, password };
             } else {
                 this.logger.warn('RPC cookie file not found, using fallback credentials', {
-                    cookiePath: config.rpc.cookiePath
+                    cookiePath: this.cookiePath
                 });
 
                 // Require environment variables for security
-                const username = process.env.DOGECOIN_RPC_USER;
-                const password = process.env.DOGECOIN_RPC_PASS;
+                const username = configuredUser || process.env.DOGECOIN_RPC_USER;
+                const password = configuredPass || process.env.DOGECOIN_RPC_PASS;
 
                 if (!username || !password) {
                     throw new Error('RPC credentials not found. Set DOGECOIN_RPC_USER and DOGECOIN_RPC_PASS environment variables or ensure cookie file exists.');
@@ -55,20 +97,202 @@ class DogecoinRPCService {
         } catch (error) {
             this.logger.error('Error reading RPC cookie', {
                 error: error.message,
-                cookiePath: config.rpc.cookiePath
+                cookiePath: this.cookiePath
             });
-            throw new Error(`Failed to get RPC authentication: ${error.message}`);
+            throw new Error(`Failed to get RPC authentication: ${error.message}`, { cause: error });
         }
     }
 
     /**
-     * Makes an RPC call to the Dogecoin node
+     * Makes an RPC call, answering from the response cache when possible
+     * Blocks and transactions by hash are cached until evicted; height-dependent
+     * results until the best block changes. Identical concurrent calls share
+     * one request.
      * @param {string} method - RPC method name
      * @param {Array} params - Method parameters
      * @param {number} timeout - Request timeout in milliseconds
      * @returns {Promise<*>} RPC call result
      */
     async call(method, params = [], timeout = config.rpc.timeout) {
+        if (!this.cache) {
+            return await this.request(method, params, timeout);
+        }
+
+        const cacheable = this.cache.getPolicy(method) !== null;
+
+        if (cacheable) {
+            // Cached entries are only valid for the tip they were stored under
+            await this.refreshTip(timeout);
+
+            const entry = this.cache.lookup(method, params);
+            const value = entry ? this.cache.materialize(method, params, entry) : null;
+            if (value !== null) {
+                this.recordCache(method, 'hit');
+                return value;
+            }
+        }
+
+        const key = this.cache.key(method, params);
+        const pending = this.inflight.get(key);
+        if (pending) {
+            this.recordCache(method, 'coalesced');
+            return structuredClone(await pending);
+        }
+
+        if (cacheable) {
+            this.recordCache(method, 'miss');
+        }
+
+        // Tag the result with the tip known before the request was sent
+        const tip = { ...this.cache.tip };
+        const promise = this.request(method, params, timeout);
+        this.inflight.set(key, promise);
+
+        try {
+            const result = await promise;
+            if (cacheable) {
+                this.cache.store(method, params, result, tip);
+                return structuredClone(result);
+            }
+            return result;
+        } finally {
+            this.inflight.delete(key);
+        }
+    }
+
+    /**
+     * Makes several RPC calls in one JSON-RPC batch request
+     * Calls answered by the response cache are left out of the batch. The
+     * result has one entry per call in the shape of Promise.allSettled(), so a
+     * failing call does not discard the others; node errors become RPCErrors.
+     * A transport failure (connection, authentication, timeout) rejects.
+     * @param {Array<Object>} calls - Calls to make ({ method, params })
+     * @param {number} timeout - Request timeout in milliseconds
+     * @returns {Promise<Array<Object>>} Outcomes ({ status: 'fulfilled', value } or { status: 'rejected', reason })
+     */
+    async callBatch(calls, timeout = config.rpc.timeout) {
+        const outcomes = new Array(calls.length).fill(null);
+        const misses = [];
+        const cacheable = (method) => this.cache !== null && this.cache.getPolicy(method) !== null;
+
+        if (calls.some(({ method }) => cacheable(method))) {
+            await this.refreshTip(timeout);
+        }
+
+        calls.forEach(({ method, params = [] }, index) => {
+            if (cacheable(method)) {
+                const entry = this.cache.lookup(method, params);
+                const value = entry ? this.cache.materialize(method, params, entry) : null;
+                if (value !== null) {
+                    this.recordCache(method, 'hit');
+                    outcomes[index] = { status: 'fulfilled', value };
+                    return;
+                }
+                this.recordCache(method, 'miss');
+            }
+            misses.push(index);
+        });
+
+        if (misses.length === 0) {
+            return outcomes;
+        }
+
+        const tip = this.cache ? { ...this.cache.tip } : null;
+        const results = await this.requestBatch(misses.map(index => calls[index]), timeout);
+
+        results.forEach((outcome, position) => {
+            const index = misses[position];
+            const { method, params = [] } = calls[index];
+
+            if (outcome.status === 'fulfilled' && cacheable(method)) {
+                this.cache.store(method, params, outcome.value, tip);
+                outcomes[index] = { status: 'fulfilled', value: structuredClone(outcome.value) };
+                return;
+            }
+            outcomes[index] = outcome;
+        });
+
+        return outcomes;
+    }
+
+    /**
+     * Re-checks the best block if the last check is stale (concurrent checks share one request)
+     * @param {number} timeout - Request timeout in milliseconds
+     * @returns {Promise<void>}
+     */
+    async refreshTip(timeout) {
+        if (this.cache.isTipFresh()) {
+            return;
+        }
+
+        if (!this.tipCheck) {
+            this.tipCheck = this.checkTip(timeout).finally(() => {
+                this.tipCheck = null;
+            });
+        }
+        await this.tipCheck;
+    }
+
+    /**
+     * Reads the best block and invalidates the cache if it changed
+     * @param {number} timeout - Request timeout in milliseconds
+     * @returns {Promise<void>}
+     */
+    async checkTip(timeout) {
+        try {
+            const hash = await this.request('getbestblockhash', [], timeout);
+            if (hash === this.cache.tip.hash) {
+                this.cache.updateTip({ hash, height: this.cache.tip.height });
+                return;
+            }
+
+            const header = await this.request('getblockheader', [hash], timeout);
+            this.cache.updateTip({ hash, height: header.height, previousblockhash: header.previousblockhash });
+        } catch (error) {
+            // Without a known tip nothing tip-dependent is served from the cache
+            this.logger.debug('Best block check failed', { error: error.message });
+            this.cache.resetTip();
+        }
+    }
+
+    /**
+     * Makes the next cached call re-check the best block, e.g. after a new block notification
+     */
+    expireTip() {
+        if (this.cache) {
+            this.cache.expireTip();
+        }
+    }
+
+    /**
+     * Counts a cache lookup and reports it to listeners
+     * @param {string} method - RPC method name
+     * @param {string} result - hit, miss or coalesced
+     */
+    recordCache(method, result) {
+        this.cache.record(method, result);
+        this.emit('cache', { method, result });
+    }
+
+    /**
+     * Gets response cache statistics
+     * @returns {Object} Cache statistics
+     */
+    getCacheStats() {
+        if (!this.cache) {
+            return { enabled: false };
+        }
+        return { enabled: true, ...this.cache.getStats() };
+    }
+
+    /**
+     * Sends an RPC request to the Dogecoin node, bypassing the cache
+     * @param {string} method - RPC method name
+     * @param {Array} params - Method parameters
+     * @param {number} timeout - Request timeout in milliseconds
+     * @returns {Promise<*>} RPC call result
+     */
+    async request(method, params = [], timeout = config.rpc.timeout) {
         const auth = this.getRPCAuth();
         const requestId = Math.random().toString(36).substring(2, 15);
 
@@ -81,6 +305,9 @@ class DogecoinRPCService {
 
         this.logger.debug('Making RPC call', { method, params: params.length });
 
+        const startedAt = Date.now();
+        let errorCode = null;
+
         try {
             const response = await axios.post(this.rpcUrl, payload, {
                 auth,
@@ -97,42 +324,130 @@ class DogecoinRPCService {
             this.logger.debug('RPC call successful', { method, requestId });
             return response.data.result;
         } catch (error) {
-            if (error instanceof RPCError) {
-                throw error;
-            }
+            const rpcError = this.toRPCError(error, method);
+            errorCode = rpcError.code;
+            throw rpcError;
+        } finally {
+            this.emit('call', {
+                method,
+                durationMs: Date.now() - startedAt,
+                success: errorCode === null,
+                errorCode
+            });
+        }
+    }
 
-            // Handle axios errors
-            if (error.code === 'ECONNREFUSED') {
-                throw new RPCError('Connection refused - Dogecoin node may not be running', -1, method);
-            }
+    /**
+     * Sends a JSON-RPC batch request to the Dogecoin node, bypassing the cache
+     * @param {Array<Object>} calls - Calls to make ({ method, params })
+     * @param {number} timeout - Request timeout in milliseconds
+     * @returns {Promise<Array<Object>>} Outcomes in call order (see callBatch)
+     */
+    async requestBatch(calls, timeout = config.rpc.timeout) {
+        const auth = this.getRPCAuth();
+        const payload = calls.map(({ method, params = [] }, index) => ({
+            jsonrpc: '1.0',
+            id: index,
+            method,
+            params
+        }));
 
-            if (error.response?.status === 401) {
-                throw new RPCError('Authentication failed - check RPC credentials', 401, method);
-            }
+        this.logger.debug('Making RPC batch call', { calls: calls.length });
 
-            if (error.response?.status === 500) {
-                throw new RPCError('Internal server error - node may be starting up', 500, method);
-            }
+        const startedAt = Date.now();
+        let outcomes = null;
+        let transportError = null;
 
-            if (error.code === 'ENOTFOUND') {
-                throw new RPCError(`Host not found: ${config.rpc.host}`, -2, method);
-            }
+        try {
+            const response = await axios.post(this.rpcUrl, payload, {
+                auth,
+                timeout,
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            });
 
-            if (error.code === 'ETIMEDOUT') {
-                throw new RPCError('Request timeout', -3, method);
+            if (!Array.isArray(response.data)) {
+                throw new RPCError('Node did not return a batch response', -32700, 'batch');
             }
 
-            this.logger.error('RPC call failed', {
-                method,
-                error: error.message,
-                status: error.response?.status,
-                code: error.code
+            // Responses may arrive in any order; match them to calls by id
+            const byId = new Map(response.data.map(item => [item.id, item]));
+            outcomes = calls.map(({ method }, index) => {
+                const item = byId.get(index);
+                if (!item) {
+                    return { status: 'rejected', reason: new RPCError('Missing response in batch', -32603, method) };
+                }
+                if (item.error) {
+                    return { status: 'rejected', reason: new RPCError(item.error.message, item.error.code, method) };
+                }
+                return { status: 'fulfilled', value: item.result };
             });
 
-            throw new RPCError(`RPC call failed: ${error.message}`, -99, method);
+            this.logger.debug('RPC batch call successful', { calls: calls.length });
+            return outcomes;
+        } catch (error) {
+            transportError = this.toRPCError(error, 'batch');
+            throw transportError;
+        } finally {
+            // Every call in the batch shares the round trip's duration
+            const durationMs = Date.now() - startedAt;
+            calls.forEach(({ method }, index) => {
+                const reason = outcomes ? outcomes[index].reason : transportError;
+                const errorCode = reason ? reason.code : null;
+                this.emit('call', { method, durationMs, success: errorCode === null, errorCode });
+            });
         }
     }
 
+    /**
+     * Converts a transport or node error into an RPCError
+     * @param {Error} error - Error raised while making the request
+     * @param {string} method - RPC method name
+     * @returns {RPCError} Classified RPC error
+     */
+    toRPCError(error, method) {
+        if (error instanceof RPCError) {
+            return error;
+        }
+
+        // Handle axios errors
+        if (error.code === 'ECONNREFUSED') {
+            return new RPCError('Connection refused - Dogecoin node may not be running', -1, method);
+        }
+
+        // The node reports RPC errors with an HTTP error status and a JSON-RPC error body
+        const nodeError = error.response?.data?.error;
+        if (nodeError && typeof nodeError.code === 'number') {
+            return new RPCError(nodeError.message, nodeError.code, method);
+        }
+
+        if (error.response?.status === 401) {
+            return new RPCError('Authentication failed - check RPC credentials', 401, method);
+        }
+
+        if (error.response?.status === 500) {
+            return new RPCError('Internal server error - node may be starting up', 500, method);
+        }
+
+        if (error.code === 'ENOTFOUND') {
+            return new RPCError(`Host not found: ${this.host}`, -2, method);
+        }
+
+        if (error.code === 'ETIMEDOUT') {
+            return new RPCError('Request timeout', -3, method);
+        }
+
+        this.logger.error('RPC call failed', {
+            method,
+            error: error.message,
+            status: error.response?.status,
+            code: error.code
+        });
+
+        return new RPCError(`RPC call failed: ${error.message}`, -99, method);
+    }
+
     /**
      * Makes an RPC call with retry logic
      * @param {string} method - RPC method name
@@ -185,7 +500,8 @@ class DogecoinRPCService {
      */
     async testConnection() {
         try {
-            await this.call('getblockchaininfo');
+            // Bypass the cache so the node itself is reached
+            await this.request('getblockchaininfo');
             return true;
         } catch (error) {
             this.logger.error('RPC connection test failed', { error: error.message });
@@ -212,6 +528,21 @@ class DogecoinRPCService {
         };
     }
 
+    /**
+     * Gets verbose blocks of the active chain by height in two batch requests
+     * @param {Array<number>} heights - Block heights
+     * @param {number} timeout - Request timeout in milliseconds
+     * @returns {Promise<Array<Object>>} Outcomes in height order (see callBatch)
+     */
+    async getBlocksByHeight(heights, timeout = config.rpc.timeout) {
+        const hashes = await this.callBatch(heights.map(height => ({ method: 'getblockhash', params: [height] })), timeout);
+        const found = hashes.filter(outcome => outcome.status === 'fulfilled');
+        const blocks = await this.callBatch(found.map(outcome => ({ method: 'getblock', params: [outcome.value] })), timeout);
+
+        let next = 0;
+        return hashes.map(outcome => (outcome.status === 'fulfilled' ? blocks[next++] : outcome));
+    }
+
     /**
      * Gets chain tips information (for detecting reorganizations)
      * @returns {Promise<Array>} Array of chain tip objects
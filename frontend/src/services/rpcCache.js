@@ -0,0 +1,306 @@
+/**
+ * RPC Response Cache
+ * Block-aware cache for Dogecoin RPC results with hit/miss statistics
+ */
+
+/**
+ * Cache policy per RPC method
+ * - immutable: keyed by block hash or txid; never changes for a given key
+ * - tip: valid until the best block changes
+ * Methods not listed (mempool, peers, network) are never cached. Neither is
+ * getchaintips: a new stale branch does not move the best block, and the
+ * reorg detectors must see it at once.
+ */
+const CACHE_POLICIES = {
+    getblock: 'immutable',
+    getblockheader: 'immutable',
+    getrawtransaction: 'immutable',
+    getblockchaininfo: 'tip',
+    getblockcount: 'tip',
+    getblockhash: 'tip',
+    getdifficulty: 'tip',
+    getnetworkhashps: 'tip',
+    getmininginfo: 'tip',
+    gettxoutsetinfo: 'tip',
+    estimatefee: 'tip',
+    estimatesmartfee: 'tip'
+};
+
+/**
+ * Block methods whose verbose result links to the next block
+ */
+const LINKED_BLOCK_METHODS = ['getblock', 'getblockheader'];
+
+class RPCCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {number} options.maxEntries - Maximum entries per tier (least recently used are evicted)
+     * @param {number} options.maxAge - Maximum age of tip-dependent entries in milliseconds
+     * @param {number} options.tipCheckInterval - How long a best-block check stays fresh in milliseconds
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 5000;
+        this.maxAge = options.maxAge || 30000;
+        this.tipCheckInterval = options.tipCheckInterval ?? 2000;
+
+        this.immutable = new Map();
+        this.tipEntries = new Map();
+        this.tip = { hash: null, height: null, checkedAt: 0 };
+        this.lastTip = { hash: null, height: null }; // last known tip while the current one is unknown
+        this.stats = this.initializeStats();
+    }
+
+    /**
+     * Creates empty statistics
+     * @returns {Object} Statistics counters
+     */
+    initializeStats() {
+        return { hits: 0, misses: 0, coalesced: 0, invalidations: 0, reorgs: 0, byMethod: {} };
+    }
+
+    /**
+     * Gets the cache policy for a call
+     * @param {string} method - RPC method name
+     * @returns {string|null} Policy name, or null if the call is not cacheable
+     */
+    getPolicy(method) {
+        return CACHE_POLICIES[method] || null;
+    }
+
+    /**
+     * Builds the cache key of a call
+     * @param {string} method - RPC method name
+     * @param {Array} params - Method parameters
+     * @returns {string} Cache key
+     */
+    key(method, params) {
+        return `${method}:${JSON.stringify(params)}`;
+    }
+
+    /**
+     * Whether the last best-block check is recent enough to trust
+     * @returns {boolean} True if the tip was checked within tipCheckInterval
+     */
+    isTipFresh() {
+        return this.tip.hash !== null && Date.now() - this.tip.checkedAt < this.tipCheckInterval;
+    }
+
+    /**
+     * Records the result of a best-block check
+     * Tip-dependent entries are dropped when the best block changes. If the new
+     * tip does not build on the previous one (a reorg), verbose block and
+     * transaction entries are dropped too, since their confirmations are no
+     * longer derivable from the height difference. After failed checks the
+     * new tip is compared with the last one known.
+     * @param {Object} tip - Best block ({ hash, height, previousblockhash })
+     */
+    updateTip(tip) {
+        const previous = this.tip.hash !== null ? this.tip : this.lastTip;
+        this.tip = { hash: tip.hash, height: tip.height, checkedAt: Date.now() };
+        this.lastTip = { hash: null, height: null };
+
+        if (previous.hash === tip.hash) {
+            return;
+        }
+
+        if (this.tipEntries.size > 0) {
+            this.tipEntries.clear();
+            this.stats.invalidations++;
+        }
+
+        // Several blocks found between checks look the same as a reorg here,
+        // so both drop the entries; only same-or-next-height switches count as reorgs
+        const extendsPrevious = previous.hash === null || tip.previousblockhash === previous.hash;
+        if (!extendsPrevious) {
+            if (tip.height <= previous.height + 1) {
+                this.stats.reorgs++;
+            }
+            for (const [key, entry] of this.immutable) {
+                if (entry.baseHeight !== null) {
+                    this.immutable.delete(key);
+                }
+            }
+        }
+    }
+
+    /**
+     * Forces the next cacheable call to re-check the best block
+     * (e.g. when the node announced a new block)
+     */
+    expireTip() {
+        this.tip.checkedAt = 0;
+    }
+
+    /**
+     * Marks the tip as unknown (e.g. after a failed best-block check)
+     * The last known tip is kept so the next check can still spot a reorg.
+     */
+    resetTip() {
+        if (this.tip.hash !== null) {
+            this.lastTip = { hash: this.tip.hash, height: this.tip.height };
+        }
+        this.tip = { hash: null, height: null, checkedAt: 0 };
+        this.tipEntries.clear();
+    }
+
+    /**
+     * Looks up a cached entry without validating it
+     * @param {string} method - RPC method name
+     * @param {Array} params - Method parameters
+     * @returns {Object|null} Cache entry
+     */
+    lookup(method, params) {
+        // Unconfirmed results of immutable methods are kept in the tip tier
+        const key = this.key(method, params);
+        return this.immutable.get(key) || this.tipEntries.get(key) || null;
+    }
+
+    /**
+     * Produces the value of a cache entry for the current tip
+     * Returns a copy so callers cannot modify the cached result. Confirmations
+     * of verbose blocks and transactions are advanced by the number of blocks
+     * found since the entry was stored.
+     * @param {string} method - RPC method name
+     * @param {Array} params - Method parameters
+     * @param {Object} entry - Cache entry
+     * @returns {*} Cached value, or null if the entry is stale
+     */
+    materialize(method, params, entry) {
+        const key = this.key(method, params);
+
+        if (entry.tier === 'tip') {
+            if (entry.tipHash !== this.tip.hash || Date.now() - entry.storedAt > this.maxAge) {
+                this.tipEntries.delete(key);
+                return null;
+            }
+            this.touch(this.tipEntries, key, entry);
+            return structuredClone(entry.value);
+        }
+
+        if (entry.baseHeight === null) {
+            this.touch(this.immutable, key, entry);
+            return structuredClone(entry.value);
+        }
+
+        // Confirmations cannot be advanced without a known tip height
+        if (this.tip.height === null) {
+            return null;
+        }
+        this.touch(this.immutable, key, entry);
+
+        const delta = this.tip.height - entry.baseHeight;
+        const value = structuredClone(entry.value);
+
+        // A block cached at the tip gains a nextblockhash once it is built on
+        if (delta > 0 && LINKED_BLOCK_METHODS.includes(method) && !value.nextblockhash) {
+            this.immutable.delete(key);
+            return null;
+        }
+
+        value.confirmations += delta;
+        return value;
+    }
+
+    /**
+     * Stores a result according to its method's policy
+     * Verbose results that are not (yet) in the active chain, such as mempool
+     * transactions or stale blocks, only live until the tip changes.
+     * @param {string} method - RPC method name
+     * @param {Array} params - Method parameters
+     * @param {*} value - RPC result
+     * @param {Object} tip - Tip known when the request was made ({ hash, height })
+     */
+    store(method, params, value, tip) {
+        const policy = this.getPolicy(method);
+        if (!policy || value === null || typeof value === 'undefined') {
+            return;
+        }
+
+        const entry = { value, tier: policy, tipHash: tip.hash, baseHeight: null, storedAt: Date.now() };
+
+        if (policy === 'immutable' && typeof value === 'object') {
+            const confirmed = typeof value.confirmations === 'number' && value.confirmations >= 1;
+
+            // Blocks imply the tip height they were read at; transactions fall back to the known tip
+            const baseHeight = typeof value.height === 'number'
+                ? value.height + value.confirmations - 1
+                : tip.height;
+
+            if (confirmed && baseHeight !== null) {
+                entry.baseHeight = baseHeight;
+            } else {
+                entry.tier = 'tip';
+            }
+        }
+
+        if (entry.tier === 'tip' && tip.hash === null) {
+            return;
+        }
+
+        const tier = entry.tier === 'immutable' ? this.immutable : this.tipEntries;
+        this.touch(tier, this.key(method, params), entry);
+    }
+
+    /**
+     * Inserts or refreshes an entry as most recently used, evicting the oldest
+     * @param {Map} tier - Cache tier
+     * @param {string} key - Cache key
+     * @param {Object} entry - Cache entry
+     */
+    touch(tier, key, entry) {
+        tier.delete(key);
+        tier.set(key, entry);
+
+        if (tier.size > this.maxEntries) {
+            tier.delete(tier.keys().next().value);
+        }
+    }
+
+    /**
+     * Counts a cache lookup
+     * @param {string} method - RPC method name
+     * @param {string} result - hit, miss or coalesced
+     */
+    record(method, result) {
+        const counters = { hit: 'hits', miss: 'misses', coalesced: 'coalesced' }[result];
+        this.stats[counters]++;
+
+        if (!this.stats.byMethod[method]) {
+            this.stats.byMethod[method] = { hits: 0, misses: 0, coalesced: 0 };
+        }
+        this.stats.byMethod[method][counters]++;
+    }
+
+    /**
+     * Drops all entries
+     */
+    clear() {
+        this.immutable.clear();
+        this.tipEntries.clear();
+        this.resetTip();
+    }
+
+    /**
+     * Gets cache statistics
+     * @returns {Object} Hit/miss counters, hit rate and entry counts
+     */
+    getStats() {
+        const { hits, misses } = this.stats;
+
+        return {
+            ...this.stats,
+            byMethod: structuredClone(this.stats.byMethod),
+            hitRate: hits + misses > 0 ? hits / (hits + misses) : 0,
+            entries: {
+                immutable: this.immutable.size,
+                tip: this.tipEntries.size
+            },
+            tip: { hash: this.tip.hash, height: this.tip.height }
+        };
+    }
+}
+
+module.exports = {
+    RPCCache,
+    CACHE_POLICIES
+};
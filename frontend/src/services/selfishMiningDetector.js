@@ -0,0 +1,287 @@
+/**
+ * Selfish Mining Detector
+ * Combines three block-withholding signals over the mining analyzer's window:
+ * - runs of consecutive blocks by one pool, longer than its share explains
+ * - block timestamps pinned to the median-time floor, earlier than the two previous blocks or ahead of the local clock
+ * - stale-tip races from getchaintips, attributed to the pool whose block won
+ * Signals are grouped by pool and their confidences combined.
+ */
+
+const { UNKNOWN_ENTITY } = require('./miningAnalyzer');
+
+/**
+ * Number of previous blocks whose median time a block must exceed
+ */
+const MEDIAN_TIME_SPAN = 11;
+
+/**
+ * Confidence of a block timestamped at the median-time floor
+ * Honest miners stamp their current time, several minutes above the floor.
+ */
+const MEDIAN_FLOOR_CONFIDENCE = 0.9;
+
+/**
+ * Seconds before the two previous blocks at which a block's timestamp reaches the highest confidence
+ */
+const PARENT_TIME_SCALE = 600;
+
+/**
+ * Chain tip states that describe a competing branch the node knows about
+ */
+const STALE_TIP_STATUSES = ['valid-fork', 'valid-headers', 'headers-only'];
+
+/**
+ * Highest confidence a single heuristic can report
+ */
+const MAX_SIGNAL_CONFIDENCE = 0.99;
+
+/**
+ * Clamps a confidence to [0, MAX_SIGNAL_CONFIDENCE]
+ * @param {number} value - Raw confidence
+ * @returns {number} Clamped confidence
+ */
+const clampConfidence = value => Math.min(Math.max(value, 0), MAX_SIGNAL_CONFIDENCE);
+
+/**
+ * Probability that independent random events produce at least `count` hits
+ * when `expected` are expected (Poisson upper tail)
+ * @param {number} count - Observed events
+ * @param {number} expected - Expected events
+ * @returns {number} P(X >= count)
+ */
+const poissonTail = (count, expected) => {
+    let term = Math.exp(-expected);
+    let below = 0;
+    for (let k = 0; k < count; k++) {
+        below += term;
+        term *= expected / (k + 1);
+    }
+    return Math.max(1 - below, 0);
+};
+
+/**
+ * Reduces a block record to what alerts carry
+ * @param {Object} record - Mining analyzer block record
+ * @returns {Object} Block reference ({ height, hash, time })
+ */
+const blockRef = record => ({ height: record.height, hash: record.hash, time: record.time });
+
+class SelfishMiningDetector {
+    /**
+     * @param {Object} options - Detector options
+     * @param {MiningAnalyzer} options.miningAnalyzer - Source of recent blocks and their pools
+     * @param {DogecoinRPCService} options.rpc - RPC service used for getchaintips
+     * @param {number} options.minRun - Shortest run of consecutive blocks considered
+     * @param {number} options.maxFutureDrift - Seconds a block time may be ahead of the local clock
+     * @param {number} options.medianTimeMargin - Seconds above the median time of the previous 11 blocks within which a block time is pinned to the floor
+     * @param {number} options.staleRate - Expected stale blocks per block under honest mining
+     */
+    constructor(options = {}) {
+        this.miningAnalyzer = options.miningAnalyzer;
+        this.rpc = options.rpc;
+        this.minRun = options.minRun || 4;
+        this.maxFutureDrift = options.maxFutureDrift || 900;
+        this.medianTimeMargin = options.medianTimeMargin ?? 5;
+        this.staleRate = options.staleRate || 0.02;
+    }
+
+    /**
+     * Updates the block window and evaluates all heuristics
+     * @param {Object} blockchain - getblockchaininfo result
+     * @param {number} now - Current time in seconds
+     * @returns {Promise<Array<Object>>} Suspects ({ entity, confidence, signals, blocks }), most suspicious first
+     */
+    async analyze(blockchain, now = Math.floor(Date.now() / 1000)) {
+        await this.miningAnalyzer.update(blockchain);
+
+        const records = this.miningAnalyzer.getBlocks().reverse(); // oldest first
+        const shares = new Map(this.miningAnalyzer.getDistribution().pools.map(pool => [pool.entity, pool.share]));
+        const chainTips = await this.rpc.getChainTips();
+
+        const signals = [
+            ...this.findConsecutiveRuns(records, shares),
+            ...this.findTimestampAnomalies(records, now),
+            ...this.findStaleTipRaces(records, shares, chainTips)
+        ];
+
+        return this.groupByEntity(signals);
+    }
+
+    /**
+     * Finds runs of consecutive blocks by one pool
+     * Confidence is the chance that a pool with the observed share would not
+     * produce a run this long anywhere in the window.
+     * @param {Array<Object>} records - Block records, oldest first
+     * @param {Map<string, number>} shares - Share of the window per entity
+     * @returns {Array<Object>} Signals
+     */
+    findConsecutiveRuns(records, shares) {
+        const signals = [];
+        let start = 0;
+
+        for (let i = 1; i <= records.length; i++) {
+            const continues = i < records.length &&
+                records[i].entity === records[start].entity &&
+                records[i].height === records[i - 1].height + 1;
+            if (continues) {
+                continue;
+            }
+
+            const run = records.slice(start, i);
+            const { entity } = run[0];
+            if (run.length >= this.minRun && entity !== UNKNOWN_ENTITY) {
+                const share = shares.get(entity) || 0;
+                // Expected number of runs of this length (or longer) in the window
+                const expectedRuns = (records.length - run.length + 1) * (1 - share) * Math.pow(share, run.length);
+                signals.push({
+                    signal: 'consecutive-blocks',
+                    entity,
+                    confidence: clampConfidence(Math.exp(-expectedRuns)),
+                    summary: `${run.length} consecutive blocks at ${(share * 100).toFixed(0)}% share`,
+                    blocks: run.map(blockRef)
+                });
+            }
+            start = i;
+        }
+
+        return signals;
+    }
+
+    /**
+     * Finds blocks timestamped at the lowest time consensus accepts (just
+     * above the median of the previous 11 blocks), earlier than the two
+     * blocks before them, or ahead of the local clock
+     * Only a block earlier than its grandparent as well counts, so the honest
+     * successor of a block stamped ahead is not blamed.
+     * @param {Array<Object>} records - Block records, oldest first
+     * @param {number} now - Current time in seconds
+     * @returns {Array<Object>} Signals
+     */
+    findTimestampAnomalies(records, now) {
+        const signals = [];
+
+        records.forEach((record, i) => {
+            const previous = records.slice(Math.max(i - MEDIAN_TIME_SPAN, 0), i);
+            const contiguous = previous.length === MEDIAN_TIME_SPAN &&
+                previous[0].height === record.height - MEDIAN_TIME_SPAN;
+            const [grandparent, parent] = previous.slice(-2);
+
+            const medianTime = contiguous
+                ? previous.map(block => block.time).sort((a, b) => a - b)[Math.floor(MEDIAN_TIME_SPAN / 2)]
+                : null;
+            if (medianTime !== null && record.time - medianTime <= this.medianTimeMargin) {
+                signals.push({
+                    signal: 'timestamp-at-median-floor',
+                    entity: record.entity,
+                    confidence: MEDIAN_FLOOR_CONFIDENCE,
+                    summary: `block ${record.height} is only ${record.time - medianTime}s above the median time of the previous ${MEDIAN_TIME_SPAN} blocks`,
+                    blocks: [{ ...blockRef(record), medianTime }]
+                });
+            } else if (grandparent?.height === record.height - 2 && record.time < Math.min(parent.time, grandparent.time)) {
+                const gap = Math.min(parent.time, grandparent.time) - record.time;
+                signals.push({
+                    signal: 'timestamp-before-parent',
+                    entity: record.entity,
+                    // Clock skew makes small gaps common, so confidence grows with the gap
+                    confidence: clampConfidence(gap / PARENT_TIME_SCALE),
+                    summary: `block ${record.height} is ${gap}s earlier than the two blocks before it`,
+                    blocks: [{ ...blockRef(record), parentTime: parent.time }]
+                });
+            }
+
+            const drift = record.time - now;
+            if (drift > this.maxFutureDrift) {
+                signals.push({
+                    signal: 'timestamp-in-future',
+                    entity: record.entity,
+                    // Grows from 0.5 at the limit to the maximum at twice the limit
+                    confidence: clampConfidence(0.5 + 0.5 * (drift - this.maxFutureDrift) / this.maxFutureDrift),
+                    summary: `block ${record.height} is ${drift}s ahead of the local clock`,
+                    blocks: [{ ...blockRef(record), drift }]
+                });
+            }
+        });
+
+        return signals;
+    }
+
+    /**
+     * Finds competing branches that forked inside the window
+     * A selfish miner releases withheld blocks to race honest ones, so the
+     * pool that keeps winning races is the suspect. Confidence is the chance
+     * that its share of honest stale blocks would not reach the observed count.
+     * @param {Array<Object>} records - Block records, oldest first
+     * @param {Map<string, number>} shares - Share of the window per entity
+     * @param {Array<Object>} chainTips - getchaintips result
+     * @returns {Array<Object>} Signals
+     */
+    findStaleTipRaces(records, shares, chainTips) {
+        const byHeight = new Map(records.map(record => [record.height, record]));
+        const races = new Map(); // entity -> [{ winner, staleTip }]
+
+        for (const tip of chainTips) {
+            if (!STALE_TIP_STATUSES.includes(tip.status) || tip.branchlen < 1) {
+                continue;
+            }
+
+            // The active block at the first height of the stale branch won the race
+            const winner = byHeight.get(tip.height - tip.branchlen + 1);
+            if (!winner) {
+                continue;
+            }
+
+            if (!races.has(winner.entity)) {
+                races.set(winner.entity, []);
+            }
+            races.get(winner.entity).push({ winner, tip });
+        }
+
+        return [...races.entries()].map(([entity, won]) => {
+            const expected = this.staleRate * records.length * (shares.get(entity) || 0);
+            return {
+                signal: 'stale-tip-races',
+                entity,
+                confidence: clampConfidence(1 - poissonTail(won.length, expected)),
+                summary: `won ${won.length} block race${won.length === 1 ? '' : 's'} (${expected.toFixed(2)} expected)`,
+                blocks: won.map(({ winner, tip }) => ({
+                    ...blockRef(winner),
+                    staleTip: { hash: tip.hash, height: tip.height, branchlen: tip.branchlen, status: tip.status }
+                }))
+            };
+        });
+    }
+
+    /**
+     * Combines signals per entity: the chance that at least one is real
+     * @param {Array<Object>} signals - Signals from all heuristics
+     * @returns {Array<Object>} Suspects, most suspicious first
+     */
+    groupByEntity(signals) {
+        const suspects = new Map();
+
+        for (const signal of signals) {
+            if (!suspects.has(signal.entity)) {
+                suspects.set(signal.entity, { entity: signal.entity, signals: [] });
+            }
+            suspects.get(signal.entity).signals.push(signal);
+        }
+
+        return [...suspects.values()]
+            .map(suspect => {
+                const blocks = new Map();
+                suspect.signals.forEach(signal => signal.blocks.forEach(block => blocks.set(block.hash, blockRef(block))));
+
+                return {
+                    ...suspect,
+                    confidence: 1 - suspect.signals.reduce((clear, signal) => clear * (1 - signal.confidence), 1),
+                    blocks: [...blocks.values()].sort((a, b) => a.height - b.height)
+                };
+            })
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+}
+
+module.exports = {
+    SelfishMiningDetector,
+    poissonTail
+};
@@ -0,0 +1,293 @@
+/**
+ * Spam Classifier
+ * Inspects mempool transactions for spam signatures and groups them into
+ * suspected campaigns:
+ * - dust: outputs below the dust limit
+ * - low fee: paying no more than a floor fee rate
+ * - repeated scripts: the same output script paid by many transactions
+ * - shared funding: transactions whose unconfirmed chain starts from the same funding txid
+ *
+ * A transaction carrying dust or paying a low fee is a spam candidate.
+ * Candidates that share a funding txid or a repeated output script belong to
+ * the same campaign.
+ */
+
+const crypto = require('crypto');
+const { classifyScript } = require('../utils/address');
+const { MempoolSampler } = require('./mempoolSampler');
+
+/**
+ * Example transactions and linked funding txids/scripts listed per campaign
+ */
+const EXAMPLE_LIMIT = 5;
+
+/**
+ * Minimal union-find over transaction ids
+ */
+class Groups {
+    constructor() {
+        this.parent = new Map();
+    }
+
+    /**
+     * Gets the representative of an id's group
+     * @param {string} id - Transaction ID
+     * @returns {string} Representative ID
+     */
+    find(id) {
+        let root = id;
+        while (this.parent.has(root) && this.parent.get(root) !== root) {
+            root = this.parent.get(root);
+        }
+        this.parent.set(id, root);
+        return root;
+    }
+
+    /**
+     * Merges the groups of two ids
+     * @param {string} a - Transaction ID
+     * @param {string} b - Transaction ID
+     */
+    union(a, b) {
+        const rootA = this.find(a);
+        const rootB = this.find(b);
+        if (rootA !== rootB) {
+            this.parent.set(rootB, rootA);
+        }
+    }
+}
+
+/**
+ * Short label of an output script: its address when it has one
+ * @param {string} script - Output script hex
+ * @param {string} network - Chain name
+ * @returns {string} Address or abbreviated script
+ */
+const describeScript = (script, network) => {
+    const { type, addresses } = classifyScript(script, network);
+    if (addresses.length === 1) {
+        return addresses[0];
+    }
+    return `${type} ${script.slice(0, 16)}…`;
+};
+
+/**
+ * Adds one to a counter in a map
+ * @param {Map} counts - Counts by key
+ * @param {string} key - Key
+ */
+const increment = (counts, key) => {
+    counts.set(key, (counts.get(key) || 0) + 1);
+};
+
+/**
+ * Sorts map entries by count, highest first
+ * @param {Map} counts - Counts by key
+ * @returns {Array<Array>} [key, count] pairs
+ */
+const byCount = counts => [...counts.entries()].sort((a, b) => b[1] - a[1]);
+
+class SpamClassifier {
+    /**
+     * @param {Object} options - Classifier options
+     * @param {MempoolSampler} options.sampler - Shared mempool sample of the analyzed node
+     * @param {DogecoinRPCService} options.rpc - RPC service of the analyzed node, used without a sampler
+     * @param {string} options.network - Chain name used to derive addresses
+     * @param {string} options.nodeId - Node identifier used in logs
+     */
+    constructor(options = {}) {
+        this.sampler = options.sampler || new MempoolSampler({ rpc: options.rpc, nodeId: options.nodeId });
+        this.network = options.network || 'main';
+    }
+
+    /**
+     * Brings the mempool sample up to date
+     * Decoded transactions are kept by the sampler while they stay in the
+     * mempool, so each is fetched once.
+     * @param {number} maxTransactions - Most transactions decoded per update
+     * @returns {Promise<Object>} { transactions, decoded, pending }
+     */
+    update(maxTransactions = 5000) {
+        return this.sampler.update(maxTransactions);
+    }
+
+    /**
+     * Follows unconfirmed parents back to the confirmed transaction funding a chain
+     * @param {string} txid - Transaction ID
+     * @param {Map} cache - Funding txids found so far
+     * @returns {string|null} Funding txid, or null if the chain is not decoded
+     */
+    findFunding(txid, cache) {
+        if (cache.has(txid)) {
+            return cache.get(txid);
+        }
+
+        const tx = this.sampler.get(txid);
+        let funding = null;
+        if (tx) {
+            const parent = tx.inputs.find(input => input.txid in this.sampler.entries);
+            funding = parent ? this.findFunding(parent.txid, cache) : tx.inputs[0]?.txid || null;
+        }
+        cache.set(txid, funding);
+        return funding;
+    }
+
+    /**
+     * Groups spam candidates into campaigns
+     * @param {Object} options - Classification options
+     * @param {number} options.dustLimit - Output value below which an output is dust (DOGE)
+     * @param {number} options.lowFeeRate - Fee rate at or below which a transaction pays a low fee (DOGE/kB)
+     * @param {number} options.minRepeats - Transactions paying one script before it counts as repeated
+     * @param {number} options.minTransactions - Smallest campaign reported
+     * @returns {Object} { transactions, bytes, decoded, campaigns: [...] } with campaigns largest first
+     */
+    classify(options) {
+        const { dustLimit, lowFeeRate, minRepeats, minTransactions } = options;
+        const { entries } = this.sampler;
+        const dustKoinu = BigInt(Math.round(dustLimit * 1e8));
+        const totalBytes = Object.values(entries).reduce((sum, entry) => sum + (entry.vsize || entry.size), 0);
+
+        // Per-candidate signals
+        const candidates = new Map();
+        const scriptUse = new Map();
+        let decoded = 0;
+        for (const [txid, entry] of Object.entries(entries)) {
+            const tx = this.sampler.get(txid);
+            if (!tx) {
+                continue;
+            }
+            decoded++;
+            const size = entry.vsize || entry.size;
+            const fee = entry.fees ? entry.fees.base : entry.fee;
+            // OP_RETURN outputs carry no value by design and are not dust
+            const dustOutputs = tx.outputs.filter(output => output.value < dustKoinu && !output.script.startsWith('6a')).length;
+            const lowFee = fee * 1000 / size <= lowFeeRate;
+
+            if (dustOutputs > 0 || lowFee) {
+                const scripts = new Set(tx.outputs.map(output => output.script));
+                candidates.set(txid, { size, dustOutputs, lowFee, scripts });
+                for (const script of scripts) {
+                    increment(scriptUse, script);
+                }
+            }
+        }
+
+        // Link candidates by funding txid and by repeated output scripts
+        const groups = new Groups();
+        const fundingCache = new Map();
+        const firstByLink = new Map();
+        const link = (key, txid) => {
+            if (firstByLink.has(key)) {
+                groups.union(firstByLink.get(key), txid);
+            } else {
+                firstByLink.set(key, txid);
+            }
+        };
+
+        for (const [txid, candidate] of candidates) {
+            candidate.funding = this.findFunding(txid, fundingCache);
+            if (candidate.funding) {
+                link(`funding:${candidate.funding}`, txid);
+            }
+            candidate.repeated = [...candidate.scripts].filter(script => scriptUse.get(script) >= minRepeats);
+            for (const script of candidate.repeated) {
+                link(`script:${script}`, txid);
+            }
+        }
+
+        const members = new Map();
+        for (const txid of candidates.keys()) {
+            const root = groups.find(txid);
+            if (!members.has(root)) {
+                members.set(root, []);
+            }
+            members.get(root).push(txid);
+        }
+
+        const campaigns = [...members.values()]
+            .filter(txids => txids.length >= minTransactions)
+            .map(txids => this.describeCampaign(txids, candidates, totalBytes))
+            .sort((a, b) => b.bytes - a.bytes);
+
+        return {
+            transactions: Object.keys(entries).length,
+            bytes: totalBytes,
+            decoded,
+            campaigns
+        };
+    }
+
+    /**
+     * Summarizes the transactions of one campaign
+     * The campaign is named after its most common link: the funding txid or
+     * the repeated script shared by the most members.
+     * @param {Array<string>} txids - Member transactions
+     * @param {Map} candidates - Candidate signals by txid
+     * @param {number} totalBytes - Bytes of the whole mempool
+     * @returns {Object} Campaign
+     */
+    describeCampaign(txids, candidates, totalBytes) {
+        const fundings = new Map();
+        const scripts = new Map();
+        let bytes = 0;
+        let dustOutputs = 0;
+        let dustTransactions = 0;
+        let lowFeeTransactions = 0;
+
+        for (const txid of txids) {
+            const candidate = candidates.get(txid);
+            bytes += candidate.size;
+            dustOutputs += candidate.dustOutputs;
+            dustTransactions += candidate.dustOutputs > 0 ? 1 : 0;
+            lowFeeTransactions += candidate.lowFee ? 1 : 0;
+            if (candidate.funding) {
+                increment(fundings, candidate.funding);
+            }
+            candidate.repeated.forEach(script => increment(scripts, script));
+        }
+
+        const [topFunding] = byCount(fundings);
+        const [topScript] = byCount(scripts);
+        const namedByScript = topScript && (!topFunding || topScript[1] > topFunding[1]);
+        const name = namedByScript
+            ? `outputs to ${describeScript(topScript[0], this.network)}`
+            : `chain funded by ${topFunding[0].slice(0, 16)}…`;
+
+        const signatures = [];
+        if (dustTransactions > 0) {
+            signatures.push('dust-outputs');
+        }
+        if (scripts.size > 0) {
+            signatures.push('repeated-scripts');
+        }
+        if (lowFeeTransactions > 0 && topFunding && topFunding[1] > 1) {
+            signatures.push('low-fee-chain');
+        }
+
+        return {
+            // Stable across updates while the campaign keeps its main link
+            id: namedByScript
+                ? `script:${crypto.createHash('sha256').update(topScript[0]).digest('hex').slice(0, 16)}`
+                : `funding:${topFunding[0]}`,
+            name,
+            signatures,
+            txCount: txids.length,
+            bytes,
+            byteShare: totalBytes > 0 ? bytes / totalBytes : 0,
+            dustOutputs,
+            dustTransactions,
+            lowFeeTransactions,
+            fundingTxids: byCount(fundings).slice(0, EXAMPLE_LIMIT).map(([txid, count]) => ({ txid, count })),
+            repeatedScripts: byCount(scripts).slice(0, EXAMPLE_LIMIT).map(([script, count]) => ({
+                script,
+                label: describeScript(script, this.network),
+                count
+            })),
+            exampleTxids: txids.slice(0, EXAMPLE_LIMIT)
+        };
+    }
+}
+
+module.exports = {
+    SpamClassifier
+};
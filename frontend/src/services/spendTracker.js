@@ -0,0 +1,336 @@
+/**
+ * Spend Tracker
+ * Remembers which transaction spent each outpoint, in the mempool and in the
+ * most recent blocks of the active chain, and reports conflicting spends:
+ * - reorg: a confirmed spend was disconnected by a reorganization and the
+ *   outpoint was spent again by a different txid (in a block or the mempool)
+ * - unconfirmed: a block confirmed a different spend of an outpoint a
+ *   mempool transaction was spending
+ * - replacement: a mempool transaction was replaced by another spending the
+ *   same outpoint (RBF or a conflicting broadcast)
+ */
+
+const { createChildLogger } = require('../utils/logger');
+const { parseBlock, toDoge } = require('../utils/rawBlock');
+const { MempoolSampler } = require('./mempoolSampler');
+
+/**
+ * Severity of each kind of conflict
+ */
+const CONFLICT_SEVERITY = {
+    reorg: 'CRITICAL',
+    unconfirmed: 'HIGH',
+    replacement: 'MEDIUM'
+};
+
+/**
+ * Outpoints spent by a decoded transaction, with its total output amount
+ * @param {Object} tx - Transaction from parseTransaction/parseBlock
+ * @returns {Object} { txid, amount, outpoints }
+ */
+const describeSpend = (tx) => ({
+    txid: tx.txid,
+    amount: toDoge(tx.vout.reduce((sum, output) => sum + output.value, 0n)),
+    outpoints: tx.vin.filter(input => !input.coinbase).map(input => `${input.txid}:${input.vout}`)
+});
+
+/**
+ * Outpoints spent by a transaction of the mempool sample, with its total output amount
+ * @param {Object} tx - Transaction from MempoolSampler
+ * @returns {Object} { txid, amount, outpoints }
+ */
+const describeSampledSpend = (tx) => ({
+    txid: tx.txid,
+    amount: toDoge(tx.outputs.reduce((sum, output) => sum + output.value, 0n)),
+    outpoints: tx.inputs.map(input => `${input.txid}:${input.vout}`)
+});
+
+/**
+ * Transaction and block of a spend, as reported in conflicts
+ * @param {Object} spend - Tracked spend
+ * @returns {Object} { txid, amount, blockHash, height } with a null block for unconfirmed spends
+ */
+const describeLocation = spend => ({
+    txid: spend.txid,
+    amount: spend.amount,
+    blockHash: spend.blockHash,
+    height: spend.height
+});
+
+class SpendTracker {
+    /**
+     * @param {Object} options - Tracker options
+     * @param {DogecoinRPCService} options.rpc - RPC service of the tracked node
+     * @param {MempoolSampler} options.sampler - Shared mempool sample of the tracked node
+     * @param {number} options.depth - Most recent blocks whose spends are tracked
+     * @param {number} options.retention - How long replaced and disconnected spends and conflicts are kept (ms)
+     * @param {number} options.batchSize - Raw blocks fetched per batch request
+     * @param {string} options.nodeId - Node identifier used in logs
+     */
+    constructor(options = {}) {
+        this.rpc = options.rpc;
+        this.depth = options.depth || 50;
+        this.retention = options.retention || 6 * 60 * 60 * 1000;
+        this.batchSize = options.batchSize || 200;
+        this.sampler = options.sampler || new MempoolSampler({ rpc: this.rpc, nodeId: options.nodeId });
+        this.logger = createChildLogger(options.nodeId ? { service: 'spend-tracker', node: options.nodeId } : { service: 'spend-tracker' });
+
+        this.tipHash = null;
+        this.blocks = new Map(); // height -> { hash, outpoints }
+        this.confirmed = new Map(); // outpoint -> confirmed spend
+        this.disconnected = new Map(); // outpoint -> spend from a block no longer in the active chain
+        this.mempool = new Map(); // outpoint -> unconfirmed spend
+        this.mempoolTxids = new Set(); // compared transactions of the latest mempool
+        this.conflicts = new Map(); // original:replacement txids -> conflict
+    }
+
+    /**
+     * Follows the chain and the mempool since the previous update
+     * @param {Object} blockchain - getblockchaininfo result
+     * @param {number} maxTransactions - Most new mempool transactions decoded per update
+     * @returns {Promise<Array<Object>>} Conflicts found by this update
+     */
+    async update(blockchain, maxTransactions = 5000) {
+        const now = Date.now();
+        const found = [];
+
+        if (blockchain.bestblockhash !== this.tipHash) {
+            await this.syncChain(blockchain.blocks, now, found);
+            this.tipHash = blockchain.bestblockhash;
+        }
+        await this.syncMempool(maxTransactions, now, found);
+
+        for (const [outpoint, spend] of this.disconnected) {
+            if (now - spend.disconnectedAt > this.retention) {
+                this.disconnected.delete(outpoint);
+            }
+        }
+        for (const [key, conflict] of this.conflicts) {
+            if (now - conflict.detectedAt > this.retention) {
+                this.conflicts.delete(key);
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Disconnects tracked blocks that left the active chain and connects the
+     * blocks not tracked yet
+     * @param {number} tipHeight - Height of the active tip
+     * @param {number} now - Current time (ms)
+     * @param {Array<Object>} found - Conflicts found so far
+     */
+    async syncChain(tipHeight, now, found) {
+        const fromHeight = Math.max(tipHeight - this.depth + 1, 0);
+        const heights = [];
+        for (let height = fromHeight; height <= tipHeight; height++) {
+            heights.push(height);
+        }
+
+        const hashes = new Map();
+        const outcomes = await this.rpc.callBatch(heights.map(height => ({ method: 'getblockhash', params: [height] })));
+        for (const [index, outcome] of outcomes.entries()) {
+            if (outcome.status !== 'fulfilled') {
+                throw outcome.reason;
+            }
+            hashes.set(heights[index], outcome.value);
+        }
+
+        for (const [height, block] of [...this.blocks].sort((a, b) => b[0] - a[0])) {
+            if (height < fromHeight) {
+                this.forget(height);
+            } else if (hashes.get(height) !== block.hash) {
+                this.disconnect(height, now);
+            }
+        }
+
+        // On the first update only the spends from here on are compared against
+        const missing = heights.filter(height => !this.blocks.has(height));
+        for (let i = 0; i < missing.length; i += this.batchSize) {
+            const batch = missing.slice(i, i + this.batchSize);
+
+            // Raw blocks bypass the response cache; each is decoded once
+            const blocks = await this.rpc.requestBatch(batch.map(height => ({ method: 'getblock', params: [hashes.get(height), false] })));
+            for (const [index, outcome] of blocks.entries()) {
+                if (outcome.status !== 'fulfilled') {
+                    throw outcome.reason;
+                }
+                this.connect(batch[index], hashes.get(batch[index]), parseBlock(outcome.value), now, found);
+            }
+        }
+    }
+
+    /**
+     * Records the spends of a block in the active chain
+     * @param {number} height - Block height
+     * @param {string} hash - Block hash
+     * @param {Object} block - Decoded block
+     * @param {number} now - Current time (ms)
+     * @param {Array<Object>} found - Conflicts found so far
+     */
+    connect(height, hash, block, now, found) {
+        const outpoints = [];
+        for (const tx of block.tx) {
+            const { txid, amount, outpoints: spent } = describeSpend(tx);
+            const spend = { txid, amount, blockHash: hash, height };
+
+            for (const outpoint of spent) {
+                const previous = this.disconnected.get(outpoint);
+                if (previous) {
+                    this.disconnected.delete(outpoint);
+                    if (previous.txid !== txid) {
+                        this.addConflict('reorg', outpoint, previous, spend, now, found);
+                    }
+                }
+
+                const unconfirmed = this.mempool.get(outpoint);
+                if (unconfirmed) {
+                    this.mempool.delete(outpoint);
+                    if (unconfirmed.txid !== txid && !previous) {
+                        this.addConflict('unconfirmed', outpoint, unconfirmed, spend, now, found);
+                    }
+                }
+
+                this.confirmed.set(outpoint, spend);
+                outpoints.push(outpoint);
+            }
+
+            // A replacement seen in the mempool has now confirmed
+            for (const conflict of this.conflicts.values()) {
+                if (conflict.replacement.txid === txid) {
+                    conflict.replacement = describeLocation(spend);
+                }
+            }
+        }
+        this.blocks.set(height, { hash, outpoints });
+    }
+
+    /**
+     * Moves the spends of a block that left the active chain aside until the
+     * outpoints are spent again
+     * @param {number} height - Block height
+     * @param {number} now - Current time (ms)
+     */
+    disconnect(height, now) {
+        const block = this.blocks.get(height);
+        for (const outpoint of block.outpoints) {
+            const spend = this.confirmed.get(outpoint);
+            this.confirmed.delete(outpoint);
+            this.disconnected.set(outpoint, { ...spend, disconnectedAt: now });
+        }
+        this.blocks.delete(height);
+        this.logger.warn('Block disconnected from the active chain', { height, hash: block.hash, spends: block.outpoints.length });
+    }
+
+    /**
+     * Stops tracking a block that fell out of the tracked depth
+     * @param {number} height - Block height
+     */
+    forget(height) {
+        for (const outpoint of this.blocks.get(height).outpoints) {
+            this.confirmed.delete(outpoint);
+        }
+        this.blocks.delete(height);
+    }
+
+    /**
+     * Compares the spends of new mempool transactions with the disconnected
+     * and earlier unconfirmed spends
+     * @param {number} maxTransactions - Most new transactions decoded
+     * @param {number} now - Current time (ms)
+     * @param {Array<Object>} found - Conflicts found so far
+     */
+    async syncMempool(maxTransactions, now, found) {
+        await this.sampler.update(maxTransactions);
+        const { entries } = this.sampler;
+
+        for (const txid of this.mempoolTxids) {
+            if (!(txid in entries)) {
+                this.mempoolTxids.delete(txid);
+            }
+        }
+
+        for (const txid of Object.keys(entries)) {
+            // Transactions not decoded yet are compared on a later update
+            const tx = this.mempoolTxids.has(txid) ? null : this.sampler.get(txid);
+            if (!tx) {
+                continue;
+            }
+
+            const { amount, outpoints } = describeSampledSpend(tx);
+            const spend = { txid, amount, blockHash: null, height: null, seenAt: now };
+            for (const outpoint of outpoints) {
+                const previous = this.disconnected.get(outpoint);
+                const unconfirmed = this.mempool.get(outpoint);
+                if (previous && previous.txid !== txid) {
+                    this.addConflict('reorg', outpoint, previous, spend, now, found);
+                } else if (unconfirmed && unconfirmed.txid !== txid) {
+                    this.addConflict('replacement', outpoint, unconfirmed, spend, now, found);
+                }
+                this.mempool.set(outpoint, spend);
+            }
+            this.mempoolTxids.add(txid);
+        }
+
+        // Spends of transactions that left the mempool unconfirmed are kept a
+        // while, so a conflicting spend arriving later is still recognized
+        for (const [outpoint, spend] of this.mempool) {
+            if (spend.txid in entries) {
+                spend.seenAt = now;
+            } else if (now - spend.seenAt > this.retention) {
+                this.mempool.delete(outpoint);
+            }
+        }
+    }
+
+    /**
+     * Records a conflict between two spends of one outpoint
+     * Conflicts are kept per pair of transactions: further outpoints of the
+     * same pair are added to it, and a pair seen again only updates where the
+     * replacement is (e.g. once it confirms).
+     * @param {string} kind - reorg, unconfirmed or replacement
+     * @param {string} outpoint - Spent outpoint (txid:vout)
+     * @param {Object} original - Spend that was dropped
+     * @param {Object} replacement - Spend that took its place
+     * @param {number} now - Current time (ms)
+     * @param {Array<Object>} found - Conflicts found so far
+     */
+    addConflict(kind, outpoint, original, replacement, now, found) {
+        const key = `${original.txid}:${replacement.txid}`;
+        const existing = this.conflicts.get(key);
+        if (existing) {
+            if (!existing.outpoints.includes(outpoint)) {
+                existing.outpoints.push(outpoint);
+            }
+            existing.replacement = describeLocation(replacement);
+            return;
+        }
+
+        const conflict = {
+            key,
+            kind,
+            severity: CONFLICT_SEVERITY[kind],
+            outpoints: [outpoint],
+            original: describeLocation(original),
+            replacement: describeLocation(replacement),
+            detectedAt: now
+        };
+        this.conflicts.set(key, conflict);
+        found.push(conflict);
+        this.logger.warn('Conflicting spend detected', { kind, outpoint, original: original.txid, replacement: replacement.txid });
+    }
+
+    /**
+     * Gets the conflicts detected within the retention period, newest first
+     * @returns {Array<Object>} Conflicts
+     */
+    getConflicts() {
+        return [...this.conflicts.values()].sort((a, b) => b.detectedAt - a.detectedAt);
+    }
+}
+
+module.exports = {
+    SpendTracker,
+    CONFLICT_SEVERITY
+};
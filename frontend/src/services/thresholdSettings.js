@@ -0,0 +1,273 @@
+/**
+ * Threshold Settings
+ * Validates runtime changes to the watchdog thresholds, saves the values that
+ * differ from the environment defaults and keeps an audit trail of changes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createChildLogger } = require('../utils/logger');
+
+/**
+ * Schema of every watchdog threshold
+ */
+const THRESHOLD_SCHEMA = {
+    hashRateSpike: {
+        type: 'number', min: 1, max: 100, env: 'WATCHDOG_HASH_SPIKE',
+        description: 'Ratio of hash rate to baseline that counts as a spike'
+    },
+    hashRateDrop: {
+        type: 'number', min: 0, max: 1, env: 'WATCHDOG_HASH_DROP',
+        description: 'Ratio of hash rate to baseline that counts as a drop'
+    },
+    blockTimeAnomaly: {
+        type: 'number', min: 1, max: 100, env: 'WATCHDOG_BLOCK_TIME',
+        description: 'Ratio of block time to baseline that counts as anomalous'
+    },
+    difficultySpike: {
+        type: 'number', min: 1, max: 100, env: 'WATCHDOG_DIFFICULTY',
+        description: 'Ratio of difficulty to baseline that counts as a spike'
+    },
+    mempoolFlood: {
+        type: 'integer', min: 1, max: 10000000, env: 'WATCHDOG_MEMPOOL',
+        description: 'Pending transactions above which the mempool counts as flooded'
+    },
+    lowNodeCount: {
+        type: 'integer', min: 0, max: 1000, env: 'WATCHDOG_NODE_COUNT',
+        description: 'Fewest peer connections considered healthy'
+    },
+    orphanBlockThreshold: {
+        type: 'integer', min: 0, max: 1000, env: 'WATCHDOG_ORPHAN',
+        description: 'Orphaned blocks tolerated'
+    },
+    poolConcentration: {
+        type: 'number', min: 0, max: 1, env: 'WATCHDOG_POOL_CONCENTRATION',
+        description: 'Share of recent blocks a single miner may produce'
+    }
+};
+
+/**
+ * Number of audit entries kept in memory
+ */
+const AUDIT_LIMIT = 500;
+
+/**
+ * Checks a threshold value against its schema
+ * @param {string} name - Threshold name
+ * @param {*} value - Proposed value
+ * @returns {string|null} Problem description, or null if the value is valid
+ */
+const checkThresholdValue = (name, value) => {
+    const spec = THRESHOLD_SCHEMA[name];
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `${name} must be a number`;
+    }
+    if (spec.type === 'integer' && !Number.isInteger(value)) {
+        return `${name} must be an integer`;
+    }
+    if (value < spec.min) {
+        return `${name} must be at least ${spec.min}`;
+    }
+    if (value > spec.max) {
+        return `${name} must be at most ${spec.max}`;
+    }
+    return null;
+};
+
+class ThresholdSettings {
+    /**
+     * @param {Object} options - Settings options
+     * @param {Object} options.defaults - Thresholds from the environment
+     * @param {string} options.filePath - JSON file holding the overridden thresholds
+     * @param {string} options.auditFilePath - JSONL file of threshold changes
+     * @param {string} options.nodeId - Node identifier stamped on audit entries
+     */
+    constructor(options = {}) {
+        this.defaults = { ...options.defaults };
+        this.filePath = options.filePath || null;
+        this.auditFilePath = options.auditFilePath || null;
+        this.nodeId = options.nodeId || null;
+        this.logger = createChildLogger(this.nodeId ? { service: 'threshold-settings', node: this.nodeId } : { service: 'threshold-settings' });
+
+        this.overrides = {};
+        this.audit = []; // newest first
+    }
+
+    /**
+     * Loads saved overrides and the audit trail
+     * Saved values that no longer pass validation are ignored.
+     * @returns {Object} Effective thresholds
+     */
+    load() {
+        if (this.filePath && fs.existsSync(this.filePath)) {
+            try {
+                const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                for (const [name, value] of Object.entries(saved.thresholds || {})) {
+                    if (name in THRESHOLD_SCHEMA && checkThresholdValue(name, value) === null) {
+                        this.overrides[name] = value;
+                    } else {
+                        this.logger.warn('Ignoring saved threshold', { name, value });
+                    }
+                }
+            } catch (error) {
+                this.logger.error('Failed to load thresholds', { filePath: this.filePath, error: error.message });
+            }
+        }
+
+        if (this.auditFilePath && fs.existsSync(this.auditFilePath)) {
+            try {
+                const lines = fs.readFileSync(this.auditFilePath, 'utf8').split('\n').filter(line => line.trim());
+                for (const line of lines.slice(-AUDIT_LIMIT)) {
+                    try {
+                        this.audit.unshift(JSON.parse(line));
+                    } catch {
+                        // A torn last line from a crash; the rest of the trail is still usable
+                    }
+                }
+            } catch (error) {
+                this.logger.error('Failed to load threshold audit log', { filePath: this.auditFilePath, error: error.message });
+            }
+        }
+
+        return this.getThresholds();
+    }
+
+    /**
+     * Gets the effective thresholds (defaults with overrides applied)
+     * @returns {Object} Thresholds by name
+     */
+    getThresholds() {
+        return { ...this.defaults, ...this.overrides };
+    }
+
+    /**
+     * Describes every threshold for the API
+     * @returns {Object} { [name]: { value, default, overridden, type, min, max, env, description } }
+     */
+    describe() {
+        const thresholds = this.getThresholds();
+        const described = {};
+
+        for (const [name, spec] of Object.entries(THRESHOLD_SCHEMA)) {
+            described[name] = {
+                value: thresholds[name],
+                default: this.defaults[name],
+                overridden: name in this.overrides,
+                ...spec
+            };
+        }
+        return described;
+    }
+
+    /**
+     * Validates threshold changes without applying them
+     * @param {Object} changes - { [name]: value | null }, null restores the default
+     * @returns {Array<string>} Problems (empty if the changes are valid)
+     */
+    validateChanges(changes) {
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            return ['thresholds must be an object keyed by threshold name'];
+        }
+        if (Object.keys(changes).length === 0) {
+            return ['thresholds must change at least one threshold'];
+        }
+
+        const problems = [];
+        for (const [name, value] of Object.entries(changes)) {
+            if (!(name in THRESHOLD_SCHEMA)) {
+                problems.push(`Unknown threshold: ${name}`);
+            } else if (value !== null) {
+                const problem = checkThresholdValue(name, value);
+                if (problem) {
+                    problems.push(problem);
+                }
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Applies validated changes, saves them and records an audit entry
+     * @param {Object} changes - See validateChanges
+     * @param {Object} actor - Who made the change ({ user, authenticated, ip, userAgent })
+     * @returns {Object} Audit entry ({ timestamp, nodeId, actor, changes: [{ threshold, from, to }] })
+     */
+    applyChanges(changes, actor = {}) {
+        const before = this.getThresholds();
+
+        for (const [name, value] of Object.entries(changes)) {
+            if (value === null) {
+                delete this.overrides[name];
+            } else {
+                this.overrides[name] = value;
+            }
+        }
+
+        const after = this.getThresholds();
+        const entry = {
+            timestamp: new Date().toISOString(),
+            nodeId: this.nodeId,
+            actor,
+            changes: Object.keys(changes)
+                .filter(name => before[name] !== after[name])
+                .map(name => ({ threshold: name, from: before[name], to: after[name] }))
+        };
+
+        this.save();
+        this.recordAudit(entry);
+        return entry;
+    }
+
+    /**
+     * Gets recent audit entries
+     * @param {number} limit - Maximum number of entries
+     * @returns {Array<Object>} Audit entries, newest first
+     */
+    getAuditLog(limit = 50) {
+        return this.audit.slice(0, limit);
+    }
+
+    /**
+     * Adds an audit entry and appends it to the audit file
+     * @param {Object} entry - Audit entry
+     */
+    recordAudit(entry) {
+        this.audit.unshift(entry);
+        this.audit.splice(AUDIT_LIMIT);
+
+        if (!this.auditFilePath) {
+            return;
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.auditFilePath), { recursive: true });
+            fs.appendFileSync(this.auditFilePath, `${JSON.stringify(entry)}\n`);
+        } catch (error) {
+            this.logger.error('Failed to write threshold audit log', { filePath: this.auditFilePath, error: error.message });
+        }
+    }
+
+    /**
+     * Writes the overridden thresholds
+     */
+    save() {
+        if (!this.filePath) {
+            return;
+        }
+
+        const tmpPath = `${this.filePath}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, savedAt: new Date().toISOString(), thresholds: this.overrides }, null, 2));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            this.logger.error('Failed to save thresholds', { filePath: this.filePath, error: error.message });
+        }
+    }
+}
+
+module.exports = {
+    ThresholdSettings,
+    THRESHOLD_SCHEMA
+};
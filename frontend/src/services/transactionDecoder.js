@@ -0,0 +1,184 @@
+/**
+ * Transaction Decoder
+ * Enriches verbose getrawtransaction output with the values and addresses of
+ * spent outputs, totals, fee, fee rate and the spent state of each output
+ */
+
+const { createChildLogger } = require('../utils/logger');
+const { decodeNullData } = require('../utils/address');
+const { toDoge, toKoinu } = require('../utils/rawBlock');
+
+/**
+ * Display names of the script types reported by the node
+ */
+const SCRIPT_TYPES = {
+    pubkeyhash: 'P2PKH',
+    scripthash: 'P2SH',
+    pubkey: 'P2PK',
+    multisig: 'multisig',
+    nulldata: 'OP_RETURN',
+    nonstandard: 'nonstandard'
+};
+
+class TransactionDecoder {
+    /**
+     * @param {DogecoinRPCService} rpc - RPC service of the node to query
+     */
+    constructor(rpc) {
+        this.rpc = rpc;
+        this.logger = createChildLogger({ service: 'tx-decoder' });
+    }
+
+    /**
+     * Fetches a transaction and resolves its inputs and outputs
+     * Previous transactions are fetched with getrawtransaction, which needs
+     * -txindex for transactions outside the mempool and wallet; inputs that
+     * cannot be resolved have value null and leave fee and totalInput null.
+     * @param {string} txid - Transaction id
+     * @returns {Promise<Object>} Verbose transaction with enriched vin/vout and fee fields
+     * @throws {RPCError} If the transaction itself cannot be fetched
+     */
+    async decode(txid) {
+        const tx = await this.rpc.call('getrawtransaction', [txid, true]);
+
+        const [previous, unspent] = await Promise.all([
+            this.getPreviousTransactions(tx),
+            this.getUnspentOutputs(tx)
+        ]);
+
+        const vin = tx.vin.map(input => this.describeInput(input, previous));
+        const vout = tx.vout.map((output, i) => this.describeOutput(output, unspent[i]));
+        const isCoinbase = vin.some(input => input.coinbase);
+
+        const totalOutput = vout.reduce((sum, output) => sum + toKoinu(output.value), 0n);
+        const resolved = !isCoinbase && vin.every(input => input.value !== null);
+        const totalInput = resolved ? vin.reduce((sum, input) => sum + toKoinu(input.value), 0n) : null;
+        const fee = totalInput === null ? null : totalInput - totalOutput;
+
+        return {
+            ...tx,
+            vin,
+            vout,
+            isCoinbase,
+            totalInput: totalInput === null ? null : toDoge(totalInput),
+            totalOutput: toDoge(totalOutput),
+            fee: fee === null ? null : toDoge(fee),
+            // Dogecoin fees are quoted per 1000 bytes
+            feeRate: fee === null || !tx.size ? null : toDoge(fee * 1000n / BigInt(tx.size)),
+            unresolvedInputs: isCoinbase ? 0 : vin.filter(input => input.value === null).length
+        };
+    }
+
+    /**
+     * Fetches the transactions whose outputs are spent by a transaction
+     * @param {Object} tx - Verbose transaction
+     * @returns {Promise<Map<string, Object>>} Txid -> verbose transaction (failed lookups are left out)
+     */
+    async getPreviousTransactions(tx) {
+        const txids = [...new Set(tx.vin.filter(input => input.txid).map(input => input.txid))];
+        const previous = new Map();
+
+        if (txids.length === 0) {
+            return previous;
+        }
+
+        const outcomes = await this.rpc.callBatch(txids.map(id => ({ method: 'getrawtransaction', params: [id, true] })));
+        outcomes.forEach((outcome, i) => {
+            if (outcome.status === 'fulfilled') {
+                previous.set(txids[i], outcome.value);
+            } else {
+                this.logger.debug('Previous transaction unavailable', { txid: txids[i], error: outcome.reason.message });
+            }
+        });
+
+        return previous;
+    }
+
+    /**
+     * Looks up each output in the UTXO set (including the mempool)
+     * @param {Object} tx - Verbose transaction
+     * @returns {Promise<Array<boolean|null>>} Per output: true if unspent, false if spent, null if unknown
+     */
+    async getUnspentOutputs(tx) {
+        const outcomes = await this.rpc.callBatch(tx.vout.map(output => ({
+            method: 'gettxout',
+            params: [tx.txid, output.n, true]
+        })));
+
+        return outcomes.map(outcome => (outcome.status === 'fulfilled' ? outcome.value !== null : null));
+    }
+
+    /**
+     * Describes an output script
+     * @param {Object} scriptPubKey - Verbose scriptPubKey ({ hex, type, addresses, reqSigs })
+     * @returns {Object} Script type, addresses, required signatures and OP_RETURN payload
+     */
+    describeScript(scriptPubKey = {}) {
+        const type = scriptPubKey.type || 'nonstandard';
+        const script = {
+            type,
+            scriptType: SCRIPT_TYPES[type] || type,
+            addresses: scriptPubKey.addresses || []
+        };
+
+        if (type === 'multisig') {
+            script.required = scriptPubKey.reqSigs || null;
+        }
+        if (type === 'nulldata' && scriptPubKey.hex) {
+            script.payload = decodeNullData(scriptPubKey.hex);
+        }
+
+        return script;
+    }
+
+    /**
+     * Resolves an input to the output it spends
+     * @param {Object} input - Verbose input
+     * @param {Map<string, Object>} previous - Previous transactions by txid
+     * @returns {Object} Input with value, address and script type of the spent output
+     */
+    describeInput(input, previous) {
+        if (input.coinbase) {
+            return { ...input, value: null, address: null, addresses: [], scriptType: 'coinbase' };
+        }
+
+        const spent = previous.get(input.txid)?.vout.find(output => output.n === input.vout);
+        if (!spent) {
+            return { ...input, value: null, address: null, addresses: [], scriptType: null };
+        }
+
+        const { scriptType, addresses } = this.describeScript(spent.scriptPubKey);
+        return {
+            ...input,
+            value: spent.value,
+            address: addresses.length === 1 ? addresses[0] : null,
+            addresses,
+            scriptType
+        };
+    }
+
+    /**
+     * Adds script details and spent state to an output
+     * @param {Object} output - Verbose output
+     * @param {boolean|null} unspent - Result of the gettxout lookup
+     * @returns {Object} Output with script details and spent (null for OP_RETURN or unknown)
+     */
+    describeOutput(output, unspent) {
+        const script = this.describeScript(output.scriptPubKey);
+        const spendable = script.type !== 'nulldata';
+
+        return {
+            ...output,
+            scriptType: script.scriptType,
+            addresses: script.addresses,
+            required: script.required || null,
+            payload: script.payload || null,
+            spent: spendable && unspent !== null ? !unspent : null
+        };
+    }
+}
+
+module.exports = {
+    TransactionDecoder,
+    SCRIPT_TYPES
+};
@@ -7,24 +7,98 @@ const EventEmitter = require('events');
 const config = require('../config');
 const { createChildLogger } = require('../utils/logger');
 const { DogecoinRPCService, RPCError } = require('./rpc');
+const { MemoryAlertStore } = require('./alertStore');
+const { MiningAnalyzer } = require('./miningAnalyzer');
+const { MempoolSampler } = require('./mempoolSampler');
+const { DetectorRegistry } = require('./detectorRegistry');
+const { ThresholdSettings } = require('./thresholdSettings');
+const { summarizeBlock, calculateChainBaselines } = require('./chainBaselines');
+
+/**
+ * Number of alerts kept in memory for status calculation and live updates
+ */
+const RECENT_ALERT_LIMIT = 1000;
+
+/**
+ * Blocks fetched per batch request while walking the chain for baselines
+ */
+const BASELINE_BATCH_SIZE = 100;
 
 class DogecoinWatchdog extends EventEmitter {
-    constructor(rpcService = null) {
+    /**
+     * @param {DogecoinRPCService} rpcService - RPC service used for node queries
+     * @param {Object} options - Optional collaborators
+     * @param {MemoryAlertStore} options.alertStore - Store used to persist alert history
+     * @param {MetricsStore} options.metricsStore - Time-series store for metric history
+     * @param {string} options.nodeId - ID of the monitored node (stamped on alerts)
+     * @param {ZMQSubscriber} options.subscriber - Push notifications of new blocks and transactions (polling remains the fallback)
+     * @param {MiningAnalyzer} options.miningAnalyzer - Tracks which pools mined recent blocks
+     * @param {DetectorRegistry} options.detectors - Detectors run on every security check (defaults to the built-in set)
+     * @param {ThresholdSettings} options.thresholdSettings - Runtime threshold overrides and their audit trail
+     * @param {Watchlist} options.watchlist - Watched transactions and addresses followed on every check
+     * @param {ReorgTracker} options.reorgTracker - Records reorgs of the best chain
+     * @param {MempoolSampler} options.mempoolSampler - Mempool transactions shared by the detectors reading them
+     */
+    constructor(rpcService = null, options = {}) {
         super();
 
         this.rpc = rpcService || new DogecoinRPCService();
-        this.logger = createChildLogger({ service: 'watchdog' });
+        this.nodeId = options.nodeId || null;
+        this.logger = createChildLogger(this.nodeId ? { service: 'watchdog', node: this.nodeId } : { service: 'watchdog' });
+        this.alertStore = options.alertStore || new MemoryAlertStore();
+        this.metricsStore = options.metricsStore || null;
+        this.subscriber = options.subscriber || null;
+        this.miningAnalyzer = options.miningAnalyzer || new MiningAnalyzer({
+            rpc: this.rpc,
+            window: config.watchdog.poolWindow,
+            nodeId: this.nodeId
+        });
+        this.detectors = options.detectors || new DetectorRegistry({ nodeId: this.nodeId }).load();
+        this.thresholdSettings = options.thresholdSettings || new ThresholdSettings({
+            defaults: config.watchdog.thresholds,
+            nodeId: this.nodeId
+        });
+        this.watchlist = options.watchlist || null;
+        this.reorgTracker = options.reorgTracker || null;
+        this.mempoolSampler = options.mempoolSampler || new MempoolSampler({ rpc: this.rpc, nodeId: this.nodeId });
 
         // State management
         this.isMonitoring = false;
         this.monitoringInterval = null;
-        this.alerts = [];
+        this.baselineInterval = null;
+        this.baselineCalculation = null; // in-flight calculateBaselines promise
+        this.checkRunning = false;
+        this.queuedCheck = null; // trigger of a check requested while another was running
+        this.lastBlockHash = null;
+        this.alerts = this.alertStore.getRecent(RECENT_ALERT_LIMIT);
+        this.openAlerts = this.restoreOpenAlerts();
+        this.resolvedAlerts = new Map(); // fingerprint -> recently resolved alert (for cooldowns)
         this.metrics = this.initializeMetrics();
         this.baselines = this.initializeBaselines();
-        this.thresholds = config.watchdog.thresholds;
+        this.thresholds = this.thresholdSettings.getThresholds();
+        this.cooldowns = config.watchdog.alertCooldowns;
 
         // Bind methods to preserve context
         this.performSecurityChecks = this.performSecurityChecks.bind(this);
+        this.handleBlockNotification = this.handleBlockNotification.bind(this);
+        this.handleTransactionNotification = this.handleTransactionNotification.bind(this);
+    }
+
+    /**
+     * Rebuilds the open alert index from persisted alerts
+     * @returns {Map<string, Object>} Open alerts by fingerprint
+     */
+    restoreOpenAlerts() {
+        const openAlerts = new Map();
+
+        // this.alerts is newest first; keep the newest alert per fingerprint
+        for (const alert of this.alerts) {
+            if (alert.status === 'open' && alert.fingerprint && !openAlerts.has(alert.fingerprint)) {
+                openAlerts.set(alert.fingerprint, alert);
+            }
+        }
+
+        return openAlerts;
     }
 
     /**
@@ -50,9 +124,18 @@ class DogecoinWatchdog extends EventEmitter {
         return {
             avgHashRate: null,
             avgBlockTime: 60, // 1 minute for Dogecoin
+            medianBlockTime: null,
             avgDifficulty: null,
+            difficultyTrend: null,
+            txPerBlock: null,
+            blockSize: null,
             avgMempoolSize: null,
-            lastCalculated: null
+            lastCalculated: null,
+            nextRefresh: null,
+            provenance: {
+                window: null,
+                avgBlockTime: { source: 'default', method: 'Dogecoin target block time' }
+            }
         };
     }
 
@@ -83,6 +166,18 @@ class DogecoinWatchdog extends EventEmitter {
                 this.performSecurityChecks,
                 config.watchdog.monitoringInterval
             );
+            this.baselineInterval = setInterval(
+                () => this.calculateBaselines(),
+                config.watchdog.baselineRefreshInterval
+            );
+
+            // Check as soon as the node announces a block and decode pushed
+            // transactions into the mempool sample; polling continues as a fallback
+            if (this.subscriber && this.subscriber.start()) {
+                this.subscriber.on('block', this.handleBlockNotification);
+                this.subscriber.on('tx', this.handleTransactionNotification);
+                this.logger.info('Using ZMQ notifications');
+            }
 
             this.logger.info('✅ Dogecoin network watchdog started');
             this.emit('started');
@@ -110,16 +205,46 @@ class DogecoinWatchdog extends EventEmitter {
             this.monitoringInterval = null;
         }
 
+        if (this.baselineInterval) {
+            clearInterval(this.baselineInterval);
+            this.baselineInterval = null;
+        }
+
+        if (this.subscriber) {
+            this.subscriber.off('block', this.handleBlockNotification);
+            this.subscriber.off('tx', this.handleTransactionNotification);
+            this.subscriber.stop();
+        }
+
         this.logger.info('🛑 Dogecoin network watchdog stopped');
         this.emit('stopped');
     }
 
     /**
      * Calculates network baselines for anomaly detection
+     * A calculation requested while another is running waits for that one.
+     * @param {number} blockCount - Recent blocks to derive the baselines from
+     * @returns {Promise<void>}
+     */
+    calculateBaselines(blockCount = config.watchdog.baselineBlocks) {
+        if (!this.baselineCalculation) {
+            this.baselineCalculation = this.calculateChainBaselines(blockCount).finally(() => {
+                this.baselineCalculation = null;
+            });
+        }
+        return this.baselineCalculation;
+    }
+
+    /**
+     * Walks the latest blocks of the chain and replaces the baselines
+     * Everything but the mempool size comes from the blocks; provenance
+     * records where each value came from. On failure the previous baselines
+     * stay in place.
+     * @param {number} blockCount - Recent blocks to derive the baselines from
      * @returns {Promise<void>}
      */
-    async calculateBaselines() {
-        this.logger.info('📊 Calculating network baselines...');
+    async calculateChainBaselines(blockCount) {
+        this.logger.info('📊 Calculating network baselines...', { blocks: blockCount });
 
         try {
             // Wait for node to be ready
@@ -127,29 +252,69 @@ class DogecoinWatchdog extends EventEmitter {
 
             // Get current network state
             const nodeInfo = await this.rpc.getNodeInfo();
+            const blocks = await this.getBlockHistory(nodeInfo.blockchain.blocks, blockCount);
+            const { window, ...chainBaselines } = calculateChainBaselines(blocks, difficulty => this.calculateHashRate(difficulty));
+            const calculatedAt = new Date();
 
-            // Calculate hash rate from difficulty
-            const hashRate = this.calculateHashRate(nodeInfo.blockchain.difficulty);
-
-            // Get recent block times
-            const blockTimes = await this.getRecentBlockTimes(nodeInfo.blockchain.blocks, 100);
-
-            // Update baselines
+            const fromChain = method => ({ source: 'chain', method });
             this.baselines = {
-                avgHashRate: hashRate,
-                avgBlockTime: this.calculateAverage(blockTimes),
-                avgDifficulty: nodeInfo.blockchain.difficulty,
+                ...chainBaselines,
                 avgMempoolSize: nodeInfo.mempool.size,
-                lastCalculated: new Date().toISOString()
+                lastCalculated: calculatedAt.toISOString(),
+                nextRefresh: this.isMonitoring
+                    ? new Date(calculatedAt.getTime() + config.watchdog.baselineRefreshInterval).toISOString()
+                    : null,
+                provenance: {
+                    window: { ...window, requestedBlocks: blockCount },
+                    avgHashRate: fromChain('hash rate at the mean difficulty'),
+                    avgBlockTime: fromChain('mean block interval'),
+                    medianBlockTime: fromChain('median block interval'),
+                    avgDifficulty: fromChain('mean difficulty'),
+                    difficultyTrend: fromChain('least-squares difficulty slope by height'),
+                    txPerBlock: fromChain('transactions per block'),
+                    blockSize: fromChain('block size in bytes'),
+                    avgMempoolSize: { source: 'live', method: 'getmempoolinfo', at: nodeInfo.timestamp || calculatedAt.toISOString() }
+                }
             };
 
-            this.logger.info('📈 Baselines calculated', this.baselines);
+            this.logger.info('📈 Baselines calculated', {
+                fromHeight: window.fromHeight,
+                toHeight: window.toHeight,
+                avgBlockTime: this.baselines.avgBlockTime,
+                medianBlockTime: this.baselines.medianBlockTime,
+                avgDifficulty: this.baselines.avgDifficulty
+            });
+            this.emit('baselinesCalculated', this.baselines);
         } catch (error) {
             this.logger.error('Failed to calculate baselines', { error: error.message });
-            // Don't throw here to allow monitoring to continue with default values
+            // Don't throw here to allow monitoring to continue with the previous values
         }
     }
 
+    /**
+     * Gets summaries of the latest blocks, newest first
+     * Blocks are fetched in batches; the walk stops at the first block that
+     * could not be read.
+     * @param {number} tipHeight - Height of the newest block
+     * @param {number} count - Number of blocks
+     * @returns {Promise<Array<Object>>} Block summaries (see summarizeBlock)
+     */
+    async getBlockHistory(tipHeight, count) {
+        const summaries = [];
+
+        for (let height = tipHeight; summaries.length < count && height >= 0; height -= BASELINE_BATCH_SIZE) {
+            const size = Math.min(BASELINE_BATCH_SIZE, count - summaries.length);
+            const blocks = await this.getRecentBlocks(height, size);
+            summaries.push(...blocks.map(summarizeBlock));
+
+            if (blocks.length < Math.min(size, height + 1)) {
+                break;
+            }
+        }
+
+        return summaries;
+    }
+
     /**
      * Waits for the Dogecoin node to be ready
      * @returns {Promise<void>}
@@ -174,15 +339,69 @@ class DogecoinWatchdog extends EventEmitter {
         }
     }
 
+    /**
+     * Handles a new block announced over ZMQ by checking immediately
+     * @param {Object} notification - Block notification ({ hash })
+     * @returns {Promise<void>}
+     */
+    async handleBlockNotification(notification) {
+        if (notification.hash === this.lastBlockHash) {
+            return;
+        }
+
+        // The cached best block may predate the notification
+        if (typeof this.rpc.expireTip === 'function') {
+            this.rpc.expireTip();
+        }
+        await this.performSecurityChecks('zmq');
+    }
+
+    /**
+     * Adds a transaction announced over ZMQ to the mempool sample, so the
+     * detectors reading it need not fetch it again
+     * @param {Object} notification - Transaction notification ({ txid, raw })
+     */
+    handleTransactionNotification(notification) {
+        this.mempoolSampler.addTransaction(notification.raw);
+    }
+
     /**
      * Performs comprehensive security checks
+     * A check requested while another is running is queued and runs once the
+     * current one finishes, so interval and notification triggers never overlap.
+     * @param {string} trigger - What started the check (interval or zmq)
      * @returns {Promise<void>}
      */
-    async performSecurityChecks() {
+    async performSecurityChecks(trigger = 'interval') {
         if (!this.isMonitoring) {
 return;
 }
 
+        if (this.checkRunning) {
+            this.queuedCheck = this.queuedCheck || trigger;
+            return;
+        }
+
+        this.checkRunning = true;
+        try {
+            await this.runSecurityChecks(trigger);
+        } finally {
+            this.checkRunning = false;
+        }
+
+        if (this.queuedCheck) {
+            const next = this.queuedCheck;
+            this.queuedCheck = null;
+            await this.performSecurityChecks(next);
+        }
+    }
+
+    /**
+     * Gathers node data and runs every security check once
+     * @param {string} trigger - What started the check (interval or zmq)
+     * @returns {Promise<void>}
+     */
+    async runSecurityChecks(trigger) {
         try {
             this.logger.debug('Performing security checks...');
 
@@ -202,12 +421,18 @@ return;
                 timestamp: new Date().toISOString()
             };
 
+            this.trackBestBlock(blockchainInfo, trigger);
+            await this.updateTrackers(blockchainInfo);
+
             // Update metrics
             this.updateMetrics(currentData);
 
             // Perform security analysis
             await this.analyzeSecurityThreats(currentData);
 
+            // The node answered, so earlier system errors have cleared
+            this.resolveAlerts('SYSTEM_ERROR');
+
             // Emit update event
             this.emit('update', {
                 status: this.getOverallStatus(),
@@ -219,10 +444,59 @@ return;
                 this.createAlert('SYSTEM_ERROR', 'CRITICAL', `Watchdog system error: ${error.message}`, {
                     method: error.method,
                     code: error.code
-                });
+                }, { key: 'rpc' });
             } else {
                 this.logger.error('Security check failed', { error: error.message });
-                this.createAlert('SYSTEM_ERROR', 'CRITICAL', `Watchdog system error: ${error.message}`);
+                this.createAlert('SYSTEM_ERROR', 'CRITICAL', `Watchdog system error: ${error.message}`, {}, {
+                    key: 'watchdog'
+                });
+            }
+        }
+    }
+
+    /**
+     * Emits 'newBlock' when the best block differs from the previous check
+     * @param {Object} blockchainInfo - getblockchaininfo result
+     * @param {string} trigger - What started the check (interval or zmq)
+     */
+    trackBestBlock(blockchainInfo, trigger) {
+        const previous = this.lastBlockHash;
+        this.lastBlockHash = blockchainInfo.bestblockhash;
+
+        if (previous === null || previous === blockchainInfo.bestblockhash) {
+            return;
+        }
+
+        this.emit('newBlock', {
+            nodeId: this.nodeId,
+            hash: blockchainInfo.bestblockhash,
+            height: blockchainInfo.blocks,
+            mediantime: blockchainInfo.mediantime,
+            source: trigger === 'zmq' ? 'zmq' : 'poll',
+            detectedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Brings the reorg history and the watchlist up to the current tip
+     * They run on every check, whether or not the detectors alerting on them
+     * are enabled. A failed update is logged and retried on the next check.
+     * @param {Object} blockchainInfo - getblockchaininfo result
+     * @returns {Promise<void>}
+     */
+    async updateTrackers(blockchainInfo) {
+        if (blockchainInfo.initialblockdownload) {
+            return;
+        }
+
+        for (const [name, service] of [['reorg history', this.reorgTracker], ['watchlist', this.watchlist]]) {
+            if (!service) {
+                continue;
+            }
+            try {
+                await service.update(blockchainInfo);
+            } catch (error) {
+                this.logger.warn(`Failed to update ${name}`, { error: error.message });
             }
         }
     }
@@ -262,416 +536,350 @@ return;
             timestamp: currentData.timestamp
         });
         this.metrics.networkNodes = this.metrics.networkNodes.slice(-maxDataPoints);
+
+        this.recordMetricHistory(currentData, hashRate);
     }
 
     /**
-     * Analyzes current data for security threats
+     * Writes the current data points to the time-series store
      * @param {Object} currentData - Current network data
-     * @returns {Promise<void>}
+     * @param {number} hashRate - Hash rate derived from difficulty (TH/s)
      */
-    async analyzeSecurityThreats(currentData) {
-        // Check for low node count
-        this.checkLowNodeCount(currentData.peers.length);
-
-        // Check for mempool flooding
-        this.checkMempoolFlooding(currentData.mempool.size);
-
-        // Check hash rate anomalies
-        if (this.baselines.avgHashRate) {
-            this.checkHashRateAnomalies(currentData.blockchain.difficulty);
+    recordMetricHistory(currentData, hashRate) {
+        if (!this.metricsStore) {
+            return;
         }
 
-        // Check difficulty spikes
-        if (this.baselines.avgDifficulty) {
-            this.checkDifficultySpikes(currentData.blockchain.difficulty);
-        }
+        const timestamp = Date.parse(currentData.timestamp) || Date.now();
 
-        // Check for potential 51% attacks
-        await this.check51PercentAttack(currentData);
+        this.metricsStore.record('hashRate', hashRate, timestamp);
+        this.metricsStore.record('difficulty', currentData.blockchain.difficulty, timestamp);
+        this.metricsStore.record('blockHeight', currentData.blockchain.blocks, timestamp);
+        this.metricsStore.record('mempool', currentData.mempool.size, timestamp);
+        this.metricsStore.record('mempoolBytes', currentData.mempool.bytes, timestamp);
+        this.metricsStore.record('networkNodes', currentData.peers.length, timestamp);
     }
 
     /**
-     * Checks for low node count
-     * @param {number} nodeCount - Current node count
+     * Queries the metric history store
+     * @param {string} series - Series name
+     * @param {Object} options - Range and resolution options
+     * @returns {Object|null} Query result or null when no store is configured
      */
-    checkLowNodeCount(nodeCount) {
-        if (nodeCount < this.thresholds.lowNodeCount) {
-            this.createAlert(
-                'LOW_NODE_COUNT',
-                'MEDIUM',
-                `⚠️ LOW NODE COUNT! Only ${nodeCount} connections (threshold: ${this.thresholds.lowNodeCount})`,
-                { nodeCount, threshold: this.thresholds.lowNodeCount }
-            );
+    getMetricHistory(series, options = {}) {
+        if (!this.metricsStore) {
+            return null;
         }
+        return this.metricsStore.query(series, options);
     }
 
     /**
-     * Checks for mempool flooding attacks
-     * @param {number} mempoolSize - Current mempool size
+     * Analyzes current data for security threats
+     * Runs every enabled detector that is due; detectors run one at a time so
+     * their RPC load stays bounded.
+     * @param {Object} currentData - Current network data
+     * @returns {Promise<void>}
      */
-    checkMempoolFlooding(mempoolSize) {
-        if (mempoolSize > this.thresholds.mempoolFlood) {
-            this.createAlert(
-                'MEMPOOL_FLOOD',
-                'HIGH',
-                `🚨 MEMPOOL FLOODING DETECTED! ${mempoolSize} pending transactions (threshold: ${this.thresholds.mempoolFlood})`,
-                { mempoolSize, threshold: this.thresholds.mempoolFlood }
-            );
+    async analyzeSecurityThreats(currentData) {
+        const tick = { now: Date.now(), bestBlockHash: currentData.blockchain?.bestblockhash };
+
+        for (const { detector } of this.detectors.list()) {
+            if (this.detectors.isEnabled(detector.id) && this.detectors.isDue(detector.id, tick)) {
+                await this.runDetector(detector.id, currentData);
+            }
         }
     }
 
     /**
-     * Checks for hash rate anomalies
-     * @param {number} currentDifficulty - Current network difficulty
+     * Runs one detector and reconciles its alerts
+     * Each finding raises (or refreshes) an alert; open alerts of the
+     * detector's types that were not reported again are resolved. A detector
+     * that skips (returns null) or fails leaves its alerts as they are.
+     * @param {string} id - Detector id
+     * @param {Object} currentData - Current network data
+     * @returns {Promise<Array<Object>|null>} Findings, or null if the detector skipped or failed
      */
-    checkHashRateAnomalies(currentDifficulty) {
-        const currentHashRate = this.calculateHashRate(currentDifficulty);
-        const baselineHashRate = this.baselines.avgHashRate;
-
-        if (!baselineHashRate) {
-            return;
+    async runDetector(id, currentData) {
+        const entry = this.detectors.get(id);
+        if (!entry) {
+            throw new Error(`Unknown detector: ${id}`);
         }
 
-        const ratio = currentHashRate / baselineHashRate;
+        const { detector, logger } = entry;
+        const startedAt = Date.now();
+        const run = { startedAt, bestBlockHash: currentData.blockchain?.bestblockhash ?? null };
 
-        if (ratio > this.thresholds.hashRateSpike) {
-            this.createAlert(
-                'HASH_RATE_SPIKE',
-                'CRITICAL',
-                `🚨 MASSIVE HASH RATE SPIKE! ${ratio.toFixed(2)}x increase detected (${currentHashRate.toFixed(2)} TH/s vs ${baselineHashRate.toFixed(2)} TH/s baseline)`,
-                {
-                    currentHashRate,
-                    baselineHashRate,
-                    ratio,
-                    threshold: this.thresholds.hashRateSpike
-                }
-            );
-        } else if (ratio < this.thresholds.hashRateDrop) {
-            this.createAlert(
-                'HASH_RATE_DROP',
-                'HIGH',
-                `⚠️ SIGNIFICANT HASH RATE DROP! ${(ratio * 100).toFixed(1)}% of baseline (${currentHashRate.toFixed(2)} TH/s vs ${baselineHashRate.toFixed(2)} TH/s baseline)`,
-                {
-                    currentHashRate,
-                    baselineHashRate,
-                    ratio,
-                    threshold: this.thresholds.hashRateDrop
-                }
-            );
+        let findings;
+        try {
+            findings = await detector.evaluate(this.createDetectorContext(id, currentData, logger));
+            if (findings !== null && !Array.isArray(findings)) {
+                throw new Error('evaluate() must return an array of findings or null');
+            }
+        } catch (error) {
+            logger.warn(`Detector ${id} failed`, { error: error.message });
+            this.detectors.recordRun(id, { ...run, durationMs: Date.now() - startedAt, findings: 0, error: error.message });
+            return null;
         }
-    }
-
-    /**
-     * Checks for difficulty spikes
-     * @param {number} currentDifficulty - Current network difficulty
-     */
-    checkDifficultySpikes(currentDifficulty) {
-        const baselineDifficulty = this.baselines.avgDifficulty;
 
-        if (!baselineDifficulty) {
-            return;
+        if (findings === null) {
+            this.detectors.recordRun(id, { ...run, durationMs: Date.now() - startedAt, findings: 0, skipped: true });
+            return null;
         }
 
-        const ratio = currentDifficulty / baselineDifficulty;
-
-        if (ratio > this.thresholds.difficultySpike) {
-            this.createAlert(
-                'DIFFICULTY_SPIKE',
-                'HIGH',
-                `⚠️ DIFFICULTY SPIKE DETECTED! ${ratio.toFixed(2)}x increase (${currentDifficulty.toFixed(2)} vs ${baselineDifficulty.toFixed(2)} baseline)`,
-                {
-                    currentDifficulty,
-                    baselineDifficulty,
-                    ratio,
-                    threshold: this.thresholds.difficultySpike
-                }
-            );
+        for (const finding of findings) {
+            this.createAlert(finding.type, finding.severity, finding.message, finding.data, { key: finding.key });
+        }
+        for (const type of detector.alertTypes || []) {
+            this.resolveAlerts(type, findings.filter(finding => finding.type === type).map(finding => finding.key ?? finding.message));
         }
+
+        this.detectors.recordRun(id, { ...run, durationMs: Date.now() - startedAt, findings: findings.length });
+        return findings;
     }
 
     /**
-     * Comprehensive 51% attack detection based on professional security criteria
+     * Builds the context passed to a detector's evaluate()
+     * @param {string} id - Detector id
      * @param {Object} currentData - Current network data
-     * @returns {Promise<void>}
+     * @param {Object} logger - Detector logger
+     * @returns {Object} Detector context
      */
-    async check51PercentAttack(currentData) {
-        try {
-            // Skip all 51% attack checks if node is still in initial block download
-            if (currentData.blockchain?.initialblockdownload) {
-                this.logger.debug('Skipping 51% attack checks - node is still in initial sync');
-                return;
-            }
-
-            // Skip if no baseline established
-            if (!this.baselines.avgBlockTime || this.baselines.avgBlockTime <= 0) {
-                return;
-            }
-
-            // 1. Check for deep reorganizations (primary 51% attack indicator)
-            await this.checkForDeepReorgs();
-
-            // 2. Analyze hashrate and difficulty anomalies
-            await this.checkHashrateAnomalies(currentData);
-
-            // 3. Detect unusual block timing patterns
-            await this.checkBlockTimingAnomalies(currentData);
-
-            // 4. Monitor mempool volatility
-            await this.checkMempoolVolatility();
-        } catch (error) {
-            this.logger.error('Failed to check for 51% attack', { error: error.message });
-        }
+    createDetectorContext(id, currentData, logger) {
+        return {
+            data: currentData,
+            nodeId: this.nodeId,
+            rpc: this.rpc,
+            miningAnalyzer: this.miningAnalyzer,
+            watchlist: this.watchlist,
+            reorgTracker: this.reorgTracker,
+            mempoolSampler: this.mempoolSampler,
+            baselines: this.baselines,
+            thresholds: this.thresholds,
+            parameters: this.detectors.getParameters(id, this.thresholds),
+            state: this.detectors.getState(id),
+            logger,
+            calculateHashRate: difficulty => this.calculateHashRate(difficulty),
+            calculateAverage: values => this.calculateAverage(values),
+            getRecentBlocks: (currentBlock, count) => this.getRecentBlocks(currentBlock, count)
+        };
     }
 
     /**
-     * Check for deep reorganizations - primary 51% attack indicator
+     * Changes thresholds at runtime
+     * The new values take effect on the next detector run; they are saved and
+     * recorded in the audit trail.
+     * @param {Object} changes - { [name]: value | null }, null restores the default
+     * @param {Object} actor - Who made the change ({ user, authenticated, ip, userAgent })
+     * @returns {Object} Audit entry describing the change
+     * @throws {Error} If any change is invalid; nothing is applied then
      */
-    async checkForDeepReorgs() {
-        try {
-            const chainTips = await this.rpc.getChainTips();
-            const deepReorgs = chainTips.filter(tip =>
-                tip.status === 'valid-fork' && tip.branchlen >= 6
-            );
+    updateThresholds(changes, actor = {}) {
+        const problems = this.thresholdSettings.validateChanges(changes);
+        if (problems.length > 0) {
+            throw new Error(problems.join('; '));
+        }
 
-            if (deepReorgs.length > 0) {
-                const maxDepth = Math.max(...deepReorgs.map(tip => tip.branchlen));
-                this.createAlert(
-                    'DEEP_REORGANIZATION',
-                    'CRITICAL',
-                    `🚨 DEEP CHAIN REORGANIZATION DETECTED! Fork depth: ${maxDepth} blocks. This is a PRIMARY INDICATOR of a 51% attack in progress!`,
-                    {
-                        forkDepth: maxDepth,
-                        totalForks: deepReorgs.length,
-                        chainTips: deepReorgs,
-                        analysis: 'Chain reorganizations of 6+ blocks are extremely rare in normal operation and typically indicate an active 51% attack',
-                        recommendation: 'URGENT: Contact exchange partners and pause large transactions until resolved'
-                    }
-                );
-            }
+        const entry = this.thresholdSettings.applyChanges(changes, actor);
 
-            // Check for frequent shallow reorgs (also suspicious)
-            const recentReorgs = chainTips.filter(tip =>
-                tip.status === 'valid-fork' && tip.branchlen >= 2
-            );
+        // Update in place so holders of this.thresholds see the new values
+        Object.keys(this.thresholds).forEach(name => delete this.thresholds[name]);
+        Object.assign(this.thresholds, this.thresholdSettings.getThresholds());
 
-            if (recentReorgs.length >= 3) {
-                this.createAlert(
-                    'FREQUENT_REORGANIZATIONS',
-                    'HIGH',
-                    `⚠️ FREQUENT CHAIN REORGANIZATIONS! ${recentReorgs.length} competing forks detected. Possible coordinated attack preparation.`,
-                    {
-                        forkCount: recentReorgs.length,
-                        chainTips: recentReorgs,
-                        analysis: 'Multiple simultaneous forks may indicate an attacker testing their control'
-                    }
-                );
-            }
-        } catch (error) {
-            this.logger.warn('Could not check chain reorganizations', { error: error.message });
-        }
+        this.logger.info('Thresholds changed', { changes: entry.changes, actor });
+        this.emit('thresholdsChanged', entry);
+        return entry;
     }
 
     /**
-     * Detect sudden hashrate surges that could indicate external ASIC power
+     * Describes the detectors with their current settings and last runs
+     * @returns {Object} Detectors and modules that failed to load
      */
-    async checkHashrateAnomalies(currentData) {
-        try {
-            const networkHashPS = currentData.network.networkhashps;
-            const difficulty = currentData.blockchain.difficulty;
-
-            // Store hashrate history
-            this.metrics.hashRate.push({
-                timestamp: Date.now(),
-                hashrate: networkHashPS,
-                difficulty: difficulty
-            });
+    getDetectors() {
+        return {
+            detectors: this.detectors.describe(this.thresholds),
+            loadErrors: this.detectors.loadErrors
+        };
+    }
 
-            // Keep only last 20 measurements
-            if (this.metrics.hashRate.length > 20) {
-                this.metrics.hashRate = this.metrics.hashRate.slice(-20);
-            }
+    /**
+     * Enables, disables or re-parameterizes detectors
+     * Alerts of a detector that gets disabled are resolved, since nothing
+     * would resolve them otherwise.
+     * @param {Object} changes - { [id]: { enabled, parameters: { name: value | null } } }
+     * @param {Object} actor - Who made the change ({ user, authenticated, ip, userAgent })
+     * @returns {Object} Updated detectors (see getDetectors)
+     * @throws {Error} If any change is invalid; nothing is applied then
+     */
+    configureDetectors(changes, actor = {}) {
+        const problems = this.detectors.validateChanges(changes);
+        if (problems.length > 0) {
+            throw new Error(problems.join('; '));
+        }
 
-            if (this.metrics.hashRate.length >= 5) {
-                const recent = this.metrics.hashRate.slice(-3);
-                const baseline = this.metrics.hashRate.slice(0, -3);
-
-                const recentAvg = this.calculateAverage(recent.map(h => h.hashrate));
-                const baselineAvg = this.calculateAverage(baseline.map(h => h.hashrate));
-
-                // Alert on sudden 3x+ hashrate increase (external ASIC farms)
-                if (recentAvg > baselineAvg * 3) {
-                    this.createAlert(
-                        'HASHRATE_SURGE',
-                        'CRITICAL',
-                        `🚨 MASSIVE HASHRATE SURGE! Network hashrate increased ${(recentAvg / baselineAvg).toFixed(1)}x suddenly. Possible external ASIC attack!`,
-                        {
-                            recentHashrate: (recentAvg / 1e12).toFixed(2) + ' TH/s',
-                            baselineHashrate: (baselineAvg / 1e12).toFixed(2) + ' TH/s',
-                            surgeRatio: (recentAvg / baselineAvg).toFixed(1),
-                            analysis: 'Dogecoin is merged-mined with Litecoin. Sudden hashrate spikes may indicate large pools redirecting ASIC power for an attack'
-                        }
-                    );
-                }
+        for (const id of this.detectors.applyChanges(changes)) {
+            for (const type of this.detectors.get(id).detector.alertTypes || []) {
+                this.resolveAlerts(type);
             }
-        } catch (error) {
-            this.logger.warn('Could not check hashrate anomalies', { error: error.message });
         }
+
+        this.logger.info('Detector settings changed', { detectors: Object.keys(changes), actor });
+        return this.getDetectors();
     }
 
     /**
-     * Detect suspicious block timing patterns (long gaps + bursts)
+     * Raises a security alert
+     * Alerts are deduplicated by fingerprint (type + key): while an alert is
+     * open, repeated detections only bump its occurrence count. A condition
+     * that returns within the type's cooldown after resolving reopens the
+     * earlier alert instead of raising a new one.
+     * @param {string} type - Alert type
+     * @param {string} severity - Alert severity (LOW, MEDIUM, HIGH, CRITICAL)
+     * @param {string} message - Alert message
+     * @param {Object} data - Additional alert data
+     * @param {Object} options - Alert options
+     * @param {string} options.key - Identifies the condition within the type (defaults to the message)
+     * @returns {Object} The new, updated or reopened alert
      */
-    async checkBlockTimingAnomalies(currentData) {
-        try {
-            const recentBlocks = await this.getRecentBlocks(currentData.blockchain.blocks, 20);
+    createAlert(type, severity, message, data = {}, options = {}) {
+        const key = options.key ?? message;
+        const fingerprint = this.getAlertFingerprint(type, key);
+        const now = new Date().toISOString();
+
+        const open = this.openAlerts.get(fingerprint);
+        if (open) {
+            this.recordOccurrence(open, severity, message, data, now);
+            return open;
+        }
 
-            if (recentBlocks.length < 10) {
-return;
-}
+        const resolved = this.resolvedAlerts.get(fingerprint);
+        if (resolved && Date.now() - Date.parse(resolved.resolvedAt) < this.getAlertCooldown(type)) {
+            this.resolvedAlerts.delete(fingerprint);
+            this.openAlerts.set(fingerprint, resolved);
+            resolved.status = 'open';
+            resolved.resolvedAt = null;
+            resolved.durationMs = null;
+            this.recordOccurrence(resolved, severity, message, data, now);
+
+            this.logger.info(`Alert reopened within cooldown: ${type}`, { fingerprint });
+            this.emit('alertReopened', resolved);
+            return resolved;
+        }
 
-            // Calculate block time intervals with block details
-            const blockTimes = [];
-            const blockDetails = [];
-            for (let i = 1; i < recentBlocks.length; i++) {
-                const timeInterval = recentBlocks[i - 1].time - recentBlocks[i].time;
-                if (timeInterval > 0) {
-                    blockTimes.push(timeInterval);
-                    blockDetails.push({
-                        height: recentBlocks[i - 1].height,
-                        hash: recentBlocks[i - 1].hash,
-                        timestamp: recentBlocks[i - 1].time,
-                        timeFromPrevious: timeInterval,
-                        date: new Date(recentBlocks[i - 1].time * 1000).toISOString()
-                    });
-                }
-            }
+        const alert = {
+            id: this.generateAlertId(),
+            type,
+            severity,
+            message,
+            data,
+            timestamp: now,
+            acknowledged: false,
+            status: 'open',
+            key,
+            fingerprint,
+            occurrences: 1,
+            lastSeen: now,
+            resolvedAt: null,
+            durationMs: null
+        };
 
-            if (blockTimes.length === 0) {
-return;
-}
+        if (this.nodeId) {
+            alert.nodeId = this.nodeId;
+        }
 
-            // Check for attack pattern: long gap + burst of fast blocks
-            const avgBlockTime = this.calculateAverage(blockTimes);
-            const maxGap = Math.max(...blockTimes);
-            const recentFast = blockTimes.slice(0, 5); // Last 5 intervals
-            const avgRecentFast = this.calculateAverage(recentFast);
-
-            // Pattern: Long stall (20+ minutes) followed by very fast blocks
-            if (maxGap > 1200 && avgRecentFast < 30) { // 20 min gap + 30s avg recent
-                const suspiciousBlocks = blockDetails.slice(0, 6); // Show more detail for this critical alert
-
-                this.createAlert(
-                    'SUSPICIOUS_BLOCK_PATTERN',
-                    'CRITICAL',
-                    `🚨 ATTACK PATTERN DETECTED! Long block gap (${(maxGap / 60).toFixed(1)} min) followed by rapid burst (${avgRecentFast.toFixed(1)}s avg). Classic 51% attack signature!`,
-                    {
-                        maxGap: (maxGap / 60).toFixed(1) + ' minutes',
-                        recentAverage: avgRecentFast.toFixed(1) + ' seconds',
-                        pattern: 'long-gap-then-burst',
-                        analysis: 'Attacker likely mined a private chain during the gap, then released it to replace public blocks',
-                        suspiciousBlocks: suspiciousBlocks,
-                        blockTimes: blockTimes,
-                        recommendation: 'Verify these blocks on multiple blockchain explorers and check for chain reorganizations'
-                    }
-                );
-            }
+        this.openAlerts.set(fingerprint, alert);
+        this.alerts.unshift(alert);
+        this.alertStore.append(alert);
 
-            // Check for consistently fast blocks (hashrate advantage)
-            else if (avgBlockTime < 30) { // Dogecoin target is ~60 seconds
-                const fastBlocks = blockDetails.slice(0, Math.min(10, blockDetails.length)); // Show up to 10 recent blocks
-
-                this.createAlert(
-                    'RAPID_BLOCK_GENERATION',
-                    'HIGH',
-                    `⚠️ RAPID BLOCK GENERATION! Recent blocks: ${avgBlockTime.toFixed(1)}s avg (target: ~60s). Possible hashrate advantage attack.`,
-                    {
-                        avgBlockTime: avgBlockTime.toFixed(1) + ' seconds',
-                        targetTime: '60 seconds',
-                        speedRatio: (60 / avgBlockTime).toFixed(1) + 'x faster',
-                        analysis: 'Sustained fast block generation may indicate majority hashrate control',
-                        affectedBlocks: fastBlocks,
-                        blockTimes: blockTimes,
-                        totalBlocksAnalyzed: recentBlocks.length,
-                        recommendation: 'Monitor for chain reorganizations and verify block timestamps on blockchain explorers'
-                    }
-                );
+        // Alerts that fall out of the recent window stop deduplicating
+        for (const evicted of this.alerts.splice(RECENT_ALERT_LIMIT)) {
+            if (this.openAlerts.get(evicted.fingerprint) === evicted) {
+                this.openAlerts.delete(evicted.fingerprint);
             }
-        } catch (error) {
-            this.logger.warn('Could not check block timing patterns', { error: error.message });
         }
+
+        this.logger.warn(`WATCHDOG ALERT [${severity}] ${type}: ${message}`);
+
+        this.emit('alert', alert);
+        return alert;
     }
 
     /**
-     * Monitor mempool for transaction volatility during attacks
+     * Folds a repeated detection into an existing alert
+     * @param {Object} alert - Alert to update
+     * @param {string} severity - Latest severity
+     * @param {string} message - Latest message
+     * @param {Object} data - Latest alert data
+     * @param {string} now - Detection time (ISO 8601)
      */
-    async checkMempoolVolatility() {
-        try {
-            const mempoolInfo = await this.rpc.getMempoolInfo();
-            const mempoolSize = mempoolInfo.size;
-
-            // Store mempool history
-            this.metrics.mempool.push({
-                timestamp: Date.now(),
-                size: mempoolSize,
-                bytes: mempoolInfo.bytes
-            });
+    recordOccurrence(alert, severity, message, data, now) {
+        alert.severity = severity;
+        alert.message = message;
+        alert.data = data;
+        alert.occurrences = (alert.occurrences || 1) + 1;
+        alert.lastSeen = now;
+        this.alertStore.update(alert);
+    }
 
-            // Keep only last 10 measurements
-            if (this.metrics.mempool.length > 10) {
-                this.metrics.mempool = this.metrics.mempool.slice(-10);
+    /**
+     * Resolves open alerts of a type whose condition has cleared
+     * @param {string} type - Alert type
+     * @param {Array<string>} activeKeys - Keys still active; their alerts stay open
+     * @returns {Array<Object>} Alerts that were resolved
+     */
+    resolveAlerts(type, activeKeys = []) {
+        const resolved = [];
+
+        // Forget resolved alerts whose cooldown has passed
+        for (const [fingerprint, alert] of this.resolvedAlerts) {
+            if (Date.now() - Date.parse(alert.resolvedAt) >= this.getAlertCooldown(alert.type)) {
+                this.resolvedAlerts.delete(fingerprint);
             }
+        }
 
-            if (this.metrics.mempool.length >= 5) {
-                const recent = this.metrics.mempool.slice(-2);
-                const baseline = this.metrics.mempool.slice(0, -2);
-
-                const recentAvg = this.calculateAverage(recent.map(m => m.size));
-                const baselineAvg = this.calculateAverage(baseline.map(m => m.size));
-
-                // Alert on sudden large mempool swings (confirmed→unconfirmed txns)
-                if (recentAvg > baselineAvg * 5 && baselineAvg > 10) {
-                    this.createAlert(
-                        'MEMPOOL_VOLATILITY',
-                        'HIGH',
-                        `⚠️ MEMPOOL SURGE! Transaction pool increased ${(recentAvg / baselineAvg).toFixed(1)}x suddenly. Possible chain reorganization affecting confirmations.`,
-                        {
-                            recentSize: Math.round(recentAvg),
-                            baselineSize: Math.round(baselineAvg),
-                            surgeRatio: (recentAvg / baselineAvg).toFixed(1),
-                            analysis: 'Large mempool increases may indicate previously confirmed transactions becoming unconfirmed due to chain reorgs'
-                        }
-                    );
-                }
+        for (const alert of this.openAlerts.values()) {
+            if (alert.type === type && !activeKeys.includes(alert.key)) {
+                resolved.push(alert);
             }
-        } catch (error) {
-            this.logger.warn('Could not check mempool volatility', { error: error.message });
         }
+
+        for (const alert of resolved) {
+            const now = new Date();
+            alert.status = 'resolved';
+            alert.resolvedAt = now.toISOString();
+            alert.durationMs = now.getTime() - Date.parse(alert.timestamp);
+
+            this.openAlerts.delete(alert.fingerprint);
+            this.resolvedAlerts.set(alert.fingerprint, alert);
+            this.alertStore.update(alert);
+
+            this.logger.info(`Alert resolved: ${alert.type}`, {
+                alertId: alert.id,
+                durationMs: alert.durationMs,
+                occurrences: alert.occurrences
+            });
+            this.emit('alertResolved', alert);
+        }
+
+        return resolved;
     }
 
     /**
-     * Creates a new security alert
+     * Builds the deduplication fingerprint of an alert
      * @param {string} type - Alert type
-     * @param {string} severity - Alert severity (LOW, MEDIUM, HIGH, CRITICAL)
-     * @param {string} message - Alert message
-     * @param {Object} data - Additional alert data
+     * @param {string} key - Condition key
+     * @returns {string} Fingerprint
      */
-    createAlert(type, severity, message, data = {}) {
-        const alert = {
-            id: this.generateAlertId(),
-            type,
-            severity,
-            message,
-            data,
-            timestamp: new Date().toISOString(),
-            acknowledged: false
-        };
-
-        this.alerts.unshift(alert);
-        this.alerts = this.alerts.slice(0, 1000); // Keep last 1000 alerts
-
-        this.logger.warn(`WATCHDOG ALERT [${severity}] ${type}: ${message}`);
+    getAlertFingerprint(type, key) {
+        return `${type}:${key}`;
+    }
 
-        this.emit('alert', alert);
+    /**
+     * Gets the cooldown for an alert type
+     * @param {string} type - Alert type
+     * @returns {number} Cooldown in milliseconds
+     */
+    getAlertCooldown(type) {
+        return this.cooldowns[type] ?? this.cooldowns.default ?? 0;
     }
 
     /**
@@ -694,50 +902,34 @@ return;
     }
 
     /**
-     * Gets recent block times
-     * @param {number} currentBlock - Current block height
-     * @param {number} count - Number of blocks to analyze
-     * @returns {Promise<Array>} Array of block times
-     */
-    async getRecentBlockTimes(currentBlock, count) {
-        const blockTimes = [];
-
-        for (let i = 0; i < Math.min(count, 10); i++) { // Limit to prevent too many RPC calls
-            try {
-                const blockHash1 = await this.rpc.call('getblockhash', [currentBlock - i]);
-                const blockHash2 = await this.rpc.call('getblockhash', [currentBlock - i - 1]);
-
-                const block1 = await this.rpc.call('getblock', [blockHash1]);
-                const block2 = await this.rpc.call('getblock', [blockHash2]);
-
-                blockTimes.push(block1.time - block2.time);
-            } catch (error) {
-                this.logger.error('Failed to get block time', { blockHeight: currentBlock - i, error: error.message });
-                break;
-            }
-        }
-
-        return blockTimes;
-    }
-
-    /**
-     * Gets recent blocks for analysis
+     * Gets recent blocks for analysis, newest first
+     * Blocks are fetched in two batch requests; the list stops at the first
+     * block that could not be read.
      * @param {number} currentBlock - Current block height
      * @param {number} count - Number of blocks to retrieve
      * @returns {Promise<Array>} Array of block data
      */
     async getRecentBlocks(currentBlock, count) {
-        const blocks = [];
+        const heights = [];
+        for (let i = 0; i < count && currentBlock - i >= 0; i++) {
+            heights.push(currentBlock - i);
+        }
 
-        for (let i = 0; i < Math.min(count, 10); i++) {
-            try {
-                const blockHash = await this.rpc.call('getblockhash', [currentBlock - i]);
-                const block = await this.rpc.call('getblock', [blockHash]);
-                blocks.push(block);
-            } catch (error) {
-                this.logger.error('Failed to get block', { blockHeight: currentBlock - i, error: error.message });
+        let outcomes;
+        try {
+            outcomes = await this.rpc.getBlocksByHeight(heights);
+        } catch (error) {
+            this.logger.error('Failed to get blocks', { fromHeight: currentBlock, error: error.message });
+            return [];
+        }
+
+        const blocks = [];
+        for (const [index, outcome] of outcomes.entries()) {
+            if (outcome.status === 'rejected') {
+                this.logger.error('Failed to get block', { blockHeight: heights[index], error: outcome.reason.message });
                 break;
             }
+            blocks.push(outcome.value);
         }
 
         return blocks;
@@ -765,18 +957,18 @@ return 'OFFLINE';
 }
 
         const recentAlerts = this.getRecentAlerts(10);
-        const criticalAlerts = recentAlerts.filter(a => a.severity === 'CRITICAL' && !a.acknowledged);
+        const criticalAlerts = recentAlerts.filter(a => a.severity === 'CRITICAL' && !a.acknowledged && a.status !== 'resolved');
 
         if (criticalAlerts.length > 0) {
 return 'CRITICAL_ALERT';
 }
 
-        const highAlerts = recentAlerts.filter(a => a.severity === 'HIGH' && !a.acknowledged);
+        const highAlerts = recentAlerts.filter(a => a.severity === 'HIGH' && !a.acknowledged && a.status !== 'resolved');
         if (highAlerts.length > 0) {
 return 'HIGH_ALERT';
 }
 
-        const mediumAlerts = recentAlerts.filter(a => a.severity === 'MEDIUM' && !a.acknowledged);
+        const mediumAlerts = recentAlerts.filter(a => a.severity === 'MEDIUM' && !a.acknowledged && a.status !== 'resolved');
         if (mediumAlerts.length > 0) {
 return 'MEDIUM_ALERT';
 }
@@ -793,6 +985,15 @@ return 'MEDIUM_ALERT';
         return this.alerts.slice(0, limit);
     }
 
+    /**
+     * Queries the persisted alert history
+     * @param {Object} filters - Paging, time range and field filters
+     * @returns {Object} Matching page of alerts and total match count
+     */
+    queryAlerts(filters = {}) {
+        return this.alertStore.query(filters);
+    }
+
     /**
      * Gets recent metrics for dashboard display
      * @returns {Object} Recent metrics
@@ -838,9 +1039,11 @@ return 0;
      * @returns {boolean} True if alert was found and acknowledged
      */
     acknowledgeAlert(alertId) {
-        const alert = this.alerts.find(a => a.id === alertId);
+        const alert = this.alerts.find(a => a.id === alertId) || this.alertStore.get(alertId);
         if (alert) {
             alert.acknowledged = true;
+            alert.acknowledgedAt = new Date().toISOString();
+            this.alertStore.update(alert);
             this.logger.info(`Alert acknowledged: ${alert.type}`);
             this.emit('alertAcknowledged', alert);
             return true;
@@ -854,12 +1057,16 @@ return 0;
      */
     getStatus() {
         return {
+            nodeId: this.nodeId,
             isMonitoring: this.isMonitoring,
             status: this.getOverallStatus(),
             alertCount: this.alerts.length,
+            openAlertCount: this.openAlerts.size,
             recentAlerts: this.getRecentAlerts(10),
             baselines: this.baselines,
             thresholds: this.thresholds,
+            zmq: this.subscriber ? this.subscriber.getStatus() : { enabled: false },
+            mining: this.miningAnalyzer.getDistribution(),
             lastUpdate: new Date().toISOString()
         };
     }
@@ -0,0 +1,576 @@
+/**
+ * Watchlist
+ * Follows the confirmations of transactions we care about: txids added
+ * directly, and deposits to watched addresses found in new blocks. Each
+ * tracked transaction keeps its confirmation count, block and reorg history
+ * across updates.
+ *
+ * Emits 'milestone' when a tracked transaction reaches one of the configured
+ * confirmation counts, and 'reorged' when it loses confirmations.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { createChildLogger } = require('../utils/logger');
+const { RPCError } = require('./rpc');
+const { classifyScript, isAddressFormat } = require('../utils/address');
+const { parseBlock, toDoge } = require('../utils/rawBlock');
+
+/**
+ * RPC error code for unknown transactions (RPC_INVALID_ADDRESS_OR_KEY)
+ */
+const RPC_NOT_FOUND = -5;
+
+const HEX_HASH = /^[0-9a-fA-F]{64}$/;
+
+/**
+ * Block hashes remembered behind the scan position, to find the fork point of a reorg
+ */
+const SCAN_DEPTH = 100;
+
+/**
+ * Most blocks scanned for watched addresses and txids per update
+ */
+const SCAN_BATCH = 100;
+
+/**
+ * Confirmations past which a reorg is no longer expected; a transaction this
+ * deep and past the last milestone is counted from the tip instead of looked up
+ */
+const SETTLED_DEPTH = 100;
+
+const LABEL_MAX_LENGTH = 100;
+
+/**
+ * Whether a string holds control characters (line breaks included)
+ * @param {string} value - String to check
+ * @returns {boolean} True if it does
+ */
+const hasControlCharacters = value => [...value].some(char => char.charCodeAt(0) < 0x20 || char.charCodeAt(0) === 0x7f);
+
+/**
+ * Fresh tracking state of a transaction
+ * @param {string} txid - Transaction ID
+ * @returns {Object} Tracked transaction
+ */
+const createTracking = txid => ({
+    txid,
+    status: 'pending',
+    confirmations: 0,
+    blockHash: null,
+    blockHeight: null,
+    inMempool: false,
+    maxConfirmations: 0,
+    reorgCount: 0,
+    lastReorg: null,
+    updatedAt: null
+});
+
+class Watchlist extends EventEmitter {
+    /**
+     * @param {Object} options - Watchlist options
+     * @param {DogecoinRPCService} options.rpc - RPC service of the watched node
+     * @param {string} options.filePath - JSON file holding the watchlist; omit to keep it in memory
+     * @param {Array<number>} options.milestones - Confirmation counts announced as they are reached
+     * @param {number} options.maxEntries - Most watched txids and addresses
+     * @param {number} options.maxDeposits - Settled deposits kept per watched address
+     * @param {string} options.nodeId - Node identifier used in logs and events
+     */
+    constructor(options = {}) {
+        super();
+        this.rpc = options.rpc;
+        this.filePath = options.filePath || null;
+        this.milestones = [...(options.milestones || [1, 6, 30, 60])].sort((a, b) => a - b);
+        this.maxEntries = options.maxEntries || 1000;
+        this.maxDeposits = options.maxDeposits || 100;
+        this.settledDepth = Math.max(SETTLED_DEPTH, this.milestones[this.milestones.length - 1] || 0);
+        this.nodeId = options.nodeId || null;
+        this.logger = createChildLogger(this.nodeId ? { service: 'watchlist', node: this.nodeId } : { service: 'watchlist' });
+
+        this.entries = new Map(); // txid or address -> entry
+        this.scan = { height: null, hashes: {} }; // last scanned height and recent block hashes by height
+        this.network = null;
+        this.updating = null;
+        this.dirty = false; // tracking state changed since the last save
+    }
+
+    /**
+     * Loads the saved watchlist
+     * @returns {Watchlist} This watchlist
+     */
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) {
+            return this;
+        }
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            for (const entry of saved.entries || []) {
+                this.entries.set(entry.id, entry);
+            }
+            this.scan = saved.scan || this.scan;
+            this.logger.info('Watchlist loaded', { entries: this.entries.size, scanHeight: this.scan.height });
+        } catch (error) {
+            this.logger.error('Failed to load watchlist', { filePath: this.filePath, error: error.message });
+        }
+        return this;
+    }
+
+    /**
+     * Writes the watchlist and its tracking state
+     */
+    save() {
+        if (!this.filePath) {
+            return;
+        }
+
+        const tmpPath = `${this.filePath}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(tmpPath, JSON.stringify({
+                version: 1,
+                savedAt: new Date().toISOString(),
+                scan: this.scan,
+                entries: [...this.entries.values()]
+            }, null, 2));
+            fs.renameSync(tmpPath, this.filePath);
+            this.dirty = false;
+        } catch (error) {
+            this.logger.error('Failed to save watchlist', { filePath: this.filePath, error: error.message });
+        }
+    }
+
+    /**
+     * Validates a new watchlist entry without adding it
+     * @param {Object} request - { txid } or { address }, with an optional label
+     * @returns {Array<string>} Problems (empty if the entry is valid)
+     */
+    validate(request) {
+        if (!request || typeof request !== 'object' || Array.isArray(request)) {
+            return ['Request body must be an object with a txid or an address'];
+        }
+
+        const { txid, address, label } = request;
+        const hasTxid = typeof txid !== 'undefined';
+        const problems = [];
+        if (hasTxid === (typeof address !== 'undefined')) {
+            problems.push('Exactly one of txid or address is required');
+        } else if (hasTxid && !HEX_HASH.test(txid)) {
+            problems.push('txid must be a 64-character hex transaction ID');
+        } else if (!hasTxid && !isAddressFormat(address)) {
+            problems.push('address must be a Dogecoin address');
+        }
+        if (typeof label !== 'undefined' && (typeof label !== 'string' || label.length > LABEL_MAX_LENGTH)) {
+            problems.push(`label must be a string of at most ${LABEL_MAX_LENGTH} characters`);
+        } else if (typeof label === 'string' && hasControlCharacters(label)) {
+            // Labels end up in alert messages, logs and chat notifications
+            problems.push('label must not contain control characters');
+        }
+        if (problems.length === 0 && this.entries.size >= this.maxEntries && !this.get(txid || address)) {
+            problems.push(`The watchlist is full (${this.maxEntries} entries)`);
+        }
+        return problems;
+    }
+
+    /**
+     * Adds a txid or address, or relabels it if it is already watched
+     * Addresses are matched against blocks scanned from now on.
+     * @param {Object} request - Validated request ({ txid } or { address }, optional label)
+     * @returns {Object} { entry, created }
+     */
+    add(request) {
+        const id = request.txid ? request.txid.toLowerCase() : request.address;
+        const existing = this.entries.get(id);
+        if (existing) {
+            if (typeof request.label !== 'undefined') {
+                existing.label = request.label;
+                this.save();
+            }
+            return { entry: existing, created: false };
+        }
+
+        const base = { id, label: request.label || null, addedAt: new Date().toISOString() };
+        const entry = request.txid
+            ? { ...base, type: 'transaction', ...createTracking(id) }
+            : { ...base, type: 'address', address: id, fromHeight: this.scan.height === null ? null : this.scan.height + 1, deposits: [], prunedDeposits: 0 };
+
+        this.entries.set(id, entry);
+        this.save();
+        this.logger.info('Added to watchlist', { id, type: entry.type });
+        return { entry, created: true };
+    }
+
+    /**
+     * Stops watching a txid or address
+     * @param {string} id - Txid or address
+     * @returns {boolean} True if it was watched
+     */
+    remove(id) {
+        const removed = this.entries.delete(id) || this.entries.delete(id.toLowerCase());
+        if (removed) {
+            this.save();
+            this.logger.info('Removed from watchlist', { id });
+        }
+        return removed;
+    }
+
+    /**
+     * Gets one entry
+     * @param {string} id - Txid or address
+     * @returns {Object|null} Entry
+     */
+    get(id) {
+        return this.entries.get(id) || this.entries.get(id.toLowerCase()) || null;
+    }
+
+    /**
+     * Lists the entries, oldest first
+     * @returns {Array<Object>} Entries
+     */
+    list() {
+        return [...this.entries.values()];
+    }
+
+    /**
+     * Every tracked transaction: watched txids and address deposits
+     * @returns {Array<Object>} [{ entry, tracking }]
+     */
+    getTracked() {
+        const tracked = [];
+        for (const entry of this.entries.values()) {
+            if (entry.type === 'transaction') {
+                tracked.push({ entry, tracking: entry });
+            } else {
+                entry.deposits.forEach(deposit => tracked.push({ entry, tracking: deposit }));
+            }
+        }
+        return tracked;
+    }
+
+    /**
+     * Scans new blocks and refreshes every tracked transaction (concurrent
+     * calls share one run)
+     * Settled transactions are not looked up again; their confirmations are
+     * counted from the tip height. The file is only rewritten when tracking state
+     * changed.
+     * @param {Object} blockchain - getblockchaininfo result (read from the node if omitted)
+     * @returns {Promise<Object>} { milestones, reorged } events of this update
+     */
+    update(blockchain = null) {
+        if (!this.updating) {
+            this.updating = this.runUpdate(blockchain).finally(() => {
+                this.updating = null;
+            });
+        }
+        return this.updating;
+    }
+
+    /**
+     * @param {Object} blockchain - getblockchaininfo result, or null
+     * @returns {Promise<Object>} { milestones, reorged }
+     */
+    async runUpdate(blockchain) {
+        const events = { milestones: [], reorged: [] };
+        if (this.entries.size === 0) {
+            return events;
+        }
+
+        const info = blockchain || await this.rpc.call('getblockchaininfo');
+        this.network = info.chain;
+        const now = new Date().toISOString();
+
+        await this.scanBlocks(info.blocks, now, events);
+        for (const { entry, tracking } of this.getTracked()) {
+            if (this.isSettled(tracking)) {
+                this.dirty = this.dirty || tracking.confirmations !== info.blocks - tracking.blockHeight + 1;
+                tracking.confirmations = info.blocks - tracking.blockHeight + 1;
+                tracking.maxConfirmations = Math.max(tracking.maxConfirmations, tracking.confirmations);
+                tracking.updatedAt = now;
+            } else {
+                await this.refresh(entry, tracking, now, events);
+            }
+        }
+
+        if (this.dirty) {
+            this.save();
+        }
+        return events;
+    }
+
+    /**
+     * Whether a tracked transaction is past the last milestone and deep
+     * enough that it is no longer expected to be reorged out
+     * @param {Object} tracking - Tracked transaction
+     * @returns {boolean} True if settled
+     */
+    isSettled(tracking) {
+        return tracking.status === 'confirmed' && tracking.confirmations >= this.settledDepth;
+    }
+
+    /**
+     * Looks for watched txids and deposits to watched addresses in the blocks
+     * since the last scan, rewinding to the fork point after a reorg
+     * @param {number} tipHeight - Height of the active tip
+     * @param {string} now - Update time
+     * @param {Object} events - Events of this update
+     */
+    async scanBlocks(tipHeight, now, events) {
+        if (this.scan.height === null) {
+            this.scan = { height: tipHeight, hashes: {} };
+            this.dirty = true;
+            for (const entry of this.entries.values()) {
+                if (entry.type === 'address' && entry.fromHeight === null) {
+                    entry.fromHeight = tipHeight + 1;
+                }
+            }
+            return;
+        }
+
+        const recorded = Object.keys(this.scan.hashes).map(Number).sort((a, b) => b - a);
+        if (recorded.length > 0) {
+            const outcomes = await this.rpc.callBatch(recorded.map(height => ({ method: 'getblockhash', params: [height] })));
+            const fork = recorded.findIndex((height, index) =>
+                outcomes[index].status === 'fulfilled' && outcomes[index].value === this.scan.hashes[height]);
+
+            // Blocks past the fork point are scanned again on the new chain
+            const rewindTo = fork === -1 ? recorded[recorded.length - 1] - 1 : recorded[fork];
+            if (rewindTo < this.scan.height) {
+                this.logger.warn('Rescanning watchlist blocks after a reorg', { from: rewindTo + 1, to: this.scan.height });
+                for (const height of recorded) {
+                    if (height > rewindTo) {
+                        delete this.scan.hashes[height];
+                    }
+                }
+                this.scan.height = rewindTo;
+                this.dirty = true;
+            }
+        }
+
+        const heights = [];
+        for (let height = this.scan.height + 1; height <= Math.min(tipHeight, this.scan.height + SCAN_BATCH); height++) {
+            heights.push(height);
+        }
+        if (heights.length === 0) {
+            return;
+        }
+
+        const hashes = await this.rpc.callBatch(heights.map(height => ({ method: 'getblockhash', params: [height] })));
+        const blocks = await this.rpc.requestBatch(hashes.map(outcome => ({ method: 'getblock', params: [outcome.value, false] })));
+        for (const [index, outcome] of blocks.entries()) {
+            if (hashes[index].status !== 'fulfilled' || outcome.status !== 'fulfilled') {
+                break;
+            }
+            this.scanBlock(heights[index], hashes[index].value, parseBlock(outcome.value), now, events);
+            this.scan.height = heights[index];
+            this.dirty = true;
+            this.scan.hashes[heights[index]] = hashes[index].value;
+            delete this.scan.hashes[heights[index] - SCAN_DEPTH];
+        }
+    }
+
+    /**
+     * Records where watched txids and deposits to watched addresses confirmed
+     * @param {number} height - Block height
+     * @param {string} hash - Block hash
+     * @param {Object} block - Decoded block
+     * @param {string} now - Update time
+     * @param {Object} events - Events of this update
+     */
+    scanBlock(height, hash, block, now, events) {
+        for (const tx of block.tx) {
+            const watched = this.entries.get(tx.txid);
+            if (watched?.type === 'transaction') {
+                this.setConfirmed(watched, watched, hash, height, 1, now, events);
+            }
+
+            const received = new Map();
+            for (const output of tx.vout) {
+                const { addresses } = classifyScript(output.scriptPubKey, this.network);
+                if (addresses.length === 1 && this.entries.get(addresses[0])?.type === 'address') {
+                    received.set(addresses[0], (received.get(addresses[0]) || 0n) + output.value);
+                }
+            }
+
+            for (const [address, koinu] of received) {
+                const entry = this.entries.get(address);
+                let deposit = entry.deposits.find(candidate => candidate.txid === tx.txid);
+                if (!deposit) {
+                    deposit = { ...createTracking(tx.txid), amount: toDoge(koinu) };
+                    entry.deposits.push(deposit);
+                    this.logger.info('Deposit to watched address', { address, txid: tx.txid, height });
+                }
+                this.setConfirmed(entry, deposit, hash, height, 1, now, events);
+                this.pruneDeposits(entry);
+            }
+        }
+    }
+
+    /**
+     * Drops the oldest settled deposits of an address beyond maxDeposits
+     * Deposits that may still be reorged out are always kept.
+     * @param {Object} entry - Address entry
+     */
+    pruneDeposits(entry) {
+        const count = entry.deposits.length;
+        let excess = count - this.maxDeposits;
+        if (excess <= 0) {
+            return;
+        }
+
+        entry.deposits = entry.deposits.filter((deposit) => {
+            if (excess > 0 && this.isSettled(deposit)) {
+                excess--;
+                return false;
+            }
+            return true;
+        });
+        entry.prunedDeposits = (entry.prunedDeposits || 0) + count - entry.deposits.length;
+    }
+
+    /**
+     * Refreshes the confirmations of a tracked transaction
+     * A transaction whose block left the active chain is reorged out; it is
+     * then looked up again, in a new block or in the mempool. Without
+     * -txindex the node only finds mempool transactions: one missing there is
+     * unresolved, and is only found again if it confirms in a scanned block.
+     * @param {Object} entry - Watchlist entry
+     * @param {Object} tracking - Tracked transaction
+     * @param {string} now - Update time
+     * @param {Object} events - Events of this update
+     */
+    async refresh(entry, tracking, now, events) {
+        if (tracking.blockHash) {
+            const header = await this.rpc.call('getblockheader', [tracking.blockHash]);
+            if (header.confirmations >= 1) {
+                this.setConfirmed(entry, tracking, tracking.blockHash, tracking.blockHeight, header.confirmations, now, events);
+                return;
+            }
+            this.setReorged(entry, tracking, now, events);
+        }
+
+        let tx = null;
+        let unresolved = false;
+        try {
+            tx = await this.rpc.call('getrawtransaction', [tracking.txid, true]);
+        } catch (error) {
+            if (!(error instanceof RPCError && error.code === RPC_NOT_FOUND)) {
+                throw error;
+            }
+            // "No such mempool transaction. Use -txindex to enable blockchain transaction queries."
+            unresolved = error.message.includes('-txindex');
+        }
+
+        if (tx?.blockhash && tx.confirmations >= 1) {
+            const header = await this.rpc.call('getblockheader', [tx.blockhash]);
+            this.setConfirmed(entry, tracking, tx.blockhash, header.height, tx.confirmations, now, events);
+            return;
+        }
+
+        let status = 'pending';
+        if (tracking.status === 'reorged') {
+            status = 'reorged';
+        } else if (tx) {
+            status = 'unconfirmed';
+        } else if (unresolved) {
+            status = 'unresolved';
+        }
+        this.dirty = this.dirty || tracking.status !== status || tracking.inMempool !== Boolean(tx);
+        tracking.status = status;
+        tracking.inMempool = Boolean(tx);
+        tracking.updatedAt = now;
+    }
+
+    /**
+     * Records a tracked transaction's block and confirmations, announcing the
+     * milestones crossed since the previous update
+     * @param {Object} entry - Watchlist entry
+     * @param {Object} tracking - Tracked transaction
+     * @param {string} blockHash - Block containing the transaction
+     * @param {number} blockHeight - Height of that block
+     * @param {number} confirmations - Confirmations
+     * @param {string} now - Update time
+     * @param {Object} events - Events of this update
+     */
+    setConfirmed(entry, tracking, blockHash, blockHeight, confirmations, now, events) {
+        // A block scan reports one confirmation for a block refresh() has already counted further
+        if (tracking.blockHash === blockHash && confirmations < tracking.confirmations) {
+            return;
+        }
+
+        const previous = tracking.confirmations;
+        this.dirty = this.dirty || tracking.status !== 'confirmed' || previous !== confirmations || tracking.blockHash !== blockHash;
+        Object.assign(tracking, {
+            status: 'confirmed',
+            confirmations,
+            blockHash,
+            blockHeight,
+            inMempool: false,
+            maxConfirmations: Math.max(tracking.maxConfirmations, confirmations),
+            updatedAt: now
+        });
+
+        for (const milestone of this.milestones.filter(count => count > previous && count <= confirmations)) {
+            const event = { ...this.describeEvent(entry, tracking), milestone };
+            events.milestones.push(event);
+            this.emit('milestone', event);
+        }
+    }
+
+    /**
+     * Marks a tracked transaction as reorged out of the active chain
+     * @param {Object} entry - Watchlist entry
+     * @param {Object} tracking - Tracked transaction
+     * @param {string} now - Update time
+     * @param {Object} events - Events of this update
+     */
+    setReorged(entry, tracking, now, events) {
+        this.dirty = true;
+        tracking.lastReorg = {
+            at: now,
+            blockHash: tracking.blockHash,
+            blockHeight: tracking.blockHeight,
+            confirmations: tracking.confirmations
+        };
+        Object.assign(tracking, {
+            status: 'reorged',
+            confirmations: 0,
+            blockHash: null,
+            blockHeight: null,
+            reorgCount: tracking.reorgCount + 1,
+            updatedAt: now
+        });
+
+        const event = this.describeEvent(entry, tracking);
+        events.reorged.push(event);
+        this.emit('reorged', event);
+        this.logger.warn('Watched transaction reorged out', { txid: tracking.txid, ...tracking.lastReorg });
+    }
+
+    /**
+     * Payload of milestone and reorg events
+     * @param {Object} entry - Watchlist entry
+     * @param {Object} tracking - Tracked transaction
+     * @returns {Object} Event
+     */
+    describeEvent(entry, tracking) {
+        return {
+            nodeId: this.nodeId,
+            id: entry.id,
+            type: entry.type,
+            label: entry.label,
+            address: entry.address || null,
+            amount: tracking.amount ?? null,
+            txid: tracking.txid,
+            status: tracking.status,
+            confirmations: tracking.confirmations,
+            blockHash: tracking.blockHash,
+            blockHeight: tracking.blockHeight,
+            lastReorg: tracking.lastReorg
+        };
+    }
+}
+
+module.exports = {
+    Watchlist
+};
@@ -0,0 +1,241 @@
+/**
+ * ZMQ Subscriber
+ * Receives block and transaction notifications pushed by Dogecoin Core
+ * (-zmqpubhashblock / -zmqpubrawtx) so new blocks are handled without waiting
+ * for the next polling interval, and new transactions are decoded from the
+ * notification instead of being fetched again
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { createChildLogger } = require('../utils/logger');
+
+/**
+ * Notification topics published by Dogecoin Core
+ */
+const TOPICS = {
+    block: 'hashblock',
+    tx: 'rawtx'
+};
+
+/**
+ * Computes the txid of a raw transaction (double SHA-256, byte-reversed)
+ * @param {Buffer} raw - Serialized transaction
+ * @returns {string} Transaction id as shown by RPC
+ */
+const computeTxid = (raw) => {
+    const first = crypto.createHash('sha256').update(raw).digest();
+    return crypto.createHash('sha256').update(first).digest().reverse().toString('hex');
+};
+
+/**
+ * Emits 'block' ({ hash, sequence }) for every hashblock notification and
+ * 'tx' ({ txid, size, raw, sequence }) for every rawtx notification.
+ */
+class ZMQSubscriber extends EventEmitter {
+    /**
+     * @param {Object} options - Subscriber options
+     * @param {string} options.nodeId - Node identifier used in logs
+     * @param {string} options.hashblock - Endpoint publishing hashblock (e.g. tcp://127.0.0.1:28332)
+     * @param {string} options.rawtx - Endpoint publishing rawtx
+     * @param {Object} options.zmq - ZeroMQ module (defaults to the optional zeromq package)
+     */
+    constructor(options = {}) {
+        super();
+        this.nodeId = options.nodeId || null;
+        this.logger = createChildLogger(this.nodeId ? { service: 'zmq', node: this.nodeId } : { service: 'zmq' });
+        this.endpoints = {
+            block: options.hashblock || null,
+            tx: options.rawtx || null
+        };
+        this.zmq = options.zmq || null;
+
+        this.sockets = [];
+        this.running = false;
+        this.sequences = {}; // topic -> last sequence number
+        this.stats = { blocks: 0, transactions: 0, missed: 0, lastBlockAt: null, lastTxAt: null };
+    }
+
+    /**
+     * Whether any endpoint is configured
+     * @returns {boolean} True if at least one notification type is subscribed
+     */
+    isConfigured() {
+        return Boolean(this.endpoints.block || this.endpoints.tx);
+    }
+
+    /**
+     * Groups topics by endpoint so a shared endpoint uses one socket
+     * @returns {Map<string, Array<string>>} Endpoint -> topics
+     */
+    getSubscriptions() {
+        const subscriptions = new Map();
+
+        for (const [type, endpoint] of Object.entries(this.endpoints)) {
+            if (!endpoint) {
+                continue;
+            }
+            if (!subscriptions.has(endpoint)) {
+                subscriptions.set(endpoint, []);
+            }
+            subscriptions.get(endpoint).push(TOPICS[type]);
+        }
+
+        return subscriptions;
+    }
+
+    /**
+     * Loads the ZeroMQ bindings
+     * @returns {Object|null} ZeroMQ module, or null if it is not installed
+     */
+    loadZMQ() {
+        if (this.zmq) {
+            return this.zmq;
+        }
+
+        try {
+            this.zmq = require('zeromq');
+            return this.zmq;
+        } catch (error) {
+            this.logger.warn('zeromq package is not available, falling back to polling', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Connects to the configured endpoints
+     * @returns {boolean} True if subscribed; false means callers should rely on polling
+     */
+    start() {
+        if (this.running || !this.isConfigured()) {
+            return this.running;
+        }
+
+        const zmq = this.loadZMQ();
+        if (!zmq) {
+            return false;
+        }
+
+        try {
+            for (const [endpoint, topics] of this.getSubscriptions()) {
+                const socket = new zmq.Subscriber();
+                socket.connect(endpoint);
+                topics.forEach(topic => socket.subscribe(topic));
+                this.sockets.push(socket);
+            }
+        } catch (error) {
+            this.logger.error('Failed to subscribe to ZMQ notifications', { error: error.message });
+            this.closeSockets();
+            return false;
+        }
+
+        this.running = true;
+        this.sockets.forEach(socket => this.receive(socket));
+
+        this.logger.info('Subscribed to ZMQ notifications', { endpoints: this.endpoints });
+        return true;
+    }
+
+    /**
+     * Disconnects from all endpoints
+     */
+    stop() {
+        this.running = false;
+        this.closeSockets();
+    }
+
+    /**
+     * Closes open sockets
+     */
+    closeSockets() {
+        for (const socket of this.sockets) {
+            try {
+                socket.close();
+            } catch (error) {
+                this.logger.debug('Failed to close ZMQ socket', { error: error.message });
+            }
+        }
+        this.sockets = [];
+    }
+
+    /**
+     * Reads messages from a socket until it is closed
+     * @param {Object} socket - ZeroMQ subscriber socket
+     * @returns {Promise<void>}
+     */
+    async receive(socket) {
+        try {
+            for await (const [topic, body, sequence] of socket) {
+                this.handleMessage(topic.toString(), body, sequence);
+            }
+        } catch (error) {
+            if (this.running) {
+                this.logger.error('ZMQ receive failed', { error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Handles one notification
+     * @param {string} topic - Notification topic
+     * @param {Buffer} body - Notification body
+     * @param {Buffer} sequence - Little-endian 32-bit sequence number
+     */
+    handleMessage(topic, body, sequence) {
+        const seq = sequence && sequence.length >= 4 ? sequence.readUInt32LE(0) : null;
+        this.checkSequence(topic, seq);
+
+        if (topic === TOPICS.block) {
+            this.stats.blocks++;
+            this.stats.lastBlockAt = new Date().toISOString();
+            this.emit('block', { hash: body.toString('hex'), sequence: seq });
+        } else if (topic === TOPICS.tx) {
+            this.stats.transactions++;
+            this.stats.lastTxAt = new Date().toISOString();
+            this.emit('tx', { txid: computeTxid(body), size: body.length, raw: body, sequence: seq });
+        }
+    }
+
+    /**
+     * Counts notifications dropped by the publisher (gaps in the sequence numbers)
+     * @param {string} topic - Notification topic
+     * @param {number|null} seq - Sequence number of the received message
+     */
+    checkSequence(topic, seq) {
+        if (seq === null) {
+            return;
+        }
+
+        const last = this.sequences[topic];
+        this.sequences[topic] = seq;
+
+        if (typeof last !== 'number') {
+            return;
+        }
+
+        // Sequence numbers wrap at 2^32
+        const missed = (seq - last - 1) >>> 0;
+        if (missed > 0) {
+            this.stats.missed += missed;
+            this.logger.warn('ZMQ notifications missed', { topic, missed });
+        }
+    }
+
+    /**
+     * Gets subscription state and counters
+     * @returns {Object} Subscriber status
+     */
+    getStatus() {
+        return {
+            enabled: this.isConfigured(),
+            subscribed: this.running,
+            endpoints: { ...this.endpoints },
+            ...this.stats
+        };
+    }
+}
+
+module.exports = {
+    ZMQSubscriber,
+    computeTxid
+};
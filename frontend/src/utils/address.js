@@ -0,0 +1,258 @@
+/**
+ * Dogecoin Address Utilities
+ * Base58Check encoding and output script classification
+ */
+
+const crypto = require('crypto');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Address version bytes per chain (as reported by getblockchaininfo)
+ */
+const NETWORKS = {
+    main: { pubkeyHash: 0x1e, scriptHash: 0x16 },
+    test: { pubkeyHash: 0x71, scriptHash: 0xc4 },
+    regtest: { pubkeyHash: 0x6f, scriptHash: 0xc4 }
+};
+
+/**
+ * Script opcodes used by the standard output templates
+ */
+const OP = {
+    OP_0: 0x00,
+    OP_PUSHDATA1: 0x4c,
+    OP_PUSHDATA2: 0x4d,
+    OP_PUSHDATA4: 0x4e,
+    OP_1: 0x51,
+    OP_16: 0x60,
+    OP_RETURN: 0x6a,
+    OP_DUP: 0x76,
+    OP_EQUAL: 0x87,
+    OP_EQUALVERIFY: 0x88,
+    OP_HASH160: 0xa9,
+    OP_CHECKSIG: 0xac,
+    OP_CHECKMULTISIG: 0xae
+};
+
+/**
+ * Double SHA-256
+ * @param {Buffer} data - Input bytes
+ * @returns {Buffer} Digest
+ */
+const sha256d = (data) => {
+    const first = crypto.createHash('sha256').update(data).digest();
+    return crypto.createHash('sha256').update(first).digest();
+};
+
+/**
+ * RIPEMD-160 of SHA-256 (public key and script hashes)
+ * @param {Buffer} data - Input bytes
+ * @returns {Buffer} 20-byte hash
+ */
+const hash160 = (data) => {
+    const sha = crypto.createHash('sha256').update(data).digest();
+    return crypto.createHash('ripemd160').update(sha).digest();
+};
+
+/**
+ * Encodes bytes as Base58
+ * @param {Buffer} bytes - Input bytes
+ * @returns {string} Base58 string
+ */
+const base58Encode = (bytes) => {
+    // Leading zero bytes are encoded as '1'
+    let zeros = 0;
+    while (zeros < bytes.length && bytes[zeros] === 0) {
+        zeros++;
+    }
+
+    const digits = [];
+    for (const byte of bytes.subarray(zeros)) {
+        let carry = byte;
+        for (let i = 0; i < digits.length; i++) {
+            carry += digits[i] << 8;
+            digits[i] = carry % 58;
+            carry = Math.floor(carry / 58);
+        }
+        while (carry > 0) {
+            digits.push(carry % 58);
+            carry = Math.floor(carry / 58);
+        }
+    }
+
+    return '1'.repeat(zeros) + digits.reverse().map(digit => BASE58_ALPHABET[digit]).join('');
+};
+
+/**
+ * Encodes a version byte and payload with a 4-byte checksum
+ * @param {number} version - Version byte
+ * @param {Buffer} payload - Payload (e.g. a 20-byte hash)
+ * @returns {string} Base58Check string
+ */
+const base58CheckEncode = (version, payload) => {
+    const data = Buffer.concat([Buffer.from([version]), payload]);
+    return base58Encode(Buffer.concat([data, sha256d(data).subarray(0, 4)]));
+};
+
+/**
+ * Whether a string looks like a Base58 address (the node decides validity)
+ * @param {string} value - Candidate address
+ * @returns {boolean} True if the format is plausible
+ */
+const isAddressFormat = (value) => {
+    return typeof value === 'string' && /^[1-9A-HJ-NP-Za-km-z]{26,35}$/.test(value);
+};
+
+/**
+ * Splits a script into opcodes and pushed data
+ * @param {Buffer} script - Script bytes
+ * @returns {Array<Object>|null} Chunks ({ opcode, data }), or null if a push runs past the end
+ */
+const decompileScript = (script) => {
+    const chunks = [];
+    let offset = 0;
+
+    while (offset < script.length) {
+        const opcode = script[offset++];
+        let length = null;
+
+        // PUSHDATA1/2/4 are followed by a 1, 2 or 4 byte length
+        const lengthBytes = { [OP.OP_PUSHDATA1]: 1, [OP.OP_PUSHDATA2]: 2, [OP.OP_PUSHDATA4]: 4 }[opcode] || 0;
+        if (offset + lengthBytes > script.length) {
+            return null;
+        }
+
+        if (opcode > OP.OP_0 && opcode < OP.OP_PUSHDATA1) {
+            length = opcode;
+        } else if (opcode === OP.OP_PUSHDATA1) {
+            length = script[offset];
+            offset += 1;
+        } else if (opcode === OP.OP_PUSHDATA2) {
+            length = script.readUInt16LE(offset);
+            offset += 2;
+        } else if (opcode === OP.OP_PUSHDATA4) {
+            length = script.readUInt32LE(offset);
+            offset += 4;
+        }
+
+        if (length === null) {
+            chunks.push({ opcode, data: null });
+            continue;
+        }
+
+        if (offset + length > script.length) {
+            return null;
+        }
+        chunks.push({ opcode, data: script.subarray(offset, offset + length) });
+        offset += length;
+    }
+
+    return chunks;
+};
+
+/**
+ * Whether a pushed value looks like a public key
+ * @param {Buffer} data - Pushed data
+ * @returns {boolean} True for compressed or uncompressed keys
+ */
+const isPublicKey = (data) => {
+    return Boolean(data) && ((data.length === 33 && (data[0] === 0x02 || data[0] === 0x03)) ||
+        (data.length === 65 && data[0] === 0x04));
+};
+
+/**
+ * Classifies an output script and derives its address(es)
+ * Types follow the node's naming: pubkeyhash, scripthash, pubkey, multisig,
+ * nulldata and nonstandard.
+ * @param {string|Buffer} scriptPubKey - Output script (hex or bytes)
+ * @param {string} network - Chain name (main, test, regtest)
+ * @returns {Object} Script type and addresses ({ type, addresses, required? })
+ */
+const classifyScript = (scriptPubKey, network = 'main') => {
+    const script = Buffer.isBuffer(scriptPubKey) ? scriptPubKey : Buffer.from(scriptPubKey, 'hex');
+    const versions = NETWORKS[network] || NETWORKS.main;
+    const chunks = decompileScript(script);
+
+    if (!chunks) {
+        return { type: 'nonstandard', addresses: [] };
+    }
+
+    const ops = chunks.map(chunk => chunk.opcode);
+
+    if (script.length === 25 && ops.length === 5 && ops[0] === OP.OP_DUP && ops[1] === OP.OP_HASH160 &&
+        chunks[2].data?.length === 20 && ops[3] === OP.OP_EQUALVERIFY && ops[4] === OP.OP_CHECKSIG) {
+        return { type: 'pubkeyhash', addresses: [base58CheckEncode(versions.pubkeyHash, chunks[2].data)] };
+    }
+
+    if (script.length === 23 && ops.length === 3 && ops[0] === OP.OP_HASH160 &&
+        chunks[1].data?.length === 20 && ops[2] === OP.OP_EQUAL) {
+        return { type: 'scripthash', addresses: [base58CheckEncode(versions.scriptHash, chunks[1].data)] };
+    }
+
+    if (ops.length === 2 && isPublicKey(chunks[0].data) && ops[1] === OP.OP_CHECKSIG) {
+        return { type: 'pubkey', addresses: [base58CheckEncode(versions.pubkeyHash, hash160(chunks[0].data))] };
+    }
+
+    if (ops[0] === OP.OP_RETURN) {
+        return { type: 'nulldata', addresses: [] };
+    }
+
+    // m <pubkey>... n OP_CHECKMULTISIG
+    const last = ops.length - 1;
+    if (ops.length >= 4 && ops[last] === OP.OP_CHECKMULTISIG &&
+        ops[0] >= OP.OP_1 && ops[0] <= OP.OP_16 && ops[last - 1] >= OP.OP_1 && ops[last - 1] <= OP.OP_16) {
+        const keys = chunks.slice(1, last - 1);
+        const required = ops[0] - OP.OP_1 + 1;
+        const total = ops[last - 1] - OP.OP_1 + 1;
+
+        if (keys.length === total && required <= total && keys.every(key => isPublicKey(key.data))) {
+            return {
+                type: 'multisig',
+                required,
+                addresses: keys.map(key => base58CheckEncode(versions.pubkeyHash, hash160(key.data)))
+            };
+        }
+    }
+
+    return { type: 'nonstandard', addresses: [] };
+};
+
+/**
+ * Extracts the data carried by an OP_RETURN output
+ * @param {string|Buffer} scriptPubKey - Output script (hex or bytes)
+ * @returns {Object|null} Payload ({ hex, text }), text is null unless the data is printable UTF-8;
+ *     null if the script is not OP_RETURN
+ */
+const decodeNullData = (scriptPubKey) => {
+    const script = Buffer.isBuffer(scriptPubKey) ? scriptPubKey : Buffer.from(scriptPubKey, 'hex');
+    if (script[0] !== OP.OP_RETURN) {
+        return null;
+    }
+
+    // Data pushes after OP_RETURN; a malformed push leaves the raw remainder
+    const chunks = decompileScript(script.subarray(1));
+    const data = chunks
+        ? Buffer.concat(chunks.filter(chunk => chunk.data).map(chunk => chunk.data))
+        : script.subarray(1);
+
+    // Printable means valid UTF-8 without control characters other than whitespace
+    const text = data.toString('utf8');
+    const control = data.some(byte => (byte < 0x20 && (byte < 0x09 || byte > 0x0d)) || byte === 0x7f);
+    const printable = data.length > 0 && !control && Buffer.from(text, 'utf8').equals(data);
+
+    return { hex: data.toString('hex'), text: printable ? text : null };
+};
+
+module.exports = {
+    NETWORKS,
+    OP,
+    sha256d,
+    hash160,
+    base58Encode,
+    base58CheckEncode,
+    isAddressFormat,
+    decompileScript,
+    classifyScript,
+    decodeNullData
+};
@@ -0,0 +1,111 @@
+/**
+ * Coinbase Utilities
+ * Reads the block height, merged-mining commitment and miner tags embedded in
+ * coinbase scripts
+ */
+
+const { OP } = require('./address');
+
+/**
+ * Magic bytes preceding the aux chain merkle root in a parent coinbase
+ */
+const MERGED_MINING_HEADER = Buffer.from('fabe6d6d', 'hex');
+
+/**
+ * Length of the merged-mining commitment: magic, merkle root, tree size and nonce
+ */
+const MERGED_MINING_COMMITMENT_LENGTH = 4 + 32 + 4 + 4;
+
+/**
+ * Shortest run of printable characters treated as a tag (shorter runs are usually extranonce noise)
+ */
+const MIN_TAG_LENGTH = 4;
+
+/**
+ * Characters kept in a tag; markup and quoting characters (< > " ' ` & and
+ * the like) end a run, since tags become pool identifiers shown in alerts
+ */
+const TAG_CHARACTERS = 'A-Za-z0-9 ./_:@#+!()\\[\\],*~=|^%-';
+
+/**
+ * Converts a coinbase script to bytes
+ * @param {string|Buffer} script - Coinbase scriptSig (hex or bytes)
+ * @returns {Buffer} Script bytes
+ */
+const toBuffer = (script) => (Buffer.isBuffer(script) ? script : Buffer.from(script || '', 'hex'));
+
+/**
+ * Reads the block height pushed at the start of a coinbase (BIP34)
+ * @param {string|Buffer} script - Coinbase scriptSig
+ * @returns {number|null} Height, or null if the script does not start with one
+ */
+const readCoinbaseHeight = (script) => {
+    const bytes = toBuffer(script);
+    const first = bytes[0];
+
+    // Heights 1-16 use OP_1..OP_16; larger heights are a little-endian push of up to 4 bytes
+    if (first >= OP.OP_1 && first <= OP.OP_16) {
+        return first - OP.OP_1 + 1;
+    }
+    if (first >= 1 && first <= 4 && bytes.length > first) {
+        return bytes.readUIntLE(1, first);
+    }
+    return null;
+};
+
+/**
+ * Finds the merged-mining commitment in a parent coinbase
+ * @param {string|Buffer} script - Parent coinbase scriptSig
+ * @returns {Object|null} Commitment ({ merkleRoot, size, nonce }), or null if absent
+ */
+const readMergedMiningCommitment = (script) => {
+    const bytes = toBuffer(script);
+    const offset = bytes.indexOf(MERGED_MINING_HEADER);
+
+    if (offset === -1 || offset + MERGED_MINING_COMMITMENT_LENGTH > bytes.length) {
+        return null;
+    }
+
+    return {
+        merkleRoot: bytes.subarray(offset + 4, offset + 36).toString('hex'),
+        size: bytes.readUInt32LE(offset + 36),
+        nonce: bytes.readUInt32LE(offset + 40)
+    };
+};
+
+/**
+ * Extracts the human-readable tag a miner or pool put in a coinbase
+ * The height push and the merged-mining commitment are skipped; the remaining
+ * runs of tag characters (printable ASCII without markup) are joined with spaces.
+ * @param {string|Buffer} script - Coinbase scriptSig
+ * @returns {string|null} Tag (e.g. "/ViaBTC/Mined by x/"), or null if there is none
+ */
+const extractCoinbaseTag = (script) => {
+    let bytes = toBuffer(script);
+
+    // Skip the BIP34 height push (a 1-4 byte push or OP_1..OP_16)
+    if (readCoinbaseHeight(bytes) !== null) {
+        bytes = bytes.subarray(bytes[0] <= 4 ? bytes[0] + 1 : 1);
+    }
+
+    const offset = bytes.indexOf(MERGED_MINING_HEADER);
+    if (offset !== -1) {
+        bytes = Buffer.concat([
+            bytes.subarray(0, offset),
+            Buffer.from(' '),
+            bytes.subarray(offset + MERGED_MINING_COMMITMENT_LENGTH)
+        ]);
+    }
+
+    const runs = bytes.toString('latin1').match(new RegExp(`[${TAG_CHARACTERS}]{${MIN_TAG_LENGTH},}`, 'g')) || [];
+    const tag = runs.map(run => run.trim()).filter(run => run.length >= MIN_TAG_LENGTH).join(' ');
+
+    return tag || null;
+};
+
+module.exports = {
+    MERGED_MINING_HEADER,
+    readCoinbaseHeight,
+    readMergedMiningCommitment,
+    extractCoinbaseTag
+};
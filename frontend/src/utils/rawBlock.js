@@ -0,0 +1,281 @@
+/**
+ * Raw Block Decoder
+ * Parses serialized Dogecoin blocks (getblock <hash> false) and transactions,
+ * including the AuxPoW header of merge-mined blocks
+ */
+
+const { sha256d } = require('./address');
+
+/**
+ * Block version bit marking a merge-mined block with an AuxPoW header
+ */
+const VERSION_AUXPOW = 1 << 8;
+
+const NULL_HASH = '0'.repeat(64);
+
+/**
+ * Sequential reader over a buffer of little-endian serialized data
+ */
+class ByteReader {
+    /**
+     * @param {Buffer} buffer - Serialized data
+     */
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.offset = 0;
+    }
+
+    /**
+     * Reads raw bytes
+     * @param {number} length - Number of bytes
+     * @returns {Buffer} Bytes read
+     * @throws {Error} If the data ends early
+     */
+    readBytes(length) {
+        if (this.offset + length > this.buffer.length) {
+            throw new Error(`Unexpected end of data at offset ${this.offset}`);
+        }
+        const bytes = this.buffer.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return bytes;
+    }
+
+    /**
+     * Reads an unsigned byte
+     * @returns {number} Value
+     */
+    readUInt8() {
+        return this.readBytes(1)[0];
+    }
+
+    /**
+     * Reads an unsigned 16-bit integer
+     * @returns {number} Value
+     */
+    readUInt16LE() {
+        return this.readBytes(2).readUInt16LE(0);
+    }
+
+    /**
+     * Reads an unsigned 32-bit integer
+     * @returns {number} Value
+     */
+    readUInt32LE() {
+        return this.readBytes(4).readUInt32LE(0);
+    }
+
+    /**
+     * Reads a signed 32-bit integer
+     * @returns {number} Value
+     */
+    readInt32LE() {
+        return this.readBytes(4).readInt32LE(0);
+    }
+
+    /**
+     * Reads a 64-bit amount
+     * @returns {bigint} Amount in koinu
+     */
+    readUInt64LE() {
+        return this.readBytes(8).readBigUInt64LE(0);
+    }
+
+    /**
+     * Reads a CompactSize length prefix
+     * @returns {number} Value
+     */
+    readVarInt() {
+        const first = this.readUInt8();
+        if (first < 0xfd) {
+            return first;
+        }
+        if (first === 0xfd) {
+            return this.readUInt16LE();
+        }
+        if (first === 0xfe) {
+            return this.readUInt32LE();
+        }
+        return Number(this.readUInt64LE());
+    }
+
+    /**
+     * Reads a length-prefixed byte string
+     * @returns {Buffer} Bytes read
+     */
+    readVarBytes() {
+        return this.readBytes(this.readVarInt());
+    }
+
+    /**
+     * Reads a 32-byte hash and returns it in RPC (byte-reversed) order
+     * @returns {string} Hash as hex
+     */
+    readHash() {
+        return Buffer.from(this.readBytes(32)).reverse().toString('hex');
+    }
+}
+
+/**
+ * Hashes serialized data into an RPC-ordered id (txid or block hash)
+ * @param {Buffer} data - Serialized transaction or block header
+ * @returns {string} Hash as hex
+ */
+const hashToId = (data) => Buffer.from(sha256d(data)).reverse().toString('hex');
+
+/**
+ * Reads one transaction
+ * @param {ByteReader} reader - Reader positioned at the transaction
+ * @returns {Object} Transaction ({ txid, version, size, locktime, vin, vout }); amounts are bigint koinu
+ */
+const readTransaction = (reader) => {
+    const start = reader.offset;
+    const version = reader.readInt32LE();
+
+    const vin = [];
+    const inputCount = reader.readVarInt();
+    for (let i = 0; i < inputCount; i++) {
+        const txid = reader.readHash();
+        const vout = reader.readUInt32LE();
+        const scriptSig = reader.readVarBytes().toString('hex');
+        const sequence = reader.readUInt32LE();
+
+        vin.push(txid === NULL_HASH && vout === 0xffffffff
+            ? { coinbase: scriptSig, sequence }
+            : { txid, vout, scriptSig, sequence });
+    }
+
+    const vout = [];
+    const outputCount = reader.readVarInt();
+    for (let n = 0; n < outputCount; n++) {
+        const value = reader.readUInt64LE();
+        const scriptPubKey = reader.readVarBytes().toString('hex');
+        vout.push({ n, value, scriptPubKey });
+    }
+
+    const locktime = reader.readUInt32LE();
+    const raw = reader.buffer.subarray(start, reader.offset);
+
+    return { txid: hashToId(raw), version, size: raw.length, locktime, vin, vout };
+};
+
+/**
+ * Reads an 80-byte block header
+ * @param {ByteReader} reader - Reader positioned at the header
+ * @returns {Object} Header fields and hash
+ */
+const readHeader = (reader) => {
+    const raw = reader.readBytes(80);
+    const header = new ByteReader(raw);
+
+    return {
+        hash: hashToId(raw),
+        version: header.readInt32LE(),
+        previousblockhash: header.readHash(),
+        merkleroot: header.readHash(),
+        time: header.readUInt32LE(),
+        bits: header.readUInt32LE().toString(16).padStart(8, '0'),
+        nonce: header.readUInt32LE()
+    };
+};
+
+/**
+ * Reads a merkle branch
+ * @param {ByteReader} reader - Reader positioned at the branch
+ * @returns {Array<string>} Branch hashes
+ */
+const readMerkleBranch = (reader) => {
+    const count = reader.readVarInt();
+    const hashes = [];
+    for (let i = 0; i < count; i++) {
+        hashes.push(reader.readHash());
+    }
+    return hashes;
+};
+
+/**
+ * Reads the AuxPoW proof that follows the header of a merge-mined block
+ * @param {ByteReader} reader - Reader positioned after the block header
+ * @returns {Object} Parent coinbase, merkle branches and parent block header
+ */
+const readAuxPow = (reader) => {
+    const coinbase = readTransaction(reader);
+    const parentHashField = reader.readHash(); // unused by consensus, kept for completeness
+    const merkleBranch = readMerkleBranch(reader);
+    const index = reader.readInt32LE();
+    const chainMerkleBranch = readMerkleBranch(reader);
+    const chainIndex = reader.readInt32LE();
+    const parentBlock = readHeader(reader);
+
+    return { tx: coinbase, hashBlock: parentHashField, merkleBranch, index, chainMerkleBranch, chainIndex, parentBlock };
+};
+
+/**
+ * Decodes a serialized block
+ * @param {string|Buffer} data - Raw block (hex from getblock <hash> false, or bytes)
+ * @returns {Object} Header fields, auxpow (or null) and transactions
+ * @throws {Error} If the data is truncated
+ */
+const parseBlock = (data) => {
+    const reader = new ByteReader(Buffer.isBuffer(data) ? data : Buffer.from(data, 'hex'));
+    const header = readHeader(reader);
+    const auxpow = header.version & VERSION_AUXPOW ? readAuxPow(reader) : null;
+
+    const tx = [];
+    const count = reader.readVarInt();
+    for (let i = 0; i < count; i++) {
+        tx.push(readTransaction(reader));
+    }
+
+    return { ...header, size: reader.offset, auxpow, tx };
+};
+
+/**
+ * Decodes a serialized 80-byte block header (e.g. the AuxPoW parent block)
+ * @param {string|Buffer} data - Raw header (hex or bytes)
+ * @returns {Object} Header fields and hash
+ */
+const parseHeader = (data) => {
+    return readHeader(new ByteReader(Buffer.isBuffer(data) ? data : Buffer.from(data, 'hex')));
+};
+
+/**
+ * Decodes a serialized transaction
+ * @param {string|Buffer} data - Raw transaction (hex or bytes)
+ * @returns {Object} Transaction (see readTransaction)
+ */
+const parseTransaction = (data) => {
+    return readTransaction(new ByteReader(Buffer.isBuffer(data) ? data : Buffer.from(data, 'hex')));
+};
+
+/**
+ * Formats a koinu amount as DOGE the way the node's RPC does
+ * @param {bigint} koinu - Amount in koinu (1 DOGE = 10^8 koinu)
+ * @returns {number} Amount in DOGE
+ */
+const toDoge = (koinu) => {
+    const negative = koinu < 0n;
+    const abs = negative ? -koinu : koinu;
+    const text = `${abs / 100000000n}.${(abs % 100000000n).toString().padStart(8, '0')}`;
+    return Number(negative ? `-${text}` : text);
+};
+
+/**
+ * Converts a DOGE amount from RPC output to koinu
+ * @param {number} amount - Amount in DOGE
+ * @returns {bigint} Amount in koinu
+ */
+const toKoinu = (amount) => {
+    const [whole, fraction = ''] = Math.abs(amount).toFixed(8).split('.');
+    const koinu = BigInt(whole) * 100000000n + BigInt(fraction.padEnd(8, '0'));
+    return amount < 0 ? -koinu : koinu;
+};
+
+module.exports = {
+    ByteReader,
+    VERSION_AUXPOW,
+    parseBlock,
+    parseHeader,
+    parseTransaction,
+    toDoge,
+    toKoinu
+};
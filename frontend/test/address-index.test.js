@@ -0,0 +1,262 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const { AddressIndex } = require('../src/services/addressIndex');
+const { classifyScript, base58CheckEncode, isAddressFormat } = require('../src/utils/address');
+const { parseBlock, toDoge } = require('../src/utils/rawBlock');
+const { router, initializeAPI } = require('../src/routes/api');
+const { p2pkh, serializeTransaction, serializeBlock } = require('./helpers');
+
+// Dogecoin mainnet genesis block as returned by getblock <hash> false
+const GENESIS_BLOCK = '010000000000000000000000000000000000000000000000000000000000000000000000696ad20e2dd4365c7459b4a4a5af743d5e92c6da3229e6532cd605f6533f2a5b24a6a152f0ff0f1e678601000101000000010000000000000000000000000000000000000000000000000000000000000000ffffffff1004ffff001d0104084e696e746f6e646fffffffff010058850c020000004341040184710fa689ad5023690c80f3a49c8f13f8d45b8c857fbcbc8bc4a8e4d3eb4b10f4d4604fa08dce601aaf0f470216fe1b51850b4acf21b179c45070ac7b03a9ac00000000';
+
+const COIN = 100000000n;
+
+/**
+ * Creates a stand-in for DogecoinRPCService serving an in-memory chain of raw blocks
+ */
+function createFakeRPC() {
+    const rpc = {
+        chain: [],
+        byHash: new Map(),
+        add(raw) {
+            const block = parseBlock(raw);
+            this.byHash.set(block.hash, raw);
+            this.chain.push(block.hash);
+            return block;
+        },
+        tip() {
+            return this.chain[this.chain.length - 1] || '0'.repeat(64);
+        },
+        async call(method, params = []) {
+            switch (method) {
+                case 'getblockchaininfo':
+                    return { chain: 'main', blocks: this.chain.length - 1 };
+                case 'getblockcount':
+                    return this.chain.length - 1;
+                case 'getblockhash':
+                    return this.chain[params[0]];
+                case 'validateaddress':
+                    return { isvalid: params[0].startsWith('D'), scriptPubKey: '76a914' };
+                default:
+                    throw new Error(`Unexpected method ${method}`);
+            }
+        },
+        async callBatch(calls) {
+            return calls.map(({ params }) => ({ status: 'fulfilled', value: this.chain[params[0]] }));
+        },
+        async requestBatch(calls) {
+            return calls.map(({ params }) => ({ status: 'fulfilled', value: this.byHash.get(params[0]) }));
+        }
+    };
+    return rpc;
+}
+
+/**
+ * Mines a block paying a coinbase to a script, plus extra transactions
+ */
+function mine(rpc, tag, script, txs = []) {
+    const coinbase = serializeTransaction([{ coinbase: tag }], [[50n * COIN, script]]);
+    const raw = serializeBlock([coinbase, ...txs], { previousblockhash: rpc.tip(), time: 1000 + rpc.chain.length * 60 });
+    return { block: rpc.add(raw), coinbase: parseBlock(raw).tx[0] };
+}
+
+const ALICE = base58CheckEncode(0x1e, Buffer.alloc(20, 0xaa));
+const BOB = base58CheckEncode(0x1e, Buffer.alloc(20, 0xbb));
+
+describe('Raw block decoding', () => {
+    it('decodes the genesis block', () => {
+        const block = parseBlock(GENESIS_BLOCK);
+
+        assert.equal(block.hash, '1a91e3dace36e2be3bf030a65679fe821aa1d6ef92e7c9902eb318182c355691');
+        assert.equal(block.auxpow, null);
+        assert.equal(block.size, GENESIS_BLOCK.length / 2);
+        assert.equal(block.tx[0].txid, '5b2a3f53f605d62c53e62932dac6925e3d74afa5a4b459745c36d42d0ed26a69');
+        assert.equal(toDoge(block.tx[0].vout[0].value), 88);
+        assert.deepEqual(classifyScript(block.tx[0].vout[0].scriptPubKey), {
+            type: 'pubkey',
+            addresses: ['DQmCZQo3thCvTxkyAhPHfY7DVLqFtJ2ji6']
+        });
+    });
+
+    it('classifies standard output scripts', () => {
+        const key = `21${'02'.padEnd(66, '1')}`;
+
+        assert.equal(classifyScript(p2pkh(0xaa)).addresses[0], ALICE);
+        assert.equal(classifyScript(`a914${'cc'.repeat(20)}87`).type, 'scripthash');
+        assert.equal(classifyScript('6a0568656c6c6f').type, 'nulldata');
+        assert.deepEqual(classifyScript(`51${key}${key}52ae`).required, 1);
+        assert.equal(classifyScript('4c05ab').type, 'nonstandard');
+    });
+
+    it('checks the address format before asking the node', () => {
+        assert.equal(isAddressFormat(ALICE), true);
+        assert.equal(isAddressFormat('D0OIl'), false);
+        assert.equal(isAddressFormat('not an address'), false);
+    });
+});
+
+describe('AddressIndex', () => {
+    let rpc;
+    let index;
+    let tmpDir;
+
+    beforeEach(() => {
+        rpc = createFakeRPC();
+        index = new AddressIndex({ rpc, startHeight: 0, batchSize: 2 });
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'address-index-'));
+    });
+
+    afterEach(() => {
+        index.stop();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Mines two blocks: a coinbase to Alice, then Alice paying Bob 30 DOGE
+     */
+    function buildChain() {
+        const { coinbase } = mine(rpc, 'h0', p2pkh(0xaa));
+        const payment = serializeTransaction([[coinbase.txid, 0]], [
+            [30n * COIN, p2pkh(0xbb)],
+            [19n * COIN, p2pkh(0xaa)]
+        ]);
+        mine(rpc, 'h1', p2pkh(0xcc), [payment]);
+        mine(rpc, 'h2', p2pkh(0xcc));
+        return parseBlock(serializeBlock([payment])).tx[0];
+    }
+
+    it('tracks balances, spends and history across batches', async () => {
+        const payment = buildChain();
+
+        const status = await index.sync();
+        assert.equal(status.height, 2);
+        assert.equal(status.complete, true);
+
+        const alice = index.getAddress(ALICE);
+        assert.equal(alice.balance, 19);
+        assert.equal(alice.received, 69);
+        assert.equal(alice.sent, 50);
+        assert.equal(alice.txCount, 2);
+        assert.deepEqual(alice.utxos.map(utxo => [utxo.txid, utxo.vout, utxo.confirmations]), [[payment.txid, 1, 2]]);
+        assert.equal(alice.transactions[0].delta, -31);
+
+        const bob = index.getAddress(BOB);
+        assert.equal(bob.balance, 30);
+        assert.equal(bob.transactions[0].txid, payment.txid);
+    });
+
+    it('rolls back blocks replaced by a reorg', async () => {
+        buildChain();
+        await index.sync();
+
+        // Replace blocks 1 and 2 with a branch that never pays Bob
+        const rawGenesis = rpc.byHash.get(rpc.chain[0]);
+        rpc.chain = [];
+        rpc.add(rawGenesis);
+        mine(rpc, 'h1-alt', p2pkh(0xcc));
+        mine(rpc, 'h2-alt', p2pkh(0xcc));
+        mine(rpc, 'h3-alt', p2pkh(0xcc));
+
+        const status = await index.sync();
+        assert.equal(status.height, 3);
+        assert.equal(status.bestBlockHash, rpc.tip());
+
+        assert.equal(index.getAddress(BOB).txCount, 0);
+        const alice = index.getAddress(ALICE);
+        assert.equal(alice.balance, 50);
+        assert.equal(alice.utxos[0].vout, 0);
+    });
+
+    it('pages the transaction history newest first', async () => {
+        buildChain();
+        await index.sync();
+
+        const page = index.getAddress(ALICE, { limit: 1, offset: 1 });
+        assert.equal(page.transactions.length, 1);
+        assert.equal(page.transactions[0].height, 0);
+        assert.deepEqual(page.pagination, { total: 2, limit: 1, offset: 1, hasMore: false });
+    });
+
+    it('saves and reloads a snapshot', async () => {
+        buildChain();
+        const filePath = path.join(tmpDir, 'address-index.json');
+        index = new AddressIndex({ rpc, startHeight: 0, filePath });
+        await index.sync();
+
+        const reloaded = new AddressIndex({ rpc, filePath });
+        assert.equal(reloaded.load(), true);
+        assert.deepEqual(reloaded.getAddress(ALICE), index.getAddress(ALICE));
+        assert.equal(reloaded.getStatus().height, 2);
+    });
+
+    it('writes snapshots at most every flush interval and on stop', async () => {
+        buildChain();
+        const filePath = path.join(tmpDir, 'address-index-throttled.json');
+        index = new AddressIndex({ rpc, startHeight: 0, filePath, flushInterval: 60000 });
+        await index.sync();
+        const saved = () => JSON.parse(fs.readFileSync(filePath, 'utf8')).height;
+        assert.equal(saved(), 2);
+
+        mine(rpc, 'h3', p2pkh(0xaa));
+        await index.sync();
+        assert.equal(index.getStatus().height, 3);
+        assert.equal(saved(), 2);
+
+        index.stop();
+        assert.equal(saved(), 3);
+    });
+});
+
+describe('GET /api/address/:address', () => {
+    let server;
+    let baseUrl;
+    let rpc;
+
+    beforeEach(async () => {
+        rpc = createFakeRPC();
+        mine(rpc, 'h0', p2pkh(0xaa));
+        const index = new AddressIndex({ rpc, startHeight: 0 });
+        await index.sync();
+        initializeAPI(rpc, { addressIndex: index });
+
+        const app = express();
+        app.use('/api', router);
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    afterEach(() => {
+        server.close();
+        initializeAPI(null);
+    });
+
+    it('returns the balance of a valid address', async () => {
+        const response = await fetch(`${baseUrl}/address/${ALICE}`);
+        const body = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(body.data.balance, 50);
+        assert.equal(body.data.index.height, 0);
+    });
+
+    it('rejects malformed and invalid addresses', async () => {
+        const malformed = await fetch(`${baseUrl}/address/0x1234`);
+        assert.equal(malformed.status, 400);
+
+        const invalid = await fetch(`${baseUrl}/address/${ALICE.replace(/^D/, 'A')}`);
+        assert.equal(invalid.status, 400);
+        assert.equal((await invalid.json()).error, 'INVALID_PARAMETER');
+    });
+
+    it('reports when no index is available', async () => {
+        initializeAPI(rpc);
+        const response = await fetch(`${baseUrl}/address/${ALICE}`);
+        assert.equal(response.status, 503);
+    });
+});
@@ -0,0 +1,195 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { MemoryAlertStore, JsonlAlertStore, createAlertStore } = require('../src/services/alertStore');
+const DogecoinWatchdog = require('../src/services/watchdog');
+
+/**
+ * Creates a minimal alert object
+ */
+function makeAlert(id, overrides = {}) {
+    return {
+        id,
+        type: 'TEST',
+        severity: 'HIGH',
+        message: `Alert ${id}`,
+        data: {},
+        timestamp: new Date().toISOString(),
+        acknowledged: false,
+        ...overrides
+    };
+}
+
+describe('MemoryAlertStore', () => {
+    it('returns alerts newest first', () => {
+        const store = new MemoryAlertStore();
+        store.append(makeAlert('a'));
+        store.append(makeAlert('b'));
+        assert.deepEqual(store.getRecent(10).map(a => a.id), ['b', 'a']);
+    });
+
+    it('pages through query results', () => {
+        const store = new MemoryAlertStore();
+        for (let i = 0; i < 5; i++) {
+            store.append(makeAlert(`a${i}`));
+        }
+        const page = store.query({ limit: 2, offset: 2 });
+        assert.equal(page.total, 5);
+        assert.deepEqual(page.alerts.map(a => a.id), ['a2', 'a1']);
+    });
+
+    it('filters by time range', () => {
+        const store = new MemoryAlertStore();
+        store.append(makeAlert('old', { timestamp: '2024-01-01T00:00:00.000Z' }));
+        store.append(makeAlert('mid', { timestamp: '2024-06-01T00:00:00.000Z' }));
+        store.append(makeAlert('new', { timestamp: '2025-01-01T00:00:00.000Z' }));
+
+        const result = store.query({
+            from: Date.parse('2024-03-01T00:00:00.000Z'),
+            to: Date.parse('2024-12-31T00:00:00.000Z')
+        });
+        assert.deepEqual(result.alerts.map(a => a.id), ['mid']);
+    });
+
+    it('filters by severity and acknowledgement', () => {
+        const store = new MemoryAlertStore();
+        store.append(makeAlert('a', { severity: 'LOW' }));
+        store.append(makeAlert('b', { severity: 'CRITICAL', acknowledged: true }));
+        store.append(makeAlert('c', { severity: 'CRITICAL' }));
+
+        const result = store.query({ severity: 'CRITICAL', acknowledged: false });
+        assert.deepEqual(result.alerts.map(a => a.id), ['c']);
+    });
+
+    it('drops the oldest alerts beyond the retention limit', () => {
+        const store = new MemoryAlertStore({ maxAlerts: 3 });
+        for (let i = 0; i < 5; i++) {
+            store.append(makeAlert(`a${i}`));
+        }
+        assert.equal(store.count(), 3);
+        assert.equal(store.get('a0'), null);
+        assert.ok(store.get('a4'));
+    });
+});
+
+describe('JsonlAlertStore', () => {
+    let tmpDir;
+    let filePath;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'doge-alerts-'));
+        filePath = path.join(tmpDir, 'alerts.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('reloads alerts written by a previous instance', () => {
+        const first = new JsonlAlertStore({ filePath });
+        first.load();
+        first.append(makeAlert('a'));
+        first.append(makeAlert('b'));
+
+        const second = new JsonlAlertStore({ filePath });
+        assert.equal(second.load(), 2);
+        assert.deepEqual(second.getRecent(10).map(a => a.id), ['b', 'a']);
+    });
+
+    it('keeps acknowledgement state across reloads', () => {
+        const first = new JsonlAlertStore({ filePath });
+        first.load();
+        const alert = makeAlert('a');
+        first.append(alert);
+        first.update({ ...alert, acknowledged: true });
+
+        const second = new JsonlAlertStore({ filePath });
+        second.load();
+        assert.equal(second.get('a').acknowledged, true);
+    });
+
+    it('skips corrupt lines and compacts the file', () => {
+        fs.writeFileSync(filePath, `${JSON.stringify(makeAlert('a'))}\nnot json\n`);
+
+        const store = new JsonlAlertStore({ filePath });
+        assert.equal(store.load(), 1);
+
+        const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+        assert.equal(lines.length, 1);
+    });
+
+    it('compacts duplicate records on load', () => {
+        const first = new JsonlAlertStore({ filePath });
+        first.load();
+        const alert = makeAlert('a');
+        first.append(alert);
+        first.update({ ...alert, acknowledged: true });
+
+        const second = new JsonlAlertStore({ filePath });
+        second.load();
+
+        const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+        assert.equal(lines.length, 1);
+        assert.equal(JSON.parse(lines[0]).acknowledged, true);
+    });
+});
+
+describe('createAlertStore', () => {
+    it('creates a memory store', () => {
+        assert.ok(createAlertStore({ type: 'memory' }) instanceof MemoryAlertStore);
+    });
+
+    it('rejects unknown store types', () => {
+        assert.throws(() => createAlertStore({ type: 'nope' }), /Unknown alert store type/);
+    });
+});
+
+describe('DogecoinWatchdog with a persistent alert store', () => {
+    it('restores alerts and acknowledgements after a restart', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'doge-alerts-'));
+        const filePath = path.join(tmpDir, 'alerts.jsonl');
+
+        try {
+            const store = new JsonlAlertStore({ filePath });
+            store.load();
+            const watchdog = new DogecoinWatchdog({}, { alertStore: store });
+            watchdog.createAlert('TYPE_A', 'HIGH', 'First');
+            watchdog.createAlert('TYPE_B', 'CRITICAL', 'Second');
+            watchdog.acknowledgeAlert(watchdog.alerts[1].id);
+
+            const reloaded = new JsonlAlertStore({ filePath });
+            reloaded.load();
+            const restarted = new DogecoinWatchdog({}, { alertStore: reloaded });
+
+            assert.equal(restarted.alerts.length, 2);
+            assert.equal(restarted.alerts[0].type, 'TYPE_B');
+            assert.equal(restarted.alerts[1].acknowledged, true);
+        } finally {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    });
+
+    it('keeps deduplicating open alerts after a restart', async () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'doge-alerts-'));
+        const filePath = path.join(tmpDir, 'alerts.jsonl');
+
+        try {
+            const store = new JsonlAlertStore({ filePath });
+            store.load();
+            await new DogecoinWatchdog({}, { alertStore: store }).runDetector('low-node-count', { peers: [{}, {}] });
+
+            const reloaded = new JsonlAlertStore({ filePath });
+            reloaded.load();
+            const restarted = new DogecoinWatchdog({}, { alertStore: reloaded });
+            await restarted.runDetector('low-node-count', { peers: [{}] });
+
+            assert.equal(restarted.alerts.length, 1);
+            assert.equal(restarted.alerts[0].occurrences, 2);
+        } finally {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DogecoinWatchdog = require('../src/services/watchdog');
+const { EwmaModel, MedianMadModel, SeasonalModel, createAnomalyModel, median } = require('../src/services/anomalyEngine');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Deterministic noise in [-1, 1]
+ */
+function noise(i) {
+    return Math.sin(i * 12.9898) * 0.5 + Math.sin(i * 78.233) * 0.5;
+}
+
+describe('Anomaly models', () => {
+    it('scores jumps outside the EWMA band but follows slow drifts', () => {
+        const model = new EwmaModel({ alpha: 0.05 });
+        let flagged = 0;
+
+        // 0.1% drift per step (35% overall) with 2% noise
+        for (let i = 0; i < 300; i++) {
+            const assessment = model.observe(100 * Math.pow(1.001, i) + 2 * noise(i), { threshold: 4, minSamples: 20 });
+            flagged += assessment.anomalous ? 1 : 0;
+        }
+        assert.equal(flagged, 0);
+
+        const spike = model.observe(200, { threshold: 4, minSamples: 20 });
+        assert.equal(spike.anomalous, true);
+        assert.equal(spike.direction, 'high');
+        assert.ok(spike.lower < spike.expected && spike.expected < spike.upper);
+        assert.ok(spike.upper < 200);
+    });
+
+    it('does not judge before minSamples', () => {
+        const model = createAnomalyModel('ewma');
+        const first = model.observe(10, { minSamples: 3 });
+        model.observe(10, { minSamples: 3 });
+        model.observe(10, { minSamples: 3 });
+
+        assert.equal(first.ready, false);
+        assert.equal(first.anomalous, false);
+        assert.equal(model.observe(1000, { minSamples: 3 }).anomalous, true);
+    });
+
+    it('keeps the median/MAD band narrow after an outlier', () => {
+        const model = new MedianMadModel({ window: 50 });
+        for (let i = 0; i < 40; i++) {
+            model.observe(i === 20 ? 10000 : 100 + noise(i) * 5, { minSamples: 10 });
+        }
+
+        const assessment = model.observe(140, { threshold: 4, minSamples: 10 });
+        assert.ok(Math.abs(assessment.expected - 100) < 3, `expected ${assessment.expected}`);
+        assert.equal(assessment.anomalous, true);
+        assert.equal(median([3, 1, 2, 4]), 2.5);
+    });
+
+    it('compares against the same time of day', () => {
+        const model = new SeasonalModel({ alpha: 0.2 });
+        const options = { threshold: 4, minSamples: 5 };
+
+        // Busy afternoons (2000 transactions) and quiet nights (200)
+        for (let day = 0; day < 10; day++) {
+            for (let hour = 0; hour < 24; hour++) {
+                const level = hour >= 12 && hour < 18 ? 2000 : 200;
+                model.observe(level + noise(day * 24 + hour) * 20, { ...options, timestamp: day * 24 * HOUR + hour * HOUR });
+            }
+        }
+
+        const afternoon = model.observe(2000, { ...options, timestamp: 10 * 24 * HOUR + 14 * HOUR });
+        const night = model.observe(2000, { ...options, timestamp: 10 * 24 * HOUR + 3 * HOUR });
+
+        assert.equal(afternoon.anomalous, false);
+        assert.equal(afternoon.bucket, 14);
+        assert.equal(night.anomalous, true);
+        assert.equal(night.seasonal, true);
+        assert.ok(night.upper < 400, `upper ${night.upper}`);
+    });
+
+    it('rejects unknown model types', () => {
+        assert.throws(() => createAnomalyModel('arima'), /Unknown anomaly model/);
+    });
+});
+
+describe('Statistical detectors', () => {
+    /**
+     * Network data for one check
+     */
+    function snapshot({ mempool = 50, difficulty = 10000, networkhashps = 500e12, timestamp = Date.now() } = {}) {
+        return {
+            blockchain: { blocks: 100, difficulty, initialblockdownload: false },
+            network: { networkhashps },
+            mempool: { size: mempool, bytes: mempool * 250 },
+            peers: [],
+            timestamp: new Date(timestamp).toISOString()
+        };
+    }
+
+    it('reports the expected range with a mempool surge', async () => {
+        const watchdog = new DogecoinWatchdog({});
+        const start = Date.UTC(2024, 0, 1, 9);
+
+        for (let i = 0; i < 30; i++) {
+            await watchdog.runDetector('mempool-volatility', snapshot({ mempool: 500 + Math.round(noise(i) * 50), timestamp: start + i * 30000 }));
+        }
+        assert.equal(watchdog.alerts.length, 0);
+
+        const [finding] = await watchdog.runDetector('mempool-volatility', snapshot({ mempool: 3000, timestamp: start + 30 * 30000 }));
+        assert.equal(finding.type, 'MEMPOOL_VOLATILITY');
+        assert.equal(finding.data.recentSize, 3000);
+        assert.equal(finding.data.anomaly.model, 'seasonal');
+        assert.ok(finding.data.expectedRange[1] < 3000);
+        assert.match(finding.message, /expected \d+-\d+ \(seasonal, z=/);
+    });
+
+    it('lets a detector switch models and thresholds', async () => {
+        const watchdog = new DogecoinWatchdog({});
+        watchdog.configureDetectors({ 'difficulty-spike': { parameters: { model: 'mad', zThreshold: 6, minSamples: 5 } } });
+        assert.throws(() => watchdog.configureDetectors({ 'difficulty-spike': { parameters: { model: 'arima' } } }), /model must be one of: ewma, mad, seasonal/);
+
+        for (let i = 0; i < 10; i++) {
+            await watchdog.runDetector('difficulty-spike', snapshot({ difficulty: 10000 + noise(i) * 300 }));
+        }
+        const [finding] = await watchdog.runDetector('difficulty-spike', snapshot({ difficulty: 14000 }));
+
+        assert.equal(finding.data.anomaly.model, 'mad');
+        assert.equal(finding.data.threshold, 6);
+        assert.equal(watchdog.detectors.getState('difficulty-spike').model.values.length, 11);
+    });
+});
@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DogecoinWatchdog = require('../src/services/watchdog');
+const { calculateChainBaselines, describeDistribution } = require('../src/services/chainBaselines');
+
+const TIP = 5000000;
+const GENESIS_TIME = 1700000000;
+
+/**
+ * Verbose block at a height: blocks come every 60s with a 10 minute gap
+ * every tenth block, difficulty climbs by 1 per block and every tenth block is full
+ */
+function block(height) {
+    const offset = height - (TIP - 999);
+    return {
+        height,
+        hash: `hash${height}`,
+        time: GENESIS_TIME + offset * 60 + Math.floor(offset / 10) * 540,
+        difficulty: 10000 + offset,
+        size: height % 10 === 0 ? 900000 : 2000,
+        tx: Array.from({ length: height % 10 === 0 ? 400 : 10 }, (_, i) => `tx${height}_${i}`)
+    };
+}
+
+/**
+ * Mock RPC serving a 1000-block chain and counting batch requests
+ */
+function createChainRPC({ failAt = null } = {}) {
+    const rpc = {
+        batches: 0,
+        call: async (method) => {
+            if (method === 'getblockchaininfo') {
+                return { blocks: TIP };
+            }
+            throw new Error(`Unmocked RPC call: ${method}`);
+        },
+        getNodeInfo: async () => ({
+            blockchain: { blocks: TIP, difficulty: 11000 },
+            mempool: { size: 321 },
+            timestamp: '2024-01-01T00:00:00.000Z'
+        }),
+        getBlocksByHeight: async (heights) => {
+            rpc.batches++;
+            return heights.map(height => (height === failAt
+                ? { status: 'rejected', reason: new Error('block not found') }
+                : { status: 'fulfilled', value: block(height) }));
+        }
+    };
+    return rpc;
+}
+
+describe('Chain baselines', () => {
+    it('summarizes distributions with percentiles', () => {
+        const distribution = describeDistribution([5, 1, 4, 2, 3]);
+
+        assert.deepEqual(distribution, { mean: 3, min: 1, p25: 2, median: 3, p75: 4, p95: 4.8, max: 5 });
+        assert.equal(describeDistribution([]), null);
+    });
+
+    it('derives block timing, difficulty trend and block contents from the window', () => {
+        const blocks = Array.from({ length: 240 }, (_, i) => block(TIP - i));
+        const baselines = calculateChainBaselines(blocks.map(b => ({ ...b, txCount: b.tx.length })), difficulty => difficulty / 100);
+
+        assert.equal(baselines.avgBlockTime, (block(TIP).time - block(TIP - 239).time) / 239);
+        assert.ok(baselines.avgBlockTime > 100);
+        assert.equal(baselines.medianBlockTime, 60);
+        assert.equal(baselines.avgHashRate, baselines.avgDifficulty / 100);
+        assert.equal(baselines.difficultyTrend.slopePerBlock, 1);
+        assert.equal(baselines.difficultyTrend.end - baselines.difficultyTrend.start, 239);
+        assert.equal(baselines.txPerBlock.median, 10);
+        assert.equal(baselines.txPerBlock.max, 400);
+        assert.equal(baselines.blockSize.p95, 900000);
+        assert.deepEqual([baselines.window.fromHeight, baselines.window.toHeight, baselines.window.blocks], [TIP - 239, TIP, 240]);
+
+        assert.throws(() => calculateChainBaselines([blocks[0]], difficulty => difficulty), /At least 2 blocks/);
+    });
+
+    it('walks the chain in batches and records provenance', async () => {
+        const rpc = createChainRPC();
+        const watchdog = new DogecoinWatchdog(rpc);
+
+        await watchdog.calculateBaselines(250);
+        const { baselines } = watchdog.getStatus();
+
+        assert.equal(rpc.batches, 3);
+        assert.equal(baselines.provenance.window.blocks, 250);
+        assert.equal(baselines.provenance.window.requestedBlocks, 250);
+        assert.equal(baselines.provenance.window.toHash, `hash${TIP}`);
+        assert.equal(baselines.provenance.medianBlockTime.source, 'chain');
+        assert.deepEqual(baselines.provenance.avgMempoolSize, { source: 'live', method: 'getmempoolinfo', at: '2024-01-01T00:00:00.000Z' });
+        assert.equal(baselines.avgMempoolSize, 321);
+        assert.equal(baselines.txPerBlock.median, 10);
+        assert.equal(baselines.medianBlockTime, 60);
+    });
+
+    it('uses the blocks read before a failure and keeps baselines when too few remain', async () => {
+        const partial = new DogecoinWatchdog(createChainRPC({ failAt: TIP - 150 }));
+        await partial.calculateBaselines(250);
+        assert.equal(partial.baselines.provenance.window.blocks, 150);
+        assert.equal(partial.baselines.provenance.window.fromHeight, TIP - 149);
+
+        const watchdog = new DogecoinWatchdog(createChainRPC({ failAt: TIP - 1 }));
+        const before = watchdog.baselines;
+        await watchdog.calculateBaselines(250);
+        assert.equal(watchdog.baselines, before);
+        assert.equal(watchdog.baselines.provenance.avgBlockTime.source, 'default');
+    });
+
+    it('shares a calculation that is already running', async () => {
+        const rpc = createChainRPC();
+        const watchdog = new DogecoinWatchdog(rpc);
+
+        await Promise.all([watchdog.calculateBaselines(100), watchdog.calculateBaselines(100)]);
+        assert.equal(rpc.batches, 1);
+    });
+});
@@ -0,0 +1,159 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ConsensusMonitor } = require('../src/services/consensusMonitor');
+const DogecoinWatchdog = require('../src/services/watchdog');
+
+/**
+ * Builds a chain of block hashes; blocks above forkHeight get the given suffix
+ */
+function buildChain(length, forkHeight = length, suffix = 'b') {
+    return Array.from({ length }, (_, height) => (height > forkHeight ? `${height}${suffix}` : `${height}a`));
+}
+
+/**
+ * Creates a mock RPC service serving a chain of block hashes
+ */
+function createChainRPC(chain, tips = []) {
+    return {
+        chain,
+        async call(method, params = []) {
+            switch (method) {
+                case 'getblockchaininfo':
+                    return { chain: 'main' };
+                case 'getbestblockhash':
+                    return this.chain[this.chain.length - 1];
+                case 'getblockheader':
+                    return { height: this.chain.indexOf(params[0]) };
+                case 'getblockhash':
+                    return this.chain[params[0]];
+                case 'getchaintips':
+                    return tips;
+                default:
+                    throw new Error(`Unexpected method ${method}`);
+            }
+        }
+    };
+}
+
+/**
+ * Creates a monitored node backed by a mock chain
+ */
+function createNode(id, chain, tips) {
+    const rpc = createChainRPC(chain, tips);
+    return { id, rpc, watchdog: new DogecoinWatchdog(rpc) };
+}
+
+/**
+ * Open alerts of a type on a node's watchdog
+ */
+function openAlerts(node, type = 'CHAIN_SPLIT') {
+    return [...node.watchdog.openAlerts.values()].filter(alert => alert.type === type);
+}
+
+describe('ConsensusMonitor', () => {
+    it('is disabled with a single source', () => {
+        const monitor = new ConsensusMonitor({ nodes: [createNode('a', buildChain(10))] });
+        assert.equal(monitor.isEnabled(), false);
+    });
+
+    it('treats nodes at different heights on the same chain as agreeing', async () => {
+        const a = createNode('a', buildChain(100));
+        const b = createNode('b', buildChain(97));
+        const monitor = new ConsensusMonitor({ nodes: [a, b] });
+
+        const state = await monitor.check();
+        assert.equal(state.chains[0].agreed, true);
+        assert.equal(state.chains[0].height, 96);
+        assert.equal(openAlerts(a).length, 0);
+        assert.equal(openAlerts(b).length, 0);
+    });
+
+    it('tolerates short tip races up to the threshold', async () => {
+        const a = createNode('a', buildChain(100));
+        const b = createNode('b', buildChain(100, 97));
+        const monitor = new ConsensusMonitor({ nodes: [a, b], splitThreshold: 2 });
+
+        const state = await monitor.check();
+        const [split] = state.chains[0].splits;
+        assert.equal(split.forkHeight, 97);
+        assert.equal(split.divergence, 2);
+        assert.equal(split.exceedsThreshold, false);
+        assert.equal(openAlerts(b).length, 0);
+    });
+
+    it('raises CHAIN_SPLIT on the node that follows a minority fork', async () => {
+        const a = createNode('a', buildChain(100));
+        const b = createNode('b', buildChain(100));
+        const c = createNode('c', buildChain(100, 90), [{ hash: '99a', status: 'invalid' }]);
+        const monitor = new ConsensusMonitor({ nodes: [a, b, c], splitThreshold: 2 });
+
+        await monitor.check();
+
+        const [alert] = openAlerts(c);
+        assert.equal(alert.severity, 'CRITICAL');
+        assert.equal(alert.data.forkHeight, 90);
+        assert.equal(alert.data.divergence, 9);
+        assert.deepEqual(alert.data.otherSources, ['a', 'b']);
+        assert.equal(alert.data.otherTipStatus, 'invalid');
+        assert.equal(openAlerts(a).length, 0);
+        assert.equal(openAlerts(b).length, 0);
+    });
+
+    it('uses the reference endpoint to break a tie', async () => {
+        const a = createNode('a', buildChain(50));
+        const b = createNode('b', buildChain(50, 40));
+        const monitor = new ConsensusMonitor({
+            nodes: [a, b],
+            reference: createChainRPC(buildChain(50, 40)),
+            splitThreshold: 2
+        });
+
+        await monitor.check();
+
+        assert.equal(openAlerts(a)[0].severity, 'CRITICAL');
+        assert.equal(openAlerts(b).length, 0);
+    });
+
+    it('alerts every side when there is no majority', async () => {
+        const a = createNode('a', buildChain(50));
+        const b = createNode('b', buildChain(50, 40));
+        const monitor = new ConsensusMonitor({ nodes: [a, b], splitThreshold: 2 });
+
+        await monitor.check();
+
+        assert.equal(openAlerts(a)[0].severity, 'HIGH');
+        assert.equal(openAlerts(b)[0].severity, 'HIGH');
+    });
+
+    it('resolves the alert once the nodes converge', async () => {
+        const a = createNode('a', buildChain(50));
+        const b = createNode('b', buildChain(50));
+        const c = createNode('c', buildChain(50, 40));
+        const monitor = new ConsensusMonitor({ nodes: [a, b, c], splitThreshold: 2 });
+
+        await monitor.check();
+        assert.equal(openAlerts(c).length, 1);
+
+        c.rpc.chain = buildChain(51);
+        await monitor.check();
+        assert.equal(openAlerts(c).length, 0);
+        assert.equal(c.watchdog.alerts[0].status, 'resolved');
+    });
+
+    it('skips unreachable nodes without resolving their alerts', async () => {
+        const a = createNode('a', buildChain(50));
+        const b = createNode('b', buildChain(50));
+        const c = createNode('c', buildChain(50, 40));
+        const monitor = new ConsensusMonitor({ nodes: [a, b, c], splitThreshold: 2 });
+
+        await monitor.check();
+        c.rpc.call = async () => {
+            throw new Error('ECONNREFUSED');
+        };
+
+        const state = await monitor.check();
+        assert.deepEqual(state.unreachable.map(source => source.id), ['c']);
+        assert.equal(openAlerts(c).length, 1);
+    });
+});
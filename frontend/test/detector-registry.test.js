@@ -0,0 +1,224 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const express = require('express');
+
+const DogecoinWatchdog = require('../src/services/watchdog');
+const { DetectorRegistry, BUILT_IN_DIRECTORY } = require('../src/services/detectorRegistry');
+const { router: watchdogRoutes, initializeWatchdog } = require('../src/routes/watchdog');
+
+const CUSTOM_DETECTOR = `
+module.exports = {
+    id: 'large-mempool-bytes',
+    description: 'Mempool bytes above a limit',
+    schedule: 'block',
+    alertTypes: ['MEMPOOL_BYTES'],
+    parameters: {
+        maxBytes: { type: 'integer', min: 1, default: 1000 }
+    },
+    evaluate({ data, parameters }) {
+        return data.mempool.bytes > parameters.maxBytes
+            ? [{ type: 'MEMPOOL_BYTES', severity: 'LOW', message: 'Large mempool', data: { bytes: data.mempool.bytes }, key: 'bytes' }]
+            : [];
+    }
+};
+`;
+
+/**
+ * Network data with the given best block and mempool size in bytes
+ */
+function snapshot(bestblockhash = 'tip1', bytes = 5000) {
+    return {
+        blockchain: { blocks: 100, difficulty: 1, bestblockhash, initialblockdownload: false },
+        network: { networkhashps: 1 },
+        mempool: { size: 10, bytes },
+        peers: Array.from({ length: 8 }, (_, id) => ({ id })),
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Sends a JSON request against a local server and parses the JSON response
+ */
+function requestJSON(server, method, urlPath, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            port: server.address().port,
+            path: urlPath,
+            method,
+            headers: { 'Content-Type': 'application/json' }
+        }, (res) => {
+            let text = '';
+            res.on('data', chunk => {
+                text += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+        });
+        req.on('error', reject);
+        req.end(body ? JSON.stringify(body) : '');
+    });
+}
+
+describe('DetectorRegistry', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'doge-detectors-'));
+        fs.mkdirSync(path.join(tmpDir, 'custom'));
+        fs.writeFileSync(path.join(tmpDir, 'custom', 'mempoolBytes.js'), CUSTOM_DETECTOR);
+        fs.writeFileSync(path.join(tmpDir, 'custom', 'broken.js'), 'module.exports = { id: "Broken!" };');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const createRegistry = () => new DetectorRegistry({
+        directories: [BUILT_IN_DIRECTORY, path.join(tmpDir, 'custom')],
+        settingsFile: path.join(tmpDir, 'detectors.json')
+    }).load();
+
+    it('loads built-in and custom detectors and reports broken modules', () => {
+        const registry = createRegistry();
+        const ids = registry.list().map(entry => entry.detector.id);
+
+        assert.ok(ids.includes('low-node-count'));
+        assert.ok(ids.includes('selfish-mining'));
+        assert.equal(registry.get('large-mempool-bytes').source, 'custom');
+        assert.equal(registry.loadErrors.length, 1);
+        assert.match(registry.loadErrors[0].error, /invalid id/);
+    });
+
+    it('resolves parameters from overrides, thresholds and defaults', () => {
+        const registry = createRegistry();
+        assert.deepEqual(registry.getParameters('low-node-count', { lowNodeCount: 7 }), { minConnections: 7 });
+        assert.equal(registry.getParameters('large-mempool-bytes').maxBytes, 1000);
+
+        registry.applyChanges({ 'low-node-count': { parameters: { minConnections: 2 } } });
+        assert.deepEqual(registry.getParameters('low-node-count', { lowNodeCount: 7 }), { minConnections: 2 });
+
+        registry.applyChanges({ 'low-node-count': { parameters: { minConnections: null } } });
+        assert.deepEqual(registry.getParameters('low-node-count', { lowNodeCount: 7 }), { minConnections: 7 });
+    });
+
+    it('validates changes', () => {
+        const registry = createRegistry();
+        assert.deepEqual(registry.validateChanges({
+            'no-such-detector': { enabled: false },
+            'low-node-count': { enabled: 'no', parameters: { minConnections: 2.5, other: 1 } },
+            'pool-concentration': { parameters: { maxShare: 2 } }
+        }), [
+            'Unknown detector: no-such-detector',
+            'low-node-count: enabled must be true or false',
+            'low-node-count: minConnections must be an integer',
+            'low-node-count: unknown parameter other',
+            'pool-concentration: maxShare must be at most 1'
+        ]);
+        assert.deepEqual(registry.validateChanges([]), ['detectors must be an object keyed by detector id']);
+    });
+
+    it('persists settings across restarts', () => {
+        createRegistry().applyChanges({ 'large-mempool-bytes': { enabled: false, parameters: { maxBytes: 42 } } });
+
+        const restarted = createRegistry();
+        assert.equal(restarted.isEnabled('large-mempool-bytes'), false);
+        assert.equal(restarted.getParameters('large-mempool-bytes').maxBytes, 42);
+    });
+
+    it('runs block-scheduled detectors once per best block', async () => {
+        const watchdog = new DogecoinWatchdog({}, { detectors: createRegistry() });
+        const evaluate = watchdog.detectors.get('large-mempool-bytes').detector.evaluate;
+        let runs = 0;
+        watchdog.detectors.get('large-mempool-bytes').detector.evaluate = (context) => {
+            runs++;
+            return evaluate(context);
+        };
+        watchdog.detectors.list().forEach(({ detector }) => {
+            if (detector.id !== 'large-mempool-bytes') {
+                watchdog.detectors.settings[detector.id] = { enabled: false, parameters: {} };
+            }
+        });
+
+        await watchdog.analyzeSecurityThreats(snapshot('tip1'));
+        await watchdog.analyzeSecurityThreats(snapshot('tip1'));
+        await watchdog.analyzeSecurityThreats(snapshot('tip2'));
+
+        assert.equal(runs, 2);
+        assert.equal(watchdog.alerts[0].type, 'MEMPOOL_BYTES');
+        assert.equal(watchdog.detectors.runs.get('large-mempool-bytes').findings, 1);
+    });
+
+    it('resolves the alerts of a detector that gets disabled', async () => {
+        const watchdog = new DogecoinWatchdog({}, { detectors: createRegistry() });
+        await watchdog.runDetector('large-mempool-bytes', snapshot());
+        assert.equal(watchdog.openAlerts.size, 1);
+
+        watchdog.configureDetectors({ 'large-mempool-bytes': { enabled: false } });
+        assert.equal(watchdog.openAlerts.size, 0);
+        assert.throws(() => watchdog.configureDetectors({ 'large-mempool-bytes': { enabled: 1 } }), /enabled must be true or false/);
+    });
+
+    it('leaves alerts open when a detector fails', async () => {
+        const watchdog = new DogecoinWatchdog({}, { detectors: createRegistry() });
+        await watchdog.runDetector('large-mempool-bytes', snapshot());
+
+        watchdog.detectors.get('large-mempool-bytes').detector.evaluate = () => {
+            throw new Error('boom');
+        };
+        assert.equal(await watchdog.runDetector('large-mempool-bytes', snapshot()), null);
+        assert.equal(watchdog.openAlerts.size, 1);
+        assert.equal(watchdog.detectors.runs.get('large-mempool-bytes').error, 'boom');
+    });
+});
+
+describe('Detector routes', () => {
+    let server;
+    let watchdog;
+
+    beforeEach(async () => {
+        watchdog = new DogecoinWatchdog({}, { detectors: new DetectorRegistry({ directories: [BUILT_IN_DIRECTORY] }).load() });
+        initializeWatchdog(watchdog);
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/watchdog', watchdogRoutes);
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+    });
+
+    afterEach(() => {
+        server.close();
+    });
+
+    it('lists detectors with their parameters', async () => {
+        const { status, body } = await requestJSON(server, 'GET', '/api/watchdog/detectors');
+        assert.equal(status, 200);
+
+        const lowNodeCount = body.data.detectors.find(detector => detector.id === 'low-node-count');
+        assert.equal(lowNodeCount.enabled, true);
+        assert.equal(lowNodeCount.parameters.minConnections.value, watchdog.thresholds.lowNodeCount);
+        assert.equal(lowNodeCount.parameters.minConnections.threshold, 'lowNodeCount');
+    });
+
+    it('updates detectors and rejects invalid changes', async () => {
+        const updated = await requestJSON(server, 'PUT', '/api/watchdog/detectors', {
+            detectors: { 'mempool-flood': { enabled: false }, 'low-node-count': { parameters: { minConnections: 3 } } }
+        });
+        assert.equal(updated.status, 200);
+        const byId = Object.fromEntries(updated.body.data.detectors.map(detector => [detector.id, detector]));
+        assert.equal(byId['mempool-flood'].enabled, false);
+        assert.equal(byId['low-node-count'].parameters.minConnections.value, 3);
+        assert.equal(byId['low-node-count'].parameters.minConnections.overridden, true);
+
+        const rejected = await requestJSON(server, 'PUT', '/api/watchdog/detectors', {
+            detectors: { 'low-node-count': { parameters: { minConnections: -1 } } }
+        });
+        assert.equal(rejected.status, 400);
+        assert.equal(rejected.body.error, 'INVALID_PARAMETER');
+        assert.match(rejected.body.message, /minConnections must be at least 0/);
+        assert.equal(watchdog.detectors.getParameters('low-node-count').minConnections, 3);
+    });
+});
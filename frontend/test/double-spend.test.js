@@ -0,0 +1,159 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DogecoinWatchdog = require('../src/services/watchdog');
+const { SpendTracker } = require('../src/services/spendTracker');
+const { MempoolSampler } = require('../src/services/mempoolSampler');
+const { rawTransaction, transaction, serializeBlock } = require('./helpers');
+
+const FUNDING = 'f'.repeat(64);
+const SCRIPT = `76a914${'11'.repeat(20)}88ac`;
+
+/**
+ * Serializes a block holding a coinbase and the given transactions
+ */
+function rawBlock(height, transactions) {
+    const coinbase = rawTransaction([{ coinbase: '' }], [[1000000000000 + height, SCRIPT]]);
+    return serializeBlock([coinbase, ...transactions.map(tx => tx.hex)], { time: height });
+}
+
+/**
+ * Mock node whose active chain and mempool the test rewrites between updates
+ */
+function createNode(tipHeight) {
+    const node = {
+        hashes: [],
+        blocks: {},
+        mempool: [],
+        setBlock(height, hash, transactions = []) {
+            node.hashes[height] = hash;
+            node.hashes.length = Math.max(height + 1, node.hashes.length);
+            node.blocks[hash] = rawBlock(height, transactions);
+        },
+        blockchain: () => ({
+            blocks: node.hashes.length - 1,
+            bestblockhash: node.hashes[node.hashes.length - 1],
+            chain: 'main',
+            initialblockdownload: false
+        }),
+        call: async (method) => {
+            if (method === 'getrawmempool') {
+                return Object.fromEntries(node.mempool.map(tx => [tx.txid, { size: tx.hex.length / 2, fee: 0.01, time: 1700000000, depends: [] }]));
+            }
+            throw new Error(`Unmocked RPC call: ${method}`);
+        },
+        callBatch: async calls => calls.map(({ params: [height] }) => ({ status: 'fulfilled', value: node.hashes[height] })),
+        requestBatch: async calls => calls.map(({ method, params: [id] }) => {
+            if (method === 'getblock') {
+                return { status: 'fulfilled', value: node.blocks[id] };
+            }
+            const tx = node.mempool.find(entry => entry.txid === id);
+            return tx ? { status: 'fulfilled', value: tx.hex } : { status: 'rejected', reason: new Error('No such mempool transaction') };
+        })
+    };
+    for (let height = 0; height <= tipHeight; height++) {
+        node.setBlock(height, `hash-${height}`);
+    }
+    return node;
+}
+
+/**
+ * Tracker reading the mempool afresh on every update
+ */
+function createTracker(node) {
+    return new SpendTracker({ rpc: node, sampler: new MempoolSampler({ rpc: node, maxAge: 0 }) });
+}
+
+describe('SpendTracker', () => {
+    it('reports a confirmed spend re-spent by another txid after a reorg', async () => {
+        const node = createNode(9);
+        const original = transaction([[FUNDING, 0]], [[500000000000, SCRIPT]]);
+        const replacement = transaction([[FUNDING, 0]], [[499900000000, SCRIPT]]);
+        node.setBlock(10, 'hash-10', [original]);
+
+        const tracker = createTracker(node);
+        assert.deepEqual(await tracker.update(node.blockchain()), []);
+
+        node.setBlock(10, 'hash-10b', [replacement]);
+        node.setBlock(11, 'hash-11b');
+        const [conflict] = await tracker.update(node.blockchain());
+
+        assert.equal(conflict.kind, 'reorg');
+        assert.equal(conflict.severity, 'CRITICAL');
+        assert.deepEqual(conflict.outpoints, [`${FUNDING}:0`]);
+        assert.deepEqual(conflict.original, { txid: original.txid, amount: 5000, blockHash: 'hash-10', height: 10 });
+        assert.deepEqual(conflict.replacement, { txid: replacement.txid, amount: 4999, blockHash: 'hash-10b', height: 10 });
+    });
+
+    it('ignores a disconnected transaction that returns to the mempool and confirms again', async () => {
+        const node = createNode(10);
+        const payment = transaction([[FUNDING, 0]], [[500000000000, SCRIPT]]);
+        node.setBlock(11, 'hash-11', [payment]);
+
+        const tracker = createTracker(node);
+        await tracker.update(node.blockchain());
+
+        node.setBlock(11, 'hash-11b');
+        node.mempool = [payment];
+        assert.deepEqual(await tracker.update(node.blockchain()), []);
+
+        node.setBlock(12, 'hash-12b', [payment]);
+        node.mempool = [];
+        assert.deepEqual(await tracker.update(node.blockchain()), []);
+        assert.equal(tracker.disconnected.size, 0);
+    });
+
+    it('reports mempool replacements and unconfirmed spends double-spent by a block', async () => {
+        const node = createNode(10);
+        const first = transaction([[FUNDING, 0], [FUNDING, 1]], [[100000000, SCRIPT]]);
+        const second = transaction([[FUNDING, 0], [FUNDING, 1]], [[90000000, SCRIPT]]);
+        const pending = transaction([[FUNDING, 2]], [[200000000, SCRIPT]]);
+        const conflicting = transaction([[FUNDING, 2]], [[190000000, SCRIPT]]);
+
+        const tracker = createTracker(node);
+        node.mempool = [first, pending];
+        await tracker.update(node.blockchain());
+
+        node.mempool = [second, pending];
+        const [replaced] = await tracker.update(node.blockchain());
+        assert.equal(replaced.kind, 'replacement');
+        assert.equal(replaced.severity, 'MEDIUM');
+        assert.deepEqual(replaced.outpoints, [`${FUNDING}:0`, `${FUNDING}:1`]);
+        assert.equal(replaced.replacement.blockHash, null);
+
+        // Confirming the replacement only updates where it is
+        node.setBlock(11, 'hash-11', [second, conflicting]);
+        node.mempool = [];
+        const [doubleSpent, ...others] = await tracker.update(node.blockchain());
+        assert.deepEqual(others, []);
+        assert.equal(doubleSpent.kind, 'unconfirmed');
+        assert.equal(doubleSpent.original.txid, pending.txid);
+        assert.deepEqual(doubleSpent.replacement, { txid: conflicting.txid, amount: 1.9, blockHash: 'hash-11', height: 11 });
+        assert.equal(tracker.getConflicts().find(conflict => conflict.kind === 'replacement').replacement.height, 11);
+    });
+});
+
+describe('double-spend detector', () => {
+    it('raises DOUBLE_SPEND with both txids, amounts and blocks', async () => {
+        const node = createNode(9);
+        const original = transaction([[FUNDING, 0]], [[500000000000, SCRIPT]]);
+        const replacement = transaction([[FUNDING, 0]], [[499900000000, SCRIPT]]);
+        node.setBlock(10, 'hash-10', [original]);
+
+        const watchdog = new DogecoinWatchdog(node);
+        const data = () => ({ blockchain: node.blockchain(), timestamp: new Date().toISOString() });
+        assert.deepEqual(await watchdog.runDetector('double-spend', data()), []);
+
+        node.setBlock(10, 'hash-10b', [replacement]);
+        const findings = await watchdog.runDetector('double-spend', data());
+
+        assert.equal(findings.length, 1);
+        assert.equal(findings[0].type, 'DOUBLE_SPEND');
+        assert.equal(findings[0].severity, 'CRITICAL');
+        assert.equal(findings[0].key, `${original.txid}:${replacement.txid}`);
+        assert.match(findings[0].message, new RegExp(`${original.txid} \\(5000 DOGE\\) confirmed in block 10 .* ${replacement.txid} \\(4999 DOGE\\) in block 10`));
+        assert.equal(findings[0].data.original.blockHash, 'hash-10');
+        assert.equal(findings[0].data.replacement.blockHash, 'hash-10b');
+        assert.equal(watchdog.openAlerts.size, 1);
+    });
+});
@@ -0,0 +1,120 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { router, initializeAPI } = require('../src/routes/api');
+const { RPCError } = require('../src/services/rpc');
+
+// Header of the Dogecoin genesis block, used as a merge-mining parent header
+const PARENT_HEADER = '010000000000000000000000000000000000000000000000000000000000000000000000696ad20e2dd4365c7459b4a4a5af743d5e92c6da3229e6532cd605f6533f2a5b24a6a152f0ff0f1e67860100';
+const PARENT_HASH = '1a91e3dace36e2be3bf030a65679fe821aa1d6ef92e7c9902eb318182c355691';
+
+const BLOCK_HASH = 'b'.repeat(64);
+const TXID = 'c'.repeat(64);
+const ADDRESS = 'DQmCZQo3thCvTxkyAhPHfY7DVLqFtJ2ji6';
+
+/**
+ * Creates a stand-in RPC service for a chain of 101 blocks holding one merge-mined block and one transaction
+ */
+function createFakeRPC() {
+    const notFound = method => new RPCError('Block not found', -5, method);
+    const block = {
+        hash: BLOCK_HASH,
+        height: 100,
+        version: 0x00620104,
+        tx: [TXID],
+        auxpow: {
+            tx: { vin: [{ coinbase: '03abcdef' }] },
+            index: 0,
+            chainindex: 2,
+            merklebranch: [],
+            chainmerklebranch: [],
+            parentblock: PARENT_HEADER
+        }
+    };
+
+    return {
+        async call(method, params = []) {
+            switch (method) {
+                case 'getblockcount':
+                    return 100;
+                case 'getblockhash':
+                    return params[0] === 100 ? BLOCK_HASH : 'a'.repeat(64);
+                case 'getblock':
+                case 'getblockheader':
+                    if (params[0] !== BLOCK_HASH) {
+                        throw notFound(method);
+                    }
+                    return block;
+                case 'getrawtransaction':
+                    if (params[0] !== TXID) {
+                        throw new RPCError('No such mempool or blockchain transaction', -5, method);
+                    }
+                    return { txid: TXID };
+                case 'validateaddress':
+                    return { isvalid: params[0] === ADDRESS };
+                default:
+                    throw new Error(`Unexpected method ${method}`);
+            }
+        }
+    };
+}
+
+describe('Explorer routes', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        initializeAPI(createFakeRPC());
+
+        const app = express();
+        app.use('/api', router);
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    after(() => {
+        server.close();
+        initializeAPI(null);
+    });
+
+    /**
+     * Requests an API path and returns the status and JSON body
+     */
+    async function get(path) {
+        const response = await fetch(`${baseUrl}${path}`);
+        return { status: response.status, body: await response.json() };
+    }
+
+    it('decodes the AuxPoW parent block header', async () => {
+        const { status, body } = await get(`/block/${BLOCK_HASH}`);
+
+        assert.equal(status, 200);
+        assert.equal(body.data.isAuxPow, true);
+        assert.equal(body.data.auxpow.parentBlockHeader.hash, PARENT_HASH);
+        assert.equal(body.data.auxpow.parentBlockHeader.time, 1386325540);
+        assert.equal(body.data.auxpow.parentCoinbase, '03abcdef');
+    });
+
+    it('answers 404 for unknown blocks', async () => {
+        const { status, body } = await get(`/block/${'d'.repeat(64)}`);
+        assert.equal(status, 404);
+        assert.equal(body.error, 'NOT_FOUND');
+    });
+
+    it('resolves heights, block hashes, txids and addresses', async () => {
+        assert.deepEqual((await get('/search?q=100')).body.data, { type: 'block', id: BLOCK_HASH });
+        assert.deepEqual((await get(`/search?q=${BLOCK_HASH.toUpperCase()}`)).body.data, { type: 'block', id: BLOCK_HASH });
+        assert.deepEqual((await get(`/search?q=${TXID}`)).body.data, { type: 'transaction', id: TXID });
+        assert.deepEqual((await get(`/search?q=%20${ADDRESS}%20`)).body.data, { type: 'address', id: ADDRESS });
+    });
+
+    it('reports searches that find nothing', async () => {
+        assert.equal((await get('/search?q=101')).status, 404);
+        assert.equal((await get(`/search?q=${'e'.repeat(64)}`)).status, 404);
+        assert.equal((await get('/search?q=DQmCZQo3thCvTxkyAhPHfY7DVLqFtJ2ji7')).status, 400);
+        assert.equal((await get('/search?q=hello')).status, 400);
+        assert.equal((await get('/search')).status, 400);
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Serializers shared by the tests that feed raw transactions and blocks to the
+ * decoders in src/utils/rawBlock
+ */
+
+const { sha256d } = require('../src/utils/address');
+const { parseTransaction } = require('../src/utils/rawBlock');
+
+/**
+ * Serializes a CompactSize length
+ */
+function varInt(value) {
+    return value < 0xfd ? Buffer.from([value]) : Buffer.from([0xfd, value & 0xff, value >> 8]);
+}
+
+/**
+ * Reads a script or other bytes given as a Buffer or hex
+ */
+function toBuffer(bytes) {
+    return Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes, 'hex');
+}
+
+/**
+ * Builds a P2PKH output script paying a 20-byte hash filled with one byte
+ */
+function p2pkh(fill) {
+    return Buffer.concat([Buffer.from('76a914', 'hex'), Buffer.alloc(20, fill), Buffer.from('88ac', 'hex')]);
+}
+
+/**
+ * Serializes a transaction
+ * Inputs are [txid, vout] pairs or { coinbase: scriptSig }; outputs are
+ * [koinu, script] pairs. Scripts are Buffers or hex.
+ */
+function serializeTransaction(inputs, outputs) {
+    const parts = [Buffer.from('01000000', 'hex'), varInt(inputs.length)];
+
+    for (const input of inputs) {
+        const [prevTxid, vout] = input.coinbase === undefined ? input : ['00'.repeat(32), 0xffffffff];
+        const script = input.coinbase === undefined ? Buffer.alloc(0) : Buffer.from(input.coinbase);
+        const index = Buffer.alloc(4);
+        index.writeUInt32LE(vout);
+        parts.push(Buffer.from(prevTxid, 'hex').reverse(), index, varInt(script.length), script, Buffer.from('ffffffff', 'hex'));
+    }
+
+    parts.push(varInt(outputs.length));
+    for (const [koinu, script] of outputs) {
+        const value = Buffer.alloc(8);
+        value.writeBigUInt64LE(BigInt(koinu));
+        const bytes = toBuffer(script);
+        parts.push(value, varInt(bytes.length), bytes);
+    }
+
+    parts.push(Buffer.alloc(4));
+    return Buffer.concat(parts);
+}
+
+/**
+ * Serializes a transaction (see serializeTransaction) and returns its raw hex
+ */
+function rawTransaction(inputs, outputs) {
+    return serializeTransaction(inputs, outputs).toString('hex');
+}
+
+/**
+ * Raw transaction and its txid
+ */
+function transaction(inputs, outputs) {
+    const hex = rawTransaction(inputs, outputs);
+    return { hex, txid: parseTransaction(hex).txid };
+}
+
+/**
+ * Serializes an 80-byte block header; previousblockhash is hex as shown by RPC
+ */
+function serializeHeader({ version = 1, previousblockhash = '00'.repeat(32), merkleRoot = Buffer.alloc(32), time = 0, bits = 0x1e0ffff0 } = {}) {
+    const header = Buffer.alloc(80);
+    header.writeInt32LE(version, 0);
+    Buffer.from(previousblockhash, 'hex').reverse().copy(header, 4);
+    merkleRoot.copy(header, 36);
+    header.writeUInt32LE(time, 68);
+    header.writeUInt32LE(bits, 72);
+    return header;
+}
+
+/**
+ * Serializes a block of raw transactions (Buffers or hex) and returns its raw hex
+ * Without a merkle root one is derived from the transactions; it is not a real
+ * merkle root, but it makes the block hash commit to them.
+ */
+function serializeBlock(transactions, header = {}) {
+    const txs = transactions.map(toBuffer);
+    const merkleRoot = header.merkleRoot || sha256d(Buffer.concat(txs));
+    return Buffer.concat([serializeHeader({ ...header, merkleRoot }), varInt(txs.length), ...txs]).toString('hex');
+}
+
+module.exports = {
+    varInt,
+    p2pkh,
+    serializeTransaction,
+    rawTransaction,
+    transaction,
+    serializeHeader,
+    serializeBlock
+};
@@ -0,0 +1,150 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { MempoolAnalyzer, analyzeMempool, recommendFee } = require('../src/services/mempoolAnalyzer');
+const { router, initializeAPI } = require('../src/routes/api');
+
+const NOW = 1700000000;
+
+/**
+ * getrawmempool true result in the 1.14 layout: two standalone transactions
+ * and a cheap parent bumped by a child (CPFP)
+ */
+function rawMempool(now = NOW) {
+    return {
+        aaaa: { size: 250, fee: 0.0025, time: now - 30, ancestorcount: 1, ancestorsize: 250, ancestorfees: 250000, descendantcount: 1, depends: [] },
+        bbbb: { size: 500, fee: 0.05, time: now - 1200, ancestorcount: 1, ancestorsize: 500, ancestorfees: 5000000, descendantcount: 1, depends: [] },
+        parent: { size: 200, fee: 0.0002, time: now - 100000, ancestorcount: 1, ancestorsize: 200, ancestorfees: 20000, descendantcount: 2, depends: [] },
+        child: { size: 200, fee: 0.02, time: now - 60, ancestorcount: 2, ancestorsize: 400, ancestorfees: 2020000, descendantcount: 1, depends: ['parent'] }
+    };
+}
+
+/**
+ * Mock RPC serving the mempool above; the node only supports estimatefee
+ */
+function createMempoolRPC() {
+    const calls = [];
+    return {
+        calls,
+        call: async (method, params = []) => {
+            calls.push(method);
+            switch (method) {
+                case 'getrawmempool':
+                    return rawMempool(Math.floor(Date.now() / 1000));
+                case 'getmempoolinfo':
+                    return { size: 4, bytes: 1150, mempoolminfee: 0 };
+                case 'getnetworkinfo':
+                    return { relayfee: 0.001 };
+                case 'estimatefee':
+                    return params[0] === 1 ? 0.02 : -1;
+                default:
+                    throw new Error(`Method not found: ${method}`);
+            }
+        }
+    };
+}
+
+describe('Mempool analysis', () => {
+    it('builds the fee histogram, age distribution and ancestor packages', () => {
+        const analysis = analyzeMempool(rawMempool(), { now: NOW, blockBytes: 600, topPackages: 10 });
+        const band = name => analysis.feeHistogram.find(entry => entry.band === name);
+
+        assert.equal(analysis.count, 4);
+        assert.equal(analysis.bytes, 1150);
+        assert.equal(band('0.001-0.01').count, 1);
+        assert.equal(band('0.01-0.02').bytes, 250);
+        assert.deepEqual([band('0.1-0.5').count, band('0.1-0.5').bytes], [2, 700]);
+        assert.equal(band('5+').max, null);
+
+        assert.deepEqual(analysis.ageDistribution.buckets.map(bucket => bucket.count), [1, 1, 1, 0, 0, 1]);
+        assert.equal(analysis.ageDistribution.oldestAge, 100000);
+
+        assert.equal(analysis.topPackages.length, 1);
+        assert.equal(analysis.topPackages[0].txid, 'child');
+        assert.ok(Math.abs(analysis.topPackages[0].feeRate - 0.0505) < 1e-9);
+        assert.deepEqual(analysis.topPackages[0].depends, ['parent']);
+    });
+
+    it('estimates fees from the block space the mempool needs', () => {
+        const { mempoolEstimates } = analyzeMempool(rawMempool(), { now: NOW, blockBytes: 600, topPackages: 10 });
+
+        // The child is ranked at its package rate, so it is the first that no longer fits
+        assert.ok(Math.abs(mempoolEstimates[1] - 0.0505) < 1e-9);
+        assert.equal(mempoolEstimates[3], null);
+    });
+
+    it('never recommends less than the node estimate or the relay minimum', () => {
+        assert.deepEqual(recommendFee(null, { feeRate: 0.02, method: 'estimatefee' }, 0.001), {
+            feeRate: 0.02,
+            source: 'estimatefee',
+            mempool: null,
+            node: { feeRate: 0.02, method: 'estimatefee' },
+            minimum: 0.001,
+            divergence: null
+        });
+
+        const recommended = recommendFee(0.05, { feeRate: 0.02, method: 'estimatesmartfee' }, 0.001);
+        assert.equal(recommended.source, 'mempool');
+        assert.equal(recommended.divergence, 2.5);
+        assert.equal(recommendFee(null, null, 0.001).source, 'minimum');
+    });
+});
+
+describe('MempoolAnalyzer', () => {
+    it('samples the node and keeps fee-band history', async () => {
+        const rpc = createMempoolRPC();
+        const analyzer = new MempoolAnalyzer({ rpc, blockBytes: 600 });
+
+        await Promise.all([analyzer.sample(), analyzer.sample()]);
+        const analytics = await analyzer.getAnalytics();
+
+        assert.equal(rpc.calls.filter(method => method === 'getrawmempool').length, 1);
+        assert.equal(analytics.history.length, 1);
+        assert.equal(analytics.history[0].bands.length, analytics.bands.length);
+        assert.equal(analytics.history[0].bands.reduce((sum, bytes) => sum + bytes, 0), 1150);
+
+        const [nextBlock, threeBlocks] = analytics.feeEstimates;
+        assert.equal(nextBlock.source, 'mempool');
+        assert.deepEqual(nextBlock.node, { feeRate: 0.02, method: 'estimatefee' });
+        assert.deepEqual([threeBlocks.blocks, threeBlocks.feeRate, threeBlocks.source], [3, 0.001, 'minimum']);
+    });
+});
+
+describe('GET /api/mempool/analytics', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const app = express();
+        app.use('/api', router);
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    after(() => {
+        server.close();
+        initializeAPI(null);
+    });
+
+    it('returns the analytics of the primary node', async () => {
+        const rpc = createMempoolRPC();
+        initializeAPI(rpc, { mempoolAnalyzer: new MempoolAnalyzer({ rpc }) });
+
+        const response = await fetch(`${baseUrl}/mempool/analytics`);
+        const body = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(body.data.count, 4);
+        assert.equal(body.data.feeEstimates.length, 3);
+    });
+
+    it('reports when analytics are unavailable', async () => {
+        initializeAPI(createMempoolRPC());
+
+        const response = await fetch(`${baseUrl}/mempool/analytics`);
+        assert.equal(response.status, 503);
+        assert.equal((await response.json()).error, 'SERVICE_UNAVAILABLE');
+    });
+});
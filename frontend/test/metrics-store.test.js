@@ -0,0 +1,173 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { MetricsStore } = require('../src/services/metricsStore');
+const DogecoinWatchdog = require('../src/services/watchdog');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+describe('MetricsStore', () => {
+    it('returns raw points within the requested range', () => {
+        const store = new MetricsStore();
+        const now = Date.now();
+        store.record('mempool', 10, now - 3 * MINUTE);
+        store.record('mempool', 20, now - 2 * MINUTE);
+        store.record('mempool', 30, now - MINUTE);
+
+        const result = store.query('mempool', { from: now - 150 * 1000, to: now, resolution: 'raw' });
+        assert.deepEqual(result.points.map(p => p.value), [20, 30]);
+    });
+
+    it('rolls points up into 5-minute buckets', () => {
+        const store = new MetricsStore();
+        const bucket = Math.floor(Date.now() / (5 * MINUTE)) * 5 * MINUTE - 5 * MINUTE;
+        store.record('difficulty', 10, bucket + 1000);
+        store.record('difficulty', 30, bucket + 2000);
+
+        const result = store.query('difficulty', { from: bucket, to: bucket + 5 * MINUTE, resolution: '5m' });
+        assert.equal(result.points.length, 1);
+        assert.equal(result.points[0].timestamp, bucket);
+        assert.equal(result.points[0].value, 20);
+        assert.equal(result.points[0].min, 10);
+        assert.equal(result.points[0].max, 30);
+        assert.equal(result.points[0].count, 2);
+    });
+
+    it('drops points older than the retention window', () => {
+        const store = new MetricsStore({ retention: { raw: HOUR } });
+        const now = Date.now();
+        store.record('hashRate', 1, now - 2 * HOUR);
+        store.record('hashRate', 2, now);
+
+        const result = store.query('hashRate', { from: now - 3 * HOUR, to: now, resolution: 'raw' });
+        assert.deepEqual(result.points.map(p => p.value), [2]);
+
+        // Rollups keep the older point
+        const hourly = store.query('hashRate', { from: now - 3 * HOUR, to: now, resolution: '1h' });
+        assert.equal(hourly.points.length, 2);
+    });
+
+    it('ignores non-numeric values', () => {
+        const store = new MetricsStore();
+        store.record('mempool', null);
+        store.record('mempool', NaN);
+        assert.equal(store.query('mempool', { resolution: 'raw' }).points.length, 0);
+    });
+
+    it('picks a coarser resolution for longer ranges', () => {
+        const store = new MetricsStore();
+        const now = Date.now();
+        assert.equal(store.pickResolution(now - HOUR, now), 'raw');
+        assert.equal(store.pickResolution(now - 3 * DAY, now), '5m');
+        assert.equal(store.pickResolution(now - 60 * DAY, now), '1h');
+    });
+
+    it('rejects unknown resolutions', () => {
+        const store = new MetricsStore();
+        assert.throws(() => store.query('mempool', { resolution: '1d' }), /Unknown resolution/);
+    });
+
+    it('persists snapshots across instances', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'doge-metrics-'));
+        const filePath = path.join(tmpDir, 'metrics.json');
+
+        try {
+            const first = new MetricsStore({ filePath });
+            first.load();
+            first.record('networkNodes', 8);
+            first.flush();
+
+            const second = new MetricsStore({ filePath });
+            assert.equal(second.load(), 1);
+            assert.deepEqual(second.listSeries(), ['networkNodes']);
+            assert.equal(second.query('networkNodes', { resolution: 'raw' }).points[0].value, 8);
+        } finally {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    });
+
+    it('appends new points to the log and rewrites the snapshot only when compacting', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'doge-metrics-'));
+        const filePath = path.join(tmpDir, 'metrics.json');
+        const logPath = path.join(tmpDir, 'metrics-log.jsonl');
+
+        try {
+            const store = new MetricsStore({ filePath });
+            store.load();
+            store.record('mempool', 10);
+            store.flush();
+            store.record('mempool', 20);
+            store.flush();
+            store.flush();
+
+            assert.equal(fs.existsSync(filePath), false);
+            assert.deepEqual(fs.readFileSync(logPath, 'utf8').trim().split('\n').map(line => JSON.parse(line).sequence), [1, 2]);
+
+            store.compactedAt -= HOUR;
+            store.record('mempool', 30);
+            store.flush();
+            assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).sequence, 3);
+            assert.equal(fs.readFileSync(logPath, 'utf8'), '');
+
+            store.record('mempool', 40);
+            store.flush();
+
+            // Restarting without a final snapshot replays the log
+            const restarted = new MetricsStore({ filePath });
+            restarted.load();
+            assert.deepEqual(restarted.query('mempool', { resolution: 'raw' }).points.map(p => p.value), [10, 20, 30, 40]);
+            assert.equal(restarted.query('mempool', { resolution: '1h' }).points.reduce((sum, p) => sum + p.count, 0), 4);
+        } finally {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    });
+
+    it('skips log entries already in the snapshot and lines cut short', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'doge-metrics-'));
+        const filePath = path.join(tmpDir, 'metrics.json');
+        const logPath = path.join(tmpDir, 'metrics-log.jsonl');
+
+        try {
+            const store = new MetricsStore({ filePath });
+            store.load();
+            store.record('mempool', 10);
+            store.flush();
+            const log = fs.readFileSync(logPath, 'utf8');
+            store.stop();
+
+            // As if the process died after saving the snapshot but before emptying the log
+            fs.writeFileSync(logPath, `${log}{"sequence":2,"poi`);
+
+            const restarted = new MetricsStore({ filePath });
+            restarted.load();
+            assert.deepEqual(restarted.query('mempool', { resolution: 'raw' }).points.map(p => p.value), [10]);
+        } finally {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('DogecoinWatchdog metric history', () => {
+    it('records each metric series on update', () => {
+        const metricsStore = new MetricsStore();
+        const watchdog = new DogecoinWatchdog({}, { metricsStore });
+
+        watchdog.updateMetrics({
+            blockchain: { difficulty: 10000, blocks: 5000000 },
+            mempool: { size: 100, bytes: 50000 },
+            peers: [{}, {}, {}],
+            timestamp: new Date().toISOString()
+        });
+
+        assert.deepEqual(
+            metricsStore.listSeries().sort(),
+            ['blockHeight', 'difficulty', 'hashRate', 'mempool', 'mempoolBytes', 'networkNodes']
+        );
+        assert.equal(watchdog.getMetricHistory('networkNodes', { resolution: 'raw' }).points[0].value, 3);
+    });
+});
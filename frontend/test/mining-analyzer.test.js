@@ -0,0 +1,236 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DogecoinWatchdog = require('../src/services/watchdog');
+const { MiningAnalyzer } = require('../src/services/miningAnalyzer');
+const { extractCoinbaseTag, readCoinbaseHeight, readMergedMiningCommitment } = require('../src/utils/coinbase');
+const { sha256d } = require('../src/utils/address');
+const { parseBlock } = require('../src/utils/rawBlock');
+const { varInt, p2pkh, serializeTransaction, serializeHeader, serializeBlock } = require('./helpers');
+
+const MERKLE_ROOT = 'ab'.repeat(32);
+
+/**
+ * Builds a coinbase scriptSig: BIP34 height, optional merged-mining commitment, then a tag
+ */
+function coinbaseScript(height, tag = '', mergedMining = false) {
+    const heightBytes = Buffer.alloc(3);
+    heightBytes.writeUIntLE(height, 0, 3);
+
+    const parts = [Buffer.from([3]), heightBytes];
+    if (mergedMining) {
+        const counts = Buffer.alloc(8);
+        counts.writeUInt32LE(4, 0);
+        counts.writeUInt32LE(7, 4);
+        parts.push(Buffer.from('fabe6d6d', 'hex'), Buffer.from(MERKLE_ROOT, 'hex'), counts);
+    }
+    parts.push(Buffer.from(tag, 'latin1'));
+    return Buffer.concat(parts);
+}
+
+/**
+ * Serializes a coinbase transaction paying value to a P2PKH hash filled with payTo
+ */
+function coinbaseTx(script, value, payTo) {
+    return serializeTransaction([{ coinbase: script }], [[value, p2pkh(payTo)]]);
+}
+
+/**
+ * Serializes a Dogecoin block; with a pool tag the block is merge-mined and the
+ * tag goes into the Litecoin parent coinbase
+ */
+function poolBlock(height, { pool = null, payTo = 1, standalone = false } = {}) {
+    const coinbase = coinbaseTx(coinbaseScript(height), 10000n * 100000000n, payTo);
+    const merkle = sha256d(coinbase);
+
+    if (!pool) {
+        return serializeBlock([coinbase], { previousblockhash: '01'.repeat(32), time: 1700000000 + height });
+    }
+
+    const parentCoinbase = coinbaseTx(coinbaseScript(2500000 + height, pool, true), standalone ? 0n : 625000000n, 9);
+    const parentHeader = serializeHeader({
+        version: 0x20000000,
+        previousblockhash: (standalone ? '00' : '02').repeat(32),
+        merkleRoot: sha256d(parentCoinbase),
+        time: 1700000000 + height
+    });
+    const auxpow = Buffer.concat([
+        parentCoinbase,
+        Buffer.alloc(32), // hashBlock
+        varInt(0), Buffer.alloc(4), // coinbase merkle branch and index
+        varInt(0), Buffer.alloc(4), // chain merkle branch and index
+        parentHeader
+    ]);
+
+    const header = serializeHeader({ version: 0x00620104, previousblockhash: '01'.repeat(32), merkleRoot: merkle, time: 1700000000 + height });
+    return Buffer.concat([header, auxpow, varInt(1), coinbase]).toString('hex');
+}
+
+/**
+ * Creates a stand-in RPC service serving raw blocks by height
+ */
+function createFakeRPC(blocks) {
+    const rpc = {
+        blocks,
+        requested: 0,
+        hashOf(height) {
+            return rpc.blocks[height] ? parseBlock(rpc.blocks[height]).hash : null;
+        },
+        async call(method, params) {
+            assert.equal(method, 'getblockhash');
+            return rpc.hashOf(params[0]);
+        },
+        async callBatch(calls) {
+            return calls.map(({ params }) => ({ status: 'fulfilled', value: rpc.hashOf(params[0]) }));
+        },
+        async requestBatch(calls) {
+            rpc.requested += calls.length;
+            return calls.map(({ params }) => ({
+                status: 'fulfilled',
+                value: rpc.blocks.find(raw => parseBlock(raw).hash === params[0])
+            }));
+        }
+    };
+    return rpc;
+}
+
+describe('Coinbase utilities', () => {
+    it('reads BIP34 heights', () => {
+        assert.equal(readCoinbaseHeight(coinbaseScript(5000000)), 5000000);
+        assert.equal(readCoinbaseHeight('5a'), 10);
+        assert.equal(readCoinbaseHeight('4d0000'), null);
+    });
+
+    it('reads the merged-mining commitment', () => {
+        assert.deepEqual(readMergedMiningCommitment(coinbaseScript(1, '/pool/', true)), { merkleRoot: MERKLE_ROOT, size: 4, nonce: 7 });
+        assert.equal(readMergedMiningCommitment(coinbaseScript(1, '/pool/')), null);
+    });
+
+    it('extracts printable tags around the height and commitment', () => {
+        assert.equal(extractCoinbaseTag(coinbaseScript(2600000, '\u0001\u0002/ViaBTC/Mined by doge/\u0000xy', true)), '/ViaBTC/Mined by doge/');
+        assert.equal(extractCoinbaseTag(coinbaseScript(2600000, 'ÿþ')), null);
+        assert.equal(extractCoinbaseTag(coinbaseScript(2600000, '/Pool<img src=x onerror="alert(1)">/')), '/Pool img src=x onerror= alert(1)');
+    });
+});
+
+describe('MiningAnalyzer', () => {
+    it('identifies parent chain, pool and payout of recent blocks', async () => {
+        const rpc = createFakeRPC([
+            poolBlock(0, { pool: '/F2Pool/', payTo: 3 }),
+            poolBlock(1, { pool: 'solo miner', standalone: true }),
+            poolBlock(2, { payTo: 4 })
+        ]);
+        const analyzer = new MiningAnalyzer({ rpc, window: 10 });
+
+        assert.equal(await analyzer.update({ blocks: 2, chain: 'main' }), 3);
+        const [plain, standalone, merged] = analyzer.getBlocks();
+
+        assert.equal(merged.auxpow, true);
+        assert.equal(merged.parentChain, 'litecoin');
+        assert.equal(merged.parentHeight, 2500000);
+        assert.equal(merged.tag, '/F2Pool/');
+        assert.equal(merged.pool, 'F2Pool');
+        assert.equal(merged.entity, 'F2Pool');
+        assert.ok(merged.payoutAddress.startsWith('D'));
+        assert.equal(standalone.parentChain, 'standalone');
+        assert.equal(plain.auxpow, false);
+        assert.equal(plain.parentChain, 'none');
+        assert.equal(plain.entity, plain.payoutAddress);
+    });
+
+    it('keeps a sliding window and only fetches new blocks', async () => {
+        const blocks = Array.from({ length: 6 }, (_, height) => poolBlock(height, { pool: height < 3 ? '/PoolA/' : '/PoolB/' }));
+        const rpc = createFakeRPC(blocks.slice(0, 4));
+        const analyzer = new MiningAnalyzer({ rpc, window: 4, batchSize: 2 });
+
+        await analyzer.update({ blocks: 3, chain: 'main' });
+        rpc.blocks = blocks;
+        assert.equal(await analyzer.update({ blocks: 5, chain: 'main' }), 2);
+        assert.equal(rpc.requested, 6);
+
+        const distribution = analyzer.getDistribution();
+        assert.equal(distribution.blocks, 4);
+        assert.equal(distribution.auxpowBlocks, 4);
+        assert.deepEqual(distribution.parentChains, { litecoin: 4 });
+        assert.deepEqual(distribution.pools.map(pool => [pool.entity, pool.blocks, pool.share]), [['/PoolB/', 3, 0.75], ['/PoolA/', 1, 0.25]]);
+    });
+
+    it('reloads the window when the chain shrinks', async () => {
+        const blocks = Array.from({ length: 4 }, (_, height) => poolBlock(height, { pool: '/PoolA/' }));
+        const rpc = createFakeRPC(blocks);
+        const analyzer = new MiningAnalyzer({ rpc, window: 10 });
+
+        await analyzer.update({ blocks: 3, chain: 'main' });
+        rpc.blocks = [...blocks.slice(0, 3)];
+        rpc.blocks[2] = poolBlock(2, { pool: '/PoolB/' });
+        await analyzer.update({ blocks: 2, chain: 'main' });
+
+        assert.deepEqual(analyzer.getDistribution().pools.map(pool => [pool.entity, pool.blocks]), [['/PoolA/', 2], ['/PoolB/', 1]]);
+    });
+});
+
+describe('Pool concentration detector', () => {
+    /**
+     * Creates a watchdog whose analyzer reports a fixed distribution
+     */
+    function createWatchdog(pools, blocks = 100) {
+        const miningAnalyzer = {
+            async update() {},
+            getDistribution: () => ({ window: 100, blocks, auxpowBlocks: blocks, parentChains: { litecoin: blocks }, pools })
+        };
+        return new DogecoinWatchdog({ call: async () => null }, { miningAnalyzer });
+    }
+
+    const currentData = { blockchain: { blocks: 1000, chain: 'main', initialblockdownload: false } };
+
+    it('alerts per pool above the threshold', async () => {
+        const watchdog = createWatchdog([
+            { entity: '/PoolA/', blocks: 55, share: 0.55, lastHeight: 1000 },
+            { entity: '/PoolB/', blocks: 42, share: 0.42, lastHeight: 999 },
+            { entity: 'unknown', blocks: 3, share: 0.03, lastHeight: 990 }
+        ]);
+
+        await watchdog.runDetector('pool-concentration', currentData);
+
+        const alerts = watchdog.getRecentAlerts().filter(alert => alert.type === 'POOL_CONCENTRATION');
+        assert.deepEqual(alerts.map(alert => [alert.data.entity, alert.severity]).sort(), [['/PoolA/', 'CRITICAL'], ['/PoolB/', 'HIGH']]);
+    });
+
+    it('resolves the alert once the share drops', async () => {
+        const pools = [{ entity: '/PoolA/', blocks: 45, share: 0.45, lastHeight: 1000 }];
+        const watchdog = createWatchdog(pools);
+
+        await watchdog.runDetector('pool-concentration', currentData);
+        pools[0] = { entity: '/PoolA/', blocks: 30, share: 0.3, lastHeight: 1000 };
+        await watchdog.runDetector('pool-concentration', currentData);
+
+        const [alert] = watchdog.getRecentAlerts();
+        assert.equal(alert.type, 'POOL_CONCENTRATION');
+        assert.equal(alert.status, 'resolved');
+    });
+
+    it('waits until the window is half full', async () => {
+        const watchdog = createWatchdog([{ entity: '/PoolA/', blocks: 20, share: 1, lastHeight: 1000 }], 20);
+        await watchdog.runDetector('pool-concentration', currentData);
+        assert.equal(watchdog.getRecentAlerts().length, 0);
+    });
+});
+
+describe('Coinbase tags in mining alerts', () => {
+    it('strips markup from a pool tag before it names a selfish-mining suspect', async () => {
+        const pools = ['/PoolA/', '/PoolB/', '/PoolC/', '/PoolD/'];
+        const evil = '/Evil<img src=x onerror=alert(1)>/';
+        const blocks = Array.from({ length: 100 }, (_, height) => poolBlock(height, {
+            pool: height >= 50 && height < 59 ? evil : pools[height % pools.length]
+        }));
+        const miningAnalyzer = new MiningAnalyzer({ rpc: createFakeRPC(blocks), window: 100 });
+        const watchdog = new DogecoinWatchdog({ call: async () => null, getChainTips: async () => [] }, { miningAnalyzer });
+        await miningAnalyzer.update({ blocks: 99, chain: 'main' });
+
+        await watchdog.runDetector('selfish-mining', { blockchain: { blocks: 99, chain: 'main', initialblockdownload: false } });
+
+        const [alert] = watchdog.getRecentAlerts().filter(recent => recent.type === 'SELFISH_MINING');
+        assert.equal(alert.data.entity, '/Evil img src=x onerror=alert(1)');
+        assert.doesNotMatch(alert.message, /[<>]/);
+    });
+});
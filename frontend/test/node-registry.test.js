@@ -0,0 +1,217 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const express = require('express');
+
+const { NodeRegistry, loadNodeDefinitions, DEFAULT_NODE_ID } = require('../src/services/nodeRegistry');
+const { router: nodesRoutes, initializeNodes } = require('../src/routes/nodes');
+
+/**
+ * Replaces a node's RPC calls with canned responses
+ */
+function stubRPC(node, responses) {
+    node.rpc.call = async (method) => {
+        if (responses instanceof Error) {
+            throw responses;
+        }
+        return responses[method];
+    };
+}
+
+/**
+ * Canned chain state for a node at the given height
+ */
+function chainState(blocks) {
+    return {
+        getblockchaininfo: { chain: 'main', blocks, headers: blocks, bestblockhash: `hash${blocks}`, verificationprogress: 1 },
+        getnetworkinfo: { connections: 8, subversion: '/Shibetoshi:1.14.9/' },
+        getmempoolinfo: { size: 3 }
+    };
+}
+
+/**
+ * Issues a GET request against a local server and parses the JSON response
+ */
+function getJSON(server, urlPath) {
+    return new Promise((resolve, reject) => {
+        http.get({ port: server.address().port, path: urlPath }, (res) => {
+            let body = '';
+            res.on('data', chunk => {
+                body += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+        }).on('error', reject);
+    });
+}
+
+describe('loadNodeDefinitions', () => {
+    it('falls back to a single default node', () => {
+        const definitions = loadNodeDefinitions({});
+        assert.equal(definitions.length, 1);
+        assert.equal(definitions[0].id, DEFAULT_NODE_ID);
+        assert.equal(definitions[0].primary, true);
+    });
+
+    it('parses DOGECOIN_NODES and makes the first node primary', () => {
+        const definitions = loadNodeDefinitions({
+            definitions: JSON.stringify([
+                { id: 'main', host: 'node-a', port: 22555 },
+                { id: 'backup', host: 'node-b', watchdog: false }
+            ])
+        });
+
+        assert.deepEqual(definitions.map(d => d.id), ['main', 'backup']);
+        assert.equal(definitions[0].primary, true);
+        assert.equal(definitions[1].primary, false);
+        assert.equal(definitions[1].monitor, false);
+    });
+
+    it('reads { nodes: [...] } from a config file and resolves passwordEnv', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodes-config-'));
+        const file = path.join(dir, 'nodes.json');
+        fs.writeFileSync(file, JSON.stringify({
+            nodes: [{ id: 'a', username: 'rpc', passwordEnv: 'TEST_NODE_A_PASS' }, { id: 'b', primary: true }]
+        }));
+        process.env.TEST_NODE_A_PASS = 'secret';
+
+        try {
+            const definitions = loadNodeDefinitions({ configFile: file });
+            assert.equal(definitions[0].password, 'secret');
+            assert.equal(definitions[0].primary, false);
+            assert.equal(definitions[1].primary, true);
+        } finally {
+            delete process.env.TEST_NODE_A_PASS;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('rejects invalid, reserved and duplicate ids', () => {
+        assert.throws(() => loadNodeDefinitions({ definitions: '[{"id":"bad id"}]' }), /invalid id/);
+        assert.throws(() => loadNodeDefinitions({ definitions: '[{"id":"overview"}]' }), /invalid id/);
+        assert.throws(() => loadNodeDefinitions({ definitions: '[{"id":"a"},{"id":"a"}]' }), /Duplicate node id/);
+        assert.throws(() => loadNodeDefinitions({ definitions: '[{"id":"a","port":70000}]' }), /invalid port/);
+        assert.throws(() => loadNodeDefinitions({ definitions: '[]' }), /non-empty array/);
+        assert.throws(() => loadNodeDefinitions({ definitions: '{oops' }), /Invalid node configuration/);
+    });
+});
+
+describe('NodeRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new NodeRegistry({ persist: false }).load(loadNodeDefinitions({
+            definitions: JSON.stringify([
+                { id: 'main', host: 'node-a', port: 22555 },
+                { id: 'backup', host: 'node-b', port: 22556 }
+            ])
+        }));
+    });
+
+    afterEach(() => {
+        registry.stop();
+    });
+
+    it('creates an independent RPC service and watchdog per node', () => {
+        const main = registry.get('main');
+        const backup = registry.get('backup');
+
+        assert.equal(main.rpc.rpcUrl, 'http://node-a:22555');
+        assert.equal(backup.rpc.rpcUrl, 'http://node-b:22556');
+        assert.notEqual(main.watchdog, backup.watchdog);
+        assert.equal(registry.getPrimary(), main);
+        assert.equal(registry.get('missing'), null);
+    });
+
+    it('stamps alerts with the node they were raised on', () => {
+        const alert = registry.get('backup').watchdog.createAlert('LOW_NODE_COUNT', 'HIGH', 'Only 2 peers');
+
+        assert.equal(alert.nodeId, 'backup');
+        assert.equal(registry.get('main').watchdog.alerts.length, 0);
+    });
+
+    it('samples the mempool in the background only while the watchdog monitors', () => {
+        const { watchdog, mempoolAnalyzer } = registry.get('main');
+        assert.equal(mempoolAnalyzer.timer, null);
+
+        watchdog.emit('started');
+        assert.notEqual(mempoolAnalyzer.timer, null);
+        assert.equal(registry.get('backup').mempoolAnalyzer.timer, null);
+
+        watchdog.emit('stopped');
+        assert.equal(mempoolAnalyzer.timer, null);
+    });
+
+    it('builds an overview with lag and unreachable nodes', async () => {
+        stubRPC(registry.get('main'), chainState(5000010));
+        stubRPC(registry.get('backup'), chainState(5000004));
+        registry.get('backup').watchdog.createAlert('MEMPOOL_FLOOD', 'CRITICAL', 'Flood');
+
+        let overview = await registry.getOverview();
+        assert.equal(overview.summary.reachable, 2);
+        assert.equal(overview.summary.chains.main, 5000010);
+        assert.equal(overview.summary.openAlerts.CRITICAL, 1);
+        assert.equal(overview.nodes.find(n => n.id === 'backup').blocksBehind, 6);
+
+        stubRPC(registry.get('backup'), new Error('ECONNREFUSED'));
+        overview = await registry.getOverview();
+        assert.equal(overview.summary.unreachable, 1);
+        assert.equal(overview.nodes.find(n => n.id === 'backup').reachable, false);
+    });
+});
+
+describe('Node routes', () => {
+    let registry;
+    let server;
+
+    beforeEach(async () => {
+        registry = new NodeRegistry({ persist: false }).load(loadNodeDefinitions({
+            definitions: JSON.stringify([{ id: 'main' }, { id: 'backup' }])
+        }));
+        initializeNodes(registry);
+
+        const app = express();
+        app.use('/api/nodes', nodesRoutes);
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+    });
+
+    afterEach(async () => {
+        registry.stop();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('lists nodes without credentials', async () => {
+        const { status, body } = await getJSON(server, '/api/nodes');
+
+        assert.equal(status, 200);
+        assert.equal(body.data.primary, 'main');
+        assert.deepEqual(body.data.nodes.map(n => n.id), ['main', 'backup']);
+        assert.equal(JSON.stringify(body).includes('password'), false);
+    });
+
+    it('routes per-node API and watchdog requests to that node', async () => {
+        stubRPC(registry.get('backup'), chainState(42));
+        registry.get('backup').watchdog.createAlert('LOW_NODE_COUNT', 'HIGH', 'Only 2 peers');
+
+        const info = await getJSON(server, '/api/nodes/backup/blockchain/info');
+        assert.equal(info.status, 200);
+        assert.equal(info.body.data.blocks, 42);
+
+        const alerts = await getJSON(server, '/api/nodes/backup/watchdog/alerts');
+        assert.equal(alerts.status, 200);
+        assert.equal(alerts.body.data.alerts[0].nodeId, 'backup');
+
+        const mainAlerts = await getJSON(server, '/api/nodes/main/watchdog/alerts');
+        assert.equal(mainAlerts.body.data.alerts.length, 0);
+    });
+
+    it('returns 404 for unknown nodes', async () => {
+        const { status, body } = await getJSON(server, '/api/nodes/nope/info');
+
+        assert.equal(status, 404);
+        assert.equal(body.error, 'NODE_NOT_FOUND');
+    });
+});
@@ -0,0 +1,181 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const EventEmitter = require('events');
+
+const AlertNotifier = require('../src/services/notifier');
+const {
+    NotificationChannel,
+    WebhookChannel,
+    EmailChannel,
+    createChannels
+} = require('../src/services/notificationChannels');
+
+/**
+ * Creates a minimal alert object
+ */
+function makeAlert(overrides = {}) {
+    return {
+        id: 'alert_1',
+        type: 'LOW_NODE_COUNT',
+        severity: 'HIGH',
+        message: 'Only 2 peers connected',
+        data: { nodeCount: 2 },
+        timestamp: new Date().toISOString(),
+        acknowledged: false,
+        ...overrides
+    };
+}
+
+/**
+ * Creates a channel that fails a given number of times before succeeding
+ */
+function createFlakyChannel(failures, options = {}) {
+    const channel = new NotificationChannel({ name: 'flaky', ...options });
+    channel.sent = [];
+    channel.send = async (alert) => {
+        if (failures-- > 0) {
+            throw new Error('temporarily unavailable');
+        }
+        channel.sent.push(alert);
+    };
+    return channel;
+}
+
+describe('NotificationChannel severity filter', () => {
+    it('accepts alerts at or above the minimum severity', () => {
+        const channel = new NotificationChannel({ name: 'test', minSeverity: 'HIGH' });
+        assert.equal(channel.accepts(makeAlert({ severity: 'MEDIUM' })), false);
+        assert.equal(channel.accepts(makeAlert({ severity: 'HIGH' })), true);
+        assert.equal(channel.accepts(makeAlert({ severity: 'CRITICAL' })), true);
+    });
+});
+
+describe('AlertNotifier', () => {
+    it('retries failed deliveries and logs the outcome', async () => {
+        const channel = createFlakyChannel(2, { minSeverity: 'LOW' });
+        const notifier = new AlertNotifier({ channels: [channel], maxRetries: 3, retryDelay: 1 });
+
+        const [entry] = await notifier.notify(makeAlert());
+
+        assert.equal(entry.status, 'delivered');
+        assert.equal(entry.attempts, 3);
+        assert.equal(channel.sent.length, 1);
+        assert.equal(notifier.getChannels()[0].stats.delivered, 1);
+    });
+
+    it('marks a delivery as failed once retries are exhausted', async () => {
+        const channel = createFlakyChannel(10, { minSeverity: 'LOW' });
+        const notifier = new AlertNotifier({ channels: [channel], maxRetries: 2, retryDelay: 1 });
+
+        const [entry] = await notifier.notify(makeAlert());
+
+        assert.equal(entry.status, 'failed');
+        assert.equal(entry.attempts, 3);
+        assert.equal(entry.error, 'temporarily unavailable');
+        assert.equal(notifier.getDeliveries({ status: 'failed' }).total, 1);
+    });
+
+    it('skips channels whose severity filter rejects the alert', async () => {
+        const channel = createFlakyChannel(0, { minSeverity: 'CRITICAL' });
+        const notifier = new AlertNotifier({ channels: [channel], retryDelay: 1 });
+
+        const entries = await notifier.notify(makeAlert({ severity: 'MEDIUM' }));
+
+        assert.equal(entries.length, 0);
+        assert.equal(notifier.getDeliveries().total, 0);
+    });
+
+    it('delivers alerts emitted by an attached watchdog', async () => {
+        const channel = createFlakyChannel(0, { minSeverity: 'LOW' });
+        const notifier = new AlertNotifier({ channels: [channel], retryDelay: 1 });
+        const watchdog = new EventEmitter();
+
+        notifier.attach(watchdog);
+        watchdog.emit('alert', makeAlert());
+        await notifier.stop();
+
+        assert.equal(channel.sent.length, 1);
+    });
+
+    it('keeps the delivery log within its size limit', async () => {
+        const channel = createFlakyChannel(0, { minSeverity: 'LOW' });
+        const notifier = new AlertNotifier({ channels: [channel], logSize: 3 });
+
+        for (let i = 0; i < 5; i++) {
+            await notifier.notify(makeAlert({ id: `alert_${i}` }));
+        }
+
+        const { total, deliveries } = notifier.getDeliveries();
+        assert.equal(total, 3);
+        assert.equal(deliveries[0].alertId, 'alert_4');
+    });
+});
+
+describe('WebhookChannel', () => {
+    it('signs the request body with HMAC-SHA256', async () => {
+        const secret = 'shh';
+        let received;
+
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received = { headers: req.headers, body };
+                res.end('ok');
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const channel = new WebhookChannel({
+                url: `http://127.0.0.1:${server.address().port}/hook`,
+                secret
+            });
+            await channel.send(makeAlert());
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+
+        const expected = crypto.createHmac('sha256', secret)
+            .update(`${received.headers['x-timestamp']}.${received.body}`)
+            .digest('hex');
+        assert.equal(received.headers['x-signature'], `sha256=${expected}`);
+        assert.equal(JSON.parse(received.body).alert.id, 'alert_1');
+    });
+});
+
+describe('EmailChannel', () => {
+    it('sends the alert through the SMTP transport', async () => {
+        const messages = [];
+        const channel = new EmailChannel({
+            from: 'monitor@example.com',
+            to: 'ops@example.com',
+            transport: { sendMail: async (message) => messages.push(message) }
+        });
+
+        await channel.send(makeAlert());
+
+        assert.equal(messages.length, 1);
+        assert.equal(messages[0].to, 'ops@example.com');
+        assert.match(messages[0].subject, /\[HIGH\] LOW_NODE_COUNT/);
+        assert.match(messages[0].text, /Only 2 peers connected/);
+    });
+});
+
+describe('createChannels', () => {
+    it('enables only channels with a destination', () => {
+        const channels = createChannels({
+            minSeverity: 'MEDIUM',
+            webhook: { url: 'http://example.com/hook' },
+            slack: { webhookUrl: null },
+            telegram: { botToken: 'token', chatId: null },
+            discord: { webhookUrl: 'http://example.com/discord', minSeverity: 'CRITICAL' }
+        });
+
+        assert.deepEqual(channels.map(c => c.type), ['webhook', 'discord']);
+        assert.equal(channels[0].minSeverity, 'MEDIUM');
+        assert.equal(channels[1].minSeverity, 'CRITICAL');
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const { PoolIdentifier } = require('../src/services/poolIdentifier');
+const { router, initializeAPI } = require('../src/routes/api');
+
+/**
+ * Writes a pool list to a temporary file
+ */
+function writePoolList(content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pools-'));
+    const filePath = path.join(dir, 'pools.json');
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    return filePath;
+}
+
+describe('PoolIdentifier', () => {
+    it('matches bundled pools by coinbase tag, ignoring case', () => {
+        const identifier = new PoolIdentifier();
+
+        assert.equal(identifier.identify({ tags: ['/viabtc/Mined by someone/'] }).name, 'ViaBTC');
+        assert.equal(identifier.identify({ tags: [null, 'Mined by AntPool lt2'] }).name, 'AntPool');
+        assert.equal(identifier.identify({ tags: ['/unknown pool/'], addresses: ['DUnknown'] }), null);
+    });
+
+    it('extends the bundled list with a custom file', () => {
+        const poolsFile = writePoolList({
+            pools: [
+                { name: 'ViaBTC', addresses: ['DViaPayout'] },
+                { name: 'Dogepool', link: 'https://dogepool.example', tags: ['/dogepool/'], addresses: ['DDogepool'] }
+            ]
+        });
+        const identifier = new PoolIdentifier({ poolsFile });
+
+        // Payout addresses win over tags
+        assert.deepEqual(identifier.identify({ tags: ['/ViaBTC/'], addresses: ['DDogepool'] }), { name: 'Dogepool', link: 'https://dogepool.example' });
+        assert.equal(identifier.identify({ addresses: ['DViaPayout'] }).name, 'ViaBTC');
+        assert.equal(identifier.list().find(pool => pool.name === 'ViaBTC').tags.includes('ViaBTC'), true);
+    });
+
+    it('rejects malformed pool lists', () => {
+        assert.throws(() => new PoolIdentifier({ poolsFile: writePoolList('{ nope') }), /Invalid pool list/);
+        assert.throws(() => new PoolIdentifier({ poolsFile: writePoolList({ pools: {} }) }), /must be an array/);
+        assert.throws(() => new PoolIdentifier({ poolsFile: writePoolList([{ tags: ['x'] }]) }), /needs a name/);
+    });
+});
+
+describe('GET /api/mining/pools', () => {
+    let server;
+    let baseUrl;
+    const updates = [];
+
+    before(async () => {
+        const miningAnalyzer = {
+            window: 100,
+            async update(blockchain) {
+                updates.push(blockchain.blocks);
+            },
+            getDistribution: window => ({
+                window,
+                blocks: window,
+                pools: [{ entity: 'ViaBTC', known: true, blocks: window, share: 1 }]
+            })
+        };
+        const rpc = { call: async () => ({ blocks: 5000000, chain: 'main' }) };
+        initializeAPI(rpc, { miningAnalyzer });
+
+        const app = express();
+        app.use('/api', router);
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    after(() => {
+        server.close();
+        initializeAPI(null);
+    });
+
+    it('updates the analyzer and returns the distribution', async () => {
+        const response = await fetch(`${baseUrl}/mining/pools?window=50`);
+        const body = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(body.data.window, 50);
+        assert.equal(body.data.pools[0].entity, 'ViaBTC');
+        assert.deepEqual(updates, [5000000]);
+    });
+
+    it('validates the window', async () => {
+        for (const window of ['0', '101', 'abc', '2.5']) {
+            const response = await fetch(`${baseUrl}/mining/pools?window=${window}`);
+            assert.equal(response.status, 400, window);
+        }
+    });
+});
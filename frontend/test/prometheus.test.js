@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+
+const PrometheusExporter = require('../src/services/prometheus');
+
+/**
+ * Creates a mock RPC service that answers the exporter's scrape calls
+ */
+function createMockRPC(overrides = {}) {
+    const rpc = new EventEmitter();
+    const responses = {
+        getblockchaininfo: { blocks: 5000000, headers: 5000002, verificationprogress: 0.9999, difficulty: 12345.5 },
+        getmempoolinfo: { size: 42, bytes: 21000 },
+        getpeerinfo: [{ inbound: true }, { inbound: false }, { inbound: false }],
+        getnetworkhashps: 750e12,
+        ...overrides
+    };
+
+    rpc.call = async (method) => {
+        if (responses[method] instanceof Error) {
+            throw responses[method];
+        }
+        return responses[method];
+    };
+    return rpc;
+}
+
+/**
+ * Creates a mock watchdog with the fields the exporter reads
+ */
+function createMockWatchdog() {
+    const watchdog = new EventEmitter();
+    watchdog.isMonitoring = true;
+    watchdog.alerts = [
+        { severity: 'HIGH', acknowledged: false },
+        { severity: 'HIGH', acknowledged: true },
+        { severity: 'CRITICAL', acknowledged: false }
+    ];
+    return watchdog;
+}
+
+describe('PrometheusExporter', () => {
+    it('exports node state as gauges', async () => {
+        const exporter = new PrometheusExporter({ rpc: createMockRPC(), collectDefaults: false });
+        const text = await exporter.getMetrics();
+
+        assert.match(text, /^dogecoin_up\{node="default"\} 1$/m);
+        assert.match(text, /^dogecoin_blocks\{node="default"\} 5000000$/m);
+        assert.match(text, /^dogecoin_headers\{node="default"\} 5000002$/m);
+        assert.match(text, /^dogecoin_verification_progress\{node="default"\} 0\.9999$/m);
+        assert.match(text, /^dogecoin_difficulty\{node="default"\} 12345\.5$/m);
+        assert.match(text, /^dogecoin_network_hashps\{node="default"\} 750000000000000$/m);
+        assert.match(text, /^dogecoin_mempool_transactions\{node="default"\} 42$/m);
+        assert.match(text, /^dogecoin_mempool_bytes\{node="default"\} 21000$/m);
+        assert.match(text, /^dogecoin_peers\{node="default",direction="inbound"\} 1$/m);
+        assert.match(text, /^dogecoin_peers\{node="default",direction="outbound"\} 2$/m);
+    });
+
+    it('reports the node as down when the scrape fails', async () => {
+        const rpc = createMockRPC({ getblockchaininfo: new Error('connection refused') });
+        const exporter = new PrometheusExporter({ rpc, collectDefaults: false });
+        const text = await exporter.getMetrics();
+
+        assert.match(text, /^dogecoin_up\{node="default"\} 0$/m);
+    });
+
+    it('records RPC latency and errors per method', async () => {
+        const rpc = createMockRPC();
+        const exporter = new PrometheusExporter({ rpc, collectDefaults: false });
+
+        rpc.emit('call', { method: 'getblock', durationMs: 20, success: true, errorCode: null });
+        rpc.emit('call', { method: 'getblock', durationMs: 3000, success: false, errorCode: -3 });
+
+        const text = await exporter.registry.metrics();
+        assert.match(text, /^dogecoin_rpc_request_duration_seconds_count\{node="default",method="getblock"\} 2$/m);
+        assert.match(text, /^dogecoin_rpc_requests_total\{node="default",method="getblock",status="success"\} 1$/m);
+        assert.match(text, /^dogecoin_rpc_errors_total\{node="default",method="getblock",code="-3"\} 1$/m);
+    });
+
+    it('counts alerts by type and severity', async () => {
+        const watchdog = createMockWatchdog();
+        const exporter = new PrometheusExporter({ rpc: createMockRPC(), watchdog, collectDefaults: false });
+
+        watchdog.emit('alert', { type: 'HASHRATE_SPIKE', severity: 'HIGH' });
+        watchdog.emit('alert', { type: 'HASHRATE_SPIKE', severity: 'HIGH' });
+
+        const text = await exporter.getMetrics();
+        assert.match(text, /^dogecoin_watchdog_alerts_total\{node="default",type="HASHRATE_SPIKE",severity="HIGH"\} 2$/m);
+        assert.match(text, /^dogecoin_watchdog_unacknowledged_alerts\{node="default",severity="HIGH"\} 1$/m);
+        assert.match(text, /^dogecoin_watchdog_unacknowledged_alerts\{node="default",severity="CRITICAL"\} 1$/m);
+        assert.match(text, /^dogecoin_watchdog_monitoring\{node="default"\} 1$/m);
+    });
+
+    it('labels every series with its node when monitoring several nodes', async () => {
+        const primary = createMockWatchdog();
+        const exporter = new PrometheusExporter({
+            nodes: [
+                { id: 'main', rpc: createMockRPC(), watchdog: primary },
+                { id: 'backup', rpc: createMockRPC({ getblockchaininfo: new Error('timeout') }), watchdog: null }
+            ],
+            collectDefaults: false
+        });
+
+        primary.emit('alert', { type: 'MEMPOOL_FLOOD', severity: 'HIGH' });
+
+        const text = await exporter.getMetrics();
+        assert.match(text, /^dogecoin_up\{node="main"\} 1$/m);
+        assert.match(text, /^dogecoin_up\{node="backup"\} 0$/m);
+        assert.match(text, /^dogecoin_blocks\{node="main"\} 5000000$/m);
+        assert.doesNotMatch(text, /^dogecoin_blocks\{node="backup"\}/m);
+        assert.match(text, /^dogecoin_watchdog_alerts_total\{node="main",type="MEMPOOL_FLOOD",severity="HIGH"\} 1$/m);
+    });
+});
@@ -0,0 +1,275 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const DogecoinWatchdog = require('../src/services/watchdog');
+const { ReorgTracker } = require('../src/services/reorgTracker');
+const { router, initializeAPI } = require('../src/routes/api');
+const { rawTransaction, transaction, serializeBlock } = require('./helpers');
+
+const SCRIPT = `76a914${'11'.repeat(20)}88ac`;
+
+/**
+ * Transaction spending output n of a funding transaction
+ */
+function spend(n) {
+    return transaction([['f'.repeat(64), n]], [[100000000 * (n + 1), SCRIPT]]);
+}
+
+/**
+ * Mock node with a rewritable best chain; stale blocks stay readable
+ */
+function createNode(tipHeight) {
+    const node = {
+        chain: [],
+        blocks: {},
+        headers: {},
+        hashBatches: 0,
+        mempool: [],
+        unreadable: new Set(),
+        mine(hash, transactions = []) {
+            const coinbase = rawTransaction([{ coinbase: '' }], [[1000000000000 + node.chain.length, SCRIPT]]);
+            node.blocks[hash] = serializeBlock([coinbase, ...transactions.map(tx => tx.hex)], { time: node.chain.length });
+            node.headers[hash] = { hash, height: node.chain.length, previousblockhash: node.chain[node.chain.length - 1] };
+            node.chain.push(hash);
+        },
+        blockchain: () => ({
+            blocks: node.chain.length - 1,
+            bestblockhash: node.chain[node.chain.length - 1],
+            initialblockdownload: false
+        }),
+        call: async (method, params = []) => {
+            if (method === 'getblockheader') {
+                return node.headers[params[0]];
+            }
+            if (method === 'getrawmempool') {
+                return node.mempool.map(tx => tx.txid);
+            }
+            if (method === 'getblockchaininfo') {
+                return node.blockchain();
+            }
+            throw new Error(`Unmocked RPC call: ${method}`);
+        },
+        callBatch: async (calls) => {
+            node.hashBatches++;
+            return calls.map(({ params: [height] }) => ({ status: 'fulfilled', value: node.chain[height] }));
+        },
+        requestBatch: async calls => calls.map(({ params: [hash] }) => (node.unreadable.has(hash)
+            ? { status: 'rejected', reason: new Error('Block not available') }
+            : { status: 'fulfilled', value: node.blocks[hash] })),
+        getChainTips: async () => []
+    };
+    for (let height = 0; height <= tipHeight; height++) {
+        node.mine(`hash-${height}`);
+    }
+    return node;
+}
+
+const [KEPT, DROPPED, RETURNED, ADDED] = [0, 1, 2, 3].map(spend);
+
+/**
+ * Replaces blocks 51-52 (holding KEPT, DROPPED and RETURNED) with three new blocks
+ */
+async function reorgAt51(node, tracker) {
+    node.mine('hash-51', [KEPT, DROPPED]);
+    node.mine('hash-52', [RETURNED]);
+    await tracker.update(node.blockchain());
+
+    node.chain.length = 51;
+    node.mine('hash-51b');
+    node.mine('hash-52b', [KEPT, ADDED]);
+    node.mine('hash-53b');
+    node.mempool = [RETURNED];
+    return tracker.update(node.blockchain());
+}
+
+describe('ReorgTracker', () => {
+    it('records nothing while the chain only grows', async () => {
+        const node = createNode(50);
+        const tracker = new ReorgTracker({ rpc: node, depth: 20 });
+
+        assert.equal(await tracker.update(node.blockchain()), null);
+        node.mine('hash-51');
+        node.mine('hash-52');
+        assert.equal(await tracker.update(), null);
+        assert.equal(tracker.history.length, 0);
+        assert.equal(tracker.chain[52], 'hash-52');
+        assert.ok(!(32 in tracker.chain));
+    });
+
+    it('adds a height without comparing the chain when the tip builds on the recorded one', async () => {
+        const node = createNode(50);
+        const tracker = new ReorgTracker({ rpc: node, depth: 20 });
+        await tracker.update(node.blockchain());
+        assert.equal(node.hashBatches, 1);
+
+        node.mine('hash-51');
+        assert.equal(await tracker.update(node.blockchain()), null);
+        assert.equal(node.hashBatches, 1);
+        assert.equal(tracker.chain[51], 'hash-51');
+        assert.equal(Object.keys(tracker.chain).length, 20);
+        assert.ok(!(31 in tracker.chain));
+    });
+
+    it('records the fork point, both branches and the transaction diff', async () => {
+        const node = createNode(50);
+        const tracker = new ReorgTracker({ rpc: node, depth: 20 });
+        const events = [];
+        tracker.on('reorg', reorg => events.push(reorg));
+        await tracker.update(node.blockchain());
+
+        const reorg = await reorgAt51(node, tracker);
+
+        assert.deepEqual(events, [reorg]);
+        assert.equal(reorg.id, 'hash-51');
+        assert.deepEqual([reorg.forkHeight, reorg.forkHash, reorg.depth, reorg.complete], [50, 'hash-50', 2, true]);
+        assert.deepEqual(reorg.oldTip, { hash: 'hash-52', height: 52 });
+        assert.deepEqual(reorg.newTip, { hash: 'hash-53b', height: 53 });
+        assert.deepEqual(reorg.orphaned, [{ hash: 'hash-51', height: 51, txCount: 2 }, { hash: 'hash-52', height: 52, txCount: 1 }]);
+        assert.deepEqual(reorg.replacement.map(block => block.hash), ['hash-51b', 'hash-52b', 'hash-53b']);
+
+        const { transactions } = reorg;
+        assert.deepEqual([transactions.droppedCount, transactions.movedCount, transactions.addedCount], [2, 1, 1]);
+        assert.deepEqual(transactions.dropped, [
+            { txid: DROPPED.txid, blockHash: 'hash-51', height: 51, inMempool: false },
+            { txid: RETURNED.txid, blockHash: 'hash-52', height: 52, inMempool: true }
+        ]);
+        assert.deepEqual(transactions.moved, [{ txid: KEPT.txid, from: { hash: 'hash-51', height: 51 }, to: { hash: 'hash-52b', height: 52 } }]);
+        assert.equal(tracker.get('hash-51'), reorg);
+        assert.equal(tracker.findByOrphanedTip('hash-52'), reorg);
+    });
+
+    it('saves right away only when a reorg is recorded', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reorgs-'));
+        const filePath = path.join(dir, 'reorgs.json');
+        try {
+            const node = createNode(50);
+            const tracker = new ReorgTracker({ rpc: node, depth: 20, filePath });
+            await tracker.update(node.blockchain());
+            const saved = () => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            assert.equal(saved().tipHash, 'hash-50');
+
+            node.mine('hash-51');
+            await tracker.update(node.blockchain());
+            assert.equal(saved().tipHash, 'hash-50');
+
+            node.chain.length = 51;
+            node.mine('hash-51b');
+            await tracker.update(node.blockchain());
+            assert.equal(saved().tipHash, 'hash-51b');
+            assert.equal(new ReorgTracker({ rpc: node, filePath }).load().history.length, 1);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('marks the reorg incomplete when an orphaned block cannot be read', async () => {
+        const node = createNode(50);
+        const tracker = new ReorgTracker({ rpc: node, depth: 20 });
+        await tracker.update(node.blockchain());
+        node.unreadable.add('hash-52');
+
+        const reorg = await reorgAt51(node, tracker);
+        assert.equal(reorg.complete, false);
+        assert.equal(reorg.orphaned[1].txCount, null);
+        assert.equal(reorg.transactions.droppedCount, 1);
+    });
+});
+
+describe('chain-reorganizations detector', () => {
+    it('attaches the recorded reorg to a deep fork alert', async () => {
+        const node = createNode(50);
+        const tracker = new ReorgTracker({ rpc: node, depth: 20 });
+        node.getChainTips = async () => [
+            { status: 'active', branchlen: 0, hash: node.chain[node.chain.length - 1] },
+            ...(tracker.history.length > 0 ? [{ status: 'valid-fork', branchlen: 6, hash: 'hash-52' }] : [])
+        ];
+        const watchdog = new DogecoinWatchdog(node, { reorgTracker: tracker });
+        watchdog.baselines.avgBlockTime = 60;
+        const run = async () => {
+            await watchdog.updateTrackers(node.blockchain());
+            return watchdog.runDetector('chain-reorganizations', { blockchain: node.blockchain(), timestamp: new Date().toISOString() });
+        };
+
+        assert.deepEqual(await run(), []);
+        node.mine('hash-51', [KEPT]);
+        node.mine('hash-52');
+        await run();
+        node.chain.length = 51;
+        node.mine('hash-51b');
+        node.mine('hash-52b');
+        node.mine('hash-53b');
+
+        const [finding] = await run();
+        assert.equal(finding.type, 'DEEP_REORGANIZATION');
+        assert.equal(finding.data.reorg.id, 'hash-51');
+        assert.equal(finding.data.reorg.transactions.droppedCount, 1);
+    });
+
+    it('records reorgs while the detector is disabled', async () => {
+        const node = createNode(50);
+        const rpc = { ...node, call: async (method, params) => (['getnetworkinfo', 'getmempoolinfo', 'getpeerinfo'].includes(method) ? {} : node.call(method, params)) };
+        const tracker = new ReorgTracker({ rpc, depth: 20 });
+        const watchdog = new DogecoinWatchdog(rpc, { reorgTracker: tracker });
+        watchdog.analyzeSecurityThreats = async () => {};
+        watchdog.configureDetectors({ 'chain-reorganizations': { enabled: false } });
+        watchdog.isMonitoring = true;
+
+        await watchdog.performSecurityChecks();
+        node.mine('hash-51');
+        node.mine('hash-52');
+        await watchdog.performSecurityChecks();
+        node.chain.length = 51;
+        node.mine('hash-51b');
+        await watchdog.performSecurityChecks();
+
+        assert.equal(tracker.history.length, 1);
+        assert.equal(tracker.history[0].id, 'hash-51');
+    });
+});
+
+describe('GET /api/reorgs', () => {
+    let server;
+    let baseUrl;
+    let tracker;
+
+    before(async () => {
+        const app = express();
+        app.use('/api', router);
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+        const node = createNode(50);
+        tracker = new ReorgTracker({ rpc: node, depth: 20 });
+        await tracker.update(node.blockchain());
+        await reorgAt51(node, tracker);
+        initializeAPI(node, { reorgTracker: tracker });
+    });
+
+    after(() => {
+        server.close();
+        initializeAPI(null);
+    });
+
+    it('pages through the history and returns single reorgs', async () => {
+        const list = await (await fetch(`${baseUrl}/reorgs?limit=5`)).json();
+        assert.deepEqual([list.data.total, list.data.reorgs.length, list.data.trackedDepth], [1, 1, 20]);
+        assert.equal(list.data.reorgs[0].forkHeight, 50);
+
+        const single = await fetch(`${baseUrl}/reorgs/hash-51`);
+        assert.equal(single.status, 200);
+        assert.equal((await single.json()).data.depth, 2);
+        assert.equal((await fetch(`${baseUrl}/reorgs/hash-99`)).status, 404);
+    });
+
+    it('reports when the history is unavailable', async () => {
+        initializeAPI(createNode(1));
+        const response = await fetch(`${baseUrl}/reorgs`);
+        assert.equal(response.status, 503);
+        initializeAPI(createNode(1), { reorgTracker: tracker });
+    });
+});
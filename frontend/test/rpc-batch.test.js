@@ -0,0 +1,169 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { DogecoinRPCService, RPCError } = require('../src/services/rpc');
+
+/**
+ * Starts a fake Dogecoin node answering JSON-RPC (batch) requests from an in-memory chain
+ * Batch responses are returned in reverse order to check they are matched by id.
+ */
+async function startNode(chain) {
+    const node = { chain, requests: [] };
+
+    const answer = ({ id, method, params }) => {
+        const height = typeof params[0] === 'number' ? params[0] : chain.indexOf(params[0]);
+
+        switch (method) {
+            case 'getbestblockhash':
+                return { id, result: chain[chain.length - 1], error: null };
+            case 'getblockheader':
+                return { id, result: { hash: params[0], height }, error: null };
+            case 'getblockhash':
+                if (height < 0 || height >= chain.length) {
+                    return { id, result: null, error: { code: -8, message: 'Block height out of range' } };
+                }
+                return { id, result: chain[height], error: null };
+            case 'getblock':
+                return { id, result: { hash: params[0], height, confirmations: chain.length - height, time: 1000 + height * 60, tx: ['cb'] }, error: null };
+            default:
+                return { id, result: null, error: { code: -32601, message: 'Method not found' } };
+        }
+    };
+
+    node.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            const payload = JSON.parse(body);
+            node.requests.push(payload);
+            const response = Array.isArray(payload) ? payload.map(answer).reverse() : answer(payload);
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(response));
+        });
+    });
+
+    node.server.listen(0, '127.0.0.1');
+    await new Promise(resolve => node.server.once('listening', resolve));
+    return node;
+}
+
+/**
+ * Creates an RPC service pointed at a fake node
+ */
+function createService(node, cache = { enabled: false }) {
+    return new DogecoinRPCService({
+        host: '127.0.0.1',
+        port: node.server.address().port,
+        username: 'user',
+        password: 'pass',
+        cache
+    });
+}
+
+/**
+ * Batch requests received by a fake node
+ */
+function batchRequests(node) {
+    return node.requests.filter(payload => Array.isArray(payload));
+}
+
+describe('RPC batch calls', () => {
+    let node;
+
+    beforeEach(async () => {
+        node = await startNode(Array.from({ length: 200 }, (_, height) => `h${height}`));
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => node.server.close(resolve));
+    });
+
+    it('sends one request and returns outcomes in call order', async () => {
+        const service = createService(node);
+
+        const outcomes = await service.callBatch([
+            { method: 'getblockhash', params: [5] },
+            { method: 'getblockhash', params: [500] },
+            { method: 'getblockhash', params: [7] }
+        ]);
+
+        assert.equal(node.requests.length, 1);
+        assert.deepEqual(outcomes[0], { status: 'fulfilled', value: 'h5' });
+        assert.deepEqual(outcomes[2], { status: 'fulfilled', value: 'h7' });
+
+        const { reason } = outcomes[1];
+        assert.equal(outcomes[1].status, 'rejected');
+        assert.ok(reason instanceof RPCError);
+        assert.equal(reason.code, -8);
+        assert.equal(reason.method, 'getblockhash');
+    });
+
+    it('emits a call event per batched call', async () => {
+        const service = createService(node);
+        const events = [];
+        service.on('call', event => events.push(event));
+
+        await service.callBatch([
+            { method: 'getblockhash', params: [1] },
+            { method: 'nosuchmethod' }
+        ]);
+
+        assert.deepEqual(events.map(e => [e.method, e.success, e.errorCode]), [
+            ['getblockhash', true, null],
+            ['nosuchmethod', false, -32601]
+        ]);
+    });
+
+    it('fetches a 100-block range in two round trips', async () => {
+        const service = createService(node);
+        const heights = Array.from({ length: 100 }, (_, i) => 199 - i);
+
+        const outcomes = await service.getBlocksByHeight(heights);
+
+        assert.equal(node.requests.length, 2);
+        assert.equal(outcomes.length, 100);
+        assert.equal(outcomes[0].value.hash, 'h199');
+        assert.equal(outcomes[99].value.height, 100);
+    });
+
+    it('keeps failed heights in place when fetching blocks', async () => {
+        const service = createService(node);
+
+        const outcomes = await service.getBlocksByHeight([199, 250, 198]);
+
+        assert.deepEqual(outcomes.map(o => o.status), ['fulfilled', 'rejected', 'fulfilled']);
+        assert.equal(outcomes[2].value.hash, 'h198');
+        assert.equal(batchRequests(node)[1].length, 2);
+    });
+
+    it('only batches calls the cache cannot answer', async () => {
+        const service = createService(node, { enabled: true, tipCheckInterval: 60000 });
+
+        await service.call('getblock', ['h10']);
+        const outcomes = await service.callBatch([
+            { method: 'getblock', params: ['h10'] },
+            { method: 'getblock', params: ['h11'] }
+        ]);
+
+        assert.equal(outcomes[0].value.hash, 'h10');
+        assert.equal(outcomes[1].value.hash, 'h11');
+        assert.deepEqual(batchRequests(node)[0].map(payload => payload.params[0]), ['h11']);
+
+        await service.callBatch([{ method: 'getblock', params: ['h11'] }]);
+        assert.equal(batchRequests(node).length, 1);
+        assert.equal(service.getCacheStats().hits, 2);
+    });
+
+    it('rejects with an RPCError when the node cannot be reached', async () => {
+        const service = createService(node);
+        service.rpcUrl = 'http://127.0.0.1:1';
+
+        await assert.rejects(
+            service.callBatch([{ method: 'getblockhash', params: [1] }]),
+            error => error instanceof RPCError && error.method === 'batch'
+        );
+    });
+});
@@ -0,0 +1,229 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DogecoinRPCService } = require('../src/services/rpc');
+
+/**
+ * Creates an RPC service whose requests are answered from an in-memory chain
+ */
+function createService(cacheOptions = {}) {
+    const service = new DogecoinRPCService({ cache: { enabled: true, tipCheckInterval: 0, ...cacheOptions } });
+    const node = {
+        chain: ['h0', 'h1', 'h2', 'h3'],
+        transactions: { t1: 'h1' }, // txid -> block hash
+        offline: false,
+        requests: []
+    };
+
+    service.request = async (method, params = []) => {
+        node.requests.push(method);
+        const { chain } = node;
+        const height = chain.indexOf(params[0]);
+
+        switch (method) {
+            case 'getbestblockhash':
+                if (node.offline) {
+                    throw new Error('connect ECONNREFUSED');
+                }
+                return chain[chain.length - 1];
+            case 'getrawtransaction': {
+                const blockHeight = chain.indexOf(node.transactions[params[0]]);
+                return { txid: params[0], blockhash: node.transactions[params[0]], confirmations: blockHeight === -1 ? 0 : chain.length - blockHeight };
+            }
+            case 'getblockheader':
+                return { hash: params[0], height, previousblockhash: chain[height - 1] };
+            case 'getblockcount':
+                return chain.length - 1;
+            case 'getblock':
+                return { hash: params[0], height, confirmations: chain.length - height, nextblockhash: chain[height + 1] };
+            case 'getchaintips':
+                return [{ height: chain.length - 1, hash: chain[chain.length - 1], branchlen: 0, status: 'active' }];
+            case 'getpeerinfo':
+                await new Promise(resolve => setTimeout(resolve, 10));
+                return [{ id: 1 }];
+            default:
+                throw new Error(`Unexpected method ${method}`);
+        }
+    };
+
+    return { service, node };
+}
+
+/**
+ * Counts requests for one method
+ */
+function countRequests(node, method) {
+    return node.requests.filter(m => m === method).length;
+}
+
+describe('RPC response cache', () => {
+    it('serves blocks by hash from the cache', async () => {
+        const { service, node } = createService();
+
+        await service.call('getblock', ['h1']);
+        const block = await service.call('getblock', ['h1']);
+
+        assert.equal(block.hash, 'h1');
+        assert.equal(countRequests(node, 'getblock'), 1);
+
+        const stats = service.getCacheStats();
+        assert.equal(stats.hits, 1);
+        assert.equal(stats.misses, 1);
+        assert.equal(stats.byMethod.getblock.hits, 1);
+    });
+
+    it('returns copies so callers cannot modify cached results', async () => {
+        const { service } = createService();
+
+        const first = await service.call('getblock', ['h1']);
+        first.hash = 'mutated';
+
+        assert.equal((await service.call('getblock', ['h1'])).hash, 'h1');
+    });
+
+    it('invalidates height-dependent results when the best block changes', async () => {
+        const { service, node } = createService();
+
+        assert.equal(await service.call('getblockcount'), 3);
+        assert.equal(await service.call('getblockcount'), 3);
+        assert.equal(countRequests(node, 'getblockcount'), 1);
+
+        node.chain.push('h4');
+        assert.equal(await service.call('getblockcount'), 4);
+        assert.equal(countRequests(node, 'getblockcount'), 2);
+        assert.equal(service.getCacheStats().invalidations, 1);
+    });
+
+    it('never caches chain tips, which change without a new best block', async () => {
+        const { service, node } = createService();
+
+        await service.call('getchaintips');
+        await service.call('getchaintips');
+
+        assert.equal(countRequests(node, 'getchaintips'), 2);
+    });
+
+    it('does not re-check the best block while the last check is fresh', async () => {
+        const { service, node } = createService({ tipCheckInterval: 60000 });
+
+        await service.call('getblockcount');
+        await service.call('getblockcount');
+        await service.call('getblockcount');
+
+        assert.equal(countRequests(node, 'getbestblockhash'), 1);
+    });
+
+    it('advances confirmations of cached blocks as the chain grows', async () => {
+        const { service, node } = createService();
+
+        await service.call('getblock', ['h3']); // tip, no nextblockhash yet
+        await service.call('getblock', ['h1']);
+        node.chain.push('h4');
+
+        const block = await service.call('getblock', ['h1']);
+        assert.equal(block.confirmations, 4);
+        assert.equal(countRequests(node, 'getblock'), 2);
+
+        // The old tip must be refetched to learn its nextblockhash
+        const oldTip = await service.call('getblock', ['h3']);
+        assert.equal(oldTip.nextblockhash, 'h4');
+        assert.equal(countRequests(node, 'getblock'), 3);
+    });
+
+    it('drops verbose block entries after a reorg', async () => {
+        const { service, node } = createService();
+
+        await service.call('getblock', ['h1']);
+        await service.call('getblock', ['h1']);
+
+        node.chain = ['h0', 'h1', 'h2', 'x3'];
+        await service.call('getblock', ['h1']);
+
+        assert.equal(countRequests(node, 'getblock'), 2);
+        assert.equal(service.getCacheStats().reorgs, 1);
+    });
+
+    it('does not serve confirmations while the tip is unknown', async () => {
+        const { service, node } = createService();
+
+        assert.equal((await service.call('getrawtransaction', ['t1', true])).confirmations, 3);
+        node.offline = true;
+        assert.equal((await service.call('getrawtransaction', ['t1', true])).confirmations, 3);
+        assert.equal(countRequests(node, 'getrawtransaction'), 2);
+    });
+
+    it('detects a reorg that happened while the tip was unknown', async () => {
+        const { service, node } = createService();
+
+        await service.call('getrawtransaction', ['t1', true]);
+        node.offline = true;
+        await service.call('getblockcount');
+
+        node.chain = ['h0', 'x1', 'x2', 'x3', 'x4'];
+        node.offline = false;
+        const tx = await service.call('getrawtransaction', ['t1', true]);
+
+        assert.equal(tx.confirmations, 0);
+        assert.equal(countRequests(node, 'getrawtransaction'), 2);
+    });
+
+    it('keeps results outside the active chain only until the tip changes', async () => {
+        const { service, node } = createService();
+        const request = service.request;
+        service.request = async (method, params) => {
+            if (method === 'getblock' && params[0] === 'stale') {
+                node.requests.push(method);
+                return { hash: 'stale', height: 2, confirmations: -1 };
+            }
+            return request(method, params);
+        };
+
+        await service.call('getblock', ['stale']);
+        await service.call('getblock', ['stale']);
+        assert.equal(countRequests(node, 'getblock'), 1);
+
+        node.chain.push('h4');
+        await service.call('getblock', ['stale']);
+        assert.equal(countRequests(node, 'getblock'), 2);
+    });
+
+    it('coalesces identical concurrent calls', async () => {
+        const { service, node } = createService();
+
+        const [a, b] = await Promise.all([service.call('getpeerinfo'), service.call('getpeerinfo')]);
+
+        assert.deepEqual(a, b);
+        assert.notEqual(a, b);
+        assert.equal(countRequests(node, 'getpeerinfo'), 1);
+        assert.equal(service.getCacheStats().coalesced, 1);
+
+        // Volatile methods are not cached once the request completes
+        await service.call('getpeerinfo');
+        assert.equal(countRequests(node, 'getpeerinfo'), 2);
+    });
+
+    it('does not cache failed calls', async () => {
+        const { service, node } = createService();
+        const request = service.request;
+        service.request = async (method, params) => {
+            if (method === 'getblock' && countRequests(node, 'getblock') === 0) {
+                node.requests.push(method);
+                throw new Error('timeout');
+            }
+            return request(method, params);
+        };
+
+        await assert.rejects(() => service.call('getblock', ['h1']), /timeout/);
+        assert.equal((await service.call('getblock', ['h1'])).hash, 'h1');
+    });
+
+    it('passes calls straight through when disabled', async () => {
+        const { service, node } = createService({ enabled: false });
+
+        await service.call('getblock', ['h1']);
+        await service.call('getblock', ['h1']);
+
+        assert.equal(countRequests(node, 'getblock'), 2);
+        assert.deepEqual(service.getCacheStats(), { enabled: false });
+    });
+});
@@ -141,6 +141,49 @@ describe('DogecoinRPCService', () => {
                 else delete process.env.DOGECOIN_RPC_PASS;
             }
         });
+
+        it('emits a call event describing the failure', async () => {
+            const origPath = config.rpc.cookiePath;
+            config.rpc.cookiePath = tmpCookiePath;
+            fs.writeFileSync(tmpCookiePath, 'testuser:testpass');
+
+            const events = [];
+            service.on('call', (event) => events.push(event));
+
+            try {
+                await assert.rejects(() => service.call('getblockcount', [], 1000), RPCError);
+            } finally {
+                config.rpc.cookiePath = origPath;
+            }
+
+            // The response cache checks the best block first
+            const event = events.find(e => e.method === 'getblockcount');
+            assert.ok(event);
+            assert.equal(event.success, false);
+            assert.ok(event.durationMs >= 0);
+            assert.ok([-1, -2, -3, -99].includes(event.errorCode));
+        });
+    });
+
+    describe('toRPCError', () => {
+        it('keeps the error the node reports along with an HTTP error status', () => {
+            const error = Object.assign(new Error('Request failed with status code 500'), {
+                response: { status: 500, data: { result: null, error: { code: -5, message: 'Block not found' } } }
+            });
+
+            const rpcError = service.toRPCError(error, 'getblock');
+            assert.equal(rpcError.code, -5);
+            assert.equal(rpcError.message, 'Block not found');
+            assert.equal(rpcError.method, 'getblock');
+        });
+
+        it('reports an HTTP 500 without an error body as the node starting up', () => {
+            const error = Object.assign(new Error('Request failed with status code 500'), {
+                response: { status: 500, data: '' }
+            });
+
+            assert.equal(service.toRPCError(error, 'getblock').code, 500);
+        });
     });
 
     describe('callWithRetry (error paths)', () => {
@@ -2,7 +2,7 @@ const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
 
 // These middleware functions don't make network calls, so we can require them directly.
-const { validateInput, securityHeaders } = require('../src/middleware/security');
+const { validateInput, securityHeaders, identifyRequester } = require('../src/middleware/security');
 
 /**
  * Creates a mock Express request
@@ -215,3 +215,28 @@ describe('securityHeaders middleware', () => {
         });
     });
 });
+
+describe('identifyRequester', () => {
+    const proxied = (remoteAddress, headers) => mockRequest({
+        ip: '198.51.100.4',
+        socket: { remoteAddress },
+        headers: { 'X-Forwarded-User': 'alice', ...headers }
+    });
+
+    it('ignores X-Forwarded-User from an untrusted peer', () => {
+        const actor = identifyRequester(proxied('::ffff:203.0.113.7'), { trustedProxies: ['10.0.0.2'], proxySecret: 'secret' });
+        assert.deepEqual(actor, { user: null, authenticated: false, ip: '203.0.113.7', userAgent: 'test-agent' });
+    });
+
+    it('believes a trusted proxy address', () => {
+        const actor = identifyRequester(proxied('::ffff:10.0.0.2'), { trustedProxies: ['10.0.0.2'], proxySecret: null });
+        assert.deepEqual(actor, { user: 'alice', authenticated: true, ip: '198.51.100.4', userAgent: 'test-agent' });
+    });
+
+    it('believes the shared proxy secret and nothing close to it', () => {
+        const options = { trustedProxies: [], proxySecret: 'secret' };
+        assert.equal(identifyRequester(proxied('203.0.113.7', { 'X-Proxy-Secret': 'secret' }), options).user, 'alice');
+        assert.equal(identifyRequester(proxied('203.0.113.7', { 'X-Proxy-Secret': 'secret2' }), options).user, null);
+        assert.equal(identifyRequester(proxied('203.0.113.7', { 'X-Proxy-Secret': 'secret' }), { trustedProxies: [] }).user, null);
+    });
+});
@@ -0,0 +1,142 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DogecoinWatchdog = require('../src/services/watchdog');
+const { SelfishMiningDetector, poissonTail } = require('../src/services/selfishMiningDetector');
+
+const START_TIME = 1700000000;
+
+/**
+ * Builds block records (oldest first) from a list of entities, one minute apart
+ */
+function buildRecords(entities, startHeight = 1000) {
+    return entities.map((entity, i) => ({
+        height: startHeight + i,
+        hash: `${startHeight + i}`.padStart(64, '0'),
+        time: START_TIME + i * 60,
+        entity
+    }));
+}
+
+/**
+ * Creates a mining analyzer stand-in serving fixed records
+ */
+function createAnalyzer(records) {
+    return {
+        window: records.length,
+        async update() {},
+        getBlocks: () => [...records].reverse(),
+        getDistribution: () => {
+            const counts = new Map();
+            records.forEach(record => counts.set(record.entity, (counts.get(record.entity) || 0) + 1));
+            return {
+                window: records.length,
+                blocks: records.length,
+                pools: [...counts.entries()].map(([entity, blocks]) => ({ entity, blocks, share: blocks / records.length }))
+            };
+        }
+    };
+}
+
+/**
+ * Creates a detector over fixed records and chain tips
+ */
+function createDetector(records, chainTips = []) {
+    return new SelfishMiningDetector({
+        miningAnalyzer: createAnalyzer(records),
+        rpc: { getChainTips: async () => chainTips },
+        minRun: 4
+    });
+}
+
+/**
+ * Alternates pools so that no pool mines two blocks in a row
+ */
+function honestEntities(count) {
+    const pools = ['/PoolA/', '/PoolB/', '/PoolC/', '/PoolD/'];
+    return Array.from({ length: count }, (_, i) => pools[i % pools.length]);
+}
+
+const now = START_TIME + 100 * 60;
+
+describe('SelfishMiningDetector', () => {
+    it('reports nothing for well-mixed blocks', async () => {
+        const suspects = await createDetector(buildRecords(honestEntities(100))).analyze({ blocks: 1099 }, now);
+        assert.deepEqual(suspects, []);
+    });
+
+    it('scores runs of consecutive blocks against the pool share', async () => {
+        const entities = honestEntities(100);
+        entities.fill('/PoolA/', 50, 59);
+        const suspects = await createDetector(buildRecords(entities)).analyze({ blocks: 1099 }, now);
+
+        const [suspect] = suspects;
+        assert.equal(suspect.entity, '/PoolA/');
+        assert.equal(suspect.signals[0].signal, 'consecutive-blocks');
+        assert.ok(suspect.confidence > 0.95, `confidence ${suspect.confidence}`);
+        assert.deepEqual(suspect.blocks.map(block => block.height), [1050, 1051, 1052, 1053, 1054, 1055, 1056, 1057, 1058]);
+    });
+
+    it('flags timestamps at the median-time floor, before the parent or in the future', async () => {
+        const records = buildRecords(honestEntities(30));
+        // The median of the previous 11 blocks is the time of block 1014
+        records[20].time = records[14].time + 2;
+        records[25].time = records[23].time - 120;
+        records[29].time = now + 1800;
+
+        const suspects = await createDetector(records).analyze({ blocks: 1029 }, now);
+        const signals = suspects.flatMap(suspect => suspect.signals.map(signal => [signal.signal, signal.blocks[0].height, signal.confidence]));
+
+        assert.deepEqual(signals.sort(), [
+            ['timestamp-at-median-floor', 1020, 0.9],
+            ['timestamp-before-parent', 1025, 0.2],
+            ['timestamp-in-future', 1029, 0.99]
+        ]);
+    });
+
+    it('attributes stale-tip races to the pool whose block won', async () => {
+        const records = buildRecords(honestEntities(100));
+        const chainTips = [
+            { height: 1099, hash: records[99].hash, branchlen: 0, status: 'active' },
+            ...[4, 20, 36, 52].map(index => ({ height: 1000 + index, hash: `stale${index}`, branchlen: 1, status: 'valid-fork' })),
+            { height: 900, hash: 'ancient', branchlen: 1, status: 'valid-fork' }
+        ];
+
+        const [suspect] = await createDetector(records, chainTips).analyze({ blocks: 1099 }, now);
+
+        assert.equal(suspect.entity, '/PoolA/');
+        assert.equal(suspect.signals[0].signal, 'stale-tip-races');
+        assert.equal(suspect.blocks.length, 4);
+        assert.equal(suspect.signals[0].blocks[0].staleTip.hash, 'stale4');
+        assert.ok(suspect.confidence > 0.95, `confidence ${suspect.confidence}`);
+    });
+
+    it('computes Poisson tails', () => {
+        assert.equal(poissonTail(0, 2), 1);
+        assert.ok(Math.abs(poissonTail(1, 2) - (1 - Math.exp(-2))) < 1e-12);
+    });
+});
+
+describe('Selfish mining detector', () => {
+    const currentData = { blockchain: { blocks: 1099, initialblockdownload: false } };
+
+    it('alerts on confident suspects and resolves them later', async () => {
+        const records = buildRecords(honestEntities(100));
+        records.splice(50, 9, ...buildRecords(Array(9).fill('/PoolA/'), 1050));
+        // 1530s ahead of the clock: 85% confidence
+        records[61].time = Math.floor(Date.now() / 1000) + 1530;
+
+        const watchdog = new DogecoinWatchdog({ call: async () => null, getChainTips: async () => [] }, {
+            miningAnalyzer: createAnalyzer(records)
+        });
+
+        await watchdog.runDetector('selfish-mining', currentData);
+        const raised = watchdog.getRecentAlerts().filter(alert => alert.type === 'SELFISH_MINING');
+        assert.deepEqual(raised.map(alert => [alert.data.entity, alert.severity]).sort(), [['/PoolA/', 'CRITICAL'], ['/PoolB/', 'HIGH']]);
+        assert.equal(raised.find(alert => alert.data.entity === '/PoolB/').data.blocks.length, 1);
+
+        records.splice(0, records.length, ...buildRecords(honestEntities(100)));
+        await watchdog.runDetector('selfish-mining', currentData);
+        assert.ok(watchdog.getRecentAlerts().every(alert => alert.status === 'resolved'));
+    });
+});
@@ -0,0 +1,151 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DogecoinWatchdog = require('../src/services/watchdog');
+const { SpamClassifier } = require('../src/services/spamClassifier');
+const { MempoolSampler } = require('../src/services/mempoolSampler');
+const { SpendTracker } = require('../src/services/spendTracker');
+const { rawTransaction } = require('./helpers');
+
+const SPAM_SCRIPT = `76a914${'11'.repeat(20)}88ac`;
+const DUST_SCRIPT = `76a914${'22'.repeat(20)}88ac`;
+const FUNDING = 'f'.repeat(64);
+
+const PARAMETERS = { dustLimit: 0.01, lowFeeRate: 0.01, minRepeats: 20, minTransactions: 20 };
+
+/**
+ * Txid of the n-th transaction of a group
+ */
+function txid(prefix, n) {
+    return `${prefix}${n.toString(16).padStart(64 - prefix.length, '0')}`;
+}
+
+/**
+ * A mempool with a 30-transaction low-fee dust chain from one funding txid,
+ * 25 unrelated transactions paying dust to one address and 10 normal ones
+ */
+function buildMempool() {
+    const entries = {};
+    const raw = {};
+    const add = (id, entry, hex) => {
+        entries[id] = { size: 200, time: 1700000000, depends: [], ...entry };
+        raw[id] = hex;
+    };
+
+    for (let n = 0; n < 30; n++) {
+        const parent = n === 0 ? FUNDING : txid('a', n - 1);
+        add(txid('a', n), { fee: 0.0002, depends: n === 0 ? [] : [parent] },
+            rawTransaction([[parent, 1]], [[100000, SPAM_SCRIPT], [900000000, SPAM_SCRIPT]]));
+    }
+    for (let n = 0; n < 25; n++) {
+        add(txid('b', n), { fee: 0.01 }, rawTransaction([[txid('c', n), 0]], [[50000, DUST_SCRIPT], [500000000, `76a914${n.toString(16).padStart(40, '0')}88ac`]]));
+    }
+    for (let n = 0; n < 10; n++) {
+        add(txid('d', n), { fee: 0.01 }, rawTransaction([[txid('e', n), 0]], [[0, '6a0568656c6c6f'], [700000000, `76a914${'33'.repeat(20)}88ac`]]));
+    }
+    return { entries, raw };
+}
+
+/**
+ * Mock RPC serving a mempool and counting mempool reads and fetched raw transactions
+ */
+function createMempoolRPC(mempool) {
+    const rpc = {
+        reads: 0,
+        fetched: 0,
+        call: async (method) => {
+            if (method === 'getrawmempool') {
+                rpc.reads++;
+                return mempool.entries;
+            }
+            throw new Error(`Unmocked RPC call: ${method}`);
+        },
+        requestBatch: async (calls) => {
+            rpc.fetched += calls.length;
+            return calls.map(({ params: [id] }) => (mempool.raw[id]
+                ? { status: 'fulfilled', value: mempool.raw[id] }
+                : { status: 'rejected', reason: new Error('No such mempool transaction') }));
+        }
+    };
+    return rpc;
+}
+
+describe('SpamClassifier', () => {
+    it('groups dust, low-fee chains and repeated scripts into campaigns', async () => {
+        const rpc = createMempoolRPC(buildMempool());
+        const classifier = new SpamClassifier({ sampler: new MempoolSampler({ rpc, batchSize: 16 }) });
+        assert.deepEqual(await classifier.update(), { transactions: 65, decoded: 65, pending: 0 });
+
+        const { campaigns, bytes } = classifier.classify(PARAMETERS);
+        assert.equal(bytes, 65 * 200);
+        assert.equal(campaigns.length, 2);
+
+        const [chain, dust] = campaigns;
+        assert.equal(chain.id, `funding:${FUNDING}`);
+        assert.match(chain.name, /^chain funded by ffffffffffffffff/);
+        assert.equal(chain.txCount, 30);
+        assert.equal(chain.byteShare, 30 / 65);
+        assert.deepEqual(chain.signatures, ['dust-outputs', 'repeated-scripts', 'low-fee-chain']);
+        assert.deepEqual(chain.fundingTxids, [{ txid: FUNDING, count: 30 }]);
+        assert.equal(chain.exampleTxids.length, 5);
+
+        assert.match(dust.id, /^script:/);
+        assert.match(dust.name, /^outputs to D/);
+        assert.equal(dust.txCount, 25);
+        assert.equal(dust.dustOutputs, 25);
+        assert.deepEqual(dust.signatures, ['dust-outputs', 'repeated-scripts']);
+    });
+
+    it('decodes each transaction once and forgets confirmed ones', async () => {
+        const mempool = buildMempool();
+        const rpc = createMempoolRPC(mempool);
+        const classifier = new SpamClassifier({ sampler: new MempoolSampler({ rpc, maxAge: 0 }) });
+
+        assert.equal((await classifier.update(40)).pending, 25);
+        await classifier.update(40);
+        assert.equal(rpc.fetched, 65);
+
+        for (let n = 0; n < 30; n++) {
+            delete mempool.entries[txid('a', n)];
+        }
+        await classifier.update();
+        assert.equal(classifier.sampler.transactions.size, 35);
+        assert.equal(classifier.classify(PARAMETERS).campaigns.length, 1);
+    });
+
+    it('shares one read and decoding of the mempool with the spend tracker', async () => {
+        const rpc = createMempoolRPC(buildMempool());
+        const sampler = new MempoolSampler({ rpc });
+        const classifier = new SpamClassifier({ sampler });
+        const tracker = new SpendTracker({ rpc, sampler });
+
+        await classifier.update();
+        await tracker.syncMempool(5000, Date.now(), []);
+
+        assert.equal(rpc.reads, 1);
+        assert.equal(rpc.fetched, 65);
+        assert.equal(tracker.mempoolTxids.size, 65);
+        assert.equal(classifier.classify(PARAMETERS).decoded, 65);
+    });
+});
+
+describe('mempool-spam detector', () => {
+    it('alerts per campaign with its size, share and examples', async () => {
+        const watchdog = new DogecoinWatchdog(createMempoolRPC(buildMempool()));
+        watchdog.configureDetectors({ 'mempool-spam': { parameters: { minTransactions: 20, highByteShare: 0.4 } } });
+
+        const findings = await watchdog.runDetector('mempool-spam', {
+            blockchain: { blocks: 100, chain: 'main', initialblockdownload: false },
+            mempool: { size: 65 },
+            timestamp: new Date().toISOString()
+        });
+
+        assert.equal(findings.length, 2);
+        assert.equal(findings[0].type, 'MEMPOOL_SPAM');
+        assert.equal(findings[0].severity, 'HIGH');
+        assert.equal(findings[1].severity, 'MEDIUM');
+        assert.equal(findings[0].data.txCount, 30);
+        assert.match(findings[0].message, /30 transactions, 46\.2% of mempool bytes .*e\.g\. a0+/);
+        assert.equal(watchdog.openAlerts.size, 2);
+    });
+});
@@ -0,0 +1,193 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const express = require('express');
+
+const config = require('../src/config');
+const DogecoinWatchdog = require('../src/services/watchdog');
+const { ThresholdSettings } = require('../src/services/thresholdSettings');
+const { router: watchdogRoutes, initializeWatchdog } = require('../src/routes/watchdog');
+
+const DEFAULTS = {
+    hashRateSpike: 5,
+    hashRateDrop: 0.3,
+    blockTimeAnomaly: 3,
+    difficultySpike: 3,
+    mempoolFlood: 10000,
+    lowNodeCount: 5,
+    orphanBlockThreshold: 5,
+    poolConcentration: 0.4
+};
+
+/**
+ * Sends a JSON request against a local server and parses the JSON response
+ */
+function requestJSON(server, method, urlPath, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            port: server.address().port,
+            path: urlPath,
+            method,
+            headers: { 'Content-Type': 'application/json', ...headers }
+        }, (res) => {
+            let text = '';
+            res.on('data', chunk => {
+                text += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+        });
+        req.on('error', reject);
+        req.end(body ? JSON.stringify(body) : '');
+    });
+}
+
+describe('ThresholdSettings', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'doge-thresholds-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const createSettings = () => new ThresholdSettings({
+        defaults: DEFAULTS,
+        filePath: path.join(tmpDir, 'thresholds.json'),
+        auditFilePath: path.join(tmpDir, 'thresholds-audit.jsonl'),
+        nodeId: 'main'
+    });
+
+    it('validates every threshold against its schema', () => {
+        const settings = createSettings();
+
+        assert.deepEqual(settings.validateChanges({
+            hashRateSpike: 0.5,
+            hashRateDrop: '0.2',
+            mempoolFlood: 12.5,
+            poolConcentration: 1.5,
+            unknown: 1
+        }), [
+            'hashRateSpike must be at least 1',
+            'hashRateDrop must be a number',
+            'mempoolFlood must be an integer',
+            'poolConcentration must be at most 1',
+            'Unknown threshold: unknown'
+        ]);
+        assert.deepEqual(settings.validateChanges({}), ['thresholds must change at least one threshold']);
+        assert.deepEqual(settings.validateChanges({ lowNodeCount: 0, hashRateDrop: null }), []);
+    });
+
+    it('persists overrides and the audit trail across restarts', () => {
+        const settings = createSettings();
+        settings.load();
+        const entry = settings.applyChanges({ hashRateSpike: 8, lowNodeCount: 5 }, { user: 'alice', ip: '10.0.0.1' });
+
+        assert.deepEqual(entry.changes, [{ threshold: 'hashRateSpike', from: 5, to: 8 }]);
+        assert.equal(entry.actor.user, 'alice');
+
+        const restarted = createSettings();
+        assert.equal(restarted.load().hashRateSpike, 8);
+        assert.equal(restarted.describe().hashRateSpike.overridden, true);
+        assert.equal(restarted.getAuditLog()[0].nodeId, 'main');
+
+        restarted.applyChanges({ hashRateSpike: null }, { ip: '10.0.0.2' });
+        assert.equal(createSettings().load().hashRateSpike, 5);
+        assert.deepEqual(createSettings().getAuditLog(), []);
+        const reloaded = createSettings();
+        reloaded.load();
+        assert.deepEqual(reloaded.getAuditLog().map(change => change.changes[0].to), [5, 8]);
+    });
+
+    it('ignores saved values that no longer validate', () => {
+        fs.writeFileSync(path.join(tmpDir, 'thresholds.json'), JSON.stringify({ thresholds: { lowNodeCount: -3, mempoolFlood: 500 } }));
+        const thresholds = createSettings().load();
+
+        assert.equal(thresholds.lowNodeCount, 5);
+        assert.equal(thresholds.mempoolFlood, 500);
+    });
+
+    it('applies changes to the running watchdog immediately', async () => {
+        const thresholdSettings = createSettings();
+        const watchdog = new DogecoinWatchdog({}, { thresholdSettings });
+        const { thresholds } = watchdog;
+        const data = { peers: [{}, {}, {}] };
+
+        await watchdog.runDetector('low-node-count', data);
+        assert.equal(watchdog.openAlerts.size, 1);
+
+        watchdog.updateThresholds({ lowNodeCount: 2 }, { ip: '127.0.0.1' });
+        assert.equal(thresholds.lowNodeCount, 2);
+        await watchdog.runDetector('low-node-count', data);
+        assert.equal(watchdog.openAlerts.size, 0);
+
+        assert.throws(() => watchdog.updateThresholds({ lowNodeCount: -1 }), /at least 0/);
+        assert.equal(watchdog.thresholds.lowNodeCount, 2);
+    });
+});
+
+describe('Configuration routes', () => {
+    let server;
+    let watchdog;
+
+    beforeEach(async () => {
+        watchdog = new DogecoinWatchdog({}, { thresholdSettings: new ThresholdSettings({ defaults: DEFAULTS }) });
+        initializeWatchdog(watchdog);
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/watchdog', watchdogRoutes);
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+    });
+
+    afterEach(() => {
+        server.close();
+        config.audit.proxySecret = null;
+    });
+
+    it('updates thresholds and records who changed them', async () => {
+        config.audit.proxySecret = 'proxy-secret';
+        const updated = await requestJSON(server, 'PUT', '/api/watchdog/configuration', {
+            thresholds: { difficultySpike: 4.5 }
+        }, { 'X-Forwarded-User': 'alice', 'X-Proxy-Secret': 'proxy-secret' });
+
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.data.thresholds.difficultySpike, 4.5);
+        assert.equal(updated.body.data.schema.difficultySpike.default, 3);
+        assert.deepEqual(updated.body.data.change.changes, [{ threshold: 'difficultySpike', from: 3, to: 4.5 }]);
+
+        const audit = await requestJSON(server, 'GET', '/api/watchdog/configuration/audit');
+        assert.equal(audit.body.data.count, 1);
+        assert.equal(audit.body.data.changes[0].actor.user, 'alice');
+        assert.equal(audit.body.data.changes[0].actor.authenticated, true);
+        assert.ok(audit.body.data.changes[0].actor.ip);
+    });
+
+    it('records changes without a trusted proxy as unauthenticated', async () => {
+        const updated = await requestJSON(server, 'PUT', '/api/watchdog/configuration', {
+            thresholds: { difficultySpike: 4.5 }
+        }, { 'X-Forwarded-User': 'alice', 'X-Forwarded-For': '203.0.113.7' });
+        assert.equal(updated.status, 200);
+
+        const { actor } = updated.body.data.change;
+        assert.equal(actor.user, null);
+        assert.equal(actor.authenticated, false);
+        assert.equal(actor.ip, '127.0.0.1');
+    });
+
+    it('rejects invalid thresholds without applying any', async () => {
+        const rejected = await requestJSON(server, 'PUT', '/api/watchdog/configuration', {
+            thresholds: { difficultySpike: 4, hashRateDrop: 2 }
+        });
+
+        assert.equal(rejected.status, 400);
+        assert.equal(rejected.body.error, 'INVALID_PARAMETER');
+        assert.equal(rejected.body.message, 'hashRateDrop must be at most 1');
+        assert.equal(watchdog.thresholds.difficultySpike, 3);
+    });
+});
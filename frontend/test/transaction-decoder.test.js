@@ -0,0 +1,159 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TransactionDecoder } = require('../src/services/transactionDecoder');
+const { decodeNullData } = require('../src/utils/address');
+const { toKoinu } = require('../src/utils/rawBlock');
+
+const txid = (char) => char.repeat(64);
+
+/**
+ * Builds a verbose output as returned by getrawtransaction
+ */
+function output(n, value, type, extra = {}) {
+    return { n, value, scriptPubKey: { type, hex: '', ...extra } };
+}
+
+/**
+ * Creates a stand-in RPC service answering from a map of verbose transactions
+ * and a set of unspent "txid:n" outpoints
+ */
+function createFakeRPC(transactions, unspent) {
+    const answer = (method, params) => {
+        if (method === 'getrawtransaction') {
+            const tx = transactions[params[0]];
+            if (!tx) {
+                throw Object.assign(new Error('No such mempool or blockchain transaction'), { code: -5 });
+            }
+            return tx;
+        }
+        if (method === 'gettxout') {
+            return unspent.has(`${params[0]}:${params[1]}`) ? { value: 1 } : null;
+        }
+        throw new Error(`Unexpected method ${method}`);
+    };
+
+    return {
+        batches: [],
+        async call(method, params) {
+            return answer(method, params);
+        },
+        async callBatch(calls) {
+            this.batches.push(calls.map(call => call.method));
+            return calls.map(({ method, params }) => {
+                try {
+                    return { status: 'fulfilled', value: answer(method, params) };
+                } catch (error) {
+                    return { status: 'rejected', reason: error };
+                }
+            });
+        }
+    };
+}
+
+describe('TransactionDecoder', () => {
+    const transactions = {
+        [txid('a')]: {
+            txid: txid('a'),
+            vin: [{ coinbase: '03a08601' }],
+            vout: [output(0, 10000.5, 'pubkeyhash', { addresses: ['DAlice'] })]
+        },
+        [txid('b')]: {
+            txid: txid('b'),
+            vin: [{ txid: txid('a'), vout: 0 }],
+            vout: [
+                output(0, 1, 'pubkeyhash', { addresses: ['DBob'] }),
+                output(1, 250.25, 'scripthash', { addresses: ['9Vault'] })
+            ]
+        },
+        [txid('c')]: {
+            txid: txid('c'),
+            size: 400,
+            vin: [{ txid: txid('a'), vout: 0 }, { txid: txid('b'), vout: 1 }],
+            vout: [
+                output(0, 10000, 'multisig', { reqSigs: 2, addresses: ['DKey1', 'DKey2', 'DKey3'] }),
+                output(1, 248.75, 'pubkeyhash', { addresses: ['DAlice'] }),
+                output(2, 0, 'nulldata', { hex: '6a0568656c6c6f' })
+            ]
+        },
+        [txid('d')]: {
+            txid: txid('d'),
+            size: 200,
+            vin: [{ txid: txid('e'), vout: 0 }],
+            vout: [output(0, 5, 'pubkeyhash', { addresses: ['DCarol'] })]
+        }
+    };
+
+    it('resolves inputs and computes totals, fee and fee rate', async () => {
+        const rpc = createFakeRPC(transactions, new Set([`${txid('c')}:1`]));
+        const tx = await new TransactionDecoder(rpc).decode(txid('c'));
+
+        assert.deepEqual(tx.vin.map(input => [input.value, input.address, input.scriptType]), [
+            [10000.5, 'DAlice', 'P2PKH'],
+            [250.25, '9Vault', 'P2SH']
+        ]);
+        assert.equal(tx.totalInput, 10250.75);
+        assert.equal(tx.totalOutput, 10248.75);
+        assert.equal(tx.fee, 2);
+        assert.equal(tx.feeRate, 5);
+        assert.equal(tx.isCoinbase, false);
+        assert.equal(tx.unresolvedInputs, 0);
+
+        // Previous transactions and output lookups are batched
+        assert.deepEqual(rpc.batches.map(batch => batch.length).sort(), [2, 3]);
+    });
+
+    it('describes output scripts and their spent state', async () => {
+        const rpc = createFakeRPC(transactions, new Set([`${txid('c')}:1`]));
+        const { vout } = await new TransactionDecoder(rpc).decode(txid('c'));
+
+        assert.equal(vout[0].scriptType, 'multisig');
+        assert.equal(vout[0].required, 2);
+        assert.equal(vout[0].spent, true);
+        assert.equal(vout[1].spent, false);
+        assert.equal(vout[2].scriptType, 'OP_RETURN');
+        assert.equal(vout[2].spent, null);
+        assert.deepEqual(vout[2].payload, { hex: '68656c6c6f', text: 'hello' });
+    });
+
+    it('leaves the fee unknown when an input cannot be resolved', async () => {
+        const rpc = createFakeRPC(transactions, new Set());
+        const tx = await new TransactionDecoder(rpc).decode(txid('d'));
+
+        assert.equal(tx.vin[0].value, null);
+        assert.equal(tx.unresolvedInputs, 1);
+        assert.equal(tx.totalInput, null);
+        assert.equal(tx.fee, null);
+        assert.equal(tx.feeRate, null);
+        assert.equal(tx.totalOutput, 5);
+    });
+
+    it('marks coinbase transactions', async () => {
+        const rpc = createFakeRPC(transactions, new Set([`${txid('a')}:0`]));
+        const tx = await new TransactionDecoder(rpc).decode(txid('a'));
+
+        assert.equal(tx.isCoinbase, true);
+        assert.equal(tx.vin[0].scriptType, 'coinbase');
+        assert.equal(tx.fee, null);
+        assert.equal(tx.vout[0].spent, false);
+    });
+
+    it('rejects when the transaction is unknown', async () => {
+        const rpc = createFakeRPC(transactions, new Set());
+        await assert.rejects(new TransactionDecoder(rpc).decode(txid('f')), /No such/);
+    });
+});
+
+describe('Amount and payload helpers', () => {
+    it('converts DOGE amounts to koinu without rounding errors', () => {
+        assert.equal(toKoinu(0.1), 10000000n);
+        assert.equal(toKoinu(10250.75), 1025075000000n);
+        assert.equal(toKoinu(-0.00000001), -1n);
+    });
+
+    it('decodes OP_RETURN payloads', () => {
+        assert.deepEqual(decodeNullData('6a0568656c6c6f'), { hex: '68656c6c6f', text: 'hello' });
+        assert.deepEqual(decodeNullData('6a0400ff10fe'), { hex: '00ff10fe', text: null });
+        assert.equal(decodeNullData('76a914'), null);
+    });
+});
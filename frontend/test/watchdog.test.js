@@ -26,6 +26,19 @@ function createMockRPC(overrides = {}) {
     };
 }
 
+/**
+ * Builds the network data a security check passes to the detectors.
+ */
+function snapshot({ peers = 8, mempool = 50, difficulty = 10000 } = {}) {
+    return {
+        blockchain: { blocks: 5000000, difficulty, bestblockhash: 'abc123', initialblockdownload: false },
+        network: { connections: peers, networkhashps: 500e12 },
+        mempool: { size: mempool, bytes: 10000 },
+        peers: Array.from({ length: peers }, (_, id) => ({ id })),
+        timestamp: new Date().toISOString()
+    };
+}
+
 describe('DogecoinWatchdog', () => {
 
     describe('calculateHashRate', () => {
@@ -102,103 +115,103 @@ describe('DogecoinWatchdog', () => {
         });
     });
 
-    describe('checkLowNodeCount', () => {
-        it('creates alert when node count below threshold', () => {
+    describe('low-node-count detector', () => {
+        it('creates alert when node count below threshold', async () => {
             const watchdog = new DogecoinWatchdog(createMockRPC());
-            watchdog.checkLowNodeCount(3);
+            await watchdog.runDetector('low-node-count', snapshot({ peers: 3 }));
             assert.equal(watchdog.alerts.length, 1);
             assert.equal(watchdog.alerts[0].type, 'LOW_NODE_COUNT');
             assert.equal(watchdog.alerts[0].severity, 'MEDIUM');
         });
 
-        it('does not alert when node count meets threshold', () => {
+        it('does not alert when node count meets threshold', async () => {
             const watchdog = new DogecoinWatchdog(createMockRPC());
-            watchdog.checkLowNodeCount(5);
+            await watchdog.runDetector('low-node-count', snapshot({ peers: 5 }));
             assert.equal(watchdog.alerts.length, 0);
         });
 
-        it('does not alert when node count exceeds threshold', () => {
+        it('does not alert when node count exceeds threshold', async () => {
             const watchdog = new DogecoinWatchdog(createMockRPC());
-            watchdog.checkLowNodeCount(100);
+            await watchdog.runDetector('low-node-count', snapshot({ peers: 100 }));
             assert.equal(watchdog.alerts.length, 0);
         });
     });
 
-    describe('checkMempoolFlooding', () => {
-        it('creates alert when mempool exceeds threshold', () => {
+    describe('mempool-flood detector', () => {
+        it('creates alert when mempool exceeds threshold', async () => {
             const watchdog = new DogecoinWatchdog(createMockRPC());
-            watchdog.checkMempoolFlooding(15000);
+            await watchdog.runDetector('mempool-flood', snapshot({ mempool: 15000 }));
             assert.equal(watchdog.alerts.length, 1);
             assert.equal(watchdog.alerts[0].type, 'MEMPOOL_FLOOD');
             assert.equal(watchdog.alerts[0].severity, 'HIGH');
         });
 
-        it('does not alert when mempool is normal', () => {
+        it('does not alert when mempool is normal', async () => {
             const watchdog = new DogecoinWatchdog(createMockRPC());
-            watchdog.checkMempoolFlooding(500);
+            await watchdog.runDetector('mempool-flood', snapshot({ mempool: 500 }));
             assert.equal(watchdog.alerts.length, 0);
         });
 
-        it('does not alert at exact threshold', () => {
+        it('does not alert at exact threshold', async () => {
             const watchdog = new DogecoinWatchdog(createMockRPC());
-            watchdog.checkMempoolFlooding(10000);
+            await watchdog.runDetector('mempool-flood', snapshot({ mempool: 10000 }));
             assert.equal(watchdog.alerts.length, 0);
         });
     });
 
-    describe('checkHashRateAnomalies', () => {
-        it('creates CRITICAL alert on hash rate spike', () => {
+    describe('hash-rate-baseline detector', () => {
+        it('creates CRITICAL alert on hash rate spike', async () => {
             const watchdog = new DogecoinWatchdog(createMockRPC());
             watchdog.baselines.avgHashRate = watchdog.calculateHashRate(1000);
-            watchdog.checkHashRateAnomalies(6000);
+            await watchdog.runDetector('hash-rate-baseline', snapshot({ difficulty: 6000 }));
             assert.equal(watchdog.alerts.length, 1);
             assert.equal(watchdog.alerts[0].type, 'HASH_RATE_SPIKE');
             assert.equal(watchdog.alerts[0].severity, 'CRITICAL');
         });
 
-        it('creates HIGH alert on hash rate drop', () => {
+        it('creates HIGH alert on hash rate drop', async () => {
             const watchdog = new DogecoinWatchdog(createMockRPC());
             watchdog.baselines.avgHashRate = watchdog.calculateHashRate(10000);
-            watchdog.checkHashRateAnomalies(2000);
+            await watchdog.runDetector('hash-rate-baseline', snapshot({ difficulty: 2000 }));
             assert.equal(watchdog.alerts.length, 1);
             assert.equal(watchdog.alerts[0].type, 'HASH_RATE_DROP');
             assert.equal(watchdog.alerts[0].severity, 'HIGH');
         });
 
-        it('does not alert within normal range', () => {
+        it('does not alert within normal range', async () => {
             const watchdog = new DogecoinWatchdog(createMockRPC());
             watchdog.baselines.avgHashRate = watchdog.calculateHashRate(10000);
-            watchdog.checkHashRateAnomalies(15000);
+            await watchdog.runDetector('hash-rate-baseline', snapshot({ difficulty: 15000 }));
             assert.equal(watchdog.alerts.length, 0);
         });
 
-        it('skips check when no baseline exists', () => {
+        it('skips check when no baseline exists', async () => {
             const watchdog = new DogecoinWatchdog(createMockRPC());
             watchdog.baselines.avgHashRate = null;
-            watchdog.checkHashRateAnomalies(10000);
+            await watchdog.runDetector('hash-rate-baseline', snapshot({ difficulty: 10000 }));
             assert.equal(watchdog.alerts.length, 0);
         });
     });
 
-    describe('checkDifficultySpikes', () => {
-        it('creates alert on difficulty spike', () => {
+    describe('difficulty-spike detector', () => {
+        it('creates alert on difficulty spike', async () => {
             const watchdog = new DogecoinWatchdog(createMockRPC());
             watchdog.baselines.avgDifficulty = 1000;
-            watchdog.checkDifficultySpikes(4000);
+            await watchdog.runDetector('difficulty-spike', snapshot({ difficulty: 4000 }));
             assert.equal(watchdog.alerts.length, 1);
             assert.equal(watchdog.alerts[0].type, 'DIFFICULTY_SPIKE');
             assert.equal(watchdog.alerts[0].severity, 'HIGH');
         });
 
-        it('does not alert within normal range', () => {
+        it('does not alert within normal range', async () => {
             const watchdog = new DogecoinWatchdog(createMockRPC());
             watchdog.baselines.avgDifficulty = 1000;
-            watchdog.checkDifficultySpikes(2500);
+            await watchdog.runDetector('difficulty-spike', snapshot({ difficulty: 2500 }));
             assert.equal(watchdog.alerts.length, 0);
         });
     });
 
-    describe('checkForDeepReorgs', () => {
+    describe('chain-reorganizations detector', () => {
         it('creates CRITICAL alert on deep reorganization (6+ blocks)', async () => {
             const mockRPC = createMockRPC({
                 getChainTips: async () => [
@@ -207,7 +220,7 @@ describe('DogecoinWatchdog', () => {
                 ]
             });
             const watchdog = new DogecoinWatchdog(mockRPC);
-            await watchdog.checkForDeepReorgs();
+            await watchdog.runDetector('chain-reorganizations', snapshot());
             const alert = watchdog.alerts.find(a => a.type === 'DEEP_REORGANIZATION');
             assert.ok(alert, 'Should create DEEP_REORGANIZATION alert');
             assert.equal(alert.severity, 'CRITICAL');
@@ -222,7 +235,7 @@ describe('DogecoinWatchdog', () => {
                 ]
             });
             const watchdog = new DogecoinWatchdog(mockRPC);
-            await watchdog.checkForDeepReorgs();
+            await watchdog.runDetector('chain-reorganizations', snapshot());
             const alert = watchdog.alerts.find(a => a.type === 'FREQUENT_REORGANIZATIONS');
             assert.ok(alert, 'Should create FREQUENT_REORGANIZATIONS alert');
             assert.equal(alert.severity, 'HIGH');
@@ -236,7 +249,7 @@ describe('DogecoinWatchdog', () => {
                 ]
             });
             const watchdog = new DogecoinWatchdog(mockRPC);
-            await watchdog.checkForDeepReorgs();
+            await watchdog.runDetector('chain-reorganizations', snapshot());
             assert.equal(watchdog.alerts.length, 0);
         });
 
@@ -245,7 +258,7 @@ describe('DogecoinWatchdog', () => {
                 getChainTips: async () => { throw new Error('RPC timeout'); }
             });
             const watchdog = new DogecoinWatchdog(mockRPC);
-            await watchdog.checkForDeepReorgs();
+            await watchdog.runDetector('chain-reorganizations', snapshot());
             assert.equal(watchdog.alerts.length, 0);
         });
     });
@@ -312,6 +325,86 @@ describe('DogecoinWatchdog', () => {
         });
     });
 
+    describe('alert lifecycle', () => {
+        it('folds repeated detections into one open alert', async () => {
+            const watchdog = new DogecoinWatchdog(createMockRPC());
+            let emitted = 0;
+            watchdog.on('alert', () => { emitted++; });
+
+            await watchdog.runDetector('low-node-count', snapshot({ peers: 3 }));
+            await watchdog.runDetector('low-node-count', snapshot({ peers: 2 }));
+
+            assert.equal(watchdog.alerts.length, 1);
+            assert.equal(emitted, 1);
+            assert.equal(watchdog.alerts[0].status, 'open');
+            assert.equal(watchdog.alerts[0].occurrences, 2);
+            assert.equal(watchdog.alerts[0].data.nodeCount, 2);
+        });
+
+        it('resolves the alert when the condition clears', async () => {
+            const watchdog = new DogecoinWatchdog(createMockRPC());
+            let resolved = null;
+            watchdog.on('alertResolved', (alert) => { resolved = alert; });
+
+            await watchdog.runDetector('low-node-count', snapshot({ peers: 3 }));
+            await watchdog.runDetector('low-node-count', snapshot({ peers: 8 }));
+
+            assert.ok(resolved);
+            assert.equal(resolved.status, 'resolved');
+            assert.ok(resolved.resolvedAt);
+            assert.ok(resolved.durationMs >= 0);
+            assert.equal(watchdog.openAlerts.size, 0);
+        });
+
+        it('reopens a resolved alert that returns within the cooldown', async () => {
+            const watchdog = new DogecoinWatchdog(createMockRPC());
+            watchdog.cooldowns = { default: 60000 };
+            let emitted = 0;
+            watchdog.on('alert', () => { emitted++; });
+
+            await watchdog.runDetector('low-node-count', snapshot({ peers: 3 }));
+            await watchdog.runDetector('low-node-count', snapshot({ peers: 8 }));
+            await watchdog.runDetector('low-node-count', snapshot({ peers: 3 }));
+
+            assert.equal(watchdog.alerts.length, 1);
+            assert.equal(emitted, 1);
+            assert.equal(watchdog.alerts[0].status, 'open');
+            assert.equal(watchdog.alerts[0].resolvedAt, null);
+        });
+
+        it('raises a new alert once the cooldown has passed', async () => {
+            const watchdog = new DogecoinWatchdog(createMockRPC());
+            watchdog.cooldowns = { default: 60000, LOW_NODE_COUNT: 0 };
+
+            await watchdog.runDetector('low-node-count', snapshot({ peers: 3 }));
+            await watchdog.runDetector('low-node-count', snapshot({ peers: 8 }));
+            await watchdog.runDetector('low-node-count', snapshot({ peers: 3 }));
+
+            assert.equal(watchdog.alerts.length, 2);
+            assert.equal(watchdog.alerts[0].status, 'open');
+            assert.equal(watchdog.alerts[1].status, 'resolved');
+        });
+
+        it('keeps alerts for still-active keys open', () => {
+            const watchdog = new DogecoinWatchdog(createMockRPC());
+            watchdog.createAlert('DEEP_REORGANIZATION', 'CRITICAL', 'Fork A', {}, { key: 'a' });
+            watchdog.createAlert('DEEP_REORGANIZATION', 'CRITICAL', 'Fork B', {}, { key: 'b' });
+
+            const resolved = watchdog.resolveAlerts('DEEP_REORGANIZATION', ['b']);
+
+            assert.deepEqual(resolved.map(a => a.key), ['a']);
+            assert.ok(watchdog.openAlerts.has('DEEP_REORGANIZATION:b'));
+        });
+
+        it('does not count resolved alerts toward the overall status', () => {
+            const watchdog = new DogecoinWatchdog(createMockRPC());
+            watchdog.isMonitoring = true;
+            watchdog.createAlert('TEST', 'CRITICAL', 'Critical issue', {}, { key: 'x' });
+            watchdog.resolveAlerts('TEST');
+            assert.equal(watchdog.getOverallStatus(), 'SECURE');
+        });
+    });
+
     describe('getOverallStatus', () => {
         it('returns OFFLINE when not monitoring', () => {
             const watchdog = new DogecoinWatchdog(createMockRPC());
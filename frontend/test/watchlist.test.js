@@ -0,0 +1,365 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const DogecoinWatchdog = require('../src/services/watchdog');
+const { Watchlist } = require('../src/services/watchlist');
+const { RPCError } = require('../src/services/rpc');
+const { router, initializeAPI } = require('../src/routes/api');
+const { classifyScript } = require('../src/utils/address');
+const { rawTransaction, transaction, serializeBlock } = require('./helpers');
+
+const FUNDING = 'f'.repeat(64);
+const DEPOSIT_SCRIPT = `76a914${'22'.repeat(20)}88ac`;
+const OTHER_SCRIPT = `76a914${'33'.repeat(20)}88ac`;
+const DEPOSIT_ADDRESS = classifyScript(DEPOSIT_SCRIPT, 'main').addresses[0];
+
+const PAYMENT = transaction([[FUNDING, 0]], [[250000000000, OTHER_SCRIPT]]);
+const DEPOSIT = transaction([[FUNDING, 1]], [[12345000000, DEPOSIT_SCRIPT], [100000000, OTHER_SCRIPT]]);
+
+/**
+ * Mock node with a rewritable active chain, stale blocks kept for lookups
+ * and a mempool
+ */
+function createNode(tipHeight) {
+    const node = {
+        chain: [],
+        blocks: {}, // hash -> { height, raw, txids }
+        mempool: [],
+        txindex: true, // confirmed transactions of the active chain are found too
+        mine(hash, transactions = []) {
+            const height = node.chain.length;
+            const coinbase = rawTransaction([{ coinbase: '' }], [[1000000000000 + height, OTHER_SCRIPT]]);
+            node.blocks[hash] = {
+                height,
+                txids: transactions.map(tx => tx.txid),
+                raw: serializeBlock([coinbase, ...transactions.map(tx => tx.hex)], { time: height })
+            };
+            node.chain.push(hash);
+            node.mempool = node.mempool.filter(tx => !transactions.includes(tx));
+        },
+        reorg(forkHeight) {
+            node.chain.length = forkHeight;
+        },
+        confirmations(hash) {
+            const block = node.blocks[hash];
+            return node.chain[block.height] === hash ? node.chain.length - block.height : -1;
+        },
+        blockchain: () => ({
+            chain: 'main',
+            blocks: node.chain.length - 1,
+            bestblockhash: node.chain[node.chain.length - 1],
+            initialblockdownload: false
+        }),
+        call: async (method, params = []) => {
+            switch (method) {
+                case 'getblockchaininfo':
+                    return node.blockchain();
+                case 'validateaddress':
+                    return { isvalid: params[0] === DEPOSIT_ADDRESS };
+                case 'getblockheader':
+                    return { hash: params[0], height: node.blocks[params[0]].height, confirmations: node.confirmations(params[0]) };
+                case 'getrawtransaction': {
+                    if (node.mempool.some(tx => tx.txid === params[0])) {
+                        return { txid: params[0] };
+                    }
+                    if (!node.txindex) {
+                        throw new RPCError('No such mempool transaction. Use -txindex to enable blockchain transaction queries. Use gettransaction for wallet transactions.', -5, method);
+                    }
+                    const hash = node.chain.find(candidate => node.blocks[candidate].txids.includes(params[0]));
+                    if (hash) {
+                        return { txid: params[0], blockhash: hash, confirmations: node.confirmations(hash) };
+                    }
+                    throw new RPCError('No such mempool or blockchain transaction', -5, method);
+                }
+                default:
+                    throw new Error(`Unmocked RPC call: ${method}`);
+            }
+        },
+        callBatch: async calls => calls.map(({ params: [height] }) => (node.chain[height]
+            ? { status: 'fulfilled', value: node.chain[height] }
+            : { status: 'rejected', reason: new RPCError('Block height out of range', -8, 'getblockhash') })),
+        requestBatch: async calls => calls.map(({ params: [hash] }) => ({ status: 'fulfilled', value: node.blocks[hash].raw }))
+    };
+    for (let height = 0; height <= tipHeight; height++) {
+        node.mine(`hash-${height}`);
+    }
+    return node;
+}
+
+describe('Watchlist', () => {
+    let tmpDir;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'doge-watchlist-'));
+    });
+
+    after(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('validates new entries', () => {
+        const watchlist = new Watchlist({ maxEntries: 1 });
+
+        assert.deepEqual(watchlist.validate({ txid: PAYMENT.txid, label: 'invoice 42' }), []);
+        assert.deepEqual(watchlist.validate({}), ['Exactly one of txid or address is required']);
+        assert.deepEqual(watchlist.validate({ txid: 'abc' }), ['txid must be a 64-character hex transaction ID']);
+        assert.deepEqual(watchlist.validate({ address: DEPOSIT_ADDRESS, label: 7 }), ['label must be a string of at most 100 characters']);
+        assert.deepEqual(watchlist.validate({ txid: PAYMENT.txid, label: 'line\nbreak' }), ['label must not contain control characters']);
+
+        watchlist.add({ txid: PAYMENT.txid });
+        assert.deepEqual(watchlist.validate({ txid: PAYMENT.txid }), []);
+        assert.deepEqual(watchlist.validate({ address: DEPOSIT_ADDRESS }), ['The watchlist is full (1 entries)']);
+    });
+
+    it('tracks confirmations, milestones and reorgs of a watched txid', async () => {
+        const node = createNode(100);
+        const filePath = path.join(tmpDir, 'watchlist.json');
+        const watchlist = new Watchlist({ rpc: node, filePath, milestones: [1, 3] });
+        const milestones = [];
+        watchlist.on('milestone', event => milestones.push(event.milestone));
+
+        node.mempool = [PAYMENT];
+        watchlist.add({ txid: PAYMENT.txid, label: 'invoice 42' });
+        await watchlist.update();
+        assert.equal(watchlist.get(PAYMENT.txid).status, 'unconfirmed');
+
+        node.mine('hash-101', [PAYMENT]);
+        node.mine('hash-102');
+        node.mine('hash-103');
+        await watchlist.update(node.blockchain());
+        const confirmed = watchlist.get(PAYMENT.txid);
+        assert.deepEqual([confirmed.status, confirmed.confirmations, confirmed.blockHash, confirmed.blockHeight], ['confirmed', 3, 'hash-101', 101]);
+        assert.deepEqual(milestones, [1, 3]);
+
+        // The payment's block is replaced and the payment returns to the mempool
+        node.reorg(101);
+        node.mine('hash-101b');
+        node.mine('hash-102b');
+        node.mine('hash-103b');
+        node.mine('hash-104b');
+        node.mempool = [PAYMENT];
+        const { reorged } = await watchlist.update(node.blockchain());
+
+        assert.equal(reorged.length, 1);
+        const entry = watchlist.get(PAYMENT.txid);
+        assert.deepEqual([entry.status, entry.confirmations, entry.inMempool, entry.reorgCount], ['reorged', 0, true, 1]);
+        assert.deepEqual(entry.lastReorg, { at: entry.updatedAt, blockHash: 'hash-101', blockHeight: 101, confirmations: 3 });
+
+        // Saved with its tracking state
+        const restored = new Watchlist({ filePath }).load();
+        assert.equal(restored.get(PAYMENT.txid).status, 'reorged');
+        assert.equal(restored.scan.height, 104);
+
+        node.mine('hash-105b', [PAYMENT]);
+        await watchlist.update(node.blockchain());
+        assert.deepEqual([entry.status, entry.blockHash, entry.maxConfirmations], ['confirmed', 'hash-105b', 3]);
+        assert.deepEqual(milestones, [1, 3, 1]);
+    });
+
+    it('finds deposits to a watched address in new blocks', async () => {
+        const node = createNode(50);
+        const watchlist = new Watchlist({ rpc: node });
+
+        watchlist.add({ address: DEPOSIT_ADDRESS });
+        await watchlist.update();
+        assert.equal(watchlist.get(DEPOSIT_ADDRESS).fromHeight, 51);
+
+        node.mine('hash-51', [DEPOSIT]);
+        node.mine('hash-52');
+        await watchlist.update();
+
+        const [deposit] = watchlist.get(DEPOSIT_ADDRESS).deposits;
+        assert.deepEqual(
+            [deposit.txid, deposit.amount, deposit.confirmations, deposit.blockHeight],
+            [DEPOSIT.txid, 123.45, 2, 51]
+        );
+    });
+
+    it('saves only when tracking state changed', async () => {
+        const node = createNode(50);
+        const watchlist = new Watchlist({ rpc: node, filePath: path.join(tmpDir, 'watchlist-saves.json') });
+        let saves = 0;
+        const save = watchlist.save.bind(watchlist);
+        watchlist.save = () => {
+            saves++;
+            save();
+        };
+
+        node.mempool = [PAYMENT];
+        watchlist.add({ txid: PAYMENT.txid });
+        await watchlist.update(node.blockchain());
+        assert.equal(saves, 2);
+
+        await watchlist.update(node.blockchain());
+        assert.equal(saves, 2);
+
+        node.mine('hash-51', [PAYMENT]);
+        await watchlist.update(node.blockchain());
+        assert.equal(saves, 3);
+    });
+
+    it('stops looking up settled transactions and prunes their deposits', async () => {
+        const node = createNode(50);
+        const lookups = [];
+        const rpc = {
+            ...node,
+            call: (method, params) => {
+                lookups.push(method);
+                return node.call(method, params);
+            }
+        };
+        const watchlist = new Watchlist({ rpc, milestones: [1], maxDeposits: 1 });
+        watchlist.add({ txid: PAYMENT.txid });
+        watchlist.add({ address: DEPOSIT_ADDRESS });
+        await watchlist.update(node.blockchain());
+
+        node.mine('hash-51', [PAYMENT, DEPOSIT]);
+        for (let height = 52; height <= 150; height++) {
+            node.mine(`hash-${height}`);
+        }
+        await watchlist.update(node.blockchain());
+        assert.equal(watchlist.get(PAYMENT.txid).confirmations, 100);
+
+        lookups.length = 0;
+        node.mine('hash-151');
+        await watchlist.update(node.blockchain());
+        assert.deepEqual(lookups, []);
+        assert.equal(watchlist.get(PAYMENT.txid).confirmations, 101);
+        assert.equal(watchlist.get(DEPOSIT_ADDRESS).deposits[0].confirmations, 101);
+
+        const second = transaction([[FUNDING, 2]], [[100000000, DEPOSIT_SCRIPT]]);
+        node.mine('hash-152', [second]);
+        await watchlist.update(node.blockchain());
+        const entry = watchlist.get(DEPOSIT_ADDRESS);
+        assert.deepEqual(entry.deposits.map(deposit => deposit.txid), [second.txid]);
+        assert.equal(entry.prunedDeposits, 1);
+    });
+});
+
+describe('watchlist detector', () => {
+    it('keeps TX_REORGED_OUT open until the transaction confirms again', async () => {
+        const node = createNode(100);
+        const watchlist = new Watchlist({ rpc: node });
+        const watchdog = new DogecoinWatchdog(node, { watchlist });
+        const run = async () => {
+            await watchdog.updateTrackers(node.blockchain());
+            return watchdog.runDetector('watchlist', { blockchain: node.blockchain(), timestamp: new Date().toISOString() });
+        };
+
+        watchlist.add({ txid: PAYMENT.txid });
+        node.mine('hash-101', [PAYMENT]);
+        assert.deepEqual(await run(), []);
+
+        // Reorged out and gone from the mempool: possibly double-spent
+        node.reorg(101);
+        node.mine('hash-101b');
+        node.mine('hash-102b');
+        const [finding] = await run();
+        assert.equal(finding.type, 'TX_REORGED_OUT');
+        assert.equal(finding.severity, 'CRITICAL');
+        assert.equal(finding.key, PAYMENT.txid);
+        assert.deepEqual(finding.data.orphanedBlock, { hash: 'hash-101', height: 101 });
+        assert.match(finding.message, /lost 1 confirmation\(s\) when block 101 left the active chain\. It is not in the mempool/);
+        assert.equal(watchdog.openAlerts.size, 1);
+
+        node.mine('hash-103b', [PAYMENT]);
+        assert.deepEqual(await run(), []);
+        assert.equal(watchdog.openAlerts.size, 0);
+    });
+
+    it('keeps following the watchlist while the detector is disabled', async () => {
+        const node = createNode(100);
+        const rpc = { ...node, call: async (method, params) => (['getnetworkinfo', 'getmempoolinfo', 'getpeerinfo'].includes(method) ? {} : node.call(method, params)) };
+        const watchlist = new Watchlist({ rpc: node, milestones: [1] });
+        const watchdog = new DogecoinWatchdog(rpc, { watchlist });
+        watchdog.analyzeSecurityThreats = async () => {};
+        watchdog.configureDetectors({ watchlist: { enabled: false } });
+        watchdog.isMonitoring = true;
+        const milestones = [];
+        watchlist.on('milestone', event => milestones.push(event.milestone));
+
+        watchlist.add({ txid: PAYMENT.txid });
+        node.mine('hash-101', [PAYMENT]);
+        await watchdog.performSecurityChecks();
+
+        assert.equal(watchlist.get(PAYMENT.txid).confirmations, 1);
+        assert.deepEqual(milestones, [1]);
+    });
+});
+
+describe('/api/watchlist', () => {
+    let server;
+    let baseUrl;
+    let node;
+
+    before(async () => {
+        const app = express();
+        app.use(express.json());
+        app.use('/api', router);
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+        node = createNode(10);
+        initializeAPI(node, { watchlist: new Watchlist({ rpc: node }) });
+    });
+
+    after(() => {
+        server.close();
+        initializeAPI(null);
+    });
+
+    const post = body => fetch(`${baseUrl}/watchlist`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    it('adds, lists and removes entries', async () => {
+        node.mempool = [PAYMENT];
+        const added = await post({ txid: PAYMENT.txid, label: 'invoice 42' });
+        const body = await added.json();
+        assert.equal(added.status, 200);
+        assert.equal(body.created, true);
+        assert.equal(body.data.status, 'unconfirmed');
+
+        assert.equal((await (await post({ address: DEPOSIT_ADDRESS })).json()).data.type, 'address');
+
+        const list = await (await fetch(`${baseUrl}/watchlist`)).json();
+        assert.deepEqual(list.data.entries.map(entry => entry.id), [PAYMENT.txid, DEPOSIT_ADDRESS]);
+
+        const removed = await fetch(`${baseUrl}/watchlist/${DEPOSIT_ADDRESS}`, { method: 'DELETE' });
+        assert.equal(removed.status, 200);
+        assert.equal((await fetch(`${baseUrl}/watchlist/${DEPOSIT_ADDRESS}`)).status, 404);
+        assert.equal((await fetch(`${baseUrl}/watchlist/${DEPOSIT_ADDRESS}`, { method: 'DELETE' })).status, 404);
+    });
+
+    it('rejects invalid entries', async () => {
+        const response = await post({ txid: PAYMENT.txid, address: DEPOSIT_ADDRESS });
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).error, 'INVALID_PARAMETER');
+
+        const invalidAddress = await post({ address: 'DBXu2kgc3xtvCUWFcxFE3r9hEYgmuaaCyD' });
+        assert.equal(invalidAddress.status, 400);
+        assert.match((await invalidAddress.json()).message, /Invalid Dogecoin address/);
+    });
+
+    it('marks a confirmed txid unresolved when the node has no -txindex', async () => {
+        const confirmed = transaction([[FUNDING, 3]], [[100000000, OTHER_SCRIPT]]);
+        node.mine('hash-confirmed', [confirmed]);
+        node.txindex = false;
+        try {
+            // Adding the address scans the block before the txid is watched
+            await post({ address: DEPOSIT_ADDRESS });
+            const body = await (await post({ txid: confirmed.txid })).json();
+            assert.equal(body.data.status, 'unresolved');
+            assert.match(body.message, /without -txindex/);
+        } finally {
+            node.txindex = true;
+        }
+    });
+});
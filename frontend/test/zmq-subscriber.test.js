@@ -0,0 +1,263 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ZMQSubscriber, computeTxid } = require('../src/services/zmqSubscriber');
+const DogecoinWatchdog = require('../src/services/watchdog');
+
+// Coinbase transaction of the Bitcoin genesis block (txids are computed the same way)
+const GENESIS_COINBASE = '01000000010000000000000000000000000000000000000000000000000000000000000000ffffffff4d04ffff001d0104455468652054696d65732030332f4a616e2f32303039204368616e63656c6c6f72206f6e206272696e6b206f66207365636f6e64206261696c6f757420666f722062616e6b73ffffffff0100f2052a01000000434104678afdb0fe5548271967f1a67130b7105cd6a828e03909a67962e0ea1f61deb649f6bc3f4cef38c4f35504e51ec112de5c384df7ba0b8d578a4c702b6bf11d5fac00000000';
+
+/**
+ * Creates a stand-in for the zeromq module whose sockets are fed by publish()
+ */
+function createFakeZMQ() {
+    const sockets = [];
+
+    class Subscriber {
+        constructor() {
+            this.topics = [];
+            this.queue = [];
+            this.waiting = null;
+            this.closed = false;
+            sockets.push(this);
+        }
+
+        connect(endpoint) {
+            this.endpoint = endpoint;
+        }
+
+        subscribe(topic) {
+            this.topics.push(topic);
+        }
+
+        close() {
+            this.closed = true;
+            if (this.waiting) {
+                this.waiting({ done: true });
+            }
+        }
+
+        publish(topic, body, sequence) {
+            const seq = Buffer.alloc(4);
+            seq.writeUInt32LE(sequence);
+            const message = [Buffer.from(topic), body, seq];
+
+            if (this.waiting) {
+                const resolve = this.waiting;
+                this.waiting = null;
+                resolve({ value: message, done: false });
+            } else {
+                this.queue.push(message);
+            }
+        }
+
+        [Symbol.asyncIterator]() {
+            return {
+                next: () => {
+                    if (this.queue.length > 0) {
+                        return Promise.resolve({ value: this.queue.shift(), done: false });
+                    }
+                    if (this.closed) {
+                        return Promise.resolve({ done: true });
+                    }
+                    return new Promise(resolve => {
+                        this.waiting = resolve;
+                    });
+                }
+            };
+        }
+    }
+
+    return { Subscriber, sockets };
+}
+
+/**
+ * Lets pending socket reads and event handlers run
+ */
+function flush() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('ZMQSubscriber', () => {
+    let subscriber;
+
+    afterEach(() => {
+        subscriber?.stop();
+    });
+
+    it('computes txids of raw transactions', () => {
+        assert.equal(
+            computeTxid(Buffer.from(GENESIS_COINBASE, 'hex')),
+            '4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b'
+        );
+    });
+
+    it('does not start without endpoints', () => {
+        subscriber = new ZMQSubscriber({ zmq: createFakeZMQ() });
+        assert.equal(subscriber.start(), false);
+        assert.equal(subscriber.getStatus().enabled, false);
+    });
+
+    it('shares one socket between topics published on the same endpoint', () => {
+        const zmq = createFakeZMQ();
+        subscriber = new ZMQSubscriber({ hashblock: 'tcp://node:28332', rawtx: 'tcp://node:28332', zmq });
+
+        assert.equal(subscriber.start(), true);
+        assert.equal(zmq.sockets.length, 1);
+        assert.deepEqual(zmq.sockets[0].topics, ['hashblock', 'rawtx']);
+    });
+
+    it('emits block and tx events', async () => {
+        const zmq = createFakeZMQ();
+        subscriber = new ZMQSubscriber({ hashblock: 'tcp://node:28332', rawtx: 'tcp://node:28333', zmq });
+        const blocks = [];
+        const txs = [];
+        subscriber.on('block', block => blocks.push(block));
+        subscriber.on('tx', tx => txs.push(tx));
+        subscriber.start();
+
+        const [blockSocket, txSocket] = zmq.sockets;
+        blockSocket.publish('hashblock', Buffer.from('ab'.repeat(32), 'hex'), 0);
+        txSocket.publish('rawtx', Buffer.from(GENESIS_COINBASE, 'hex'), 0);
+        await flush();
+
+        assert.deepEqual(blocks, [{ hash: 'ab'.repeat(32), sequence: 0 }]);
+        assert.equal(txs[0].txid, '4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b');
+        assert.equal(txs[0].size, GENESIS_COINBASE.length / 2);
+        assert.equal(subscriber.getStatus().transactions, 1);
+    });
+
+    it('counts notifications skipped in the sequence', async () => {
+        const zmq = createFakeZMQ();
+        subscriber = new ZMQSubscriber({ hashblock: 'tcp://node:28332', zmq });
+        subscriber.start();
+
+        const [socket] = zmq.sockets;
+        socket.publish('hashblock', Buffer.alloc(32), 4);
+        socket.publish('hashblock', Buffer.alloc(32), 7);
+        await flush();
+
+        assert.equal(subscriber.getStatus().blocks, 2);
+        assert.equal(subscriber.getStatus().missed, 2);
+    });
+});
+
+describe('Watchdog block notifications', () => {
+    /**
+     * Creates a watchdog on a mock node whose best block can be changed
+     */
+    function createWatchdog(subscriber) {
+        const chain = { blocks: 100, bestblockhash: 'hash100', difficulty: 1000, mempool: [] };
+        const rpc = {
+            expired: 0,
+            fetched: 0,
+            async call(method) {
+                const responses = {
+                    getblockchaininfo: { ...chain },
+                    getnetworkinfo: { connections: 8 },
+                    getmempoolinfo: { size: 1, bytes: 250 },
+                    getpeerinfo: [],
+                    getrawmempool: Object.fromEntries(chain.mempool.map(txid => [txid, { size: 204, fee: 0.01, time: 1700000000 }]))
+                };
+                return responses[method];
+            },
+            async requestBatch(calls) {
+                this.fetched += calls.length;
+                return calls.map(() => ({ status: 'rejected', reason: new Error('No such mempool transaction') }));
+            },
+            expireTip() {
+                this.expired++;
+            }
+        };
+
+        const watchdog = new DogecoinWatchdog(rpc, { subscriber });
+        watchdog.calculateBaselines = async () => {};
+        watchdog.analyzeSecurityThreats = async () => {};
+        return { watchdog, rpc, chain };
+    }
+
+    it('checks immediately on a ZMQ block and emits newBlock', async () => {
+        const zmq = createFakeZMQ();
+        const subscriber = new ZMQSubscriber({ hashblock: 'tcp://node:28332', zmq });
+        const { watchdog, rpc, chain } = createWatchdog(subscriber);
+        const blocks = [];
+        watchdog.on('newBlock', block => blocks.push(block));
+
+        await watchdog.startMonitoring();
+        try {
+            await watchdog.performSecurityChecks();
+            assert.equal(blocks.length, 0);
+
+            chain.blocks = 101;
+            chain.bestblockhash = 'hash101';
+            await watchdog.handleBlockNotification({ hash: 'hash101' });
+
+            assert.equal(rpc.expired, 1);
+            assert.equal(blocks.length, 1);
+            assert.equal(blocks[0].height, 101);
+            assert.equal(blocks[0].source, 'zmq');
+        } finally {
+            watchdog.stopMonitoring();
+        }
+
+        assert.equal(subscriber.getStatus().subscribed, false);
+    });
+
+    it('decodes announced transactions into the mempool sample', async () => {
+        const zmq = createFakeZMQ();
+        const subscriber = new ZMQSubscriber({ rawtx: 'tcp://node:28333', zmq });
+        const { watchdog, rpc, chain } = createWatchdog(subscriber);
+        const txid = computeTxid(Buffer.from(GENESIS_COINBASE, 'hex'));
+
+        await watchdog.startMonitoring();
+        try {
+            zmq.sockets[0].publish('rawtx', Buffer.from(GENESIS_COINBASE, 'hex'), 0);
+            await flush();
+            assert.equal(watchdog.mempoolSampler.get(txid).outputs[0].value, 5000000000n);
+
+            chain.mempool = [txid];
+            assert.deepEqual(await watchdog.mempoolSampler.update(), { transactions: 1, decoded: 1, pending: 0 });
+            assert.equal(rpc.fetched, 0);
+
+            // Once mined it leaves the mempool and the sample
+            chain.mempool = [];
+            await watchdog.mempoolSampler.update(5000, 0);
+            assert.equal(watchdog.mempoolSampler.get(txid), null);
+        } finally {
+            watchdog.stopMonitoring();
+        }
+
+        assert.equal(subscriber.listenerCount('tx'), 0);
+    });
+
+    it('reports blocks found by polling when ZMQ is not configured', async () => {
+        const { watchdog, chain } = createWatchdog(null);
+        const blocks = [];
+        watchdog.on('newBlock', block => blocks.push(block));
+        watchdog.isMonitoring = true;
+
+        await watchdog.performSecurityChecks();
+        chain.bestblockhash = 'hash101';
+        await watchdog.performSecurityChecks();
+
+        assert.equal(blocks[0].source, 'poll');
+        assert.equal(watchdog.getStatus().zmq.enabled, false);
+    });
+
+    it('queues a check requested while another is running', async () => {
+        const { watchdog } = createWatchdog(null);
+        const triggers = [];
+        watchdog.runSecurityChecks = async (trigger) => {
+            triggers.push(trigger);
+            await flush();
+        };
+        watchdog.isMonitoring = true;
+
+        const first = watchdog.performSecurityChecks();
+        watchdog.performSecurityChecks('zmq');
+        watchdog.performSecurityChecks();
+        await first;
+
+        assert.deepEqual(triggers, ['interval', 'zmq']);
+    });
+});